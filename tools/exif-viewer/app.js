@@ -3,7 +3,10 @@
  * EXIF VIEWER - Tool Logic
  * 
  * Extracts and displays EXIF metadata from uploaded images.
- * Uses exif-js library for parsing.
+ * Parsing is done by metadata.js (JPEG, TIFF, RAW, HEIC/AVIF, PNG and WebP);
+ * batch mode runs it in metadata.worker.js. Locations are drawn on the
+ * offline map from photo-map.js, and maker notes are decoded by
+ * metadata-makernotes.js.
  * ═══════════════════════════════════════════════════════════════════════════════
  */
 
@@ -16,23 +19,101 @@
 
   const dropZone = document.getElementById('drop-zone');
   const fileInput = document.getElementById('file-input');
+  const folderPicker = document.getElementById('folder-picker');
+  const folderInput = document.getElementById('folder-input');
   const imagePreview = document.getElementById('image-preview');
   const previewImg = document.getElementById('preview-img');
+  const previewUnavailable = document.getElementById('preview-unavailable');
   const fileName = document.getElementById('file-name');
   const fileMeta = document.getElementById('file-meta');
   const exifResults = document.getElementById('exif-results');
   const noExif = document.getElementById('no-exif');
   const copyBtn = document.getElementById('copy-btn');
   const clearBtn = document.getElementById('clear-btn');
+  const privacyBtn = document.getElementById('privacy-btn');
+  const editBtn = document.getElementById('edit-btn');
+  const exportMenu = document.getElementById('export-menu');
+  const addMetadataBtn = document.getElementById('add-metadata-btn');
+
+  // Privacy mode
+  const privacySection = document.getElementById('privacy-section');
+  const privacyTags = document.getElementById('privacy-tags');
+  const privacyNote = document.getElementById('privacy-note');
+  const privacyReport = document.getElementById('privacy-report');
+  const cleanBtn = document.getElementById('clean-btn');
+  const downloadCleanBtn = document.getElementById('download-clean-btn');
+
+  // Metadata editor
+  const editorSection = document.getElementById('editor-section');
+  const editorForm = document.getElementById('editor-form');
+  const editorNote = document.getElementById('editor-note');
+  const editorErrors = document.getElementById('editor-errors');
+  const applyEditsBtn = document.getElementById('apply-edits-btn');
+  const downloadEditedBtn = document.getElementById('download-edited-btn');
+
+  // Batch mode
+  const batchResults = document.getElementById('batch-results');
+  const batchProgress = document.getElementById('batch-progress');
+  const batchProgressStatus = document.getElementById('batch-progress-status');
+  const batchProgressBar = document.getElementById('batch-progress-bar');
+  const batchCancelBtn = document.getElementById('batch-cancel-btn');
+  const batchFilter = document.getElementById('batch-filter');
+  const batchCount = document.getElementById('batch-count');
+  const batchExportMenu = document.getElementById('batch-export-menu');
+  const batchClearBtn = document.getElementById('batch-clear-btn');
+  const batchHead = document.getElementById('batch-head');
+  const batchBody = document.getElementById('batch-body');
+  const batchBackBtn = document.getElementById('batch-back-btn');
+  const batchMapBtn = document.getElementById('batch-map-btn');
+  const batchMapPanel = document.getElementById('batch-map-panel');
+  const batchMapContainer = document.getElementById('batch-map');
+  const batchMapNote = document.getElementById('batch-map-note');
 
   // Data containers
   const cameraData = document.getElementById('camera-data');
   const datetimeData = document.getElementById('datetime-data');
   const gpsData = document.getElementById('gps-data');
+  const gpsMapContainer = document.getElementById('gps-map');
+  const gpsMapCaption = document.getElementById('gps-map-caption');
   const imageData = document.getElementById('image-data');
+  const makerSection = document.getElementById('maker-section');
+  const makerVendor = document.getElementById('maker-vendor');
+  const shutterCount = document.getElementById('shutter-count');
+  const makerData = document.getElementById('maker-data');
 
   // Store current EXIF data for copying
   let currentExifData = null;
+  let currentMetadata = null;
+  let currentMakerNotes = null;
+
+  // The loaded file's bytes, kept for lossless rewriting
+  let currentFile = null;
+  let cleanedBlob = null;
+
+  // Object URLs for the preview, and the embedded JPEGs still to try
+  let previewUrls = [];
+  let previewFallbacks = [];
+
+  // Ignore results from a file that was replaced while parsing
+  let loadToken = 0;
+
+  // Batch mode: one row per parsed file
+  let batchRows = [];
+  let batchSkipped = 0;
+  let batchSort = { key: null, dir: 1 };
+  let batchToken = 0;
+  let batchRenderTimer = null;
+
+  // Batch parsing worker and its in-flight requests by id
+  let metadataWorker = null;
+  let workerUnavailable = false;
+  let workerRequestId = 0;
+  const workerRequests = new Map();
+
+  // Maps are built on first use; the batch map refits once it has points
+  let detailMap = null;
+  let batchMap = null;
+  let batchMapFitted = false;
 
   // ═══════════════════════════════════════════════════════════════════════════════
   // FILE HANDLING
@@ -46,10 +127,10 @@
     e.stopPropagation();
     dropZone.classList.remove('drag-over');
     
-    const files = e.dataTransfer?.files;
-    if (files && files.length > 0) {
-      processFile(files[0]);
-    }
+    if (!e.dataTransfer) return;
+    collectDroppedFiles(e.dataTransfer)
+      .then(openFiles)
+      .catch(err => ToolTemplate.showToast(`Failed to read folder: ${err.message}`, 4000));
   }
 
   /**
@@ -74,36 +155,119 @@
    * Handle file input change
    */
   function handleFileSelect(e) {
-    const files = e.target.files;
-    if (files && files.length > 0) {
-      processFile(files[0]);
+    const files = [...(e.target.files || [])];
+    openFiles(files.map(file => ({ file, path: file.webkitRelativePath || file.name })));
+  }
+
+  /**
+   * One file opens the detail view; several files, or a folder, open batch mode
+   * @param {{file: File, path: string}[]} items
+   */
+  function openFiles(items) {
+    if (items.length === 0) return;
+    if (items.length === 1 && !items[0].path.includes('/')) {
+      processFile(items[0].file);
+      return;
     }
+    startBatch(items);
   }
 
   /**
    * Process uploaded file
+   * @param {Object} [options]
+   * @param {boolean} [options.fromBatch] - Opened from the batch table, which is kept
    */
-  function processFile(file) {
-    // Validate file type
-    const validTypes = ['image/jpeg', 'image/jpg', 'image/tiff'];
-    if (!validTypes.includes(file.type)) {
-      ToolTemplate.showToast('Please upload a JPEG or TIFF image', 4000);
+  async function processFile(file, { fromBatch = false } = {}) {
+    const token = ++loadToken;
+    let bytes;
+    try {
+      bytes = await readFileBytes(file);
+    } catch (err) {
+      ToolTemplate.showToast(`Failed to read file: ${err.message}`, 4000);
       return;
     }
+    if (token !== loadToken) return;
 
-    // Show preview
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      previewImg.src = e.target.result;
-      fileName.textContent = file.name;
-      fileMeta.textContent = ` • ${ToolTemplate.formatFileSize(file.size)}`;
-      imagePreview.classList.add('visible');
-      dropZone.style.display = 'none';
-    };
-    reader.readAsDataURL(file);
+    // Validate by content: HEIC and RAW files often have no MIME type
+    const format = ImageMetadata.detectFormat(bytes.subarray(0, 4096));
+    if (!format) {
+      ToolTemplate.showToast('Please upload a JPEG, TIFF, HEIC, AVIF, PNG, WebP or RAW image', 4000);
+      return;
+    }
+
+    if (!fromBatch) resetBatch();
+    currentFile = { name: file.name, bytes, format, edited: false };
+    resetPrivacy();
+    resetEditor();
+    fileName.textContent = file.name;
+    updateFileMeta();
+    imagePreview.classList.add('visible');
+    showUpload(false);
 
     // Extract EXIF data
-    extractExif(file);
+    const metadata = await extractExif(bytes, token);
+    if (token === loadToken) showPreview(file, metadata);
+  }
+
+  function showUpload(visible) {
+    dropZone.style.display = visible ? '' : 'none';
+    folderPicker.hidden = !visible;
+  }
+
+  function updateFileMeta() {
+    const { bytes, format, edited } = currentFile;
+    fileMeta.textContent = ` • ${ToolTemplate.formatFileSize(bytes.length)} • ${ImageMetadata.FORMAT_LABELS[format]}${edited ? ' • Edited' : ''}`;
+  }
+
+  function readFileBytes(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = (e) => resolve(new Uint8Array(e.target.result));
+      reader.onerror = () => reject(new Error('could not read file'));
+      reader.readAsArrayBuffer(blob);
+    });
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════════
+  // PREVIEW
+  // ═══════════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Show the file itself, falling back to embedded JPEG previews for
+   * formats the browser can't display (RAW, and HEIC outside Safari)
+   */
+  function showPreview(file, metadata) {
+    revokePreviewUrls();
+    previewFallbacks = metadata
+      ? metadata.previews.map(p => new Blob([metadata.exif.subarray(p.offset, p.offset + p.length)], { type: 'image/jpeg' }))
+      : [];
+    previewUnavailable.hidden = true;
+    previewImg.hidden = false;
+    previewImg.src = createPreviewUrl(file);
+  }
+
+  function handlePreviewError() {
+    if (!previewImg.getAttribute('src')) return;
+    const next = previewFallbacks.shift();
+    if (next) {
+      previewImg.src = createPreviewUrl(next);
+      return;
+    }
+    previewImg.hidden = true;
+    previewImg.removeAttribute('src');
+    previewUnavailable.hidden = false;
+  }
+
+  function createPreviewUrl(blob) {
+    const url = URL.createObjectURL(blob);
+    previewUrls.push(url);
+    return url;
+  }
+
+  function revokePreviewUrls() {
+    previewUrls.forEach(url => URL.revokeObjectURL(url));
+    previewUrls = [];
+    previewFallbacks = [];
   }
 
   // ═══════════════════════════════════════════════════════════════════════════════
@@ -111,72 +275,99 @@
   // ═══════════════════════════════════════════════════════════════════════════════
 
   /**
-   * Extract EXIF data from file using exif-js
+   * Extract EXIF, XMP, IPTC and ICC metadata from the file's bytes
+   * @returns {Promise<Object|null>} The parsed metadata (see metadata.js)
    */
-  function extractExif(file) {
+  async function extractExif(bytes, token) {
     // Reset displays
     exifResults.hidden = true;
     noExif.hidden = true;
     currentExifData = null;
+    currentMetadata = null;
 
-    EXIF.getData(file, function() {
-      const allTags = EXIF.getAllTags(this);
-      
-      if (!allTags || Object.keys(allTags).length === 0) {
-        noExif.hidden = false;
-        return;
-      }
+    let metadata;
+    try {
+      metadata = await ImageMetadata.parse(bytes);
+    } catch (err) {
+      console.error('Metadata parse error:', err);
+      metadata = null;
+    }
+    if (token !== loadToken) return null;
 
-      currentExifData = allTags;
-      displayExifData(allTags);
-      exifResults.hidden = false;
-      ToolTemplate.showToast('EXIF data extracted!');
-    });
+    if (!metadata || Object.keys(metadata.tags).length === 0) {
+      currentMetadata = metadata;
+      addMetadataBtn.hidden = !metadata || metadata.format !== 'jpeg';
+      noExif.hidden = false;
+      return metadata;
+    }
+
+    currentMetadata = metadata;
+    currentExifData = metadata.tags;
+    displayExifData(metadata.tags, metadata);
+    exifResults.hidden = false;
+    ToolTemplate.showToast('EXIF data extracted!');
+    return metadata;
   }
 
+  // Table rows per section; the formats are also used for exported display text
+  const CAMERA_FIELDS = [
+    { key: 'Make', label: 'Camera Make' },
+    { key: 'Model', label: 'Camera Model' },
+    { key: 'LensModel', label: 'Lens' },
+    { key: 'FNumber', label: 'Aperture', format: (v) => `f/${v}` },
+    { key: 'ExposureTime', label: 'Shutter Speed', format: formatExposure },
+    { key: 'ISOSpeedRatings', label: 'ISO' },
+    { key: 'FocalLength', label: 'Focal Length', format: (v) => `${v}mm` },
+    { key: 'FocalLengthIn35mmFilm', label: '35mm Equivalent', format: (v) => `${v}mm` },
+    { key: 'ExposureBias', label: 'Exposure Compensation', format: (v) => v > 0 ? `+${v} EV` : `${v} EV` },
+    { key: 'MeteringMode', label: 'Metering Mode', format: formatMeteringMode },
+    { key: 'Flash', label: 'Flash', format: formatFlash },
+    { key: 'WhiteBalance', label: 'White Balance', format: (v) => v === 0 ? 'Auto' : 'Manual' },
+  ];
+
+  const DATE_FIELDS = [
+    { key: 'DateTimeOriginal', label: 'Date Taken', format: formatExifDate },
+    { key: 'DateTimeDigitized', label: 'Date Digitized', format: formatExifDate },
+    { key: 'DateTime', label: 'Date Modified', format: formatExifDate },
+  ];
+
+  const IMAGE_FIELDS = [
+    { key: 'PixelXDimension', label: 'Width', format: (v) => `${v} px` },
+    { key: 'PixelYDimension', label: 'Height', format: (v) => `${v} px` },
+    { key: 'Orientation', label: 'Orientation', format: formatOrientation },
+    { key: 'ColorSpace', label: 'Color Space', format: (v) => v === 1 ? 'sRGB' : v === 65535 ? 'Uncalibrated' : `Unknown (${v})` },
+    { key: 'ProfileDescription', label: 'Color Profile' },
+    { key: 'Software', label: 'Software' },
+    { key: 'ImageDescription', label: 'Description' },
+    { key: 'Artist', label: 'Artist/Creator' },
+    { key: 'Copyright', label: 'Copyright' },
+  ];
+
   /**
    * Display EXIF data in organized sections
+   * @param {Object} tags - Flat tags by exif-js name
+   * @param {Object} [metadata] - Full parse result, for the container's image size
    */
-  function displayExifData(tags) {
+  function displayExifData(tags, metadata) {
     // Camera & Settings
-    const cameraFields = [
-      { key: 'Make', label: 'Camera Make' },
-      { key: 'Model', label: 'Camera Model' },
-      { key: 'LensModel', label: 'Lens' },
-      { key: 'FNumber', label: 'Aperture', format: (v) => `f/${v}` },
-      { key: 'ExposureTime', label: 'Shutter Speed', format: formatExposure },
-      { key: 'ISOSpeedRatings', label: 'ISO' },
-      { key: 'FocalLength', label: 'Focal Length', format: (v) => `${v}mm` },
-      { key: 'FocalLengthIn35mmFilm', label: '35mm Equivalent', format: (v) => `${v}mm` },
-      { key: 'ExposureBias', label: 'Exposure Compensation', format: (v) => v > 0 ? `+${v} EV` : `${v} EV` },
-      { key: 'MeteringMode', label: 'Metering Mode', format: formatMeteringMode },
-      { key: 'Flash', label: 'Flash', format: formatFlash },
-      { key: 'WhiteBalance', label: 'White Balance', format: (v) => v === 0 ? 'Auto' : 'Manual' },
-    ];
-    renderTable(cameraData, cameraFields, tags);
+    renderTable(cameraData, CAMERA_FIELDS, tags);
 
     // Date & Time
-    const dateFields = [
-      { key: 'DateTimeOriginal', label: 'Date Taken', format: formatExifDate },
-      { key: 'DateTimeDigitized', label: 'Date Digitized', format: formatExifDate },
-      { key: 'DateTime', label: 'Date Modified', format: formatExifDate },
-    ];
-    renderTable(datetimeData, dateFields, tags);
+    renderTable(datetimeData, DATE_FIELDS, tags);
 
     // GPS
     renderGpsData(tags);
 
-    // Image Details
-    const imageFields = [
-      { key: 'PixelXDimension', label: 'Width', format: (v) => `${v} px` },
-      { key: 'PixelYDimension', label: 'Height', format: (v) => `${v} px` },
-      { key: 'Orientation', label: 'Orientation', format: formatOrientation },
-      { key: 'ColorSpace', label: 'Color Space', format: (v) => v === 1 ? 'sRGB' : v === 65535 ? 'Uncalibrated' : `Unknown (${v})` },
-      { key: 'Software', label: 'Software' },
-      { key: 'Artist', label: 'Artist/Creator' },
-      { key: 'Copyright', label: 'Copyright' },
-    ];
-    renderTable(imageData, imageFields, tags);
+    // Image Details: PNG, WebP and HEIC often only record the size in the container
+    const details = {
+      ...tags,
+      PixelXDimension: tags.PixelXDimension ?? tags.ImageWidth ?? (metadata?.width || undefined),
+      PixelYDimension: tags.PixelYDimension ?? tags.ImageHeight ?? (metadata?.height || undefined)
+    };
+    renderTable(imageData, IMAGE_FIELDS, details);
+
+    // Maker Notes: decoded from the TIFF block, which their offsets point into
+    renderMakerNotes(MakerNotes.decode(metadata));
   }
 
   /**
@@ -205,69 +396,523 @@
   }
 
   /**
-   * Render GPS data with map link
+   * Render the decoded maker note, with the shutter count in the section title
+   */
+  function renderMakerNotes(notes) {
+    currentMakerNotes = notes;
+    makerSection.hidden = !notes;
+    if (!notes) {
+      makerData.innerHTML = '';
+      return;
+    }
+
+    makerVendor.textContent = notes.vendor;
+    shutterCount.hidden = notes.shutterCount === null;
+    if (notes.shutterCount !== null) {
+      shutterCount.textContent = `📸 ${notes.shutterCount.toLocaleString()} shutter actuations`;
+    }
+    makerData.innerHTML = notes.fields.map(field => `
+      <tr>
+        <td class="label-cell">${escapeHtml(field.label)}</td>
+        <td class="value-cell">${escapeHtml(field.value)}</td>
+      </tr>
+    `).join('');
+  }
+
+  /**
+   * Render GPS data and the location map
    */
   function renderGpsData(tags) {
     const gpsSection = document.getElementById('gps-section');
-    
-    const lat = tags.GPSLatitude;
-    const latRef = tags.GPSLatitudeRef;
-    const lon = tags.GPSLongitude;
-    const lonRef = tags.GPSLongitudeRef;
-    const alt = tags.GPSAltitude;
-    const altRef = tags.GPSAltitudeRef;
-
-    if (!lat || !lon) {
+    const point = photoMapPoint(0, fileName.textContent, tags);
+
+    if (!point) {
       gpsSection.style.display = 'none';
+      if (detailMap) detailMap.setPoints([]);
       return;
     }
 
-    // Convert GPS coordinates to decimal
-    const latDecimal = convertDMSToDecimal(lat, latRef);
-    const lonDecimal = convertDMSToDecimal(lon, lonRef);
-
-    // Format for display
-    const latFormatted = formatDMS(lat, latRef);
-    const lonFormatted = formatDMS(lon, lonRef);
+    const rows = [
+      ['Latitude', formatDMS(tags.GPSLatitude, tags.GPSLatitudeRef)],
+      ['Longitude', formatDMS(tags.GPSLongitude, tags.GPSLongitudeRef)]
+    ];
+    const altitude = gpsAltitude(tags);
+    if (altitude !== null) rows.push(['Altitude', `${altitude.toFixed(1)} m`]);
+    if (point.direction !== undefined) {
+      rows.push(['Direction', formatDirection(point.direction, tags.GPSImgDirectionRef)]);
+    }
 
-    let html = `
+    gpsData.innerHTML = `
       <table class="data-table">
         <tbody>
+          ${rows.map(([label, value]) => `
           <tr>
-            <td class="label-cell">Latitude</td>
-            <td class="value-cell">${escapeHtml(latFormatted)}</td>
-          </tr>
-          <tr>
-            <td class="label-cell">Longitude</td>
-            <td class="value-cell">${escapeHtml(lonFormatted)}</td>
-          </tr>
-    `;
-
-    if (alt !== undefined) {
-      const altValue = altRef === 1 ? -alt : alt;
-      html += `
-          <tr>
-            <td class="label-cell">Altitude</td>
-            <td class="value-cell">${altValue.toFixed(1)} m</td>
-          </tr>
-      `;
-    }
-
-    html += `
+            <td class="label-cell">${label}</td>
+            <td class="value-cell">${escapeHtml(value)}</td>
+          </tr>`).join('')}
         </tbody>
       </table>
-      <a href="https://www.google.com/maps?q=${latDecimal},${lonDecimal}" 
-         target="_blank" 
-         rel="noopener noreferrer" 
-         class="gps-link">
-        🗺️ Open in Google Maps
-      </a>
     `;
 
-    gpsData.innerHTML = html;
+    if (!detailMap) detailMap = PhotoMap.create(gpsMapContainer);
+    detailMap.setPoints([point]);
+    gpsMapCaption.textContent = locationSummary(tags);
     gpsSection.style.display = 'block';
   }
 
+  // ═══════════════════════════════════════════════════════════════════════════════
+  // LOCATION MAP
+  // ═══════════════════════════════════════════════════════════════════════════════
+
+  /**
+   * A photo as a map point, or null when it has no coordinates
+   * @param {number} id - Passed back when the marker is clicked
+   * @param {string} name - Shown in the marker's tooltip
+   * @param {Object} tags
+   */
+  function photoMapPoint(id, name, tags) {
+    if (!tags.GPSLatitude || !tags.GPSLongitude) return null;
+
+    const direction = firstValue(tags.GPSImgDirection);
+    return {
+      id,
+      lat: convertDMSToDecimal(tags.GPSLatitude, tags.GPSLatitudeRef),
+      lon: convertDMSToDecimal(tags.GPSLongitude, tags.GPSLongitudeRef),
+      label: [name, locationSummary(tags)].filter(Boolean).join(' · '),
+      direction: typeof direction === 'number' ? direction : undefined,
+      fieldOfView: fieldOfView(tags)
+    };
+  }
+
+  /**
+   * "48.85837, 2.29448 · 35.0 m above sea level · facing 310° true"
+   */
+  function locationSummary(tags) {
+    const lat = convertDMSToDecimal(tags.GPSLatitude, tags.GPSLatitudeRef);
+    const lon = convertDMSToDecimal(tags.GPSLongitude, tags.GPSLongitudeRef);
+    const parts = [`${lat.toFixed(5)}, ${lon.toFixed(5)}`];
+
+    const altitude = gpsAltitude(tags);
+    if (altitude !== null) {
+      parts.push(`${Math.abs(altitude).toFixed(1)} m ${altitude < 0 ? 'below' : 'above'} sea level`);
+    }
+    const direction = firstValue(tags.GPSImgDirection);
+    if (typeof direction === 'number') {
+      parts.push(`facing ${formatDirection(direction, tags.GPSImgDirectionRef)}`);
+    }
+    return parts.join(' · ');
+  }
+
+  /**
+   * Altitude in meters, negative below sea level, or null
+   */
+  function gpsAltitude(tags) {
+    const altitude = firstValue(tags.GPSAltitude);
+    if (typeof altitude !== 'number') return null;
+    return firstValue(tags.GPSAltitudeRef) === 1 ? -altitude : altitude;
+  }
+
+  /**
+   * Bearing with its reference: T is true north, M is magnetic north
+   */
+  function formatDirection(degrees, ref) {
+    const north = { T: ' true', M: ' magnetic' }[ref] || '';
+    return `${Math.round(degrees * 10) / 10}°${north}`;
+  }
+
+  /**
+   * Horizontal field of view from the 35mm-equivalent focal length,
+   * so the direction cone is as wide as the picture
+   */
+  function fieldOfView(tags) {
+    const focal = firstValue(tags.FocalLengthIn35mmFilm);
+    if (typeof focal !== 'number' || focal <= 0) return undefined;
+    return 2 * Math.atan(36 / (2 * focal)) * 180 / Math.PI;
+  }
+
+  function toggleBatchMap() {
+    const show = batchMapPanel.hidden;
+    batchMapPanel.hidden = !show;
+    batchMapBtn.setAttribute('aria-pressed', String(show));
+    if (show) updateBatchMap({ fit: true });
+  }
+
+  /**
+   * Plot the geotagged photos among the visible rows; clicking one opens it
+   */
+  function updateBatchMap({ fit = false } = {}) {
+    if (batchMapPanel.hidden) return;
+    if (!batchMap) batchMap = PhotoMap.create(batchMapContainer, { onSelect: openBatchRow });
+
+    const rows = getBatchView();
+    const points = rows.map(row => photoMapPoint(row.id, row.path, row.tags)).filter(Boolean);
+    batchMap.setPoints(points, { fit: fit || (!batchMapFitted && points.length > 0) });
+    if (points.length) batchMapFitted = true;
+
+    batchMapNote.textContent = points.length
+      ? `${points.length} of ${rows.length} photos have a location. Click a marker to open the photo.`
+      : 'None of these photos have a location.';
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════════
+  // BATCH MODE
+  // ═══════════════════════════════════════════════════════════════════════════════
+
+  const IMAGE_EXTENSIONS = /\.(jpe?g|tiff?|dng|cr2|nef|arw|heic|heif|avif|png|webp)$/i;
+
+  // Re-render the table at most this often while files are still loading
+  const BATCH_RENDER_INTERVAL_MS = 250;
+
+  const BATCH_COLUMNS = [
+    { key: 'file', label: 'File', value: (tags, row) => row.path },
+    { key: 'camera', label: 'Camera', value: (tags) => formatCamera(tags.Make, tags.Model) },
+    { key: 'lens', label: 'Lens', value: (tags) => tags.LensModel },
+    { key: 'aperture', label: 'Aperture', value: (tags) => firstValue(tags.FNumber), format: (v) => `f/${v}` },
+    { key: 'shutter', label: 'Shutter', value: (tags) => firstValue(tags.ExposureTime), format: formatExposure },
+    { key: 'iso', label: 'ISO', value: (tags) => firstValue(tags.ISOSpeedRatings) },
+    { key: 'focal', label: 'Focal Length', value: (tags) => firstValue(tags.FocalLength), format: (v) => `${Math.round(v * 10) / 10}mm` },
+    { key: 'date', label: 'Date', value: (tags) => tags.DateTimeOriginal || tags.DateTime, format: (v) => String(v).replace(/^(\d{4}):(\d{2}):(\d{2})/, '$1-$2-$3') },
+    { key: 'gps', label: 'GPS', value: (tags) => (tags.GPSLatitude && tags.GPSLongitude ? 1 : 0), format: (v) => (v ? 'Yes' : 'No') }
+  ];
+
+  /**
+   * Files from a drop, walking into dropped folders
+   * @returns {Promise<{file: File, path: string}[]>}
+   */
+  async function collectDroppedFiles(dataTransfer) {
+    // Entries must be taken before the first await, while the drop data is readable
+    const entries = [...(dataTransfer.items || [])]
+      .map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+      .filter(Boolean);
+    if (!entries.length) {
+      return [...(dataTransfer.files || [])].map(file => ({ file, path: file.name }));
+    }
+
+    const items = [];
+    for (const entry of entries) await walkEntry(entry, items);
+    return items;
+  }
+
+  async function walkEntry(entry, items) {
+    if (entry.isFile) {
+      const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+      items.push({ file, path: entry.fullPath.replace(/^\//, '') });
+      return;
+    }
+    if (!entry.isDirectory) return;
+
+    // readEntries returns the listing in chunks until it comes back empty
+    const reader = entry.createReader();
+    for (;;) {
+      const children = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+      if (!children.length) break;
+      for (const child of children) await walkEntry(child, items);
+    }
+  }
+
+  /**
+   * Read every image and fill the table as results arrive
+   */
+  function startBatch(items) {
+    resetDetailView();
+    resetBatch();
+
+    // Skip hidden files and anything that isn't an image (videos in camera folders)
+    const images = items.filter(({ file, path }) =>
+      !/(^|\/)\./.test(path) && (IMAGE_EXTENSIONS.test(file.name) || file.type.startsWith('image/')));
+    if (!images.length) {
+      ToolTemplate.showToast('No supported images found', 4000);
+      return;
+    }
+
+    batchSkipped = items.length - images.length;
+    showUpload(false);
+    batchResults.hidden = false;
+    renderBatchHead();
+    runBatch(images, batchToken);
+  }
+
+  async function runBatch(images, token) {
+    showBatchProgress(0, images.length);
+
+    for (let i = 0; i < images.length; i++) {
+      const { file, path } = images[i];
+      let summary = null;
+      try {
+        summary = await parseInBackground(file);
+      } catch (err) {
+        summary = null;
+      }
+      if (token !== batchToken) return;
+
+      if (summary) {
+        addBatchRow({ id: batchRows.length, file, path, size: file.size, ...summary });
+      } else {
+        batchSkipped++;
+      }
+      showBatchProgress(i + 1, images.length);
+      scheduleBatchRender();
+    }
+
+    batchProgress.hidden = true;
+    renderBatchTable();
+    ToolTemplate.showToast(`Read ${batchRows.length} of ${images.length} photos`);
+  }
+
+  /**
+   * Work out each column's value, text and the search text once per file
+   */
+  function addBatchRow(row) {
+    row.values = {};
+    row.text = {};
+    BATCH_COLUMNS.forEach(col => {
+      const value = col.value(row.tags, row);
+      const missing = value === undefined || value === null || value === '';
+      row.values[col.key] = missing ? undefined : value;
+      row.text[col.key] = missing ? '' : (col.format ? col.format(value) : String(value));
+    });
+    row.search = Object.values(row.text).join(' ').toLowerCase();
+    batchRows.push(row);
+  }
+
+  function showBatchProgress(done, total) {
+    batchProgress.hidden = false;
+    batchProgressStatus.textContent = `Reading photos... ${done} of ${total}`;
+    batchProgressBar.style.width = `${total ? (done / total) * 100 : 0}%`;
+  }
+
+  function scheduleBatchRender() {
+    if (batchRenderTimer) return;
+    batchRenderTimer = setTimeout(renderBatchTable, BATCH_RENDER_INTERVAL_MS);
+  }
+
+  function renderBatchHead() {
+    const cells = BATCH_COLUMNS.map(col => {
+      const sorted = batchSort.key === col.key;
+      const arrow = sorted ? (batchSort.dir === 1 ? ' ▲' : ' ▼') : '';
+      const ariaSort = sorted ? (batchSort.dir === 1 ? 'ascending' : 'descending') : 'none';
+      return `<th aria-sort="${ariaSort}"><button type="button" data-sort="${col.key}">${escapeHtml(col.label)}${arrow}</button></th>`;
+    });
+    batchHead.innerHTML = `<tr>${cells.join('')}</tr>`;
+  }
+
+  function renderBatchTable() {
+    clearTimeout(batchRenderTimer);
+    batchRenderTimer = null;
+
+    const rows = getBatchView();
+    batchBody.innerHTML = rows.map(row => {
+      const cells = BATCH_COLUMNS.map(col => {
+        const text = escapeHtml(row.text[col.key]);
+        if (col.key === 'file') {
+          return `<td><button type="button" class="batch-open" data-id="${row.id}" title="${text}">${text}</button></td>`;
+        }
+        return `<td>${text}</td>`;
+      });
+      return `<tr>${cells.join('')}</tr>`;
+    }).join('');
+
+    let count = rows.length === batchRows.length
+      ? `${batchRows.length} photos`
+      : `${rows.length} of ${batchRows.length} photos`;
+    if (batchSkipped) count += ` · ${batchSkipped} skipped`;
+    batchCount.textContent = count;
+    updateBatchMap();
+  }
+
+  /**
+   * Rows matching the filter, in the chosen order.
+   * Every filter word must appear somewhere in the row.
+   */
+  function getBatchView() {
+    const terms = batchFilter.value.toLowerCase().split(/\s+/).filter(Boolean);
+    const rows = terms.length
+      ? batchRows.filter(row => terms.every(term => row.search.includes(term)))
+      : batchRows.slice();
+    if (!batchSort.key) return rows;
+
+    const { key, dir } = batchSort;
+    return rows.sort((a, b) => {
+      const x = a.values[key];
+      const y = b.values[key];
+      // Missing values stay at the bottom in both directions
+      if (x === undefined || y === undefined) {
+        return (x === undefined) - (y === undefined) || a.id - b.id;
+      }
+      return dir * compareBatchValues(x, y) || a.id - b.id;
+    });
+  }
+
+  function compareBatchValues(a, b) {
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+  }
+
+  function toggleBatchSort(key) {
+    if (batchSort.key !== key) {
+      batchSort = { key, dir: 1 };
+    } else if (batchSort.dir === 1) {
+      batchSort = { key, dir: -1 };
+    } else {
+      batchSort = { key: null, dir: 1 };
+    }
+    renderBatchHead();
+    renderBatchTable();
+  }
+
+  function handleBatchClick(e) {
+    const sortBtn = e.target.closest('[data-sort]');
+    if (sortBtn) {
+      toggleBatchSort(sortBtn.dataset.sort);
+      return;
+    }
+    const openBtn = e.target.closest('.batch-open');
+    if (openBtn) openBatchRow(Number(openBtn.dataset.id));
+  }
+
+  /**
+   * Show one photo's full metadata, with a way back to the table
+   */
+  function openBatchRow(id) {
+    const row = batchRows[id];
+    if (!row) return;
+    batchResults.hidden = true;
+    batchBackBtn.hidden = false;
+    processFile(row.file, { fromBatch: true });
+  }
+
+  function backToBatch() {
+    resetDetailView();
+    batchBackBtn.hidden = true;
+    batchResults.hidden = false;
+  }
+
+  function cancelBatch() {
+    batchToken++;
+    stopMetadataWorker(request => request.reject(new Error('Cancelled')));
+    batchProgress.hidden = true;
+    renderBatchTable();
+    ToolTemplate.showToast(`Stopped after ${batchRows.length} photos`);
+  }
+
+  /**
+   * Download the visible rows, in table order
+   */
+  function exportBatchCsv() {
+    const rows = getBatchView();
+    if (!rows.length) {
+      ToolTemplate.showToast('No photos to export');
+      return;
+    }
+
+    const lines = [BATCH_COLUMNS.map(col => csvCell(col.label)).join(',')];
+    rows.forEach(row => {
+      lines.push(BATCH_COLUMNS.map(col => csvCell(row.text[col.key])).join(','));
+    });
+
+    downloadBlob(new Blob([lines.join('\r\n') + '\r\n'], { type: 'text/csv' }), `${batchExportBase(rows)}-exif.csv`);
+    ToolTemplate.showToast(`Exported ${rows.length} rows`);
+  }
+
+  /**
+   * Name exports after the dropped folder when there is one
+   */
+  function batchExportBase(rows) {
+    const folders = new Set(rows.map(row => (row.path.includes('/') ? row.path.split('/')[0] : '')));
+    return folders.size === 1 && !folders.has('') ? [...folders][0] : 'photos';
+  }
+
+  function csvCell(text) {
+    if (/[",\r\n]/.test(text) || /^\s|\s$/.test(text)) {
+      return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+  }
+
+  function resetBatch() {
+    batchToken++;
+    stopMetadataWorker(request => request.reject(new Error('Cancelled')));
+    clearTimeout(batchRenderTimer);
+    batchRenderTimer = null;
+    batchRows = [];
+    batchSkipped = 0;
+    batchSort = { key: null, dir: 1 };
+    batchFilter.value = '';
+    batchResults.hidden = true;
+    batchProgress.hidden = true;
+    batchBackBtn.hidden = true;
+    batchHead.innerHTML = '';
+    batchBody.innerHTML = '';
+    batchCount.textContent = '';
+    batchMapPanel.hidden = true;
+    batchMapBtn.setAttribute('aria-pressed', 'false');
+    batchMapFitted = false;
+    if (batchMap) batchMap.setPoints([]);
+  }
+
+  // Background parsing (Web Worker)
+  function parseInBackground(file) {
+    const worker = getMetadataWorker();
+    if (!worker) return parseInPage(file);
+
+    return new Promise((resolve, reject) => {
+      const id = ++workerRequestId;
+      workerRequests.set(id, { file, resolve, reject });
+      worker.postMessage({ type: 'parse', id, file });
+    });
+  }
+
+  function getMetadataWorker() {
+    if (metadataWorker || workerUnavailable) return metadataWorker;
+
+    try {
+      metadataWorker = new Worker('metadata.worker.js');
+    } catch (err) {
+      // Workers are unavailable (e.g. some browsers on file://), parse in-page
+      workerUnavailable = true;
+      return null;
+    }
+
+    metadataWorker.onmessage = (e) => {
+      const { type, id, summary, message } = e.data;
+      const request = workerRequests.get(id);
+      if (!request) return;
+      workerRequests.delete(id);
+      if (type === 'result') {
+        request.resolve(summary);
+      } else {
+        request.reject(new Error(message));
+      }
+    };
+
+    metadataWorker.onerror = (e) => {
+      // The worker script could not be loaded, finish what was sent in-page
+      e.preventDefault();
+      workerUnavailable = true;
+      stopMetadataWorker(request => parseInPage(request.file).then(request.resolve, request.reject));
+    };
+
+    return metadataWorker;
+  }
+
+  function stopMetadataWorker(settle) {
+    if (metadataWorker) {
+      metadataWorker.terminate();
+      metadataWorker = null;
+    }
+    const pending = [...workerRequests.values()];
+    workerRequests.clear();
+    pending.forEach(settle);
+  }
+
+  async function parseInPage(file) {
+    const bytes = await readFileBytes(file);
+    const summary = ImageMetadata.summarize(await ImageMetadata.parse(bytes));
+    // Let the page repaint between files
+    await new Promise(resolve => setTimeout(resolve, 0));
+    return summary;
+  }
+
   // ═══════════════════════════════════════════════════════════════════════════════
   // FORMATTING HELPERS
   // ═══════════════════════════════════════════════════════════════════════════════
@@ -304,6 +949,24 @@
     return `${degrees}° ${minutes}' ${seconds}" ${ref}`;
   }
 
+  /**
+   * Make and model as one name, without repeating the make ("Canon Canon EOS R5")
+   */
+  function formatCamera(make, model) {
+    const makeText = typeof make === 'string' ? make.trim() : '';
+    const modelText = typeof model === 'string' ? model.trim() : '';
+    if (!modelText) return makeText;
+    if (!makeText || modelText.toLowerCase().startsWith(makeText.split(' ')[0].toLowerCase())) return modelText;
+    return `${makeText} ${modelText}`;
+  }
+
+  /**
+   * First item of a multi-value tag, the value itself otherwise
+   */
+  function firstValue(value) {
+    return Array.isArray(value) ? value[0] : value;
+  }
+
   /**
    * Format exposure time (shutter speed)
    */
@@ -398,7 +1061,612 @@
   function escapeHtml(str) {
     const div = document.createElement('div');
     div.textContent = str;
-    return div.innerHTML;
+    // Quotes too, so the result is safe inside attribute values (e.g. file paths)
+    return div.innerHTML.replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Short text form of any tag value, for lists and reports
+   */
+  function formatTagValue(value) {
+    if (value instanceof Uint8Array) return `${value.length} bytes`;
+    if (Array.isArray(value)) return value.map(formatTagValue).join(', ');
+    if (typeof value === 'number' && !Number.isInteger(value)) return String(Math.round(value * 10000) / 10000);
+    const text = String(value);
+    return text.length > 80 ? `${text.slice(0, 77)}…` : text;
+  }
+
+  /**
+   * Full display text for any tag, formatted as in the tables
+   * @param {Object} tags - All of the image's tags, for GPS references
+   */
+  function formatTagText(name, value, tags) {
+    if ((name === 'GPSLatitude' || name === 'GPSLongitude') && Array.isArray(value)) {
+      return formatDMS(value, tags[`${name}Ref`] || '');
+    }
+    const field = [...CAMERA_FIELDS, ...DATE_FIELDS, ...IMAGE_FIELDS].find(f => f.key === name);
+    if (field && field.format && typeof value !== 'object') return String(field.format(value));
+    if (value instanceof Uint8Array) return `${value.length} bytes`;
+    if (Array.isArray(value)) return value.map(v => (typeof v === 'number' && !Number.isInteger(v) ? Math.round(v * 10000) / 10000 : v)).join(', ');
+    return String(value);
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════════
+  // PRIVACY MODE
+  // ═══════════════════════════════════════════════════════════════════════════════
+
+  const EXIF_NAMESPACE = 'http://ns.adobe.com/exif/1.0/';
+
+  const PRIVACY_GROUPS = [
+    { ifd: 'IFD0', label: 'Image' },
+    { ifd: 'Exif', label: 'Camera & Exposure' },
+    { ifd: 'GPS', label: 'Location' },
+    { ifd: 'Interop', label: 'Interoperability' }
+  ];
+
+  /**
+   * Show or hide the privacy panel
+   */
+  function togglePrivacy() {
+    privacySection.hidden = !privacySection.hidden;
+    if (privacySection.hidden) return;
+
+    const isJpeg = currentFile && currentFile.format === 'jpeg';
+    cleanBtn.disabled = !isJpeg;
+    privacyNote.textContent = isJpeg
+      ? 'The image data is copied as is; only metadata segments are rewritten.'
+      : 'Lossless cleaning is available for JPEG files only.';
+    renderPrivacyTags();
+    updatePrivacyMode();
+    privacySection.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  }
+
+  function getPrivacyMode() {
+    return privacySection.querySelector('input[name="privacy-mode"]:checked').value;
+  }
+
+  function updatePrivacyMode() {
+    privacyTags.hidden = getPrivacyMode() !== 'pick';
+  }
+
+  /**
+   * Checkbox list of removable EXIF tags, plus the XMP, IPTC and thumbnail blocks
+   */
+  function renderPrivacyTags() {
+    if (!currentMetadata) {
+      privacyTags.innerHTML = '';
+      return;
+    }
+
+    const { fields, xmpPacket, iptc } = currentMetadata;
+    let html = '';
+    for (const group of PRIVACY_GROUPS) {
+      const groupFields = fields.filter(f => f.ifd === group.ifd && currentExifData[f.name] !== undefined);
+      if (!groupFields.length) continue;
+      html += `<div class="privacy-group"><div class="privacy-group-title">${group.label}</div>`;
+      html += groupFields.map(f => renderPrivacyOption(`${f.ifd}:${f.tag}`, f.name, formatTagValue(f.value))).join('');
+      html += '</div>';
+    }
+
+    const blocks = [];
+    if (fields.some(f => f.ifd === 'IFD1')) blocks.push(renderPrivacyOption('thumbnail', 'Embedded thumbnail', 'Small copy of the image'));
+    if (xmpPacket) blocks.push(renderPrivacyOption('xmp', 'XMP packet', 'All XMP properties'));
+    if (Object.keys(iptc).length) blocks.push(renderPrivacyOption('iptc', 'IPTC / Photoshop data', 'All IPTC fields'));
+    if (blocks.length) {
+      html += `<div class="privacy-group"><div class="privacy-group-title">Embedded Blocks</div>${blocks.join('')}</div>`;
+    }
+
+    privacyTags.innerHTML = html || '<div class="no-data-message">No removable EXIF tags</div>';
+  }
+
+  function renderPrivacyOption(value, name, detail) {
+    return `
+      <label class="privacy-option">
+        <input type="checkbox" value="${escapeHtml(value)}">
+        <span class="privacy-option-name">${escapeHtml(name)}</span>
+        <span class="privacy-option-value">${escapeHtml(detail)}</span>
+      </label>
+    `;
+  }
+
+  /**
+   * Work out the segment edits for the chosen mode
+   * @returns {{edits: Object, requested: string[]}} requested: tag names the user asked to remove
+   */
+  function buildPrivacyEdits(mode) {
+    if (mode === 'all') {
+      // Keep Orientation alone, or a rotated photo would come out sideways
+      const orientation = currentExifData.Orientation;
+      const exif = orientation > 1 && orientation <= 8
+        ? MetadataWriter.setTags(null, [{ ifd: 'IFD0', tag: 0x0112, type: 'SHORT', value: orientation }])
+        : null;
+      return { edits: { exif, xmp: null, iptc: null, strip: true }, requested: [] };
+    }
+
+    const payloads = MetadataWriter.readJpegPayloads(currentFile.bytes);
+    const edits = {};
+
+    if (mode === 'gps') {
+      if (payloads.exif) edits.exif = MetadataWriter.removeTags(payloads.exif, [], { ifds: ['GPS'] });
+      if (payloads.xmp !== null) {
+        edits.xmp = MetadataWriter.removeXmpProperties(payloads.xmp, EXIF_NAMESPACE, name => name.startsWith('GPS'));
+      }
+      return { edits, requested: Object.keys(currentExifData).filter(k => k.startsWith('GPS')) };
+    }
+
+    const checked = [...privacyTags.querySelectorAll('input:checked')].map(input => input.value);
+    const targets = checked
+      .filter(v => v.includes(':'))
+      .map(v => {
+        const [ifd, tag] = v.split(':');
+        return { ifd, tag: Number(tag) };
+      });
+    const thumbnail = checked.includes('thumbnail');
+
+    if (payloads.exif && (targets.length || thumbnail)) {
+      edits.exif = MetadataWriter.removeTags(payloads.exif, targets, { thumbnail });
+    }
+    if (checked.includes('xmp')) edits.xmp = null;
+    if (checked.includes('iptc')) edits.iptc = null;
+
+    const requested = currentMetadata.fields
+      .filter(f => targets.some(t => t.ifd === f.ifd && t.tag === f.tag))
+      .map(f => f.name);
+    return { edits, requested, empty: !checked.length };
+  }
+
+  /**
+   * Rewrite the JPEG without the chosen metadata and report what changed
+   */
+  async function createCleanCopy() {
+    if (!currentFile || currentFile.format !== 'jpeg' || !currentExifData) return;
+
+    const mode = getPrivacyMode();
+    let cleaned;
+    let requested;
+    try {
+      const plan = buildPrivacyEdits(mode);
+      if (plan.empty) {
+        ToolTemplate.showToast('Choose at least one tag to remove');
+        return;
+      }
+      requested = plan.requested;
+      cleaned = MetadataWriter.rewriteJpeg(currentFile.bytes, plan.edits);
+    } catch (err) {
+      ToolTemplate.showToast(`Could not clean file: ${err.message}`, 4000);
+      return;
+    }
+
+    const after = await ImageMetadata.parse(cleaned);
+    cleanedBlob = new Blob([cleaned], { type: 'image/jpeg' });
+    renderPrivacyReport(currentExifData, after ? after.tags : {}, requested, currentFile.bytes.length, cleaned.length);
+    downloadCleanBtn.hidden = false;
+    ToolTemplate.showToast('Clean copy ready');
+  }
+
+  /**
+   * Before/after list of removed tags, with anything that survived
+   */
+  function renderPrivacyReport(before, after, requested, sizeBefore, sizeAfter) {
+    const removed = Object.keys(before).filter(key => after[key] === undefined);
+    const kept = Object.keys(after);
+    // Tags also stored as XMP/IPTC show up again through the fallbacks
+    const survived = requested.filter(key => after[key] !== undefined);
+
+    let html = `
+      <p class="privacy-summary">
+        Removed <strong>${removed.length}</strong> of ${Object.keys(before).length} tags
+        · ${ToolTemplate.formatFileSize(sizeBefore)} → ${ToolTemplate.formatFileSize(sizeAfter)}
+      </p>
+    `;
+
+    if (removed.length) {
+      html += `
+        <table class="data-table privacy-table">
+          <thead>
+            <tr><th>Tag</th><th>Before</th><th>After</th></tr>
+          </thead>
+          <tbody>
+            ${removed.map(key => `
+              <tr>
+                <td class="label-cell">${escapeHtml(key)}</td>
+                <td class="value-cell">${escapeHtml(formatTagValue(before[key]))}</td>
+                <td class="value-cell privacy-removed">Removed</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      `;
+    }
+
+    if (survived.length) {
+      html += `<p class="privacy-warning">Still present in XMP or IPTC data: ${escapeHtml(survived.join(', '))}. Remove those blocks too to clear them.</p>`;
+    }
+    if (kept.length) {
+      html += `<p class="privacy-kept">Kept: ${escapeHtml(kept.join(', '))}</p>`;
+    }
+
+    privacyReport.innerHTML = html;
+  }
+
+  function downloadCleanCopy() {
+    if (!cleanedBlob || !currentFile) return;
+    const base = currentFile.name.replace(/\.[^.]+$/, '');
+    downloadBlob(cleanedBlob, `${base}-clean.jpg`);
+  }
+
+  function downloadBlob(blob, name) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = name;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  function resetPrivacy() {
+    cleanedBlob = null;
+    privacySection.hidden = true;
+    privacyReport.innerHTML = '';
+    privacyTags.innerHTML = '';
+    downloadCleanBtn.hidden = true;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════════
+  // METADATA EDITOR
+  // ═══════════════════════════════════════════════════════════════════════════════
+
+  const EDITOR_TEXT_FIELDS = [
+    { name: 'Artist', label: 'Artist', tag: 0x013B },
+    { name: 'Copyright', label: 'Copyright', tag: 0x8298 },
+    { name: 'ImageDescription', label: 'Description', tag: 0x010E }
+  ];
+
+  const EDITOR_DATE_FIELDS = [
+    { name: 'DateTimeOriginal', label: 'Date taken', tag: 0x9003 },
+    { name: 'DateTimeDigitized', label: 'Date digitized', tag: 0x9004 }
+  ];
+
+  const MAX_TEXT_LENGTH = 2000;
+
+  /**
+   * Show or hide the editor, filled in from the current tags
+   */
+  function toggleEditor() {
+    if (!editorSection.hidden) {
+      editorSection.hidden = true;
+      return;
+    }
+    openEditor();
+  }
+
+  function openEditor() {
+    const isJpeg = currentFile && currentFile.format === 'jpeg';
+    editorSection.hidden = false;
+    applyEditsBtn.disabled = !isJpeg;
+    let note = isJpeg
+      ? 'Changes are written into the EXIF block; the image data is copied as is. Clear a field to remove it.'
+      : 'Editing is available for JPEG files only.';
+    if (isJpeg && currentMetadata && currentMetadata.xmpPacket) {
+      note += ' This file also has XMP metadata, which some apps show instead of EXIF.';
+    }
+    editorNote.textContent = note;
+    populateEditor(currentExifData || {});
+    editorSection.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  }
+
+  /**
+   * Fill the form and remember each field's starting value,
+   * so only fields the user touched are written back
+   */
+  function populateEditor(tags) {
+    const values = {
+      DateTimeOriginal: exifDateToInput(tags.DateTimeOriginal),
+      DateTimeDigitized: exifDateToInput(tags.DateTimeDigitized),
+      Orientation: tags.Orientation ? String(tags.Orientation) : '',
+      GPSLatitude: '',
+      GPSLongitude: '',
+      GPSAltitude: ''
+    };
+    EDITOR_TEXT_FIELDS.forEach(f => {
+      values[f.name] = typeof tags[f.name] === 'string' ? tags[f.name] : '';
+    });
+    if (tags.GPSLatitude && tags.GPSLongitude) {
+      values.GPSLatitude = String(roundTo(convertDMSToDecimal(tags.GPSLatitude, tags.GPSLatitudeRef), 6));
+      values.GPSLongitude = String(roundTo(convertDMSToDecimal(tags.GPSLongitude, tags.GPSLongitudeRef), 6));
+    }
+    if (typeof tags.GPSAltitude === 'number') {
+      values.GPSAltitude = String(roundTo(tags.GPSAltitudeRef === 1 ? -tags.GPSAltitude : tags.GPSAltitude, 2));
+    }
+
+    const orientation = editorForm.elements.Orientation;
+    orientation.innerHTML = '<option value="">Not set</option>' +
+      [1, 2, 3, 4, 5, 6, 7, 8].map(n => `<option value="${n}">${n} – ${escapeHtml(formatOrientation(n))}</option>`).join('');
+
+    for (const [name, value] of Object.entries(values)) {
+      const input = editorForm.elements[name];
+      input.value = value;
+      // Read back: date inputs normalise what they're given
+      input.dataset.initial = input.value;
+      input.removeAttribute('aria-invalid');
+    }
+    editorErrors.innerHTML = '';
+  }
+
+  /**
+   * Validate the form and turn changed fields into setTags() changes
+   * @returns {{changes: Object[], errors: Object[]}} errors: [{field, message}]
+   */
+  function collectEdits() {
+    const form = editorForm.elements;
+    const changed = name => form[name].value.trim() !== form[name].dataset.initial.trim();
+    const changes = [];
+    const errors = [];
+
+    EDITOR_DATE_FIELDS.forEach(f => {
+      if (!changed(f.name)) return;
+      const value = form[f.name].value;
+      if (!value) {
+        changes.push({ ifd: 'Exif', tag: f.tag, value: null });
+        return;
+      }
+      const exifDate = inputToExifDate(value);
+      if (!exifDate) {
+        errors.push({ field: f.name, message: `${f.label} must be a valid date between 1800 and 9999.` });
+        return;
+      }
+      changes.push({ ifd: 'Exif', tag: f.tag, type: 'ASCII', value: exifDate });
+    });
+
+    if (changed('Orientation')) {
+      const value = form.Orientation.value;
+      changes.push(value
+        ? { ifd: 'IFD0', tag: 0x0112, type: 'SHORT', value: [Number(value)] }
+        : { ifd: 'IFD0', tag: 0x0112, value: null });
+    }
+
+    EDITOR_TEXT_FIELDS.forEach(f => {
+      if (!changed(f.name)) return;
+      const value = form[f.name].value.trim();
+      if (value.length > MAX_TEXT_LENGTH) {
+        errors.push({ field: f.name, message: `${f.label} must be at most ${MAX_TEXT_LENGTH} characters.` });
+        return;
+      }
+      changes.push(value
+        ? { ifd: 'IFD0', tag: f.tag, type: 'ASCII', value }
+        : { ifd: 'IFD0', tag: f.tag, value: null });
+    });
+
+    if (changed('GPSLatitude') || changed('GPSLongitude')) {
+      const latText = form.GPSLatitude.value.trim();
+      const lonText = form.GPSLongitude.value.trim();
+      const lat = Number(latText);
+      const lon = Number(lonText);
+      if (!latText && !lonText) {
+        [1, 2, 3, 4].forEach(tag => changes.push({ ifd: 'GPS', tag, value: null }));
+      } else if (!latText || !lonText) {
+        errors.push({ field: latText ? 'GPSLongitude' : 'GPSLatitude', message: 'Enter both latitude and longitude, or clear both.' });
+      } else if (!Number.isFinite(lat) || lat < -90 || lat > 90) {
+        errors.push({ field: 'GPSLatitude', message: 'Latitude must be a number between -90 and 90.' });
+      } else if (!Number.isFinite(lon) || lon < -180 || lon > 180) {
+        errors.push({ field: 'GPSLongitude', message: 'Longitude must be a number between -180 and 180.' });
+      } else {
+        if (currentExifData?.GPSVersionID === undefined) {
+          changes.push({ ifd: 'GPS', tag: 0x0000, type: 'BYTE', value: [2, 3, 0, 0] });
+        }
+        changes.push(
+          { ifd: 'GPS', tag: 0x0001, type: 'ASCII', value: lat < 0 ? 'S' : 'N' },
+          { ifd: 'GPS', tag: 0x0002, type: 'RATIONAL', value: decimalToDmsRationals(lat) },
+          { ifd: 'GPS', tag: 0x0003, type: 'ASCII', value: lon < 0 ? 'W' : 'E' },
+          { ifd: 'GPS', tag: 0x0004, type: 'RATIONAL', value: decimalToDmsRationals(lon) }
+        );
+      }
+    }
+
+    if (changed('GPSAltitude')) {
+      const text = form.GPSAltitude.value.trim();
+      const altitude = Number(text);
+      if (!text) {
+        changes.push({ ifd: 'GPS', tag: 0x0005, value: null }, { ifd: 'GPS', tag: 0x0006, value: null });
+      } else if (!Number.isFinite(altitude) || Math.abs(altitude) > 100000) {
+        errors.push({ field: 'GPSAltitude', message: 'Altitude must be a number of metres between -100000 and 100000.' });
+      } else {
+        changes.push(
+          { ifd: 'GPS', tag: 0x0005, type: 'BYTE', value: [altitude < 0 ? 1 : 0] },
+          { ifd: 'GPS', tag: 0x0006, type: 'RATIONAL', value: [[Math.round(Math.abs(altitude) * 100), 100]] }
+        );
+      }
+    }
+
+    return { changes, errors };
+  }
+
+  function showEditorErrors(errors) {
+    [...editorForm.elements].forEach(input => input.removeAttribute('aria-invalid'));
+    errors.forEach(e => editorForm.elements[e.field].setAttribute('aria-invalid', 'true'));
+    editorErrors.innerHTML = errors.map(e => `<p>${escapeHtml(e.message)}</p>`).join('');
+    if (errors.length) editorForm.elements[errors[0].field].focus();
+  }
+
+  /**
+   * Write the edits into the JPEG and show the result
+   */
+  async function applyEdits(e) {
+    e.preventDefault();
+    if (!currentFile || currentFile.format !== 'jpeg') return;
+
+    const { changes, errors } = collectEdits();
+    showEditorErrors(errors);
+    if (errors.length) return;
+    if (!changes.length) {
+      ToolTemplate.showToast('No changes to apply');
+      return;
+    }
+
+    let edited;
+    try {
+      const payloads = MetadataWriter.readJpegPayloads(currentFile.bytes);
+      const exif = MetadataWriter.setTags(payloads.exif, changes);
+      edited = MetadataWriter.rewriteJpeg(currentFile.bytes, { exif });
+    } catch (err) {
+      ToolTemplate.showToast(`Could not edit file: ${err.message}`, 4000);
+      return;
+    }
+
+    const metadata = await ImageMetadata.parse(edited);
+    currentFile.bytes = edited;
+    currentFile.edited = true;
+    currentMetadata = metadata;
+    currentExifData = metadata.tags;
+    resetPrivacy();
+    updateFileMeta();
+    displayExifData(metadata.tags, metadata);
+    noExif.hidden = true;
+    exifResults.hidden = false;
+    // Orientation changes how the browser draws the preview
+    showPreview(new Blob([edited], { type: 'image/jpeg' }), metadata);
+    populateEditor(metadata.tags);
+    downloadEditedBtn.hidden = false;
+    ToolTemplate.showToast('Changes applied');
+  }
+
+  function downloadEditedFile() {
+    if (!currentFile || !currentFile.edited) return;
+    const base = currentFile.name.replace(/\.[^.]+$/, '');
+    downloadBlob(new Blob([currentFile.bytes], { type: 'image/jpeg' }), `${base}-edited.jpg`);
+  }
+
+  /**
+   * Start from an empty tag list for a JPEG that has no metadata yet
+   */
+  function addMetadata() {
+    noExif.hidden = true;
+    displayExifData({}, currentMetadata);
+    exifResults.hidden = false;
+    openEditor();
+  }
+
+  function resetEditor() {
+    editorSection.hidden = true;
+    editorErrors.innerHTML = '';
+    downloadEditedBtn.hidden = true;
+  }
+
+  /**
+   * "YYYY:MM:DD HH:MM:SS" to the datetime-local format, '' if unreadable
+   */
+  function exifDateToInput(dateStr) {
+    const match = typeof dateStr === 'string' && dateStr.match(/^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2})(?::(\d{2}))?/);
+    if (!match) return '';
+    return `${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6] || '00'}`;
+  }
+
+  /**
+   * datetime-local value to an EXIF date, or null if it isn't a real date
+   */
+  function inputToExifDate(value) {
+    const match = value.match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?$/);
+    if (!match) return null;
+    const [year, month, day, hour, minute, second] = match.slice(1).map(n => Number(n || 0));
+    const date = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+    if (year < 1800 || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day || hour > 23 || minute > 59 || second > 59) {
+      return null;
+    }
+    return `${match[1]}:${match[2]}:${match[3]} ${match[4]}:${match[5]}:${match[6] || '00'}`;
+  }
+
+  /**
+   * Decimal degrees to EXIF [degrees, minutes, seconds] rationals
+   */
+  function decimalToDmsRationals(decimal) {
+    const abs = Math.abs(decimal);
+    let degrees = Math.floor(abs);
+    let minutes = Math.floor((abs - degrees) * 60);
+    let seconds = Math.round(((abs - degrees) * 60 - minutes) * 60 * 10000);
+    if (seconds >= 600000) {
+      seconds -= 600000;
+      minutes++;
+    }
+    if (minutes >= 60) {
+      minutes -= 60;
+      degrees++;
+    }
+    return [[degrees, 1], [minutes, 1], [seconds, 10000]];
+  }
+
+  function roundTo(value, places) {
+    const factor = 10 ** places;
+    return Math.round(value * factor) / factor;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════════
+  // EXPORT
+  // ═══════════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Download the open image's metadata as JSON, CSV or an XMP sidecar
+   */
+  function handleExport(e) {
+    const item = e.target.closest('[data-export]');
+    if (!item) return;
+    exportMenu.open = false;
+    if (!currentFile || !currentMetadata) {
+      ToolTemplate.showToast('No data to export');
+      return;
+    }
+
+    const base = currentFile.name.replace(/\.[^.]+$/, '');
+    const kind = item.dataset.export;
+    if (kind === 'xmp') {
+      // Sidecars share the photo's base name, which is how editors find them
+      const xmp = MetadataExport.toXmpSidecar(currentMetadata);
+      downloadBlob(new Blob([xmp], { type: 'application/rdf+xml' }), `${base}.xmp`);
+    } else {
+      const doc = buildExportDocument(currentMetadata, currentFile.name, currentFile.bytes.length);
+      downloadExport(kind, doc, `${base}-metadata`);
+    }
+    ToolTemplate.showToast(`Exported ${kind.toUpperCase()}`);
+  }
+
+  /**
+   * Batch exports: the visible table, or every tag of the visible rows
+   */
+  function handleBatchExport(e) {
+    const item = e.target.closest('[data-export]');
+    if (!item) return;
+    batchExportMenu.open = false;
+
+    const kind = item.dataset.export;
+    if (kind === 'table') {
+      exportBatchCsv();
+      return;
+    }
+    const rows = getBatchView();
+    if (!rows.length) {
+      ToolTemplate.showToast('No photos to export');
+      return;
+    }
+    const docs = rows.map(row => buildExportDocument(row, row.path, row.size));
+    downloadExport(kind, docs, `${batchExportBase(rows)}-metadata`);
+    ToolTemplate.showToast(`Exported ${rows.length} photos as ${kind.toUpperCase()}`);
+  }
+
+  function buildExportDocument(metadata, name, size) {
+    return MetadataExport.toDocument(metadata, { name, size }, formatTagText);
+  }
+
+  /**
+   * @param {Object|Object[]} data - One document, or an array of them for a batch
+   */
+  function downloadExport(kind, data, base) {
+    if (kind === 'csv') {
+      const csv = MetadataExport.toCsv(Array.isArray(data) ? data : [data]);
+      downloadBlob(new Blob([csv], { type: 'text/csv' }), `${base}.csv`);
+      return;
+    }
+    downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), `${base}.json`);
   }
 
   // ═══════════════════════════════════════════════════════════════════════════════
@@ -435,6 +1703,18 @@
       }
     }
 
+    // Decoded maker note instead of its raw bytes
+    if (currentMakerNotes) {
+      text += `\nMaker Notes (${currentMakerNotes.vendor})\n`;
+      text += '-'.repeat(50) + '\n';
+      if (currentMakerNotes.shutterCount !== null) {
+        text += `Shutter Count: ${currentMakerNotes.shutterCount}\n`;
+      }
+      for (const field of currentMakerNotes.fields) {
+        text += `${field.label}: ${field.value}\n`;
+      }
+    }
+
     const success = await ToolTemplate.copyToClipboard(text);
     if (success) {
       ToolTemplate.showToast('EXIF data copied to clipboard!');
@@ -447,13 +1727,28 @@
    * Clear current image and data
    */
   function clearData() {
-    // Reset preview
-    previewImg.src = '';
-    imagePreview.classList.remove('visible');
-    dropZone.style.display = '';
+    resetDetailView();
+    resetBatch();
+    showUpload(true);
     
-    // Reset file input
+    // Reset file inputs
     fileInput.value = '';
+    folderInput.value = '';
+    
+    ToolTemplate.showToast('Cleared');
+  }
+
+  /**
+   * Empty the single-image view: preview, tag tables and panels
+   */
+  function resetDetailView() {
+    // Reset preview
+    loadToken++;
+    revokePreviewUrls();
+    previewImg.removeAttribute('src');
+    previewImg.hidden = false;
+    previewUnavailable.hidden = true;
+    imagePreview.classList.remove('visible');
     
     // Hide results
     exifResults.hidden = true;
@@ -461,12 +1756,17 @@
     
     // Clear data
     currentExifData = null;
+    currentMetadata = null;
+    currentFile = null;
+    resetPrivacy();
+    resetEditor();
     cameraData.innerHTML = '';
     datetimeData.innerHTML = '';
     gpsData.innerHTML = '';
+    gpsMapCaption.textContent = '';
+    if (detailMap) detailMap.setPoints([]);
     imageData.innerHTML = '';
-    
-    ToolTemplate.showToast('Cleared');
+    renderMakerNotes(null);
   }
 
   // ═══════════════════════════════════════════════════════════════════════════════
@@ -481,10 +1781,43 @@
     
     // File input
     fileInput.addEventListener('change', handleFileSelect);
+    folderInput.addEventListener('change', handleFileSelect);
+    previewImg.addEventListener('error', handlePreviewError);
     
     // Action buttons
     copyBtn.addEventListener('click', copyAllData);
     clearBtn.addEventListener('click', clearData);
+    privacyBtn.addEventListener('click', togglePrivacy);
+    exportMenu.addEventListener('click', handleExport);
+    
+    // Privacy mode
+    privacySection.addEventListener('change', (e) => {
+      if (e.target.name === 'privacy-mode') updatePrivacyMode();
+      // Options changed: the last clean copy no longer matches
+      downloadCleanBtn.hidden = true;
+      privacyReport.innerHTML = '';
+    });
+    cleanBtn.addEventListener('click', createCleanCopy);
+    downloadCleanBtn.addEventListener('click', downloadCleanCopy);
+    
+    // Metadata editor
+    editBtn.addEventListener('click', toggleEditor);
+    addMetadataBtn.addEventListener('click', addMetadata);
+    editorForm.addEventListener('submit', applyEdits);
+    downloadEditedBtn.addEventListener('click', downloadEditedFile);
+    
+    // Batch mode
+    batchResults.addEventListener('click', handleBatchClick);
+    batchFilter.addEventListener('input', () => {
+      // A new filter can leave the markers outside the current view
+      batchMapFitted = false;
+      renderBatchTable();
+    });
+    batchMapBtn.addEventListener('click', toggleBatchMap);
+    batchCancelBtn.addEventListener('click', cancelBatch);
+    batchExportMenu.addEventListener('click', handleBatchExport);
+    batchClearBtn.addEventListener('click', clearData);
+    batchBackBtn.addEventListener('click', backToBatch);
     
     // Prevent default drag behavior on document
     document.addEventListener('dragover', (e) => e.preventDefault());
@@ -0,0 +1,461 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * EXIF VIEWER - Metadata Export
+ *
+ * Turns parse results from metadata.js into files other tools can read:
+ *   - JSON: every EXIF entry with its type, raw value and display text;
+ *     rationals keep their numerator and denominator, binary data is base64
+ *   - CSV: one row per image, one column per tag
+ *   - XMP sidecar: RDF/XML using the standard tiff/exif/exifEX/dc/photoshop
+ *     properties, which Lightroom and darktable import
+ *
+ * Exposed as self.MetadataExport (window.MetadataExport on the page).
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+(function() {
+  'use strict';
+
+  // ═══════════════════════════════════════════════════════════════════════════════
+  // JSON
+  // ═══════════════════════════════════════════════════════════════════════════════
+
+  /**
+   * One image as a plain, typed JSON document:
+   *   { file, exif: { IFD0: { Make: { tag, type, count, value, formatted } }, Exif, GPS, ... },
+   *     xmp, iptc, icc }
+   * @param {Object} metadata - A parse() or summarize() result from metadata.js
+   * @param {{name: string, size: number}} file
+   * @param {Function} [formatValue] - (name, value, tags) => display text
+   */
+  function toDocument(metadata, file, formatValue = defaultFormat) {
+    const exif = {};
+    for (const field of metadata.fields) {
+      if (ImageMetadata.STRUCTURAL_TAGS.has(field.name)) continue;
+      const group = exif[field.ifd] || (exif[field.ifd] = {});
+      group[field.name] = {
+        tag: field.tag,
+        type: field.type,
+        count: field.count,
+        value: jsonValue(field),
+        formatted: formatValue(field.name, field.value, metadata.tags)
+      };
+    }
+
+    return {
+      file: {
+        name: file.name,
+        size: file.size,
+        format: metadata.format,
+        formatLabel: metadata.formatLabel,
+        width: metadata.width || null,
+        height: metadata.height || null
+      },
+      exif,
+      xmp: metadata.xmp || {},
+      iptc: metadata.iptc || {},
+      icc: metadata.icc || {}
+    };
+  }
+
+  function jsonValue(field) {
+    if (field.raw) {
+      const rationals = field.raw.map(([numerator, denominator]) => ({ numerator, denominator }));
+      return field.count === 1 ? rationals[0] : rationals;
+    }
+    if (field.value instanceof Uint8Array) {
+      return { encoding: 'base64', data: toBase64(field.value) };
+    }
+    return field.value;
+  }
+
+  function defaultFormat(name, value) {
+    if (value instanceof Uint8Array) return `${value.length} bytes`;
+    return Array.isArray(value) ? value.join(', ') : String(value);
+  }
+
+  function toBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════════
+  // CSV
+  // ═══════════════════════════════════════════════════════════════════════════════
+
+  /**
+   * One row per document from toDocument(), with a column for every tag
+   * that appears in any of them. Binary values (maker notes) are JSON-only.
+   * Thumbnail, XMP, IPTC and ICC columns are prefixed with their group.
+   */
+  function toCsv(documents) {
+    const columns = ['File', 'Format', 'Width', 'Height'];
+    const seen = new Set(columns);
+
+    const rows = documents.map(doc => {
+      const row = new Map([
+        ['File', doc.file.name],
+        ['Format', doc.file.formatLabel],
+        ['Width', doc.file.width],
+        ['Height', doc.file.height]
+      ]);
+      for (const [ifd, entries] of Object.entries(doc.exif)) {
+        for (const [name, entry] of Object.entries(entries)) {
+          if (entry.value && entry.value.encoding) continue;
+          row.set(ifd === 'IFD1' ? `IFD1:${name}` : name, entry.value);
+        }
+      }
+      for (const [group, values] of [['XMP', doc.xmp], ['IPTC', doc.iptc], ['ICC', doc.icc]]) {
+        for (const [key, value] of Object.entries(values)) row.set(`${group}:${key}`, value);
+      }
+
+      row.forEach((value, key) => {
+        if (!seen.has(key)) {
+          seen.add(key);
+          columns.push(key);
+        }
+      });
+      return row;
+    });
+
+    const lines = [columns.map(csvCell).join(',')];
+    rows.forEach(row => {
+      lines.push(columns.map(key => csvCell(csvText(row.get(key)))).join(','));
+    });
+    return lines.join('\r\n') + '\r\n';
+  }
+
+  function csvText(value) {
+    if (value === undefined || value === null) return '';
+    if (Array.isArray(value)) return value.map(csvText).join('; ');
+    if (typeof value === 'object') {
+      return 'numerator' in value ? `${value.numerator}/${value.denominator}` : JSON.stringify(value);
+    }
+    return String(value);
+  }
+
+  function csvCell(text) {
+    if (/[",\r\n]/.test(text) || /^\s|\s$/.test(text)) {
+      return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════════
+  // XMP SIDECAR
+  // ═══════════════════════════════════════════════════════════════════════════════
+
+  const NAMESPACES = Object.fromEntries(
+    Object.entries(ImageMetadata.XMP_PREFIXES).map(([uri, prefix]) => [prefix, uri])
+  );
+
+  // Language alternatives and ordered arrays; other arrays are written as rdf:Bag
+  const ALT_PROPERTIES = new Set(['dc:title', 'dc:description', 'dc:rights', 'xmpRights:UsageTerms', 'exif:UserComment']);
+  const SEQ_PROPERTIES = new Set([
+    'dc:creator', 'dc:date', 'exif:ISOSpeedRatings', 'exif:ComponentsConfiguration',
+    'exifEX:LensSpecification', 'xmpMM:History'
+  ]);
+
+  // EXIF tag → XMP property and how to write its value (XMP spec part 2 and CIPA DC-010)
+  const EXIF_TO_XMP = [
+    ['Make', 'tiff:Make', 'text'],
+    ['Model', 'tiff:Model', 'text'],
+    ['Orientation', 'tiff:Orientation', 'integer'],
+    ['ImageWidth', 'tiff:ImageWidth', 'integer'],
+    ['ImageHeight', 'tiff:ImageLength', 'integer'],
+    ['XResolution', 'tiff:XResolution', 'rational'],
+    ['YResolution', 'tiff:YResolution', 'rational'],
+    ['ResolutionUnit', 'tiff:ResolutionUnit', 'integer'],
+    ['Software', 'xmp:CreatorTool', 'text'],
+    ['DateTime', 'xmp:ModifyDate', 'date'],
+    ['Artist', 'dc:creator', 'list'],
+    ['Copyright', 'dc:rights', 'text'],
+    ['ImageDescription', 'dc:description', 'text'],
+    ['ExposureTime', 'exif:ExposureTime', 'rational'],
+    ['FNumber', 'exif:FNumber', 'rational'],
+    ['ExposureProgram', 'exif:ExposureProgram', 'integer'],
+    ['ISOSpeedRatings', 'exif:ISOSpeedRatings', 'list'],
+    ['ExifVersion', 'exif:ExifVersion', 'text'],
+    ['DateTimeOriginal', 'exif:DateTimeOriginal', 'date'],
+    ['DateTimeOriginal', 'photoshop:DateCreated', 'date'],
+    ['DateTimeDigitized', 'xmp:CreateDate', 'date'],
+    ['ShutterSpeedValue', 'exif:ShutterSpeedValue', 'rational'],
+    ['ApertureValue', 'exif:ApertureValue', 'rational'],
+    ['ExposureBias', 'exif:ExposureBiasValue', 'rational'],
+    ['MaxApertureValue', 'exif:MaxApertureValue', 'rational'],
+    ['SubjectDistance', 'exif:SubjectDistance', 'rational'],
+    ['MeteringMode', 'exif:MeteringMode', 'integer'],
+    ['LightSource', 'exif:LightSource', 'integer'],
+    ['Flash', 'exif:Flash', 'flash'],
+    ['FocalLength', 'exif:FocalLength', 'rational'],
+    ['UserComment', 'exif:UserComment', 'text'],
+    ['ColorSpace', 'exif:ColorSpace', 'integer'],
+    ['PixelXDimension', 'exif:PixelXDimension', 'integer'],
+    ['PixelYDimension', 'exif:PixelYDimension', 'integer'],
+    ['ExposureMode', 'exif:ExposureMode', 'integer'],
+    ['WhiteBalance', 'exif:WhiteBalance', 'integer'],
+    ['DigitalZoomRatio', 'exif:DigitalZoomRatio', 'rational'],
+    ['FocalLengthIn35mmFilm', 'exif:FocalLengthIn35mmFilm', 'integer'],
+    ['SceneCaptureType', 'exif:SceneCaptureType', 'integer'],
+    ['Contrast', 'exif:Contrast', 'integer'],
+    ['Saturation', 'exif:Saturation', 'integer'],
+    ['Sharpness', 'exif:Sharpness', 'integer'],
+    ['ImageUniqueID', 'exif:ImageUniqueID', 'text'],
+    ['CameraOwnerName', 'exifEX:CameraOwnerName', 'text'],
+    ['BodySerialNumber', 'exifEX:BodySerialNumber', 'text'],
+    ['BodySerialNumber', 'aux:SerialNumber', 'text'],
+    ['LensSpecification', 'exifEX:LensSpecification', 'rationals'],
+    ['LensMake', 'exifEX:LensMake', 'text'],
+    ['LensModel', 'exifEX:LensModel', 'text'],
+    ['LensModel', 'aux:Lens', 'text'],
+    ['LensSerialNumber', 'exifEX:LensSerialNumber', 'text'],
+    ['GPSVersionID', 'exif:GPSVersionID', 'version'],
+    ['GPSLatitude', 'exif:GPSLatitude', 'coordinate'],
+    ['GPSLongitude', 'exif:GPSLongitude', 'coordinate'],
+    ['GPSAltitudeRef', 'exif:GPSAltitudeRef', 'integer'],
+    ['GPSAltitude', 'exif:GPSAltitude', 'rational'],
+    ['GPSSpeedRef', 'exif:GPSSpeedRef', 'text'],
+    ['GPSSpeed', 'exif:GPSSpeed', 'rational'],
+    ['GPSImgDirectionRef', 'exif:GPSImgDirectionRef', 'text'],
+    ['GPSImgDirection', 'exif:GPSImgDirection', 'rational'],
+    ['GPSMapDatum', 'exif:GPSMapDatum', 'text']
+  ];
+
+  // Sub-second and time zone tags that complete each EXIF date
+  const DATE_PARTS = {
+    DateTime: ['SubSecTime', 'OffsetTime'],
+    DateTimeOriginal: ['SubSecTimeOriginal', 'OffsetTimeOriginal'],
+    DateTimeDigitized: ['SubSecTimeDigitized', 'OffsetTimeDigitized']
+  };
+
+  // IPTC-IIM dataset → XMP property (IPTC Photo Metadata Standard mapping)
+  const IPTC_TO_XMP = {
+    'ObjectName': 'dc:title',
+    'Keywords': 'dc:subject',
+    'By-line': 'dc:creator',
+    'By-lineTitle': 'photoshop:AuthorsPosition',
+    'CopyrightNotice': 'dc:rights',
+    'Caption-Abstract': 'dc:description',
+    'Writer-Editor': 'photoshop:CaptionWriter',
+    'Headline': 'photoshop:Headline',
+    'SpecialInstructions': 'photoshop:Instructions',
+    'Category': 'photoshop:Category',
+    'SupplementalCategories': 'photoshop:SupplementalCategories',
+    'Urgency': 'photoshop:Urgency',
+    'City': 'photoshop:City',
+    'Sub-location': 'Iptc4xmpCore:Location',
+    'Province-State': 'photoshop:State',
+    'Country-PrimaryLocationName': 'photoshop:Country',
+    'Country-PrimaryLocationCode': 'Iptc4xmpCore:CountryCode',
+    'OriginalTransmissionReference': 'photoshop:TransmissionReference',
+    'Credit': 'photoshop:Credit',
+    'Source': 'photoshop:Source'
+  };
+
+  /**
+   * Build an XMP sidecar from everything the file holds. Where blocks
+   * disagree EXIF wins over XMP, and XMP over IPTC.
+   * @param {Object} metadata - A parse() or summarize() result from metadata.js
+   * @returns {string} The .xmp file contents
+   */
+  function toXmpSidecar(metadata) {
+    const props = {
+      ...iptcToXmp(metadata.iptc || {}),
+      ...knownProperties(metadata.xmp || {}),
+      ...exifToXmp(metadata.fields)
+    };
+
+    const prefixes = new Set();
+    collectPrefixes(props, prefixes);
+    const xmlns = [...prefixes].sort().map(prefix => `\n    xmlns:${prefix}="${escapeXml(NAMESPACES[prefix])}"`).join('');
+
+    const body = Object.entries(props).map(([key, value]) => writeProperty(key, value, '   ')).join('');
+    return '<x:xmpmeta xmlns:x="adobe:ns:meta/" x:xmptk="EXIF Viewer">\n' +
+      ' <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">\n' +
+      `  <rdf:Description rdf:about=""${xmlns}>\n` +
+      body +
+      '  </rdf:Description>\n' +
+      ' </rdf:RDF>\n' +
+      '</x:xmpmeta>\n';
+  }
+
+  function exifToXmp(fields) {
+    // IFD1 describes the thumbnail and Interop is about the file format, not the photo
+    const byName = {};
+    fields.forEach(field => {
+      if (field.ifd !== 'IFD1' && field.ifd !== 'Interop') byName[field.name] = field;
+    });
+
+    const props = {};
+    for (const [name, key, kind] of EXIF_TO_XMP) {
+      const field = byName[name];
+      if (!field) continue;
+      const value = xmpValue(field, kind, byName);
+      if (value !== null && value !== '' && !(Array.isArray(value) && !value.length)) props[key] = value;
+    }
+
+    const gpsTime = gpsTimestamp(byName.GPSDateStamp, byName.GPSTimeStamp);
+    if (gpsTime) props['exif:GPSTimeStamp'] = gpsTime;
+    return props;
+  }
+
+  function xmpValue(field, kind, byName) {
+    const { value, raw } = field;
+    const first = Array.isArray(value) ? value[0] : value;
+    switch (kind) {
+      case 'text':
+        return typeof value === 'string' ? value.trim() : null;
+      case 'integer':
+        return typeof first === 'number' ? String(Math.round(first)) : null;
+      case 'list':
+        return (Array.isArray(value) ? value : [value]).map(v => String(v).trim()).filter(Boolean);
+      case 'rational':
+        return raw ? `${raw[0][0]}/${raw[0][1]}` : (typeof first === 'number' ? String(first) : null);
+      case 'rationals':
+        return raw ? raw.map(([num, den]) => `${num}/${den}`) : null;
+      case 'version':
+        return Array.isArray(value) ? value.join('.') : null;
+      case 'date':
+        return xmpDate(value, ...DATE_PARTS[field.name].map(part => byName[part] && byName[part].value));
+      case 'coordinate':
+        return xmpCoordinate(value, byName[`${field.name}Ref`] && byName[`${field.name}Ref`].value);
+      case 'flash':
+        return typeof first === 'number' ? flashStruct(first) : null;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * "YYYY:MM:DD HH:MM:SS" plus optional sub-seconds and offset to ISO 8601
+   */
+  function xmpDate(value, subSec, offset) {
+    const match = typeof value === 'string' && value.match(/^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/);
+    if (!match) return null;
+    let date = `${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}`;
+    const fraction = typeof subSec === 'string' ? subSec.trim() : '';
+    if (/^\d+$/.test(fraction)) date += `.${fraction}`;
+    if (typeof offset === 'string' && /^[+-]\d{2}:\d{2}$/.test(offset.trim())) date += offset.trim();
+    return date;
+  }
+
+  /**
+   * [degrees, minutes, seconds] to XMP's "DDD,MM.mmmmmmR" form
+   */
+  function xmpCoordinate(dms, ref) {
+    if (!Array.isArray(dms) || dms.length < 3) return null;
+    const total = dms[0] + dms[1] / 60 + dms[2] / 3600;
+    const degrees = Math.floor(total);
+    const minutes = ((total - degrees) * 60).toFixed(6);
+    return `${degrees},${minutes}${typeof ref === 'string' && ref ? ref.trim() : ''}`;
+  }
+
+  function gpsTimestamp(dateField, timeField) {
+    if (!dateField || !timeField || !Array.isArray(timeField.value)) return null;
+    const [hours, minutes, seconds] = timeField.value;
+    const pad = n => String(Math.floor(n)).padStart(2, '0');
+    return xmpDate(`${dateField.value} ${pad(hours)}:${pad(minutes)}:${pad(seconds)}`, null, '+00:00');
+  }
+
+  // EXIF Flash is a bit field; XMP spells it out as a struct
+  function flashStruct(value) {
+    const bool = bit => ((value & bit) ? 'True' : 'False');
+    return {
+      'exif:Fired': bool(0x01),
+      'exif:Return': String((value >> 1) & 3),
+      'exif:Mode': String((value >> 3) & 3),
+      'exif:Function': bool(0x20),
+      'exif:RedEyeMode': bool(0x40)
+    };
+  }
+
+  function iptcToXmp(iptc) {
+    const props = {};
+    for (const [name, key] of Object.entries(IPTC_TO_XMP)) {
+      const value = iptc[name];
+      if (value === undefined || value === '') continue;
+      // Creators and keywords are lists in XMP even when IPTC has one
+      props[key] = (key === 'dc:creator' || key === 'dc:subject' || key === 'photoshop:SupplementalCategories') && !Array.isArray(value)
+        ? [value]
+        : value;
+    }
+
+    // IPTC dates are "CCYYMMDD" and "HHMMSS±HHMM"
+    const date = typeof iptc.DateCreated === 'string' && iptc.DateCreated.match(/^(\d{4})(\d{2})(\d{2})$/);
+    if (date) {
+      let created = `${date[1]}-${date[2]}-${date[3]}`;
+      const time = typeof iptc.TimeCreated === 'string' && iptc.TimeCreated.match(/^(\d{2})(\d{2})(\d{2})(?:([+-]\d{2})(\d{2}))?$/);
+      if (time) created += `T${time[1]}:${time[2]}:${time[3]}${time[4] ? `${time[4]}:${time[5]}` : ''}`;
+      props['photoshop:DateCreated'] = created;
+    }
+    return props;
+  }
+
+  /**
+   * XMP properties from the file, minus any in namespaces we can't declare
+   */
+  function knownProperties(props) {
+    const known = {};
+    for (const [key, value] of Object.entries(props)) {
+      if (!NAMESPACES[key.split(':')[0]]) continue;
+      if (Array.isArray(value)) {
+        known[key] = value.map(item => (item && typeof item === 'object' ? knownProperties(item) : item));
+      } else {
+        known[key] = value && typeof value === 'object' ? knownProperties(value) : value;
+      }
+    }
+    return known;
+  }
+
+  function collectPrefixes(props, prefixes) {
+    for (const [key, value] of Object.entries(props)) {
+      prefixes.add(key.split(':')[0]);
+      const items = Array.isArray(value) ? value : [value];
+      items.forEach(item => {
+        if (item && typeof item === 'object') collectPrefixes(item, prefixes);
+      });
+    }
+  }
+
+  function writeProperty(key, value, indent) {
+    if (ALT_PROPERTIES.has(key)) {
+      const text = Array.isArray(value) ? value[0] : value;
+      return `${indent}<${key}>\n${indent} <rdf:Alt>\n${indent}  <rdf:li xml:lang="x-default">${escapeXml(text)}</rdf:li>\n${indent} </rdf:Alt>\n${indent}</${key}>\n`;
+    }
+    if (Array.isArray(value)) {
+      const container = SEQ_PROPERTIES.has(key) || key.startsWith('crs:ToneCurve') ? 'Seq' : 'Bag';
+      const items = value.map(item => writeItem(item, `${indent}  `)).join('');
+      return `${indent}<${key}>\n${indent} <rdf:${container}>\n${items}${indent} </rdf:${container}>\n${indent}</${key}>\n`;
+    }
+    if (value && typeof value === 'object') {
+      const fields = Object.entries(value).map(([k, v]) => writeProperty(k, v, `${indent} `)).join('');
+      return `${indent}<${key} rdf:parseType="Resource">\n${fields}${indent}</${key}>\n`;
+    }
+    return `${indent}<${key}>${escapeXml(value)}</${key}>\n`;
+  }
+
+  function writeItem(item, indent) {
+    if (item && typeof item === 'object') {
+      const fields = Object.entries(item).map(([k, v]) => writeProperty(k, v, `${indent} `)).join('');
+      return `${indent}<rdf:li rdf:parseType="Resource">\n${fields}${indent}</rdf:li>\n`;
+    }
+    return `${indent}<rdf:li>${escapeXml(item)}</rdf:li>\n`;
+  }
+
+  function escapeXml(value) {
+    return String(value)
+      // Control characters are not allowed in XML 1.0 at all
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+      .replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[ch]));
+  }
+
+  self.MetadataExport = {
+    toDocument,
+    toCsv,
+    toXmpSidecar
+  };
+
+})();
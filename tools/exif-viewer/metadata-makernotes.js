@@ -0,0 +1,538 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * EXIF VIEWER - Maker Notes
+ *
+ * Decodes the vendor-specific MakerNote tag for Canon, Nikon, Sony, Fujifilm,
+ * Olympus/OM System, Panasonic and Apple. Almost all of them are IFDs like the
+ * rest of EXIF, but each vendor has its own signature, byte order and idea of
+ * where offsets count from.
+ *
+ * Only tags with a well-known meaning are shown. Blocks that are model-specific
+ * or enciphered (Canon CameraInfo, Nikon LensData, Sony 0x9050) are skipped,
+ * so shutter counts come from Nikon and Fujifilm notes only.
+ *
+ * Exposed as self.MakerNotes; needs metadata.js.
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+(function() {
+  'use strict';
+
+  const latin1 = new TextDecoder('latin1');
+
+  // ═══════════════════════════════════════════════════════════════════════════════
+  // LAYOUTS
+  // ═══════════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Find a maker note's IFD
+   * @param {Uint8Array} tiff - The EXIF block, from its TIFF header
+   * @param {number} start - Where the MakerNote value starts in it
+   * @returns {{vendor: string, bytes: Uint8Array, ifdOffset: number, little: boolean}|null}
+   *   bytes start where the note's offsets count from
+   */
+  function locate(tiff, start, make, little) {
+    const at = (text) => startsWith(tiff, start, text);
+
+    if (at('Nikon\0\x02')) {
+      // A TIFF header of its own follows the signature
+      const bytes = tiff.subarray(start + 10);
+      const order = byteOrder(bytes, 0);
+      if (order === null) return null;
+      return { vendor: 'Nikon', bytes, ifdOffset: readUint32(bytes, 4, order), little: order };
+    }
+    // The older Coolpix layout uses different tag numbers
+    if (at('Nikon\0')) return null;
+
+    if (at('FUJIFILM')) {
+      // Always little-endian, with the IFD offset right after the signature
+      const bytes = tiff.subarray(start);
+      return { vendor: 'Fujifilm', bytes, ifdOffset: readUint32(bytes, 8, true), little: true };
+    }
+    if (at('OLYMPUS\0') || at('OM SYSTEM\0')) {
+      // Signature, byte order mark and version, with offsets from the signature
+      const signature = at('OLYMPUS\0') ? 8 : 12;
+      const bytes = tiff.subarray(start);
+      const order = byteOrder(bytes, signature);
+      if (order === null) return null;
+      return { vendor: 'Olympus', bytes, ifdOffset: signature + 4, little: order };
+    }
+    if (at('OLYMP\0')) return { vendor: 'Olympus', bytes: tiff, ifdOffset: start + 8, little };
+    if (at('Apple iOS\0')) {
+      return { vendor: 'Apple', bytes: tiff.subarray(start), ifdOffset: 14, little: false };
+    }
+    if (at('Panasonic\0')) return { vendor: 'Panasonic', bytes: tiff, ifdOffset: start + 12, little };
+    if (at('SONY DSC ') || at('SONY CAM ')) return { vendor: 'Sony', bytes: tiff, ifdOffset: start + 12, little };
+
+    // No signature: a bare IFD with offsets from the TIFF header
+    if (/^canon/i.test(make)) return { vendor: 'Canon', bytes: tiff, ifdOffset: start, little };
+    if (/^nikon/i.test(make)) return { vendor: 'Nikon', bytes: tiff, ifdOffset: start, little };
+    if (/^sony/i.test(make)) return { vendor: 'Sony', bytes: tiff, ifdOffset: start, little };
+    return null;
+  }
+
+  function startsWith(bytes, offset, text) {
+    if (offset + text.length > bytes.length) return false;
+    for (let i = 0; i < text.length; i++) {
+      if (bytes[offset + i] !== text.charCodeAt(i)) return false;
+    }
+    return true;
+  }
+
+  function byteOrder(bytes, offset) {
+    if (startsWith(bytes, offset, 'II')) return true;
+    if (startsWith(bytes, offset, 'MM')) return false;
+    return null;
+  }
+
+  function readUint32(bytes, offset, little) {
+    if (offset + 4 > bytes.length) return 0;
+    return new DataView(bytes.buffer, bytes.byteOffset + offset, 4).getUint32(0, little);
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════════
+  // VALUE HELPERS
+  // ═══════════════════════════════════════════════════════════════════════════════
+
+  function first(value) {
+    return Array.isArray(value) ? value[0] : value;
+  }
+
+  // Strings are often space- or null-padded, and some vendors store them as UNDEFINED
+  function text(value) {
+    const str = value instanceof Uint8Array ? latin1.decode(value) : typeof value === 'string' ? value : '';
+    return str.replace(/\0[\s\S]*$/, '').trim() || undefined;
+  }
+
+  /**
+   * A formatter that names known codes and skips the rest
+   */
+  function lookup(names) {
+    return (value) => names[first(value)];
+  }
+
+  function signed16(n) {
+    return n > 0x7FFF ? n - 0x10000 : n;
+  }
+
+  function round(n) {
+    return Math.round(n * 10) / 10;
+  }
+
+  /**
+   * "24-70mm f/2.8", "18-55mm f/3.5-5.6" or "50mm f/1.8"
+   */
+  function lensDescription(minFocal, maxFocal, minAperture, maxAperture) {
+    if (!(minFocal > 0)) return undefined;
+    const focal = maxFocal > minFocal ? `${round(minFocal)}-${round(maxFocal)}mm` : `${round(minFocal)}mm`;
+    if (!(minAperture > 0)) return focal;
+    const aperture = maxAperture > minAperture ? `f/${round(minAperture)}-${round(maxAperture)}` : `f/${round(minAperture)}`;
+    return `${focal} ${aperture}`;
+  }
+
+  /**
+   * Add labelled values from an IFD
+   * @param {Array} fields - Output list of { label, value }
+   * @param {Map} byTag - IFD entries by tag number
+   * @param {Array} table - [tag, label, format] in display order;
+   *   format returns display text, or undefined to leave the row out.
+   *   Rows sharing a label are alternatives and the first one found wins.
+   */
+  function addFields(fields, byTag, table) {
+    for (const [tag, label, format] of table) {
+      const entry = byTag.get(tag);
+      if (!entry || fields.some(field => field.label === label)) continue;
+      const value = format(entry.value, entry);
+      if (value !== undefined && value !== '') fields.push({ label, value });
+    }
+  }
+
+  /**
+   * The same for fixed positions in an array-valued tag
+   */
+  function addIndexed(fields, values, table) {
+    for (const [index, label, format] of table) {
+      if (index >= values.length) continue;
+      const value = format(values[index]);
+      if (value !== undefined && value !== '') fields.push({ label, value });
+    }
+  }
+
+  function entriesByTag(entries) {
+    return new Map(entries.map(entry => [entry.tag, entry]));
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════════
+  // CANON
+  // ═══════════════════════════════════════════════════════════════════════════════
+
+  // Offsets are from the TIFF header; 0x0001 holds the camera settings as an int16 array
+  const CANON_CAMERA_SETTINGS = [
+    [20, 'Exposure Mode', lookup({
+      0: 'Easy', 1: 'Program AE', 2: 'Shutter speed priority AE', 3: 'Aperture-priority AE',
+      4: 'Manual', 5: 'Depth-of-field AE', 6: 'M-Depth', 7: 'Bulb', 8: 'Flexible-priority AE'
+    })],
+    [7, 'Focus Mode', lookup({
+      0: 'One-shot AF', 1: 'AI Servo AF', 2: 'AI Focus AF', 3: 'Manual Focus', 4: 'Single',
+      5: 'Continuous', 6: 'Manual Focus', 16: 'Pan Focus', 256: 'One-shot AF + MF',
+      512: 'Movie Snap Focus', 519: 'Movie Servo AF'
+    })],
+    [5, 'Drive Mode', lookup({
+      0: 'Single', 1: 'Continuous', 2: 'Movie', 3: 'Continuous, Speed Priority',
+      4: 'Continuous, Low', 5: 'Continuous, High', 6: 'Silent Single', 9: 'Single, Silent',
+      10: 'Continuous, Silent'
+    })],
+    [3, 'Quality', lookup({ 1: 'Economy', 2: 'Normal', 3: 'Fine', 4: 'RAW', 5: 'Superfine', 7: 'CRAW' })],
+    [9, 'Record Mode', lookup({
+      1: 'JPEG', 2: 'CRW+THM', 3: 'AVI+THM', 4: 'TIF', 5: 'TIF+JPEG', 6: 'CR2', 7: 'CR2+JPEG',
+      9: 'MOV', 10: 'MP4', 11: 'CRM', 12: 'CR3', 13: 'CR3+JPEG', 14: 'HIF', 15: 'CR3+HIF'
+    })],
+    [1, 'Macro Mode', lookup({ 1: 'Macro', 2: 'Normal' })],
+    [34, 'Image Stabilization', lookup({
+      0: 'Off', 1: 'On', 2: 'Shoot Only', 3: 'Panning', 4: 'Dynamic',
+      256: 'Off', 257: 'On', 258: 'Shoot Only', 259: 'Panning', 260: 'Dynamic'
+    })]
+  ];
+
+  const CANON_TAGS = [
+    [0x0006, 'Image Type', text],
+    [0x0095, 'Lens Model', text],
+    [0x000C, 'Serial Number', (v) => (typeof v === 'number' ? String(v).padStart(10, '0') : undefined)],
+    [0x0096, 'Internal Serial Number', text],
+    [0x0007, 'Firmware', (v) => text(v)?.replace(/^Firmware (Version )?/i, '')],
+    [0x0009, 'Owner Name', text],
+    // Folder and file number, shown the way the camera names files (100-1234)
+    [0x0008, 'File Number', (v) => (typeof v === 'number' ? String(v).replace(/(\d+)(\d{4})$/, '$1-$2') : undefined)],
+    [0x0026, 'AF Points in Focus', canonAfPoints]
+  ];
+
+  function decodeCanon(entries, result) {
+    const byTag = entriesByTag(entries);
+
+    const settings = byTag.get(0x0001);
+    if (settings && Array.isArray(settings.value)) {
+      const values = settings.value.map(signed16);
+      addIndexed(result.fields, values, CANON_CAMERA_SETTINGS);
+      // Lens focal range in focal units per mm
+      const units = values[25] > 0 ? values[25] : 1;
+      const lens = lensDescription(values[24] / units, values[23] / units);
+      if (lens) result.fields.push({ label: 'Lens Range', value: lens });
+    }
+
+    addFields(result.fields, byTag, CANON_TAGS);
+  }
+
+  /**
+   * AFInfo2: size, area mode, point count, valid points, four image sizes,
+   * four per-point arrays, then a bit mask of the points in focus
+   */
+  function canonAfPoints(values) {
+    if (!Array.isArray(values)) return undefined;
+    const count = values[2];
+    const maskStart = 8 + count * 4;
+    if (!count || values.length < maskStart + Math.ceil(count / 16)) return undefined;
+
+    const inFocus = [];
+    for (let i = 0; i < count; i++) {
+      if (values[maskStart + (i >> 4)] & (1 << (i & 15))) inFocus.push(i + 1);
+    }
+    if (!inFocus.length) return `None of ${count}`;
+    return `${inFocus.length} of ${count} (${inFocus.join(', ')})`;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════════
+  // NIKON
+  // ═══════════════════════════════════════════════════════════════════════════════
+
+  const NIKON_SHUTTER_COUNT = 0x00A7;
+
+  const NIKON_TAGS = [
+    [0x0084, 'Lens', (v) => (Array.isArray(v) ? lensDescription(...v) : undefined)],
+    [0x0007, 'Focus Mode', text],
+    [0x0004, 'Quality', text],
+    [0x0005, 'White Balance', text],
+    [0x0002, 'ISO', (v) => (Array.isArray(v) && v[1] ? String(v[1]) : undefined)],
+    [0x0023, 'Picture Control', nikonPictureControl],
+    [0x0022, 'Active D-Lighting', lookup({
+      0: 'Off', 1: 'Low', 3: 'Normal', 5: 'High', 7: 'Extra High',
+      8: 'Extra High 1', 9: 'Extra High 2', 10: 'Extra High 3', 11: 'Extra High 4', 0xFFFF: 'Auto'
+    })],
+    // VRInfo: a four-byte version, then the setting
+    [0x001F, 'Vibration Reduction', (v) => (v instanceof Uint8Array ? { 1: 'On', 2: 'Off' }[v[4]] : undefined)],
+    [0x00B1, 'High ISO Noise Reduction', lookup({
+      0: 'Off', 1: 'Minimal', 2: 'Low', 3: 'Medium Low', 4: 'Normal', 5: 'Medium High', 6: 'High'
+    })],
+    [0x0095, 'Long Exposure Noise Reduction', text],
+    [0x0008, 'Flash Setting', text],
+    [0x001E, 'Color Space', lookup({ 1: 'sRGB', 2: 'Adobe RGB' })],
+    [0x0093, 'NEF Compression', lookup({
+      1: 'Lossy', 2: 'Uncompressed', 3: 'Lossless', 4: 'Lossy', 13: 'High Efficiency', 14: 'High Efficiency*'
+    })],
+    [0x001D, 'Serial Number', text]
+  ];
+
+  function decodeNikon(entries, result) {
+    const byTag = entriesByTag(entries);
+    const shutter = byTag.get(NIKON_SHUTTER_COUNT);
+    if (shutter && typeof shutter.value === 'number') result.shutterCount = shutter.value;
+    addFields(result.fields, byTag, NIKON_TAGS);
+  }
+
+  // Version "0100"/"0200" puts the name at byte 4, "0300" (Z cameras) at byte 8
+  function nikonPictureControl(value) {
+    if (!(value instanceof Uint8Array) || value.length < 24) return undefined;
+    const offset = latin1.decode(value.subarray(0, 2)) === '03' ? 8 : 4;
+    return text(value.subarray(offset, offset + 20));
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════════
+  // SONY
+  // ═══════════════════════════════════════════════════════════════════════════════
+
+  const SONY_TAGS = [
+    [0xB020, 'Creative Style', text],
+    [0x201B, 'Focus Mode', lookup({ 0: 'Manual', 2: 'AF-S', 3: 'AF-C', 4: 'AF-A', 6: 'DMF' })],
+    [0xB042, 'Focus Mode', lookup({ 1: 'AF-S', 2: 'AF-C', 4: 'Permanent-AF' })],
+    [0x0102, 'Quality', lookup({
+      0: 'RAW', 1: 'Super Fine', 2: 'Fine', 3: 'Standard', 4: 'Economy', 5: 'Extra Fine',
+      6: 'RAW + JPEG/HEIF', 7: 'Compressed RAW', 8: 'Compressed RAW + JPEG', 9: 'Light'
+    })],
+    [0xB041, 'Exposure Mode', lookup({
+      0: 'Program AE', 1: 'Portrait', 2: 'Beach', 3: 'Sports', 4: 'Snow', 5: 'Landscape', 6: 'Auto',
+      7: 'Aperture-priority AE', 8: 'Shutter speed priority AE', 9: 'Night Scene / Twilight',
+      10: 'Hi-Speed Shutter', 11: 'Twilight Portrait', 12: 'Soft Snap/Portrait', 13: 'Fireworks',
+      14: 'Smile Shutter', 15: 'Manual'
+    })],
+    [0xB025, 'Dynamic Range Optimizer', lookup({
+      0: 'Off', 1: 'Standard', 2: 'Advanced Auto', 3: 'Auto', 8: 'Advanced Lv1', 9: 'Advanced Lv2',
+      10: 'Advanced Lv3', 11: 'Advanced Lv4', 12: 'Advanced Lv5',
+      16: 'Lv1', 17: 'Lv2', 18: 'Lv3', 19: 'Lv4', 20: 'Lv5'
+    })],
+    [0xB026, 'Image Stabilization', lookup({ 0: 'Off', 1: 'On' })],
+    [0xB021, 'Color Temperature', (v) => (first(v) > 0 ? `${first(v)} K` : undefined)],
+    [0xB023, 'Scene Mode', lookup({
+      0: 'Standard', 1: 'Portrait', 2: 'Text', 3: 'Night Scene', 4: 'Sunset', 5: 'Sports',
+      6: 'Landscape', 7: 'Night Portrait', 8: 'Macro', 9: 'Super Macro', 16: 'Auto'
+    })],
+    [0x0104, 'Flash Exposure Compensation', (v) => {
+      const ev = first(v);
+      return typeof ev === 'number' ? `${ev > 0 ? '+' : ''}${round(ev)} EV` : undefined;
+    }]
+  ];
+
+  function decodeSony(entries, result) {
+    addFields(result.fields, entriesByTag(entries), SONY_TAGS);
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════════
+  // FUJIFILM
+  // ═══════════════════════════════════════════════════════════════════════════════
+
+  const FUJIFILM_IMAGE_COUNT = 0x1438;
+
+  const FUJIFILM_FILM_MODES = {
+    0x000: 'Provia (Standard)', 0x100: 'Studio Portrait', 0x110: 'Studio Portrait Enhanced Saturation',
+    0x120: 'Astia', 0x130: 'Studio Portrait Increased Sharpness', 0x200: 'Velvia',
+    0x300: 'Studio Portrait Ex', 0x400: 'Velvia', 0x500: 'Pro Neg. Std', 0x501: 'Pro Neg. Hi',
+    0x600: 'Classic Chrome', 0x700: 'Eterna', 0x800: 'Classic Negative', 0x900: 'Eterna Bleach Bypass',
+    0xA00: 'Nostalgic Negative', 0xB00: 'Reala Ace'
+  };
+
+  // Monochrome simulations are recorded as a saturation setting instead of a film mode
+  const FUJIFILM_MONOCHROME = {
+    0x300: 'Monochrome', 0x301: 'Monochrome + R Filter', 0x302: 'Monochrome + Ye Filter',
+    0x303: 'Monochrome + G Filter', 0x310: 'Sepia', 0x500: 'Acros', 0x501: 'Acros + R Filter',
+    0x502: 'Acros + Ye Filter', 0x503: 'Acros + G Filter'
+  };
+
+  const FUJIFILM_TAGS = [
+    [0x1401, 'Film Simulation', lookup(FUJIFILM_FILM_MODES)],
+    [0x1003, 'Film Simulation', lookup(FUJIFILM_MONOCHROME)],
+    [0x1021, 'Focus Mode', lookup({ 0: 'Auto', 1: 'Manual' })],
+    [0x1000, 'Quality', text],
+    [0x1402, 'Dynamic Range', lookup({
+      0: 'Auto', 1: 'Manual', 0x100: 'Standard (100%)', 0x200: 'Wide 1 (230%)', 0x201: 'Wide 2 (400%)'
+    })],
+    [0x1002, 'White Balance', lookup({
+      0: 'Auto', 1: 'Auto (white priority)', 2: 'Auto (ambiance priority)', 0x100: 'Daylight',
+      0x200: 'Cloudy', 0x300: 'Daylight Fluorescent', 0x301: 'Day White Fluorescent',
+      0x302: 'White Fluorescent', 0x303: 'Warm White Fluorescent', 0x400: 'Incandescent',
+      0x500: 'Flash', 0x600: 'Underwater', 0xF00: 'Custom', 0xFF0: 'Kelvin'
+    })],
+    [0x1001, 'Sharpness', lookup({
+      0: '-4 (softest)', 1: '-3 (very soft)', 2: '-2 (soft)', 3: '0 (normal)', 4: '+2 (hard)',
+      5: '+3 (very hard)', 6: '+4 (hardest)', 130: '-1 (medium soft)', 132: '+1 (medium hard)'
+    })],
+    [0x1031, 'Picture Mode', lookup({
+      0: 'Auto', 1: 'Portrait', 2: 'Landscape', 3: 'Macro', 4: 'Sports', 5: 'Night Scene',
+      6: 'Program AE', 256: 'Aperture-priority AE', 512: 'Shutter speed priority AE', 768: 'Manual'
+    })],
+    [0x0010, 'Internal Serial Number', text]
+  ];
+
+  function decodeFujifilm(entries, result) {
+    const byTag = entriesByTag(entries);
+
+    // The top bit is a flag, not part of the count
+    const count = byTag.get(FUJIFILM_IMAGE_COUNT);
+    if (count && typeof count.value === 'number') result.shutterCount = count.value & 0x7FFF;
+
+    addFields(result.fields, byTag, FUJIFILM_TAGS);
+
+    const value = (tag) => first(byTag.get(tag)?.value);
+    const lens = lensDescription(value(0x1404), value(0x1405), value(0x1406), value(0x1407));
+    if (lens) result.fields.push({ label: 'Lens Range', value: lens });
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════════
+  // OLYMPUS / OM SYSTEM
+  // ═══════════════════════════════════════════════════════════════════════════════
+
+  // Newer notes split their tags across sub-IFDs
+  const OLYMPUS_EQUIPMENT = 0x2010;
+  const OLYMPUS_CAMERA_SETTINGS = 0x2020;
+
+  const OLYMPUS_EQUIPMENT_TAGS = [
+    [0x0203, 'Lens Model', text],
+    [0x0202, 'Lens Serial Number', text],
+    [0x0101, 'Camera Type', text],
+    [0x0102, 'Serial Number', text]
+  ];
+
+  const OLYMPUS_SETTINGS_TAGS = [
+    [0x0200, 'Exposure Mode', lookup({
+      1: 'Manual', 2: 'Program', 3: 'Aperture-priority AE', 4: 'Shutter speed priority AE', 5: 'Program-shift'
+    })],
+    [0x0301, 'Focus Mode', lookup({
+      0: 'Single AF', 1: 'Sequential shooting AF', 2: 'Continuous AF', 3: 'Multi AF', 4: 'Face Detect', 10: 'MF'
+    })],
+    [0x0520, 'Picture Mode', lookup({
+      1: 'Vivid', 2: 'Natural', 3: 'Muted', 4: 'Portrait', 5: 'i-Enhance', 6: 'e-Portrait',
+      7: 'Color Creator', 8: 'Underwater', 9: 'Color Profile 1', 10: 'Color Profile 2',
+      11: 'Color Profile 3', 12: 'Monochrome Profile 1', 13: 'Monochrome Profile 2',
+      14: 'Monochrome Profile 3', 256: 'Monotone', 512: 'Sepia'
+    })],
+    [0x0603, 'Quality', lookup({ 1: 'SQ', 2: 'HQ', 3: 'SHQ', 4: 'RAW' })],
+    [0x0604, 'Image Stabilization', lookup({
+      0: 'Off', 1: 'On, Mode 1', 2: 'On, Mode 2', 3: 'On, Mode 3', 4: 'On, Mode 4'
+    })]
+  ];
+
+  // Older notes keep a few settings in the main IFD
+  const OLYMPUS_LEGACY_TAGS = [
+    [0x0201, 'Quality', lookup({ 1: 'SQ', 2: 'HQ', 3: 'SHQ', 4: 'RAW' })],
+    [0x0202, 'Macro', lookup({ 0: 'Off', 1: 'On', 2: 'Super Macro' })],
+    [0x0207, 'Camera Type', text]
+  ];
+
+  function decodeOlympus(entries, result, layout) {
+    const byTag = entriesByTag(entries);
+    const subIfd = (tag) => {
+      const entry = byTag.get(tag);
+      if (!entry) return new Map();
+      // Either an offset (LONG or IFD type) or the IFD stored inline as UNDEFINED data
+      const offset = entry.value instanceof Uint8Array ? entry.valueOffset : first(entry.value);
+      return entriesByTag(ImageMetadata.readIfd(layout.bytes, offset, layout.little));
+    };
+
+    addFields(result.fields, subIfd(OLYMPUS_EQUIPMENT), OLYMPUS_EQUIPMENT_TAGS);
+    addFields(result.fields, subIfd(OLYMPUS_CAMERA_SETTINGS), OLYMPUS_SETTINGS_TAGS);
+    addFields(result.fields, byTag, OLYMPUS_LEGACY_TAGS);
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════════
+  // PANASONIC
+  // ═══════════════════════════════════════════════════════════════════════════════
+
+  const PANASONIC_TAGS = [
+    [0x0051, 'Lens', text],
+    [0x0052, 'Lens Serial Number', text],
+    [0x0089, 'Photo Style', lookup({
+      0: 'Auto', 1: 'Standard or Custom', 2: 'Vivid', 3: 'Natural', 4: 'Monochrome', 5: 'Scenery',
+      6: 'Portrait', 8: 'Cinelike D', 9: 'Cinelike V', 11: 'L. Monochrome', 12: 'Like709',
+      15: 'L. Monochrome D', 17: 'V-Log', 18: 'Cinelike D2'
+    })],
+    [0x0007, 'Focus Mode', lookup({
+      1: 'Auto', 2: 'Manual', 4: 'Auto, Focus button', 5: 'Auto, Continuous', 6: 'AF-S', 7: 'AF-C', 8: 'AF-F'
+    })],
+    [0x0001, 'Quality', lookup({
+      1: 'TIFF', 2: 'High', 3: 'Normal', 6: 'Very High', 7: 'RAW', 9: 'Motion Picture',
+      11: 'Full HD Movie', 12: '4K Movie'
+    })],
+    [0x0003, 'White Balance', lookup({
+      1: 'Auto', 2: 'Daylight', 3: 'Cloudy', 4: 'Incandescent', 5: 'Manual', 8: 'Flash',
+      10: 'Black & White', 11: 'Manual 2', 12: 'Shade', 13: 'Kelvin', 14: 'Manual 3', 15: 'Manual 4'
+    })],
+    [0x001A, 'Image Stabilization', lookup({ 2: 'On, Optical', 3: 'Off', 4: 'On, Mode 2' })],
+    [0x0002, 'Firmware', (v) => (v instanceof Uint8Array && v.length === 4 ? Array.from(v).join('.') : undefined)],
+    [0x0025, 'Internal Serial Number', text]
+  ];
+
+  function decodePanasonic(entries, result) {
+    addFields(result.fields, entriesByTag(entries), PANASONIC_TAGS);
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════════
+  // APPLE
+  // ═══════════════════════════════════════════════════════════════════════════════
+
+  const APPLE_TAGS = [
+    [0x0014, 'Capture Type', lookup({ 1: 'ProRAW', 2: 'Portrait', 10: 'Photo', 11: 'Manual Focus', 12: 'Scene' })],
+    [0x000A, 'HDR', lookup({ 3: 'HDR Image', 4: 'Original Image' })],
+    [0x000C, 'Focus Distance Range', (v) => (
+      Array.isArray(v) && v.length === 2 ? `${round(Math.min(...v))}-${round(Math.max(...v))} m` : undefined
+    )],
+    // Links a still to its Live Photo video
+    [0x0011, 'Live Photo ID', text],
+    [0x000B, 'Burst ID', text]
+  ];
+
+  function decodeApple(entries, result) {
+    addFields(result.fields, entriesByTag(entries), APPLE_TAGS);
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════════
+  // DECODE
+  // ═══════════════════════════════════════════════════════════════════════════════
+
+  const DECODERS = {
+    Canon: decodeCanon,
+    Nikon: decodeNikon,
+    Sony: decodeSony,
+    Fujifilm: decodeFujifilm,
+    Olympus: decodeOlympus,
+    Panasonic: decodePanasonic,
+    Apple: decodeApple
+  };
+
+  /**
+   * Decode the maker note of a parsed image
+   * @param {Object} metadata - Its parse() result from metadata.js
+   * @returns {{vendor: string, shutterCount: number|null, fields: Array<{label: string, value: string}>}|null}
+   *   null when there is no maker note or it is from another vendor
+   */
+  function decode(metadata) {
+    if (!metadata || !metadata.exif) return null;
+    const note = metadata.fields.find(field => field.name === 'MakerNote' && field.ifd === 'Exif');
+    if (!note) return null;
+
+    const tiff = metadata.exif;
+    if (note.valueOffset + note.count > tiff.length) return null;
+
+    const layout = locate(tiff, note.valueOffset, String(metadata.tags.Make || ''), metadata.littleEndian);
+    if (!layout) return null;
+
+    const result = { vendor: layout.vendor, shutterCount: null, fields: [] };
+    try {
+      const entries = ImageMetadata.readIfd(layout.bytes, layout.ifdOffset, layout.little);
+      DECODERS[layout.vendor](entries, result, layout);
+    } catch (err) {
+      // Notes from unexpected firmware can point anywhere
+      return null;
+    }
+    return result.fields.length || result.shutterCount !== null ? result : null;
+  }
+
+  self.MakerNotes = { decode };
+
+})();
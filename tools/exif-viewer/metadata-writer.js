@@ -0,0 +1,535 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * EXIF VIEWER - Metadata Writer
+ *
+ * Lossless metadata edits for JPEG files: segments are dropped or replaced and
+ * the compressed image data is copied through untouched.
+ *
+ * EXIF tags are removed in place: IFDs are rewritten at the same offset and the
+ * removed values are zeroed, so every other offset in the block (including the
+ * ones maker notes use internally) stays valid. For the same reason changed IFDs
+ * are written into freed space or at the end of the block, never over live data.
+ *
+ * Exposed as self.MetadataWriter (window.MetadataWriter on the page).
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+(function() {
+  'use strict';
+
+  const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8, 13: 4 };
+
+  const TYPE_IDS = { BYTE: 1, ASCII: 2, SHORT: 3, LONG: 4, RATIONAL: 5, UNDEFINED: 7, SRATIONAL: 10 };
+
+  const POINTER_TAGS = {
+    Exif: { parent: 'IFD0', tag: 0x8769 },
+    GPS: { parent: 'IFD0', tag: 0x8825 },
+    Interop: { parent: 'Exif', tag: 0xA005 }
+  };
+
+  const EXIF_HEADER = 'Exif\0\0';
+  const XMP_HEADER = 'http://ns.adobe.com/xap/1.0/\0';
+  const MAX_SEGMENT_PAYLOAD = 0xFFFF - 2;
+
+  // ═══════════════════════════════════════════════════════════════════════════════
+  // TIFF
+  // ═══════════════════════════════════════════════════════════════════════════════
+
+  function openTiff(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const little = bytes[0] === 0x49;
+    if ((!little && bytes[0] !== 0x4D) || view.getUint16(2, little) !== 42) {
+      throw new Error('EXIF block has no valid TIFF header');
+    }
+    return {
+      bytes,
+      view,
+      little,
+      u16: (at) => view.getUint16(at, little),
+      u32: (at) => view.getUint32(at, little),
+      set16: (at, v) => view.setUint16(at, v, little),
+      set32: (at, v) => view.setUint32(at, v, little)
+    };
+  }
+
+  function readEntries(tiff, offset) {
+    if (!offset || offset + 2 > tiff.bytes.length) return [];
+    const count = tiff.u16(offset);
+    if (offset + 2 + count * 12 + 4 > tiff.bytes.length) return [];
+
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+      const at = offset + 2 + i * 12;
+      const type = tiff.u16(at + 2);
+      const size = (TYPE_SIZES[type] || 0) * tiff.u32(at + 4);
+      entries.push({
+        tag: tiff.u16(at),
+        size,
+        dataOffset: size > 4 ? tiff.u32(at + 8) : null,
+        raw: tiff.bytes.slice(at, at + 12)
+      });
+    }
+    return entries;
+  }
+
+  /**
+   * Locate IFD0, Exif, GPS, Interop and IFD1 with their entries
+   */
+  function mapIfds(tiff) {
+    const ifds = {};
+    const pointer = (group, tag) => {
+      const ifd = ifds[group];
+      const entry = ifd && ifd.entries.find(e => e.tag === tag);
+      return entry ? tiff.u32(entryValueAt(ifd, entry)) : 0;
+    };
+
+    const add = (name, offset) => {
+      if (offset && !Object.values(ifds).some(ifd => ifd.offset === offset)) {
+        ifds[name] = { offset, entries: readEntries(tiff, offset) };
+      }
+    };
+
+    add('IFD0', tiff.u32(4));
+    if (!ifds.IFD0) return ifds;
+    add('Exif', pointer('IFD0', 0x8769));
+    add('GPS', pointer('IFD0', 0x8825));
+    add('Interop', pointer('Exif', 0xA005));
+
+    const ifd0 = ifds.IFD0;
+    add('IFD1', tiff.u32(ifd0.offset + 2 + ifd0.entries.length * 12));
+    return ifds;
+  }
+
+  function entryValueAt(ifd, entry) {
+    return ifd.offset + 2 + ifd.entries.indexOf(entry) * 12 + 8;
+  }
+
+  function zero(bytes, offset, length) {
+    if (offset === null || offset + length > bytes.length) return;
+    bytes.fill(0, offset, offset + length);
+  }
+
+  /**
+   * Rewrite an IFD at its current offset with only the kept entries
+   */
+  function writeIfd(tiff, ifd, kept, nextOffset) {
+    const start = ifd.offset;
+    const oldEnd = start + 2 + ifd.entries.length * 12 + 4;
+    tiff.bytes.fill(0, start, oldEnd);
+
+    tiff.set16(start, kept.length);
+    kept.forEach((entry, i) => tiff.bytes.set(entry.raw, start + 2 + i * 12));
+    tiff.set32(start + 2 + kept.length * 12, nextOffset);
+    ifd.entries = kept;
+  }
+
+  /**
+   * Remove tags from a TIFF/EXIF block without moving anything else
+   * @param {Uint8Array} bytes - Data starting at the TIFF header (not modified)
+   * @param {Array<{ifd: string, tag: number}>} targets - Entries to remove
+   * @param {Object} [options]
+   * @param {string[]} [options.ifds] - Remove these IFDs ('Exif', 'GPS', 'Interop') entirely
+   * @param {boolean} [options.thumbnail] - Also remove IFD1 and its embedded JPEG
+   * @returns {Uint8Array} The edited copy, same length as the input
+   */
+  function removeTags(bytes, targets, options = {}) {
+    const tiff = openTiff(bytes.slice());
+    const ifds = mapIfds(tiff);
+    const removed = new Set(targets.map(t => `${t.ifd}:${t.tag}`));
+    for (const name of options.ifds || []) {
+      if (ifds[name]) ifds[name].entries.forEach(e => removed.add(`${name}:${e.tag}`));
+    }
+
+    // Children first, so emptied sub-IFDs also lose their pointer
+    for (const name of ['Interop', 'GPS', 'Exif']) {
+      const ifd = ifds[name];
+      if (!ifd) continue;
+      const kept = ifd.entries.filter(e => !removed.has(`${name}:${e.tag}`));
+      if (kept.length === 0) removed.add(`${POINTER_TAGS[name].parent}:${POINTER_TAGS[name].tag}`);
+    }
+
+    let nextOffset = ifds.IFD1 ? ifds.IFD1.offset : 0;
+    if (options.thumbnail && ifds.IFD1) {
+      const ifd1 = ifds.IFD1;
+      const start = ifd1.entries.find(e => e.tag === 0x0201);
+      const length = ifd1.entries.find(e => e.tag === 0x0202);
+      if (start && length) {
+        zero(tiff.bytes, tiff.u32(entryValueAt(ifd1, start)), tiff.u32(entryValueAt(ifd1, length)));
+      }
+      for (const entry of ifd1.entries) zero(tiff.bytes, entry.dataOffset, entry.size);
+      tiff.bytes.fill(0, ifd1.offset, ifd1.offset + 2 + ifd1.entries.length * 12 + 4);
+      nextOffset = 0;
+    }
+
+    for (const name of ['IFD0', 'Exif', 'GPS', 'Interop']) {
+      const ifd = ifds[name];
+      if (!ifd) continue;
+      const kept = [];
+      for (const entry of ifd.entries) {
+        if (removed.has(`${name}:${entry.tag}`)) zero(tiff.bytes, entry.dataOffset, entry.size);
+        else kept.push(entry);
+      }
+      if (kept.length !== ifd.entries.length) {
+        const next = name === 'IFD0' ? nextOffset : tiff.u32(ifd.offset + 2 + ifd.entries.length * 12);
+        writeIfd(tiff, ifd, kept, next);
+      } else if (name === 'IFD0' && nextOffset === 0) {
+        tiff.set32(ifd.offset + 2 + ifd.entries.length * 12, 0);
+      }
+    }
+    return tiff.bytes;
+  }
+
+  /**
+   * Encode a value as the bytes of one TIFF type
+   * @param {string} type - A TYPE_IDS key
+   * @param {*} value - Text for ASCII, numbers for BYTE/SHORT/LONG,
+   *   [numerator, denominator] pairs for RATIONAL/SRATIONAL
+   */
+  function encodeValue(type, value, little) {
+    if (type === 'ASCII') {
+      const text = new TextEncoder().encode(String(value));
+      const out = new Uint8Array(text.length + 1);
+      out.set(text);
+      return { data: out, count: out.length };
+    }
+
+    const values = type === 'RATIONAL' || type === 'SRATIONAL'
+      ? (Array.isArray(value[0]) ? value : [value])
+      : [].concat(value);
+    const size = TYPE_SIZES[TYPE_IDS[type]];
+    const data = new Uint8Array(values.length * size);
+    const view = new DataView(data.buffer);
+
+    values.forEach((v, i) => {
+      const at = i * size;
+      switch (type) {
+        case 'BYTE':
+        case 'UNDEFINED': view.setUint8(at, v); break;
+        case 'SHORT': view.setUint16(at, v, little); break;
+        case 'LONG': view.setUint32(at, v, little); break;
+        case 'RATIONAL':
+          view.setUint32(at, v[0], little);
+          view.setUint32(at + 4, v[1], little);
+          break;
+        case 'SRATIONAL':
+          view.setInt32(at, v[0], little);
+          view.setInt32(at + 4, v[1], little);
+          break;
+      }
+    });
+    return { data, count: values.length };
+  }
+
+  function emptyTiff() {
+    // Big-endian header pointing at an IFD0 with no entries
+    return new Uint8Array([0x4D, 0x4D, 0x00, 0x2A, 0, 0, 0, 8, 0, 0, 0, 0, 0, 0]);
+  }
+
+  /**
+   * Set or remove EXIF tags. Changed IFDs and new values go into the space
+   * freed by what they replace, or after the existing data; freed space at the
+   * end of the block is cut off first, so repeated edits don't keep growing it.
+   * @param {Uint8Array|null} bytes - Data starting at the TIFF header, or null to start a new block
+   * @param {Array<{ifd: string, tag: number, type?: string, value: *}>} changes -
+   *   ifd is 'IFD0', 'Exif' or 'GPS'; a null value removes the tag
+   * @returns {Uint8Array}
+   */
+  function setTags(bytes, changes) {
+    const tiff = openTiff(bytes && bytes.length ? bytes.slice() : emptyTiff());
+    const ifds = mapIfds(tiff);
+    let free = []; // { start, end } ranges nothing points to any more
+    const placed = [];
+    let end = tiff.bytes.length;
+
+    const release = (offset, length) => {
+      if (offset === null || offset + length > tiff.bytes.length) return;
+      tiff.bytes.fill(0, offset, offset + length);
+      free.push({ start: offset, end: offset + length });
+    };
+
+    // Merge the freed ranges and drop the ones the block ends with
+    const trimEnd = () => {
+      free.sort((a, b) => a.start - b.start);
+      const merged = [];
+      for (const range of free) {
+        const last = merged[merged.length - 1];
+        // A one-byte gap is only padding: nothing stored out of line is that small
+        if (last && range.start <= last.end + 1) last.end = Math.max(last.end, range.end);
+        else merged.push({ ...range });
+      }
+      while (merged.length && merged[merged.length - 1].end + 1 >= end) end = merged.pop().start;
+      end += end % 2;
+      free = merged;
+    };
+
+    /**
+     * Store data at an even offset, in the smallest freed range it fits
+     * @returns {number} Its offset
+     */
+    const place = (data) => {
+      let best = null;
+      for (const range of free) {
+        const at = range.start + (range.start % 2);
+        if (at + data.length <= range.end && (!best || range.end - range.start < best.end - best.start)) {
+          best = range;
+        }
+      }
+
+      let at;
+      if (best) {
+        at = best.start + (best.start % 2);
+        best.start = Math.min(at + data.length + (data.length % 2), best.end);
+      } else {
+        at = end;
+        end = at + data.length + (data.length % 2);
+      }
+      placed.push({ at, data });
+      return at;
+    };
+
+    const makeEntry = (tag, type, value) => {
+      const { data, count } = encodeValue(type, value, tiff.little);
+      const raw = new Uint8Array(12);
+      const view = new DataView(raw.buffer);
+      view.setUint16(0, tag, tiff.little);
+      view.setUint16(2, TYPE_IDS[type], tiff.little);
+      view.setUint32(4, count, tiff.little);
+      if (data.length <= 4) raw.set(data, 8);
+      else view.setUint32(8, place(data), tiff.little);
+      return { tag, raw };
+    };
+
+    /**
+     * Free an IFD's table and the values of the tags about to change
+     * @returns {Map<number, Object>} Its entries by tag
+     */
+    const clear = (name, ifdChanges) => {
+      const ifd = ifds[name];
+      const entries = new Map((ifd ? ifd.entries : []).map(e => [e.tag, e]));
+      for (const change of ifdChanges) {
+        const old = entries.get(change.tag);
+        if (old) release(old.dataOffset, old.size);
+      }
+      if (ifd) release(ifd.offset, 2 + ifd.entries.length * 12 + 4);
+      return entries;
+    };
+
+    /**
+     * Merge changes into a cleared IFD and write its table
+     * @returns {number} The new offset, or 0 when the IFD ended up empty
+     */
+    const write = (entries, ifdChanges, nextOffset, keepEmpty) => {
+      for (const change of ifdChanges) {
+        entries.delete(change.tag);
+        if (change.value !== null && change.value !== undefined) {
+          entries.set(change.tag, makeEntry(change.tag, change.type, change.value));
+        }
+      }
+      if (entries.size === 0 && !keepEmpty) return 0;
+
+      const sorted = [...entries.values()].sort((a, b) => a.tag - b.tag);
+      const table = new Uint8Array(2 + sorted.length * 12 + 4);
+      const view = new DataView(table.buffer);
+      view.setUint16(0, sorted.length, tiff.little);
+      sorted.forEach((entry, i) => table.set(entry.raw, 2 + i * 12));
+      view.setUint32(2 + sorted.length * 12, nextOffset, tiff.little);
+      return place(table);
+    };
+
+    const ifd0Changes = changes.filter(c => c.ifd === 'IFD0');
+    const subIfds = ['Exif', 'GPS']
+      .map(name => ({ name, ifdChanges: changes.filter(c => c.ifd === name) }))
+      .filter(sub => sub.ifdChanges.length);
+    const ifd0 = ifds.IFD0;
+    const ifd1Offset = ifd0 ? tiff.u32(ifd0.offset + 2 + ifd0.entries.length * 12) : 0;
+
+    // Free everything that is replaced before placing anything new
+    for (const sub of subIfds) sub.entries = clear(sub.name, sub.ifdChanges);
+    const ifd0Entries = ifd0Changes.length || subIfds.length ? clear('IFD0', ifd0Changes) : null;
+    trimEnd();
+
+    for (const sub of subIfds) {
+      const offset = write(sub.entries, sub.ifdChanges, 0, false);
+      ifd0Changes.push({ tag: POINTER_TAGS[sub.name].tag, type: 'LONG', value: offset || null });
+    }
+    if (ifd0Entries) tiff.set32(4, write(ifd0Entries, ifd0Changes, ifd1Offset, true));
+
+    const out = new Uint8Array(end);
+    out.set(tiff.bytes.subarray(0, Math.min(end, tiff.bytes.length)));
+    for (const { at, data } of placed) out.set(data, at);
+    return out;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════════
+  // XMP
+  // ═══════════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Remove properties in one namespace from an XMP packet, in both the
+   * attribute (`exif:GPSLatitude="..."`) and element forms
+   * @param {string} packet
+   * @param {string} namespace - Namespace URI
+   * @param {(name: string) => boolean} matches - Given the local property name
+   */
+  function removeXmpProperties(packet, namespace, matches) {
+    const prefixes = [...packet.matchAll(/xmlns:([\w.-]+)\s*=\s*("([^"]*)"|'([^']*)')/g)]
+      .filter(m => (m[3] ?? m[4]) === namespace)
+      .map(m => m[1]);
+
+    for (const prefix of new Set(prefixes)) {
+      const p = prefix.replace(/[.-]/g, '\\$&');
+      packet = packet
+        .replace(new RegExp(`\\s${p}:([\\w.-]+)\\s*=\\s*("[^"]*"|'[^']*')`, 'g'), (m, name) => matches(name) ? '' : m)
+        .replace(new RegExp(`\\s*<${p}:([\\w.-]+)\\b[^>]*?(?:/>|>[\\s\\S]*?</${p}:\\1\\s*>)`, 'g'), (m, name) => matches(name) ? '' : m);
+    }
+    return packet;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════════
+  // JPEG
+  // ═══════════════════════════════════════════════════════════════════════════════
+
+  function startsWith(bytes, offset, text) {
+    if (offset + text.length > bytes.length) return false;
+    for (let i = 0; i < text.length; i++) {
+      if (bytes[offset + i] !== text.charCodeAt(i)) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Name the metadata a JPEG marker segment carries
+   * @returns {string} 'exif', 'xmp', 'xmp-extension', 'iptc', 'icc', 'comment', 'app' or 'other'
+   */
+  function classifySegment(bytes, marker, start) {
+    if (marker === 0xE1 && startsWith(bytes, start, 'Exif\0')) return 'exif';
+    if (marker === 0xE1 && startsWith(bytes, start, XMP_HEADER)) return 'xmp';
+    if (marker === 0xE1 && startsWith(bytes, start, 'http://ns.adobe.com/xmp/extension/\0')) return 'xmp-extension';
+    if (marker === 0xED) return 'iptc';
+    if (marker === 0xE2 && startsWith(bytes, start, 'ICC_PROFILE\0')) return 'icc';
+    if (marker === 0xFE) return 'comment';
+    // APP0 (JFIF), APP2 (ICC, MPF) and APP14 (Adobe colour transform) affect decoding
+    if (marker >= 0xE0 && marker <= 0xEF && ![0xE0, 0xE2, 0xEE].includes(marker)) return 'app';
+    return 'other';
+  }
+
+  function buildSegment(marker, header, payload) {
+    const length = header.length + payload.length;
+    if (length > MAX_SEGMENT_PAYLOAD) {
+      throw new Error(`Metadata is too large for a JPEG segment (${length} bytes)`);
+    }
+    const out = new Uint8Array(4 + length);
+    out[0] = 0xFF;
+    out[1] = marker;
+    out[2] = (length + 2) >> 8;
+    out[3] = (length + 2) & 0xFF;
+    for (let i = 0; i < header.length; i++) out[4 + i] = header.charCodeAt(i);
+    out.set(payload, 4 + header.length);
+    return out;
+  }
+
+  /**
+   * Rebuild a JPEG with its metadata segments dropped or replaced
+   * @param {Uint8Array} bytes - The original file
+   * @param {Object} edits - For exif, xmp and iptc: undefined keeps the segment,
+   *   null drops it, and a value replaces it (exif: TIFF bytes, xmp: packet text)
+   * @param {boolean} [edits.strip] - Also drop comments and other APPn segments
+   * @returns {Uint8Array}
+   */
+  function rewriteJpeg(bytes, edits) {
+    if (bytes[0] !== 0xFF || bytes[1] !== 0xD8) throw new Error('Not a JPEG file');
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const parts = [bytes.subarray(0, 2)];
+    const pending = {
+      exif: edits.exif ? buildSegment(0xE1, EXIF_HEADER, edits.exif) : null,
+      xmp: typeof edits.xmp === 'string' ? buildSegment(0xE1, XMP_HEADER, new TextEncoder().encode(edits.xmp)) : null
+    };
+    let offset = 2;
+    let insertAt = 1;
+
+    const place = (kind) => {
+      if (pending[kind]) parts.push(pending[kind]);
+      pending[kind] = null;
+    };
+
+    while (offset + 4 <= bytes.length && bytes[offset] === 0xFF) {
+      const marker = bytes[offset + 1];
+      if (marker === 0xDA || marker === 0xD9) break;
+      if (marker === 0xFF || (marker >= 0xD0 && marker <= 0xD7) || marker === 0x01) {
+        parts.push(bytes.subarray(offset, offset + (marker === 0xFF ? 1 : 2)));
+        offset += marker === 0xFF ? 1 : 2;
+        continue;
+      }
+
+      const end = offset + 2 + view.getUint16(offset + 2);
+      if (end > bytes.length) throw new Error('JPEG segment runs past the end of the file');
+      const kind = classifySegment(bytes, marker, offset + 4);
+      const segment = bytes.subarray(offset, end);
+      offset = end;
+
+      if (kind === 'exif' || kind === 'xmp') {
+        if (edits[kind] === undefined) parts.push(segment);
+        else place(kind);
+      } else if (kind === 'xmp-extension') {
+        if (edits.xmp === undefined && !edits.strip) parts.push(segment);
+      } else if (kind === 'iptc') {
+        if (edits.iptc !== null && !edits.strip) parts.push(segment);
+      } else if (edits.strip && (kind === 'comment' || kind === 'app')) {
+        continue;
+      } else {
+        parts.push(segment);
+        // New EXIF/XMP goes right after JFIF, where readers expect it
+        if (marker === 0xE0) insertAt = parts.length;
+      }
+    }
+
+    const leftovers = [pending.exif, pending.xmp].filter(Boolean);
+    parts.splice(insertAt, 0, ...leftovers);
+    parts.push(bytes.subarray(offset));
+
+    const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+    let at = 0;
+    for (const part of parts) {
+      out.set(part, at);
+      at += part.length;
+    }
+    return out;
+  }
+
+  /**
+   * Find the EXIF (TIFF) and XMP payloads in a JPEG
+   * @returns {{exif: Uint8Array|null, xmp: string|null}}
+   */
+  function readJpegPayloads(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const found = { exif: null, xmp: null };
+    let offset = 2;
+
+    while (offset + 4 <= bytes.length && bytes[offset] === 0xFF) {
+      const marker = bytes[offset + 1];
+      if (marker === 0xDA || marker === 0xD9) break;
+      if (marker === 0xFF || (marker >= 0xD0 && marker <= 0xD7) || marker === 0x01) {
+        offset += marker === 0xFF ? 1 : 2;
+        continue;
+      }
+      const end = offset + 2 + view.getUint16(offset + 2);
+      const kind = classifySegment(bytes, marker, offset + 4);
+      if (kind === 'exif' && !found.exif) found.exif = bytes.slice(offset + 4 + EXIF_HEADER.length, end);
+      if (kind === 'xmp' && found.xmp === null) {
+        found.xmp = new TextDecoder().decode(bytes.subarray(offset + 4 + XMP_HEADER.length, end));
+      }
+      offset = end;
+    }
+    return found;
+  }
+
+  self.MetadataWriter = {
+    removeTags,
+    setTags,
+    removeXmpProperties,
+    rewriteJpeg,
+    readJpegPayloads
+  };
+
+})();
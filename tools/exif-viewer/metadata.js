@@ -0,0 +1,1439 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * EXIF VIEWER - Metadata Parser
+ *
+ * Reads EXIF, XMP, IPTC and ICC metadata straight from the file bytes:
+ *   - JPEG (APP1 Exif/XMP, APP13 Photoshop IPTC, APP2 ICC profile)
+ *   - TIFF and TIFF-based RAW (DNG, CR2, NEF, ARW)
+ *   - HEIC/HEIF/AVIF (Exif and XMP items, colr ICC property)
+ *   - PNG (eXIf, iTXt XMP, iCCP, ImageMagick raw profile text chunks)
+ *   - WebP (EXIF, XMP and ICCP chunks)
+ *
+ * Only relies on globals available in workers too (no DOM), and is exposed as
+ * self.ImageMetadata (window.ImageMetadata on the page).
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+(function() {
+  'use strict';
+
+  const FORMAT_LABELS = {
+    jpeg: 'JPEG',
+    tiff: 'TIFF',
+    dng: 'DNG',
+    cr2: 'Canon CR2',
+    nef: 'Nikon NEF',
+    arw: 'Sony ARW',
+    heic: 'HEIC',
+    avif: 'AVIF',
+    png: 'PNG',
+    webp: 'WebP'
+  };
+
+  const HEIF_BRANDS = ['heic', 'heix', 'heim', 'heis', 'hevc', 'hevx', 'mif1', 'mif2', 'msf1'];
+  const AVIF_BRANDS = ['avif', 'avis'];
+
+  // ═══════════════════════════════════════════════════════════════════════════════
+  // TAG NAMES
+  // ═══════════════════════════════════════════════════════════════════════════════
+
+  // Names follow exif-js, which the viewer used before, so existing keys still match
+
+  const TIFF_TAGS = {
+    0x00FE: 'NewSubfileType',
+    0x0100: 'ImageWidth',
+    0x0101: 'ImageHeight',
+    0x0102: 'BitsPerSample',
+    0x0103: 'Compression',
+    0x0106: 'PhotometricInterpretation',
+    0x010E: 'ImageDescription',
+    0x010F: 'Make',
+    0x0110: 'Model',
+    0x0111: 'StripOffsets',
+    0x0112: 'Orientation',
+    0x0115: 'SamplesPerPixel',
+    0x0116: 'RowsPerStrip',
+    0x0117: 'StripByteCounts',
+    0x011A: 'XResolution',
+    0x011B: 'YResolution',
+    0x011C: 'PlanarConfiguration',
+    0x0128: 'ResolutionUnit',
+    0x012D: 'TransferFunction',
+    0x0131: 'Software',
+    0x0132: 'DateTime',
+    0x013B: 'Artist',
+    0x013E: 'WhitePoint',
+    0x013F: 'PrimaryChromaticities',
+    0x014A: 'SubIFDs',
+    0x0201: 'JPEGInterchangeFormat',
+    0x0202: 'JPEGInterchangeFormatLength',
+    0x0211: 'YCbCrCoefficients',
+    0x0212: 'YCbCrSubSampling',
+    0x0213: 'YCbCrPositioning',
+    0x0214: 'ReferenceBlackWhite',
+    0x02BC: 'ApplicationNotes',
+    0x4746: 'Rating',
+    0x8298: 'Copyright',
+    0x83BB: 'IPTC-NAA',
+    0x8769: 'ExifIFDPointer',
+    0x8773: 'InterColorProfile',
+    0x8825: 'GPSInfoIFDPointer',
+    0x9C9B: 'XPTitle',
+    0x9C9C: 'XPComment',
+    0x9C9D: 'XPAuthor',
+    0x9C9E: 'XPKeywords',
+    0x9C9F: 'XPSubject',
+    0xC612: 'DNGVersion',
+    0xC614: 'UniqueCameraModel'
+  };
+
+  const EXIF_TAGS = {
+    0x829A: 'ExposureTime',
+    0x829D: 'FNumber',
+    0x8822: 'ExposureProgram',
+    0x8824: 'SpectralSensitivity',
+    0x8827: 'ISOSpeedRatings',
+    0x8828: 'OECF',
+    0x8830: 'SensitivityType',
+    0x8832: 'RecommendedExposureIndex',
+    0x9000: 'ExifVersion',
+    0x9003: 'DateTimeOriginal',
+    0x9004: 'DateTimeDigitized',
+    0x9010: 'OffsetTime',
+    0x9011: 'OffsetTimeOriginal',
+    0x9012: 'OffsetTimeDigitized',
+    0x9101: 'ComponentsConfiguration',
+    0x9102: 'CompressedBitsPerPixel',
+    0x9201: 'ShutterSpeedValue',
+    0x9202: 'ApertureValue',
+    0x9203: 'BrightnessValue',
+    0x9204: 'ExposureBias',
+    0x9205: 'MaxApertureValue',
+    0x9206: 'SubjectDistance',
+    0x9207: 'MeteringMode',
+    0x9208: 'LightSource',
+    0x9209: 'Flash',
+    0x920A: 'FocalLength',
+    0x9214: 'SubjectArea',
+    0x927C: 'MakerNote',
+    0x9286: 'UserComment',
+    0x9290: 'SubsecTime',
+    0x9291: 'SubsecTimeOriginal',
+    0x9292: 'SubsecTimeDigitized',
+    0xA000: 'FlashpixVersion',
+    0xA001: 'ColorSpace',
+    0xA002: 'PixelXDimension',
+    0xA003: 'PixelYDimension',
+    0xA004: 'RelatedSoundFile',
+    0xA005: 'InteroperabilityIFDPointer',
+    0xA20B: 'FlashEnergy',
+    0xA20C: 'SpatialFrequencyResponse',
+    0xA20E: 'FocalPlaneXResolution',
+    0xA20F: 'FocalPlaneYResolution',
+    0xA210: 'FocalPlaneResolutionUnit',
+    0xA214: 'SubjectLocation',
+    0xA215: 'ExposureIndex',
+    0xA217: 'SensingMethod',
+    0xA300: 'FileSource',
+    0xA301: 'SceneType',
+    0xA302: 'CFAPattern',
+    0xA401: 'CustomRendered',
+    0xA402: 'ExposureMode',
+    0xA403: 'WhiteBalance',
+    0xA404: 'DigitalZoomRatio',
+    0xA405: 'FocalLengthIn35mmFilm',
+    0xA406: 'SceneCaptureType',
+    0xA407: 'GainControl',
+    0xA408: 'Contrast',
+    0xA409: 'Saturation',
+    0xA40A: 'Sharpness',
+    0xA40B: 'DeviceSettingDescription',
+    0xA40C: 'SubjectDistanceRange',
+    0xA420: 'ImageUniqueID',
+    0xA430: 'CameraOwnerName',
+    0xA431: 'BodySerialNumber',
+    0xA432: 'LensSpecification',
+    0xA433: 'LensMake',
+    0xA434: 'LensModel',
+    0xA435: 'LensSerialNumber',
+    0xA460: 'CompositeImage'
+  };
+
+  const GPS_TAGS = {
+    0x0000: 'GPSVersionID',
+    0x0001: 'GPSLatitudeRef',
+    0x0002: 'GPSLatitude',
+    0x0003: 'GPSLongitudeRef',
+    0x0004: 'GPSLongitude',
+    0x0005: 'GPSAltitudeRef',
+    0x0006: 'GPSAltitude',
+    0x0007: 'GPSTimeStamp',
+    0x0008: 'GPSSatellites',
+    0x0009: 'GPSStatus',
+    0x000A: 'GPSMeasureMode',
+    0x000B: 'GPSDOP',
+    0x000C: 'GPSSpeedRef',
+    0x000D: 'GPSSpeed',
+    0x000E: 'GPSTrackRef',
+    0x000F: 'GPSTrack',
+    0x0010: 'GPSImgDirectionRef',
+    0x0011: 'GPSImgDirection',
+    0x0012: 'GPSMapDatum',
+    0x0013: 'GPSDestLatitudeRef',
+    0x0014: 'GPSDestLatitude',
+    0x0015: 'GPSDestLongitudeRef',
+    0x0016: 'GPSDestLongitude',
+    0x0017: 'GPSDestBearingRef',
+    0x0018: 'GPSDestBearing',
+    0x0019: 'GPSDestDistanceRef',
+    0x001A: 'GPSDestDistance',
+    0x001B: 'GPSProcessingMethod',
+    0x001C: 'GPSAreaInformation',
+    0x001D: 'GPSDateStamp',
+    0x001E: 'GPSDifferential',
+    0x001F: 'GPSHPositioningError'
+  };
+
+  const INTEROP_TAGS = {
+    0x0001: 'InteroperabilityIndex',
+    0x0002: 'InteroperabilityVersion'
+  };
+
+  const IFD_TAGS = {
+    IFD0: TIFF_TAGS,
+    IFD1: TIFF_TAGS,
+    Exif: EXIF_TAGS,
+    GPS: GPS_TAGS,
+    Interop: INTEROP_TAGS
+  };
+
+  // Pointers and embedded blocks that are followed rather than listed as tags
+  const STRUCTURAL_TAGS = new Set([
+    'ExifIFDPointer', 'GPSInfoIFDPointer', 'InteroperabilityIFDPointer', 'SubIFDs',
+    'ApplicationNotes', 'IPTC-NAA', 'InterColorProfile'
+  ]);
+
+  // UNDEFINED values that are really text
+  const VERSION_TAGS = new Set(['ExifVersion', 'FlashpixVersion', 'InteroperabilityVersion']);
+  const CHARSET_TAGS = new Set(['UserComment', 'GPSProcessingMethod', 'GPSAreaInformation']);
+  const XP_TAGS = new Set(['XPTitle', 'XPComment', 'XPAuthor', 'XPKeywords', 'XPSubject']);
+
+  const TYPE_NAMES = {
+    1: 'BYTE', 2: 'ASCII', 3: 'SHORT', 4: 'LONG', 5: 'RATIONAL', 6: 'SBYTE', 7: 'UNDEFINED',
+    8: 'SSHORT', 9: 'SLONG', 10: 'SRATIONAL', 11: 'FLOAT', 12: 'DOUBLE', 13: 'IFD'
+  };
+
+  const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8, 13: 4 };
+
+  // Guards against corrupt offsets and IFD loops
+  const MAX_IFD_ENTRIES = 1000;
+  const MAX_SUB_IFDS = 8;
+
+  // ═══════════════════════════════════════════════════════════════════════════════
+  // BYTE HELPERS
+  // ═══════════════════════════════════════════════════════════════════════════════
+
+  const utf8 = new TextDecoder('utf-8');
+  const latin1 = new TextDecoder('latin1');
+
+  function ascii(bytes, start, length) {
+    return latin1.decode(bytes.subarray(start, start + length));
+  }
+
+  function startsWith(bytes, offset, text) {
+    if (offset + text.length > bytes.length) return false;
+    for (let i = 0; i < text.length; i++) {
+      if (bytes[offset + i] !== text.charCodeAt(i)) return false;
+    }
+    return true;
+  }
+
+  function indexOfByte(bytes, value, from) {
+    const i = bytes.indexOf(value, from);
+    return i === -1 ? bytes.length : i;
+  }
+
+  function trimNulls(text) {
+    return text.replace(/\0[\s\S]*$/, '').trim();
+  }
+
+  function view(bytes) {
+    return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  }
+
+  /**
+   * Inflate zlib data (PNG zTXt/iTXt/iCCP and friends)
+   * @returns {Promise<Uint8Array>}
+   */
+  async function inflate(bytes) {
+    if (typeof DecompressionStream === 'undefined') {
+      throw new Error('This browser cannot decompress PNG metadata');
+    }
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════════
+  // FORMAT DETECTION
+  // ═══════════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Identify the container from its first bytes
+   * @param {Uint8Array} bytes - The file, or at least its first 4 KB
+   * @returns {string|null} A FORMAT_LABELS key
+   */
+  function detectFormat(bytes) {
+    if (bytes[0] === 0xFF && bytes[1] === 0xD8 && bytes[2] === 0xFF) return 'jpeg';
+    if (startsWith(bytes, 0, '\x89PNG\r\n\x1a\n')) return 'png';
+    if (startsWith(bytes, 0, 'RIFF') && startsWith(bytes, 8, 'WEBP')) return 'webp';
+    if (startsWith(bytes, 4, 'ftyp')) return detectBmffBrand(bytes);
+    if (startsWith(bytes, 0, 'II*\0') || startsWith(bytes, 0, 'MM\0*')) return detectTiffFlavor(bytes);
+    return null;
+  }
+
+  function detectBmffBrand(bytes) {
+    const size = Math.min(view(bytes).getUint32(0), bytes.length);
+    const brands = [ascii(bytes, 8, 4)];
+    for (let i = 16; i + 4 <= size; i += 4) brands.push(ascii(bytes, i, 4));
+    if (brands.some(b => AVIF_BRANDS.includes(b))) return 'avif';
+    if (brands.some(b => HEIF_BRANDS.includes(b))) return 'heic';
+    return null;
+  }
+
+  function detectTiffFlavor(bytes) {
+    if (startsWith(bytes, 8, 'CR')) return 'cr2';
+
+    const tiff = readTiffHeader(bytes);
+    if (!tiff) return 'tiff';
+    const ifd0 = readIfdEntries(tiff, tiff.ifd0Offset);
+    if (ifd0.some(e => e.tag === 0xC612)) return 'dng';
+
+    const make = ifd0.find(e => e.tag === 0x010F);
+    const makeText = make ? String(readValue(tiff, make).value).toUpperCase() : '';
+    if (makeText.startsWith('NIKON')) return 'nef';
+    if (makeText.startsWith('SONY')) return 'arw';
+    return 'tiff';
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════════
+  // TIFF / EXIF
+  // ═══════════════════════════════════════════════════════════════════════════════
+
+  /**
+   * @param {Uint8Array} bytes - Data starting at the TIFF header
+   * @returns {{bytes: Uint8Array, view: DataView, little: boolean, ifd0Offset: number}|null}
+   */
+  function readTiffHeader(bytes) {
+    if (bytes.length < 8) return null;
+    let little;
+    if (bytes[0] === 0x49 && bytes[1] === 0x49) little = true;
+    else if (bytes[0] === 0x4D && bytes[1] === 0x4D) little = false;
+    else return null;
+
+    const dv = view(bytes);
+    if (dv.getUint16(2, little) !== 42) return null;
+    return { bytes, view: dv, little, ifd0Offset: dv.getUint32(4, little) };
+  }
+
+  function readIfdEntries(tiff, offset) {
+    const { view: dv, little, bytes } = tiff;
+    if (!offset || offset + 2 > bytes.length) return [];
+
+    const count = dv.getUint16(offset, little);
+    if (count > MAX_IFD_ENTRIES || offset + 2 + count * 12 > bytes.length) return [];
+
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+      const at = offset + 2 + i * 12;
+      const type = dv.getUint16(at + 2, little);
+      const valueCount = dv.getUint32(at + 4, little);
+      const size = (TYPE_SIZES[type] || 0) * valueCount;
+      if (!TYPE_SIZES[type]) continue;
+
+      const valueOffset = size <= 4 ? at + 8 : dv.getUint32(at + 8, little);
+      if (valueOffset + size > bytes.length) continue;
+      entries.push({ tag: dv.getUint16(at, little), type, count: valueCount, valueOffset, entryOffset: at });
+    }
+    return entries;
+  }
+
+  function nextIfdOffset(tiff, offset) {
+    const { view: dv, little, bytes } = tiff;
+    if (!offset || offset + 2 > bytes.length) return 0;
+    const end = offset + 2 + dv.getUint16(offset, little) * 12;
+    return end + 4 <= bytes.length ? dv.getUint32(end, little) : 0;
+  }
+
+  /**
+   * Decode one IFD entry
+   * @returns {{value: *, raw: Array|undefined}} raw keeps rationals as [numerator, denominator]
+   */
+  function readValue(tiff, entry) {
+    const { view: dv, little, bytes } = tiff;
+    const { type, count, valueOffset: at } = entry;
+
+    if (type === 2) {
+      return { value: trimNulls(utf8.decode(bytes.subarray(at, at + count))) };
+    }
+    if (type === 1 || type === 7) {
+      return { value: bytes.slice(at, at + count) };
+    }
+
+    const values = [];
+    let raw;
+    const size = TYPE_SIZES[type];
+    for (let i = 0; i < count; i++) {
+      const p = at + i * size;
+      switch (type) {
+        case 3: values.push(dv.getUint16(p, little)); break;
+        case 4:
+        case 13: values.push(dv.getUint32(p, little)); break;
+        case 6: values.push(dv.getInt8(p)); break;
+        case 8: values.push(dv.getInt16(p, little)); break;
+        case 9: values.push(dv.getInt32(p, little)); break;
+        case 11: values.push(dv.getFloat32(p, little)); break;
+        case 12: values.push(dv.getFloat64(p, little)); break;
+        case 5:
+        case 10: {
+          const num = type === 5 ? dv.getUint32(p, little) : dv.getInt32(p, little);
+          const den = type === 5 ? dv.getUint32(p + 4, little) : dv.getInt32(p + 4, little);
+          (raw = raw || []).push([num, den]);
+          values.push(den === 0 ? 0 : num / den);
+          break;
+        }
+      }
+    }
+    return { value: count === 1 ? values[0] : values, raw };
+  }
+
+  /**
+   * Turn raw BYTE/UNDEFINED values into what the tag actually holds
+   */
+  function interpretBytes(name, bytes) {
+    if (name === 'MakerNote') return bytes;
+    if (VERSION_TAGS.has(name)) return ascii(bytes, 0, bytes.length);
+    if (XP_TAGS.has(name)) return trimNulls(new TextDecoder('utf-16le').decode(bytes));
+    if (CHARSET_TAGS.has(name)) return decodeCharsetText(bytes);
+    return bytes.length === 1 ? bytes[0] : Array.from(bytes);
+  }
+
+  // UserComment style: 8-byte character code, then the text
+  function decodeCharsetText(bytes) {
+    const code = ascii(bytes, 0, 8);
+    const body = bytes.subarray(8);
+    if (code.startsWith('UNICODE')) {
+      const bom = body[0] === 0xFE && body[1] === 0xFF;
+      return trimNulls(new TextDecoder(bom ? 'utf-16be' : 'utf-16le').decode(body));
+    }
+    return trimNulls(utf8.decode(code.startsWith('ASCII') || code === '\0'.repeat(8) ? body : bytes));
+  }
+
+  /**
+   * Read one IFD with a given byte order, for vendor blocks such as maker notes
+   * that embed their own IFDs
+   * @param {Uint8Array} bytes - Data the IFD's offsets count from
+   * @returns {Array<{tag, type, count, value, raw, valueOffset}>} UNDEFINED and BYTE values stay as bytes
+   */
+  function readIfd(bytes, offset, littleEndian) {
+    const tiff = { bytes, view: view(bytes), little: littleEndian };
+    return readIfdEntries(tiff, offset).map(entry => ({ ...entry, ...readValue(tiff, entry) }));
+  }
+
+  /**
+   * Read every IFD reachable from the TIFF header
+   * @param {Uint8Array} bytes - Data starting at the TIFF header
+   * @returns {{tags: Object, fields: Array, xmp: string|null, iptc: Uint8Array|null,
+   *   icc: Uint8Array|null, width: number, height: number, previews: Array, littleEndian: boolean}|null}
+   */
+  function readTiff(bytes) {
+    const tiff = readTiffHeader(bytes);
+    if (!tiff) return null;
+
+    const result = {
+      tags: {},
+      fields: [],
+      xmp: null,
+      iptc: null,
+      icc: null,
+      width: 0,
+      height: 0,
+      previews: [],
+      littleEndian: tiff.little
+    };
+    const visited = new Set();
+
+    function readIfd(offset, group) {
+      if (!offset || visited.has(offset)) return null;
+      visited.add(offset);
+
+      const values = {};
+      for (const entry of readIfdEntries(tiff, offset)) {
+        const name = IFD_TAGS[group][entry.tag] || `Unknown_0x${entry.tag.toString(16).padStart(4, '0')}`;
+        const { value: decoded, raw } = readValue(tiff, entry);
+        const value = decoded instanceof Uint8Array ? interpretBytes(name, decoded) : decoded;
+        values[name] = value;
+
+        result.fields.push({
+          ifd: group,
+          tag: entry.tag,
+          name,
+          type: TYPE_NAMES[entry.type],
+          count: entry.count,
+          value,
+          raw,
+          valueOffset: entry.valueOffset,
+          entryOffset: entry.entryOffset
+        });
+      }
+      return values;
+    }
+
+    const ifd0 = readIfd(tiff.ifd0Offset, 'IFD0') || {};
+    const exif = readIfd(ifd0.ExifIFDPointer, 'Exif') || {};
+    const gps = readIfd(ifd0.GPSInfoIFDPointer, 'GPS') || {};
+    const interop = readIfd(exif.InteroperabilityIFDPointer, 'Interop') || {};
+
+    const ifd1Offset = nextIfdOffset(tiff, tiff.ifd0Offset);
+    const ifd1 = readIfd(ifd1Offset, 'IFD1');
+
+    for (const values of [ifd0, exif, gps, interop]) {
+      for (const [name, value] of Object.entries(values)) {
+        if (!STRUCTURAL_TAGS.has(name) && !name.startsWith('Unknown_')) result.tags[name] = value;
+      }
+    }
+
+    // Embedded XMP, IPTC and ICC blocks (TIFF, DNG and RAW files)
+    const block = (tag) => {
+      const entry = readIfdEntries(tiff, tiff.ifd0Offset).find(e => e.tag === tag);
+      return entry ? bytes.slice(entry.valueOffset, entry.valueOffset + entry.count * TYPE_SIZES[entry.type]) : null;
+    };
+    const xmp = block(0x02BC);
+    if (xmp) result.xmp = trimNulls(utf8.decode(xmp));
+    result.iptc = block(0x83BB);
+    result.icc = block(0x8773);
+
+    // Image size and embedded JPEG previews, which RAW files keep in IFD1 or SubIFDs
+    const images = [ifd0];
+    if (ifd1) images.push(ifd1);
+    const subIfds = [].concat(ifd0.SubIFDs || []).slice(0, MAX_SUB_IFDS);
+    for (const offset of subIfds) {
+      const values = readIfdEntries(tiff, offset).reduce((acc, entry) => {
+        const name = TIFF_TAGS[entry.tag];
+        if (name) acc[name] = readValue(tiff, entry).value;
+        return acc;
+      }, {});
+      images.push(values);
+    }
+
+    for (const image of images) {
+      if (image.NewSubfileType !== 1 && image.ImageWidth * image.ImageHeight > result.width * result.height) {
+        result.width = image.ImageWidth;
+        result.height = image.ImageHeight;
+      }
+      const preview = findPreview(bytes, image);
+      if (preview) result.previews.push({ offset: preview.offset, length: preview.length });
+    }
+    result.previews.sort((a, b) => b.length - a.length);
+
+    return result;
+  }
+
+  function findPreview(bytes, image) {
+    let offset = image.JPEGInterchangeFormat;
+    let length = image.JPEGInterchangeFormatLength;
+    // CFA and linear raw data is compressed with lossless JPEG, which browsers cannot show
+    const rawData = image.PhotometricInterpretation === 32803 || image.PhotometricInterpretation === 34892;
+
+    if (!offset && !rawData && (image.Compression === 6 || image.Compression === 7) &&
+        typeof image.StripOffsets === 'number' && typeof image.StripByteCounts === 'number') {
+      offset = image.StripOffsets;
+      length = image.StripByteCounts;
+    }
+    if (!offset || !length || offset + length > bytes.length) return null;
+    if (bytes[offset] !== 0xFF || bytes[offset + 1] !== 0xD8) return null;
+    return { offset, length };
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════════
+  // XMP
+  // ═══════════════════════════════════════════════════════════════════════════════
+
+  const RDF_NS = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#';
+  const XML_NS = 'http://www.w3.org/XML/1998/namespace';
+
+  // Conventional prefixes, so keys don't depend on what a writer chose
+  const XMP_PREFIXES = {
+    'http://purl.org/dc/elements/1.1/': 'dc',
+    'http://ns.adobe.com/xap/1.0/': 'xmp',
+    'http://ns.adobe.com/xap/1.0/mm/': 'xmpMM',
+    'http://ns.adobe.com/xap/1.0/rights/': 'xmpRights',
+    'http://ns.adobe.com/tiff/1.0/': 'tiff',
+    'http://ns.adobe.com/exif/1.0/': 'exif',
+    'http://cipa.jp/exif/1.0/': 'exifEX',
+    'http://ns.adobe.com/exif/1.0/aux/': 'aux',
+    'http://ns.adobe.com/photoshop/1.0/': 'photoshop',
+    'http://ns.adobe.com/camera-raw-settings/1.0/': 'crs',
+    'http://iptc.org/std/Iptc4xmpCore/1.0/xmlns/': 'Iptc4xmpCore',
+    'http://iptc.org/std/Iptc4xmpExt/2008-02-29/': 'Iptc4xmpExt',
+    'http://ns.google.com/photos/1.0/camera/': 'GCamera'
+  };
+
+  const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+  function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, name) => {
+      if (name[0] === '#') {
+        const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+        return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+      }
+      return ENTITIES[name] ?? match;
+    });
+  }
+
+  /**
+   * Minimal namespace-aware XML reader, enough for RDF/XML packets
+   * @returns {Object} Root node: { uri, local, prefix, attrs: [{uri, local, prefix, value}], children, text }
+   */
+  function parseXml(text) {
+    const root = { children: [], attrs: [], text: '', ns: { xml: XML_NS } };
+    const stack = [root];
+    const tokens = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<![^>]*>|<\/([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+    const attrPattern = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let match;
+
+    const split = (qname) => {
+      const i = qname.indexOf(':');
+      return i === -1 ? ['', qname] : [qname.slice(0, i), qname.slice(i + 1)];
+    };
+
+    while ((match = tokens.exec(text))) {
+      const parent = stack[stack.length - 1];
+      if (match[1] !== undefined) {
+        parent.text += match[1];
+      } else if (match[6] !== undefined) {
+        parent.text += decodeEntities(match[6]);
+      } else if (match[2] !== undefined) {
+        if (stack.length > 1) stack.pop();
+      } else if (match[3] !== undefined) {
+        const ns = Object.create(parent.ns);
+        const rawAttrs = [];
+        let attr;
+        attrPattern.lastIndex = 0;
+        while ((attr = attrPattern.exec(match[4]))) {
+          const value = decodeEntities(attr[2] ?? attr[3]);
+          if (attr[1] === 'xmlns') ns[''] = value;
+          else if (attr[1].startsWith('xmlns:')) ns[attr[1].slice(6)] = value;
+          else rawAttrs.push([attr[1], value]);
+        }
+
+        const [prefix, local] = split(match[3]);
+        const node = {
+          uri: ns[prefix] || '',
+          prefix,
+          local,
+          attrs: rawAttrs.map(([qname, value]) => {
+            const [p, l] = split(qname);
+            return { uri: p ? ns[p] || '' : '', prefix: p, local: l, value };
+          }),
+          children: [],
+          text: '',
+          ns
+        };
+        parent.children.push(node);
+        if (!match[5]) stack.push(node);
+      }
+    }
+    return root;
+  }
+
+  function xmpKey(node) {
+    return `${XMP_PREFIXES[node.uri] || node.prefix}:${node.local}`;
+  }
+
+  function isRdf(node, local) {
+    return node.uri === RDF_NS && node.local === local;
+  }
+
+  function findDescriptions(node, out = []) {
+    for (const child of node.children) {
+      if (isRdf(child, 'Description')) out.push(child);
+      else findDescriptions(child, out);
+    }
+    return out;
+  }
+
+  function readXmpStruct(node) {
+    const props = {};
+    for (const attr of node.attrs) {
+      if (attr.uri === RDF_NS || attr.uri === XML_NS || !attr.prefix) continue;
+      props[xmpKey(attr)] = attr.value;
+    }
+    for (const child of node.children) {
+      props[xmpKey(child)] = readXmpValue(child);
+    }
+    return props;
+  }
+
+  function readXmpValue(node) {
+    const resource = node.attrs.find(a => a.uri === RDF_NS && a.local === 'resource');
+    if (resource) return resource.value;
+
+    const container = node.children.find(c => c.uri === RDF_NS && ['Seq', 'Bag', 'Alt'].includes(c.local));
+    if (container) {
+      const items = container.children.filter(c => isRdf(c, 'li'));
+      if (container.local === 'Alt') {
+        const preferred = items.find(li => li.attrs.some(a => a.uri === XML_NS && a.local === 'lang' && a.value === 'x-default'));
+        return items.length ? readXmpValue(preferred || items[0]) : '';
+      }
+      return items.map(readXmpValue);
+    }
+
+    const description = node.children.find(c => isRdf(c, 'Description'));
+    if (description) return readXmpStruct(description);
+
+    const parseType = node.attrs.find(a => a.uri === RDF_NS && a.local === 'parseType');
+    const qualified = node.attrs.some(a => a.prefix && a.uri !== RDF_NS && a.uri !== XML_NS);
+    if ((parseType && parseType.value === 'Resource') || node.children.length || qualified) {
+      return readXmpStruct(node);
+    }
+    return node.text.trim();
+  }
+
+  /**
+   * Flatten an XMP packet into `prefix:Name` properties
+   * @returns {Object} Simple values are strings, Seq/Bag arrays, structs objects
+   */
+  function readXmp(packet) {
+    const props = {};
+    for (const description of findDescriptions(parseXml(packet))) {
+      Object.assign(props, readXmpStruct(description));
+    }
+    return props;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════════
+  // IPTC
+  // ═══════════════════════════════════════════════════════════════════════════════
+
+  const IPTC_TAGS = {
+    5: 'ObjectName',
+    7: 'EditStatus',
+    10: 'Urgency',
+    15: 'Category',
+    20: 'SupplementalCategories',
+    25: 'Keywords',
+    40: 'SpecialInstructions',
+    55: 'DateCreated',
+    60: 'TimeCreated',
+    65: 'OriginatingProgram',
+    80: 'By-line',
+    85: 'By-lineTitle',
+    90: 'City',
+    92: 'Sub-location',
+    95: 'Province-State',
+    100: 'Country-PrimaryLocationCode',
+    101: 'Country-PrimaryLocationName',
+    103: 'OriginalTransmissionReference',
+    105: 'Headline',
+    110: 'Credit',
+    115: 'Source',
+    116: 'CopyrightNotice',
+    118: 'Contact',
+    120: 'Caption-Abstract',
+    122: 'Writer-Editor'
+  };
+
+  const IPTC_REPEATABLE = new Set([20, 25, 80, 85, 118, 122]);
+
+  /**
+   * Read the application record (2:xx) of an IPTC-IIM block
+   */
+  function readIptc(bytes) {
+    const dv = view(bytes);
+    const tags = {};
+    let offset = 0;
+
+    while (offset + 5 <= bytes.length && bytes[offset] === 0x1C) {
+      const record = bytes[offset + 1];
+      const dataset = bytes[offset + 2];
+      let length = dv.getUint16(offset + 3);
+      offset += 5;
+
+      // Extended dataset: the low bits give the size of the length field
+      if (length & 0x8000) {
+        const lengthSize = length & 0x7FFF;
+        if (lengthSize > 4 || offset + lengthSize > bytes.length) break;
+        length = 0;
+        for (let i = 0; i < lengthSize; i++) length = length * 256 + bytes[offset + i];
+        offset += lengthSize;
+      }
+      if (offset + length > bytes.length) break;
+
+      const name = IPTC_TAGS[dataset];
+      if (record === 2 && name) {
+        const value = utf8.decode(bytes.subarray(offset, offset + length)).trim();
+        if (IPTC_REPEATABLE.has(dataset)) (tags[name] = tags[name] || []).push(value);
+        else tags[name] = value;
+      }
+      offset += length;
+    }
+    return tags;
+  }
+
+  /**
+   * Find the IPTC block among Photoshop image resources (JPEG APP13)
+   * @param {Uint8Array} bytes - Resource data, after any "Photoshop 3.0" header
+   */
+  function findIptcResource(bytes) {
+    const dv = view(bytes);
+    let offset = 0;
+
+    while (offset + 12 <= bytes.length && startsWith(bytes, offset, '8BIM')) {
+      const id = dv.getUint16(offset + 4);
+      const nameLength = bytes[offset + 6];
+      offset += 6 + nameLength + 1 + ((nameLength + 1) % 2);
+      if (offset + 4 > bytes.length) break;
+
+      const size = dv.getUint32(offset);
+      offset += 4;
+      if (id === 0x0404) return bytes.slice(offset, offset + size);
+      offset += size + (size % 2);
+    }
+    return null;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════════
+  // ICC PROFILE
+  // ═══════════════════════════════════════════════════════════════════════════════
+
+  const ICC_CLASSES = {
+    scnr: 'Input Device', mntr: 'Display Device', prtr: 'Output Device', link: 'Device Link',
+    spac: 'Color Space', abst: 'Abstract', nmcl: 'Named Color'
+  };
+
+  const ICC_INTENTS = ['Perceptual', 'Media-Relative Colorimetric', 'Saturation', 'ICC-Absolute Colorimetric'];
+
+  function readIccText(bytes, offset, size) {
+    const dv = view(bytes);
+    const type = ascii(bytes, offset, 4);
+    if (type === 'desc') {
+      const length = dv.getUint32(offset + 8);
+      return trimNulls(ascii(bytes, offset + 12, Math.min(length, size - 12)));
+    }
+    if (type === 'text') {
+      return trimNulls(ascii(bytes, offset + 8, size - 8));
+    }
+    if (type === 'mluc') {
+      const count = dv.getUint32(offset + 8);
+      if (!count) return '';
+      // First record; profiles list en-US first in practice
+      const length = dv.getUint32(offset + 20);
+      const start = offset + dv.getUint32(offset + 24);
+      return trimNulls(new TextDecoder('utf-16be').decode(bytes.subarray(start, start + length)));
+    }
+    return '';
+  }
+
+  /**
+   * Summarize an ICC profile header and its text tags
+   */
+  function readIcc(bytes) {
+    if (bytes.length < 132 || !startsWith(bytes, 36, 'acsp')) return {};
+    const dv = view(bytes);
+
+    const profile = {
+      ProfileCMMType: trimNulls(ascii(bytes, 4, 4)),
+      ProfileVersion: `${bytes[8]}.${bytes[9] >> 4}.${bytes[9] & 0x0F}`,
+      ProfileClass: ICC_CLASSES[ascii(bytes, 12, 4)] || ascii(bytes, 12, 4),
+      ColorSpaceData: ascii(bytes, 16, 4).trim(),
+      ProfileConnectionSpace: ascii(bytes, 20, 4).trim(),
+      ProfileDateTime: `${dv.getUint16(24)}:${String(dv.getUint16(26)).padStart(2, '0')}:${String(dv.getUint16(28)).padStart(2, '0')} ` +
+        `${String(dv.getUint16(30)).padStart(2, '0')}:${String(dv.getUint16(32)).padStart(2, '0')}:${String(dv.getUint16(34)).padStart(2, '0')}`,
+      RenderingIntent: ICC_INTENTS[dv.getUint32(64)] || String(dv.getUint32(64)),
+      ProfileCreator: trimNulls(ascii(bytes, 80, 4))
+    };
+
+    const textTags = { desc: 'ProfileDescription', cprt: 'ProfileCopyright', dmnd: 'DeviceManufacturer', dmdd: 'DeviceModel' };
+    const count = dv.getUint32(128);
+    for (let i = 0; i < count && 132 + i * 12 + 12 <= bytes.length; i++) {
+      const at = 132 + i * 12;
+      const name = textTags[ascii(bytes, at, 4)];
+      const offset = dv.getUint32(at + 4);
+      const size = dv.getUint32(at + 8);
+      if (name && offset + size <= bytes.length && size >= 12) {
+        const text = readIccText(bytes, offset, size);
+        if (text) profile[name] = text;
+      }
+    }
+    return profile;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════════
+  // CONTAINERS
+  // ═══════════════════════════════════════════════════════════════════════════════
+
+  const XMP_JPEG_HEADER = 'http://ns.adobe.com/xap/1.0/\0';
+
+  /**
+   * Collect metadata segments up to the start of the image data
+   */
+  function readJpeg(bytes) {
+    const dv = view(bytes);
+    const found = { segments: [] };
+    const iccChunks = [];
+    let offset = 2;
+
+    while (offset + 4 <= bytes.length) {
+      if (bytes[offset] !== 0xFF) break;
+      const marker = bytes[offset + 1];
+      // Fill bytes and standalone markers carry no length
+      if (marker === 0xFF) { offset++; continue; }
+      if (marker === 0xD8 || (marker >= 0xD0 && marker <= 0xD7) || marker === 0x01) { offset += 2; continue; }
+      if (marker === 0xD9 || marker === 0xDA) break;
+
+      const length = dv.getUint16(offset + 2);
+      const start = offset + 4;
+      const end = offset + 2 + length;
+      if (length < 2 || end > bytes.length) break;
+
+      let kind = null;
+      if (marker === 0xE1 && startsWith(bytes, start, 'Exif\0') && !found.exif) {
+        kind = 'exif';
+        found.exif = bytes.subarray(start + 6, end);
+      } else if (marker === 0xE1 && startsWith(bytes, start, XMP_JPEG_HEADER) && found.xmp === undefined) {
+        kind = 'xmp';
+        found.xmp = trimNulls(utf8.decode(bytes.subarray(start + XMP_JPEG_HEADER.length, end)));
+      } else if (marker === 0xE1 && startsWith(bytes, start, 'http://ns.adobe.com/xmp/extension/\0')) {
+        kind = 'xmp-extension';
+      } else if (marker === 0xED && startsWith(bytes, start, 'Photoshop 3.0\0')) {
+        kind = 'iptc';
+        found.iptc = found.iptc || findIptcResource(bytes.subarray(start + 14, end));
+      } else if (marker === 0xE2 && startsWith(bytes, start, 'ICC_PROFILE\0')) {
+        kind = 'icc';
+        iccChunks.push({ index: bytes[start + 12], data: bytes.subarray(start + 14, end) });
+      } else if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+        found.height = dv.getUint16(start + 1);
+        found.width = dv.getUint16(start + 3);
+      }
+
+      if (kind) found.segments.push({ marker, offset, length: end - offset, kind });
+      offset = end;
+    }
+
+    if (iccChunks.length) {
+      iccChunks.sort((a, b) => a.index - b.index);
+      found.icc = concatBytes(iccChunks.map(c => c.data));
+    }
+    return found;
+  }
+
+  function concatBytes(parts) {
+    const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+      out.set(part, offset);
+      offset += part.length;
+    }
+    return out;
+  }
+
+  /**
+   * ImageMagick and exiftool store profiles as hex in "Raw profile type X" text chunks
+   */
+  function decodeRawProfile(text) {
+    const match = /^\s*\S*\s+(\d+)\s+([\s\S]*)$/.exec(text);
+    if (!match) return null;
+    const hex = match[2].replace(/[^0-9a-f]/gi, '');
+    const out = new Uint8Array(Math.min(Number(match[1]), hex.length >> 1));
+    for (let i = 0; i < out.length; i++) out[i] = parseInt(hex.substr(i * 2, 2), 16);
+    return out;
+  }
+
+  async function readPng(bytes) {
+    const dv = view(bytes);
+    const found = {};
+    let offset = 8;
+
+    const readText = async (keyword, data, compressed) => {
+      const text = utf8.decode(compressed ? await inflate(data) : data);
+      if (keyword === 'XML:com.adobe.xmp') {
+        found.xmp = found.xmp || trimNulls(text);
+        return;
+      }
+      const profile = /^Raw profile type (\w+)$/.exec(keyword);
+      if (!profile) return;
+
+      const block = decodeRawProfile(text);
+      if (!block) return;
+      const type = profile[1].toLowerCase();
+      if ((type === 'exif' || type === 'app1') && !found.exif) {
+        found.exif = startsWith(block, 0, 'Exif\0') ? block.subarray(6) : block;
+      } else if (type === 'xmp' && !found.xmp) {
+        found.xmp = trimNulls(utf8.decode(block));
+      } else if ((type === 'iptc' || type === '8bim') && !found.iptc) {
+        found.iptc = startsWith(block, 0, '8BIM') ? findIptcResource(block) : block;
+      } else if ((type === 'icc' || type === 'icm') && !found.icc) {
+        found.icc = block;
+      }
+    };
+
+    while (offset + 12 <= bytes.length) {
+      const length = dv.getUint32(offset);
+      const type = ascii(bytes, offset + 4, 4);
+      const start = offset + 8;
+      const end = start + length;
+      if (end + 4 > bytes.length || type === 'IEND') break;
+      const data = bytes.subarray(start, end);
+
+      if (type === 'IHDR') {
+        found.width = dv.getUint32(start);
+        found.height = dv.getUint32(start + 4);
+      } else if (type === 'eXIf') {
+        found.exif = data;
+      } else if (type === 'iCCP') {
+        const nul = indexOfByte(data, 0, 0);
+        found.icc = await inflate(data.subarray(nul + 2));
+      } else if (type === 'tEXt' || type === 'zTXt') {
+        const nul = indexOfByte(data, 0, 0);
+        const keyword = ascii(data, 0, nul);
+        await readText(keyword, type === 'zTXt' ? data.subarray(nul + 2) : data.subarray(nul + 1), type === 'zTXt');
+      } else if (type === 'iTXt') {
+        const nul = indexOfByte(data, 0, 0);
+        const keyword = ascii(data, 0, nul);
+        const compressed = data[nul + 1] === 1;
+        const langEnd = indexOfByte(data, 0, nul + 3);
+        const textStart = indexOfByte(data, 0, langEnd + 1) + 1;
+        await readText(keyword, data.subarray(textStart), compressed);
+      }
+      offset = end + 4;
+    }
+    return found;
+  }
+
+  function readWebp(bytes) {
+    const dv = view(bytes);
+    const found = {};
+    const end = Math.min(bytes.length, 8 + dv.getUint32(4, true));
+    let offset = 12;
+
+    while (offset + 8 <= end) {
+      const type = ascii(bytes, offset, 4);
+      const length = dv.getUint32(offset + 4, true);
+      const start = offset + 8;
+      if (start + length > end) break;
+      const data = bytes.subarray(start, start + length);
+
+      if (type === 'VP8X' && length >= 10) {
+        found.width = 1 + (data[4] | data[5] << 8 | data[6] << 16);
+        found.height = 1 + (data[7] | data[8] << 8 | data[9] << 16);
+      } else if (type === 'VP8 ' && length >= 10 && !found.width) {
+        found.width = dv.getUint16(start + 6, true) & 0x3FFF;
+        found.height = dv.getUint16(start + 8, true) & 0x3FFF;
+      } else if (type === 'VP8L' && length >= 5 && !found.width) {
+        const bits = dv.getUint32(start + 1, true);
+        found.width = (bits & 0x3FFF) + 1;
+        found.height = ((bits >> 14) & 0x3FFF) + 1;
+      } else if (type === 'EXIF') {
+        // Some writers keep the JPEG "Exif\0\0" prefix
+        const skip = startsWith(data, 0, 'Exif\0') ? 6 : 0;
+        found.exif = data.subarray(skip);
+      } else if (type === 'XMP ') {
+        found.xmp = trimNulls(utf8.decode(data));
+      } else if (type === 'ICCP') {
+        found.icc = data;
+      }
+      offset = start + length + (length % 2);
+    }
+    return found;
+  }
+
+  // ISO base media file format (HEIF/AVIF)
+
+  function readBoxes(bytes, start, end) {
+    const dv = view(bytes);
+    const boxes = [];
+    let offset = start;
+
+    while (offset + 8 <= end) {
+      let size = dv.getUint32(offset);
+      const type = ascii(bytes, offset + 4, 4);
+      let header = 8;
+      if (size === 1) {
+        if (offset + 16 > end) break;
+        size = Number(dv.getBigUint64(offset + 8));
+        header = 16;
+      } else if (size === 0) {
+        size = end - offset;
+      }
+      if (size < header || offset + size > end) break;
+
+      boxes.push({ type, start: offset + header, end: offset + size });
+      offset += size;
+    }
+    return boxes;
+  }
+
+  function readSized(dv, offset, size) {
+    if (size === 0) return 0;
+    if (size === 4) return dv.getUint32(offset);
+    if (size === 8) return Number(dv.getBigUint64(offset));
+    return dv.getUint16(offset);
+  }
+
+  function readItemInfo(bytes, box) {
+    const dv = view(bytes);
+    const version = bytes[box.start];
+    const entriesStart = box.start + 4 + (version === 0 ? 2 : 4);
+    const items = new Map();
+
+    for (const infe of readBoxes(bytes, entriesStart, box.end)) {
+      if (infe.type !== 'infe') continue;
+      const infeVersion = bytes[infe.start];
+      if (infeVersion < 2) continue;
+
+      let at = infe.start + 4;
+      const id = infeVersion === 2 ? dv.getUint16(at) : dv.getUint32(at);
+      at += (infeVersion === 2 ? 2 : 4) + 2;
+      const type = ascii(bytes, at, 4);
+      at += 4;
+      const nameEnd = indexOfByte(bytes, 0, at);
+      const item = { id, type };
+      if (type === 'mime') {
+        const typeEnd = Math.min(indexOfByte(bytes, 0, nameEnd + 1), infe.end);
+        item.contentType = ascii(bytes, nameEnd + 1, typeEnd - nameEnd - 1);
+      }
+      items.set(id, item);
+    }
+    return items;
+  }
+
+  function readItemLocations(bytes, box) {
+    const dv = view(bytes);
+    const version = bytes[box.start];
+    let at = box.start + 4;
+    const offsetSize = bytes[at] >> 4;
+    const lengthSize = bytes[at] & 0x0F;
+    const baseOffsetSize = bytes[at + 1] >> 4;
+    const indexSize = version === 1 || version === 2 ? bytes[at + 1] & 0x0F : 0;
+    at += 2;
+
+    const count = version < 2 ? dv.getUint16(at) : dv.getUint32(at);
+    at += version < 2 ? 2 : 4;
+    const locations = new Map();
+
+    for (let i = 0; i < count && at < box.end; i++) {
+      const id = version < 2 ? dv.getUint16(at) : dv.getUint32(at);
+      at += version < 2 ? 2 : 4;
+      let method = 0;
+      if (version === 1 || version === 2) {
+        method = dv.getUint16(at) & 0x0F;
+        at += 2;
+      }
+      at += 2; // data_reference_index
+      const baseOffset = readSized(dv, at, baseOffsetSize);
+      at += baseOffsetSize;
+      const extentCount = dv.getUint16(at);
+      at += 2;
+
+      const extents = [];
+      for (let e = 0; e < extentCount; e++) {
+        at += indexSize;
+        const offset = readSized(dv, at, offsetSize);
+        at += offsetSize;
+        const length = readSized(dv, at, lengthSize);
+        at += lengthSize;
+        extents.push({ offset: baseOffset + offset, length });
+      }
+      locations.set(id, { method, extents });
+    }
+    return locations;
+  }
+
+  function readItemProperties(bytes, box) {
+    const dv = view(bytes);
+    const children = readBoxes(bytes, box.start, box.end);
+    const ipco = children.find(b => b.type === 'ipco');
+    const properties = ipco ? readBoxes(bytes, ipco.start, ipco.end) : [];
+    const associations = new Map();
+
+    for (const ipma of children.filter(b => b.type === 'ipma')) {
+      const version = bytes[ipma.start];
+      const wide = bytes[ipma.start + 3] & 1;
+      let at = ipma.start + 4;
+      const count = dv.getUint32(at);
+      at += 4;
+      for (let i = 0; i < count && at < ipma.end; i++) {
+        const id = version < 1 ? dv.getUint16(at) : dv.getUint32(at);
+        at += version < 1 ? 2 : 4;
+        const n = bytes[at++];
+        const indexes = [];
+        for (let j = 0; j < n; j++) {
+          indexes.push(wide ? dv.getUint16(at) & 0x7FFF : bytes[at] & 0x7F);
+          at += wide ? 2 : 1;
+        }
+        associations.set(id, indexes);
+      }
+    }
+    return { properties, associations };
+  }
+
+  function readBmff(bytes) {
+    const dv = view(bytes);
+    const found = {};
+    const meta = readBoxes(bytes, 0, bytes.length).find(b => b.type === 'meta');
+    if (!meta) return found;
+
+    // meta is a full box: skip version and flags
+    const boxes = readBoxes(bytes, meta.start + 4, meta.end);
+    const byType = (type) => boxes.find(b => b.type === type);
+
+    const iinf = byType('iinf');
+    const iloc = byType('iloc');
+    const pitm = byType('pitm');
+    const idat = byType('idat');
+    const iprp = byType('iprp');
+    const items = iinf ? readItemInfo(bytes, iinf) : new Map();
+    const locations = iloc ? readItemLocations(bytes, iloc) : new Map();
+    const primary = pitm ? (bytes[pitm.start] === 0 ? dv.getUint16(pitm.start + 4) : dv.getUint32(pitm.start + 4)) : null;
+
+    const itemData = (id) => {
+      const location = locations.get(id);
+      if (!location) return null;
+      const base = location.method === 1 && idat ? idat.start : 0;
+      if (location.method > 1) return null;
+      const parts = location.extents.map(e => {
+        const length = e.length || bytes.length - base - e.offset;
+        return bytes.subarray(base + e.offset, base + e.offset + length);
+      });
+      return parts.length === 1 ? parts[0] : concatBytes(parts);
+    };
+
+    for (const item of items.values()) {
+      if (item.type === 'Exif' && !found.exif) {
+        const data = itemData(item.id);
+        if (!data || data.length < 4) continue;
+        // Exif items start with the distance to the TIFF header
+        const skip = 4 + view(data).getUint32(0);
+        found.exif = data.subarray(skip);
+      } else if (item.type === 'mime' && /rdf\+xml/.test(item.contentType || '') && !found.xmp) {
+        const data = itemData(item.id);
+        if (data) found.xmp = trimNulls(utf8.decode(data));
+      }
+    }
+
+    if (iprp) {
+      const { properties, associations } = readItemProperties(bytes, iprp);
+      const indexes = associations.get(primary) || [];
+      for (const index of indexes) {
+        const property = properties[index - 1];
+        if (!property) continue;
+        if (property.type === 'ispe') {
+          found.width = dv.getUint32(property.start + 4);
+          found.height = dv.getUint32(property.start + 8);
+        } else if (property.type === 'colr') {
+          const colourType = ascii(bytes, property.start, 4);
+          if (colourType === 'prof' || colourType === 'rICC') found.icc = bytes.subarray(property.start + 4, property.end);
+        }
+      }
+    }
+    return found;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════════
+  // FALLBACKS
+  // ═══════════════════════════════════════════════════════════════════════════════
+
+  // Fill viewer tags that EXIF lacks from XMP and IPTC (common for PNG, WebP and edited files)
+
+  function toNumber(value) {
+    const n = Number(Array.isArray(value) ? value[0] : value);
+    return Number.isFinite(n) ? n : undefined;
+  }
+
+  function toRational(value) {
+    const match = /^\s*(-?\d+(?:\.\d+)?)\s*\/\s*(\d+(?:\.\d+)?)\s*$/.exec(String(value));
+    if (!match) return toNumber(value);
+    return Number(match[2]) === 0 ? 0 : Number(match[1]) / Number(match[2]);
+  }
+
+  function toText(value) {
+    if (Array.isArray(value)) return value.join(', ');
+    return typeof value === 'string' ? value : undefined;
+  }
+
+  /**
+   * XMP/ISO 8601 date to the EXIF "YYYY:MM:DD HH:MM:SS" form
+   */
+  function toExifDate(value) {
+    const match = /^(\d{4})-?(\d{2})-?(\d{2})(?:[T ](\d{2}):?(\d{2})(?::?(\d{2}))?)?/.exec(String(value));
+    if (!match) return undefined;
+    const [, y, mo, d, h = '00', mi = '00', s = '00'] = match;
+    return `${y}:${mo}:${d} ${h}:${mi}:${s}`;
+  }
+
+  /**
+   * XMP GPS coordinate ("DDD,MM,SSk" or "DDD,MM.mmk") to EXIF [d, m, s] plus reference
+   */
+  function toDms(value) {
+    const match = /^\s*(\d+),(\d+(?:\.\d+)?)(?:,(\d+(?:\.\d+)?))?\s*([NSEW])\s*$/i.exec(String(value));
+    if (!match) return null;
+    const minutes = Number(match[2]);
+    const seconds = match[3] !== undefined ? Number(match[3]) : Number(((minutes % 1) * 60).toFixed(4));
+    return { dms: [Number(match[1]), Math.floor(minutes), seconds], ref: match[4].toUpperCase() };
+  }
+
+  const XMP_FALLBACKS = [
+    ['Make', 'tiff:Make', toText],
+    ['Model', 'tiff:Model', toText],
+    ['LensModel', 'exifEX:LensModel', toText],
+    ['LensModel', 'aux:Lens', toText],
+    ['FNumber', 'exif:FNumber', toRational],
+    ['ExposureTime', 'exif:ExposureTime', toRational],
+    ['ISOSpeedRatings', 'exif:ISOSpeedRatings', toNumber],
+    ['ISOSpeedRatings', 'exifEX:PhotographicSensitivity', toNumber],
+    ['FocalLength', 'exif:FocalLength', toRational],
+    ['FocalLengthIn35mmFilm', 'exif:FocalLengthIn35mmFilm', toNumber],
+    ['ExposureBias', 'exif:ExposureBiasValue', toRational],
+    ['MeteringMode', 'exif:MeteringMode', toNumber],
+    ['WhiteBalance', 'exif:WhiteBalance', toNumber],
+    ['DateTimeOriginal', 'exif:DateTimeOriginal', toExifDate],
+    ['DateTimeOriginal', 'photoshop:DateCreated', toExifDate],
+    ['DateTimeDigitized', 'exif:DateTimeDigitized', toExifDate],
+    ['DateTimeDigitized', 'xmp:CreateDate', toExifDate],
+    ['DateTime', 'xmp:ModifyDate', toExifDate],
+    ['PixelXDimension', 'exif:PixelXDimension', toNumber],
+    ['PixelYDimension', 'exif:PixelYDimension', toNumber],
+    ['Orientation', 'tiff:Orientation', toNumber],
+    ['ColorSpace', 'exif:ColorSpace', toNumber],
+    ['Software', 'xmp:CreatorTool', toText],
+    ['Artist', 'dc:creator', toText],
+    ['Copyright', 'dc:rights', toText],
+    ['ImageDescription', 'dc:description', toText],
+    ['GPSAltitude', 'exif:GPSAltitude', toRational],
+    ['GPSAltitudeRef', 'exif:GPSAltitudeRef', toNumber]
+  ];
+
+  const IPTC_FALLBACKS = [
+    ['Artist', 'By-line', toText],
+    ['Copyright', 'CopyrightNotice', toText],
+    ['ImageDescription', 'Caption-Abstract', toText]
+  ];
+
+  function applyFallbacks(tags, source, mapping) {
+    for (const [name, key, convert] of mapping) {
+      if (tags[name] !== undefined || source[key] === undefined) continue;
+      const value = convert(source[key]);
+      if (value !== undefined && value !== '') tags[name] = value;
+    }
+  }
+
+  function mergeFallbacks(tags, xmp, iptc) {
+    applyFallbacks(tags, xmp, XMP_FALLBACKS);
+    for (const axis of ['Latitude', 'Longitude']) {
+      const coordinate = !tags[`GPS${axis}`] && toDms(xmp[`exif:GPS${axis}`]);
+      if (coordinate) {
+        tags[`GPS${axis}`] = coordinate.dms;
+        tags[`GPS${axis}Ref`] = coordinate.ref;
+      }
+    }
+
+    applyFallbacks(tags, iptc, IPTC_FALLBACKS);
+    if (!tags.DateTimeOriginal && iptc.DateCreated) {
+      tags.DateTimeOriginal = toExifDate(`${iptc.DateCreated}T${(iptc.TimeCreated || '000000').slice(0, 6)}`);
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════════
+  // PARSE
+  // ═══════════════════════════════════════════════════════════════════════════════
+
+  const CONTAINER_READERS = {
+    jpeg: readJpeg,
+    png: readPng,
+    webp: readWebp,
+    heic: readBmff,
+    avif: readBmff
+  };
+
+  /**
+   * Read all metadata from an image file
+   * @param {ArrayBuffer|Uint8Array} input - The whole file
+   * @returns {Promise<Object|null>} null when the format isn't recognized. Otherwise:
+   *   - format: FORMAT_LABELS key; width/height: image size from the container
+   *   - tags: flat EXIF tags (exif-js names) with gaps filled from XMP and IPTC
+   *   - exif: the TIFF block the tags were read from
+   *   - fields: every IFD entry as { ifd, tag, name, type, count, value, raw, valueOffset }
+   *     with offsets relative to the TIFF block
+   *   - xmp / xmpPacket, iptc, icc: parsed blocks and the raw XMP text
+   *   - previews: embedded JPEGs as { offset, length } in the TIFF block, largest first
+   *   - segments: JPEG metadata segments as { marker, offset, length, kind }
+   */
+  async function parse(input) {
+    const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+    const format = detectFormat(bytes);
+    if (!format) return null;
+
+    const reader = CONTAINER_READERS[format];
+    const container = reader ? await reader(bytes) : { exif: bytes };
+    const tiff = container.exif ? readTiff(container.exif) : null;
+
+    const xmpPacket = container.xmp || (tiff && tiff.xmp) || null;
+    const iptcBlock = container.iptc || (tiff && tiff.iptc) || null;
+    const iccBlock = container.icc || (tiff && tiff.icc) || null;
+
+    const xmp = xmpPacket ? readXmp(xmpPacket) : {};
+    const iptc = iptcBlock ? readIptc(iptcBlock) : {};
+    const icc = iccBlock ? readIcc(iccBlock) : {};
+
+    const tags = tiff ? { ...tiff.tags } : {};
+    mergeFallbacks(tags, xmp, iptc);
+    if (icc.ProfileDescription) tags.ProfileDescription = icc.ProfileDescription;
+
+    return {
+      format,
+      formatLabel: FORMAT_LABELS[format],
+      width: container.width || (tiff && tiff.width) || 0,
+      height: container.height || (tiff && tiff.height) || 0,
+      tags,
+      fields: tiff ? tiff.fields : [],
+      exif: tiff ? container.exif : null,
+      littleEndian: tiff ? tiff.littleEndian : null,
+      xmp,
+      xmpPacket,
+      iptc,
+      icc,
+      previews: tiff ? tiff.previews : [],
+      segments: container.segments || []
+    };
+  }
+
+  /**
+   * The parts of a parse() result worth keeping per file in batch mode:
+   * enough for the table and for exports, without offsets into the file
+   * @returns {{format, formatLabel, width, height, tags, fields, xmp, iptc, icc}|null}
+   */
+  function summarize(metadata) {
+    if (!metadata) return null;
+    const { format, formatLabel, width, height, tags, fields, xmp, iptc, icc } = metadata;
+    return { format, formatLabel, width, height, tags, fields, xmp, iptc, icc };
+  }
+
+  self.ImageMetadata = {
+    FORMAT_LABELS,
+    TIFF_TAGS,
+    EXIF_TAGS,
+    GPS_TAGS,
+    IPTC_TAGS,
+    XMP_PREFIXES,
+    STRUCTURAL_TAGS,
+    detectFormat,
+    parse,
+    summarize,
+    readTiff,
+    readIfd,
+    readXmp,
+    readIptc,
+    readIcc
+  };
+
+})();
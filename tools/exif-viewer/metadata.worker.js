@@ -0,0 +1,34 @@
+/**
+ * EXIF Viewer - Metadata Worker
+ *
+ * Parses images off the main thread for batch mode, one file per message,
+ * so a folder of photos can load without freezing the page.
+ *
+ * Messages in:  { type: 'parse', id, file }
+ * Messages out: { type: 'result', id, summary }  (summary is null for unsupported files)
+ *               { type: 'error', id, message }
+ */
+
+'use strict';
+
+importScripts('metadata.js');
+
+self.onmessage = (e) => {
+  const { type, id, file } = e.data || {};
+  if (type !== 'parse' || !file) return;
+
+  parseFile(file).then((summary) => {
+    self.postMessage({ type: 'result', id, summary });
+  }).catch((err) => {
+    self.postMessage({ type: 'error', id, message: err.message || String(err) });
+  });
+};
+
+/**
+ * Parse one file, keeping only what the batch table needs
+ * (segment offsets and previews refer to bytes that stay here)
+ */
+async function parseFile(file) {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  return ImageMetadata.summarize(await ImageMetadata.parse(bytes));
+}
@@ -0,0 +1,370 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * EXIF VIEWER - Photo Map
+ *
+ * A small offline map for photo locations. The basemap is the outline from
+ * world-outline.js drawn as SVG in Web Mercator, with a graticule that gets
+ * finer as you zoom. No tiles and no network requests.
+ *
+ * Markers can carry a direction of view, drawn as a cone whose width is the
+ * lens's field of view.
+ *
+ * Exposed as window.PhotoMap.
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+(function() {
+  'use strict';
+
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+
+  // View size in SVG units; the element scales to its container
+  const WIDTH = 800;
+  const HEIGHT = 400;
+
+  // Web Mercator stops short of the poles
+  const MAX_LATITUDE = 85;
+
+  const MAX_ZOOM = 12;
+  const SINGLE_POINT_ZOOM = 5;
+  const FIT_PADDING = 0.8;
+  const ZOOM_STEP = 1;
+  const WHEEL_ZOOM_STEP = 0.5;
+
+  // A pointer that moves less than this between down and up is a click
+  const DRAG_THRESHOLD = 4;
+
+  const CONE_LENGTH = 56;
+  const DEFAULT_FIELD_OF_VIEW = 60;
+
+  // Graticule spacing in degrees by zoom level
+  const GRATICULE_STEPS = [[2, 30], [4, 10], [6, 5], [8, 1], [Infinity, 0.25]];
+
+  // ═══════════════════════════════════════════════════════════════════════════════
+  // PROJECTION
+  // ═══════════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Longitude and latitude to Web Mercator x/y, both 0..1 across the world
+   */
+  function project(lon, lat) {
+    const clamped = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat));
+    const sin = Math.sin(clamped * Math.PI / 180);
+    return [
+      (lon + 180) / 360,
+      0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)
+    ];
+  }
+
+  function unproject(x, y) {
+    const lat = Math.atan(Math.sinh(Math.PI * (1 - 2 * y))) * 180 / Math.PI;
+    return [x * 360 - 180, lat];
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════════
+  // MAP
+  // ═══════════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Build a map inside a container
+   * @param {HTMLElement} container
+   * @param {Object} [options]
+   * @param {Function} [options.onSelect] - Called with a point's id when its marker is clicked
+   * @returns {{setPoints: Function, fit: Function, destroy: Function}}
+   *
+   * Points are { id, lat, lon, label, direction?, fieldOfView? } with direction
+   * in degrees clockwise from north.
+   */
+  function create(container, { onSelect } = {}) {
+    const root = document.createElement('div');
+    root.className = 'photo-map';
+
+    const svg = svgElement('svg', {
+      class: 'photo-map-svg',
+      viewBox: `0 0 ${WIDTH} ${HEIGHT}`,
+      role: 'group',
+      'aria-label': 'Map of photo locations'
+    });
+    const ocean = svgElement('rect', { class: 'photo-map-ocean', width: WIDTH, height: HEIGHT });
+    const graticule = svgElement('path', { class: 'photo-map-graticule' });
+    const landPath = svgElement('path', { class: 'photo-map-land' });
+    const waterPath = svgElement('path', { class: 'photo-map-water' });
+    const markers = svgElement('g', { class: 'photo-map-markers' });
+    svg.append(ocean, graticule, landPath, waterPath, markers);
+
+    const controls = document.createElement('div');
+    controls.className = 'photo-map-controls';
+    controls.innerHTML = `
+      <button type="button" class="btn small" data-map="in" aria-label="Zoom in">+</button>
+      <button type="button" class="btn small" data-map="out" aria-label="Zoom out">−</button>
+      <button type="button" class="btn small" data-map="fit" aria-label="Show all">⤢</button>
+    `;
+
+    root.append(svg, controls);
+    container.innerHTML = '';
+    container.appendChild(root);
+
+    let points = [];
+    // Center in Mercator units and zoom level (the world is WIDTH * 2^zoom wide)
+    let view = { x: 0.5, y: 0.5, zoom: 0 };
+    let drag = null;
+
+    function scale() {
+      return WIDTH * 2 ** view.zoom;
+    }
+
+    function toScreen([x, y]) {
+      const s = scale();
+      return [(x - view.x) * s + WIDTH / 2, (y - view.y) * s + HEIGHT / 2];
+    }
+
+    function toWorld(sx, sy) {
+      const s = scale();
+      return [(sx - WIDTH / 2) / s + view.x, (sy - HEIGHT / 2) / s + view.y];
+    }
+
+    /**
+     * Keep the world covering the view, centering it on an axis where it is smaller
+     */
+    function clampView() {
+      view.zoom = Math.max(0, Math.min(MAX_ZOOM, view.zoom));
+      view.x = clampAxis(view.x, WIDTH / 2 / scale());
+      view.y = clampAxis(view.y, HEIGHT / 2 / scale());
+    }
+
+    function clampAxis(center, half) {
+      return half >= 0.5 ? 0.5 : Math.max(half, Math.min(1 - half, center));
+    }
+
+    function render() {
+      clampView();
+      landPath.setAttribute('d', ringsPath(WorldOutline.land));
+      waterPath.setAttribute('d', ringsPath(WorldOutline.water));
+      graticule.setAttribute('d', graticulePath());
+      renderMarkers();
+    }
+
+    function ringsPath(rings) {
+      return rings.map(ring => {
+        let d = '';
+        for (let i = 0; i < ring.length; i += 2) {
+          const [sx, sy] = toScreen(project(ring[i], ring[i + 1]));
+          d += `${i ? 'L' : 'M'}${round(sx)} ${round(sy)}`;
+        }
+        return d + 'Z';
+      }).join('');
+    }
+
+    function graticulePath() {
+      const step = GRATICULE_STEPS.find(([maxZoom]) => view.zoom < maxZoom)[1];
+      const [west, north] = unproject(...toWorld(0, 0));
+      const [east, south] = unproject(...toWorld(WIDTH, HEIGHT));
+      const [top, bottom] = [Math.min(north, MAX_LATITUDE), Math.max(south, -MAX_LATITUDE)];
+      const [left, right] = [Math.max(west, -180), Math.min(east, 180)];
+
+      let d = '';
+      for (let lon = Math.ceil(left / step) * step; lon <= right; lon += step) {
+        const [x1, y1] = toScreen(project(lon, top));
+        const [, y2] = toScreen(project(lon, bottom));
+        d += `M${round(x1)} ${round(y1)}V${round(y2)}`;
+      }
+      for (let lat = Math.ceil(bottom / step) * step; lat <= top; lat += step) {
+        const [x1, y1] = toScreen(project(left, lat));
+        const [x2] = toScreen(project(right, lat));
+        d += `M${round(x1)} ${round(y1)}H${round(x2)}`;
+      }
+      return d;
+    }
+
+    function renderMarkers() {
+      markers.textContent = '';
+      for (const point of points) {
+        const [sx, sy] = toScreen(project(point.lon, point.lat));
+        const marker = svgElement('g', {
+          class: 'photo-map-marker',
+          transform: `translate(${round(sx)} ${round(sy)})`,
+          'data-id': point.id,
+          'aria-label': point.label
+        });
+        if (onSelect) {
+          marker.setAttribute('role', 'button');
+          marker.setAttribute('tabindex', '0');
+        }
+
+        const title = svgElement('title');
+        title.textContent = point.label;
+        marker.appendChild(title);
+
+        if (typeof point.direction === 'number') {
+          marker.appendChild(svgElement('path', {
+            class: 'photo-map-cone',
+            d: conePath(point.direction, point.fieldOfView || DEFAULT_FIELD_OF_VIEW)
+          }));
+        }
+        marker.appendChild(svgElement('circle', { class: 'photo-map-dot', r: 6 }));
+        markers.appendChild(marker);
+      }
+    }
+
+    /**
+     * Center on the points: one point at a regional zoom, several to their bounds
+     */
+    function fit() {
+      if (!points.length) {
+        view = { x: 0.5, y: 0.5, zoom: 0 };
+      } else {
+        const projected = points.map(p => project(p.lon, p.lat));
+        const xs = projected.map(p => p[0]);
+        const ys = projected.map(p => p[1]);
+        const [minX, maxX] = [Math.min(...xs), Math.max(...xs)];
+        const [minY, maxY] = [Math.min(...ys), Math.max(...ys)];
+        const spanX = (maxX - minX) * WIDTH;
+        const spanY = (maxY - minY) * WIDTH;
+        const zoom = spanX || spanY
+          ? Math.log2(Math.min(
+            spanX ? WIDTH * FIT_PADDING / spanX : Infinity,
+            spanY ? HEIGHT * FIT_PADDING / spanY : Infinity
+          ))
+          : SINGLE_POINT_ZOOM;
+        view = { x: (minX + maxX) / 2, y: (minY + maxY) / 2, zoom: Math.min(zoom, MAX_ZOOM) };
+      }
+      render();
+    }
+
+    /**
+     * Zoom by a step, keeping the given screen position in place
+     */
+    function zoomBy(step, sx = WIDTH / 2, sy = HEIGHT / 2) {
+      const before = toWorld(sx, sy);
+      view.zoom = Math.max(0, Math.min(MAX_ZOOM, view.zoom + step));
+      const after = toWorld(sx, sy);
+      view.x += before[0] - after[0];
+      view.y += before[1] - after[1];
+      render();
+    }
+
+    /**
+     * Client pixels to SVG units (the SVG is letterboxed inside its box)
+     */
+    function toSvgPoint(clientX, clientY) {
+      const rect = svg.getBoundingClientRect();
+      if (!rect.width || !rect.height) return [WIDTH / 2, HEIGHT / 2];
+      const ratio = Math.max(WIDTH / rect.width, HEIGHT / rect.height);
+      return [
+        (clientX - rect.left - rect.width / 2) * ratio + WIDTH / 2,
+        (clientY - rect.top - rect.height / 2) * ratio + HEIGHT / 2
+      ];
+    }
+
+    function select(target) {
+      const marker = target.closest && target.closest('.photo-map-marker');
+      if (marker && onSelect) onSelect(Number(marker.dataset.id));
+    }
+
+    // Interaction: drag to pan, wheel or buttons to zoom, click a marker to select it
+
+    svg.addEventListener('pointerdown', (e) => {
+      if (e.button !== 0) return;
+      // Capture retargets later events to the SVG, so remember what was pressed
+      drag = { start: toSvgPoint(e.clientX, e.clientY), view: { ...view }, target: e.target, moved: false };
+      if (svg.setPointerCapture) svg.setPointerCapture(e.pointerId);
+    });
+
+    svg.addEventListener('pointermove', (e) => {
+      if (!drag) return;
+      const [sx, sy] = toSvgPoint(e.clientX, e.clientY);
+      const dx = sx - drag.start[0];
+      const dy = sy - drag.start[1];
+      if (!drag.moved && Math.hypot(dx, dy) < DRAG_THRESHOLD) return;
+      drag.moved = true;
+      root.classList.add('dragging');
+      const s = scale();
+      view.x = drag.view.x - dx / s;
+      view.y = drag.view.y - dy / s;
+      render();
+    });
+
+    const endDrag = (e) => {
+      if (!drag) return;
+      const { target, moved } = drag;
+      drag = null;
+      root.classList.remove('dragging');
+      if (!moved && e.type === 'pointerup') select(target);
+    };
+    svg.addEventListener('pointerup', endDrag);
+    svg.addEventListener('pointercancel', endDrag);
+
+    svg.addEventListener('wheel', (e) => {
+      e.preventDefault();
+      const [sx, sy] = toSvgPoint(e.clientX, e.clientY);
+      zoomBy(e.deltaY < 0 ? WHEEL_ZOOM_STEP : -WHEEL_ZOOM_STEP, sx, sy);
+    }, { passive: false });
+
+    svg.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        select(e.target);
+      }
+    });
+
+    controls.addEventListener('click', (e) => {
+      const action = e.target.closest('[data-map]');
+      if (!action) return;
+      if (action.dataset.map === 'in') zoomBy(ZOOM_STEP);
+      else if (action.dataset.map === 'out') zoomBy(-ZOOM_STEP);
+      else fit();
+    });
+
+    render();
+
+    return {
+      /**
+       * Replace the plotted points
+       * @param {Object[]} nextPoints
+       * @param {{fit?: boolean}} [options] - Refit the view to the points (default true)
+       */
+      setPoints(nextPoints, { fit: refit = true } = {}) {
+        points = nextPoints.filter(p => Number.isFinite(p.lat) && Number.isFinite(p.lon));
+        if (refit) fit();
+        else renderMarkers();
+      },
+      fit,
+      destroy() {
+        root.remove();
+      }
+    };
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════════
+  // HELPERS
+  // ═══════════════════════════════════════════════════════════════════════════════
+
+  /**
+   * A wedge from the marker toward the bearing, as wide as the field of view
+   */
+  function conePath(direction, fieldOfView) {
+    const half = Math.min(fieldOfView, 170) / 2;
+    const [x1, y1] = bearingPoint(direction - half, CONE_LENGTH);
+    const [x2, y2] = bearingPoint(direction + half, CONE_LENGTH);
+    return `M0 0L${round(x1)} ${round(y1)}A${CONE_LENGTH} ${CONE_LENGTH} 0 0 1 ${round(x2)} ${round(y2)}Z`;
+  }
+
+  // Bearings run clockwise from north; SVG y grows downward
+  function bearingPoint(bearing, length) {
+    const rad = bearing * Math.PI / 180;
+    return [Math.sin(rad) * length, -Math.cos(rad) * length];
+  }
+
+  function svgElement(name, attrs = {}) {
+    const el = document.createElementNS(SVG_NS, name);
+    for (const [key, value] of Object.entries(attrs)) el.setAttribute(key, value);
+    return el;
+  }
+
+  function round(n) {
+    return Math.round(n * 10) / 10;
+  }
+
+  window.PhotoMap = { create };
+
+})();
@@ -0,0 +1,223 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * EXIF VIEWER - World Outline
+ *
+ * A coarse, hand-simplified outline of the continents and larger islands for
+ * the offline photo map. Points are roughly a degree apart, which is enough to
+ * see which country or coast a photo was taken on, not which street.
+ *
+ * Each ring is a flat list of longitude, latitude pairs in degrees.
+ * Exposed as self.WorldOutline = { land, water }.
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+(function() {
+  'use strict';
+
+  const land = [
+    // North America
+    [
+      -168, 65.6, -166, 68.9, -156.8, 71.3, -141, 69.6, -128, 70.2, -117, 68.9, -108, 68.2, -95, 68,
+      -89, 68.5, -82, 66.5, -86, 64, -94, 61, -94.5, 58.7, -92, 57, -85, 55.3, -82, 52.9,
+      -79, 51.5, -78.5, 55.5, -77, 60, -78, 62.3, -72, 62, -65, 60.3, -61, 56, -56, 52,
+      -60, 50.2, -66, 49.8, -70, 47, -64.5, 48.8, -65, 47, -61, 45.6, -66, 44.5, -70, 43.5,
+      -70.5, 41.7, -74, 40.5, -75.5, 38.5, -76.3, 35.2, -81, 31.5, -80, 26.5, -81, 25.2, -82.8, 28,
+      -84, 30, -89, 30.2, -94, 29.5, -97.3, 27.5, -97.7, 22, -96, 19, -91, 18.6, -90.4, 21,
+      -87, 21.5, -88, 16, -84, 15.8, -83.5, 11, -81.5, 9, -79.5, 9.5, -77.5, 8.5, -79.5, 7.5,
+      -80.5, 7.3, -83, 8.3, -85.7, 10.5, -87.5, 13.2, -91.5, 14, -94, 16, -96.5, 15.6, -100, 17,
+      -105.5, 20.5, -105.7, 22.5, -106.4, 23.2, -109, 26, -112.2, 29.3, -114.8, 31.8, -113, 29, -111.5, 26,
+      -110, 24, -109.5, 23, -112, 24.8, -115, 27.8, -116, 30.5, -117.1, 32.5, -118.5, 34, -120.6, 34.6,
+      -122.5, 37.8, -124.2, 40.4, -124, 46.2, -124.7, 48.4, -123, 49, -127.5, 50.8, -130, 54.5, -133.5, 57.5,
+      -137, 59, -141, 60, -146, 60.8, -151, 59.2, -154, 57.5, -158, 56.7, -163.5, 54.7, -161, 58.5,
+      -165, 60.5, -164.5, 63, -161, 64.5, -166, 64.6
+    ],
+    // Greenland
+    [
+      -73, 78.2, -66, 80.5, -60, 81.9, -45, 82.5, -32, 83.6, -22, 82.7, -12, 81.5, -18, 80,
+      -19, 77, -19.5, 74.5, -22, 72, -24, 70, -30, 68.3, -35, 66.2, -40, 65, -43.9, 59.8,
+      -48, 61, -51, 64, -53.5, 66.5, -54, 69, -52, 70, -55, 71.5, -58, 75.5, -66, 76,
+      -71, 77
+    ],
+    // Baffin Island
+    [
+      -62, 66.5, -64.5, 63.5, -68, 62.5, -72, 64.5, -77, 65.5, -73, 67.5, -74, 68.5, -78, 70.5,
+      -85, 72.5, -89, 73.5, -80, 73.7, -75, 72.5, -70, 70.5, -67, 69
+    ],
+    // Ellesmere Island
+    [-78, 76.5, -89, 78.2, -92, 80.5, -85, 82, -70, 83, -62, 82.3, -70, 80, -75, 79],
+    // Victoria Island
+    [-118, 72.8, -108, 73, -101, 70, -104, 68.7, -114, 68.8, -118, 70],
+    // Banks Island
+    [-125, 72, -121, 74.3, -115, 73.5, -118, 71.5],
+    // Cuba
+    [-84.9, 21.9, -82, 23.1, -80, 23, -77.2, 21.6, -74.2, 20.2, -77.7, 19.9, -78.5, 21.5, -81.5, 22.2],
+    // Hispaniola
+    [-74.4, 18.4, -72.8, 19.9, -70, 19.7, -68.4, 18.6, -70, 18.2, -71.4, 17.6],
+    // South America
+    [
+      -77.3, 8.7, -75.5, 10.5, -74, 11.3, -71.5, 12.4, -68, 10.5, -64, 10.7, -61.8, 10.7, -60, 8.5,
+      -57, 6, -54, 5.7, -51.5, 4.3, -50, 1.8, -49.5, -0.2, -48.5, -1.4, -44.5, -2.5, -41, -2.9,
+      -37.5, -4.7, -35.2, -5.5, -34.8, -7.5, -35.5, -9.5, -37.5, -12, -39, -13.5, -39, -17.7, -40.5, -21,
+      -42, -23, -45, -23.7, -48.5, -26, -48.7, -28.5, -51, -31, -53, -33.7, -55, -34.9, -57.2, -36.3,
+      -57.6, -38.2, -62, -39, -62.3, -40.8, -65, -41, -64.5, -42.5, -65.5, -45, -67.5, -46.5, -66, -48,
+      -68.3, -50.1, -69, -51.6, -68.5, -52.4, -67.5, -54, -65.2, -54.8, -68, -55.5, -71.5, -54, -74.5, -52.5,
+      -75.5, -48.5, -74, -46, -73.5, -43, -73.8, -41.5, -73.5, -38, -72.6, -35.5, -71.5, -32, -71.5, -28,
+      -70.5, -23.5, -70.2, -18.5, -71.5, -17.3, -76, -14, -77.5, -12, -79.5, -7.5, -81.2, -6, -81, -4.3,
+      -80, -2.5, -80.9, -1, -80, 1, -78.8, 1.8, -77.5, 4, -77.3, 6.5, -77.9, 7.2
+    ],
+    // Africa
+    [
+      -5.9, 35.8, -2, 35.1, 1, 36.5, 3, 36.8, 8, 36.9, 10.2, 37.2, 11, 36.8, 10.5, 35.7,
+      10.1, 34.3, 11.2, 33.2, 15.2, 32.3, 16.6, 31.2, 19, 30.3, 20, 32.1, 22.5, 32.8, 25, 31.7,
+      29.9, 31.2, 32.3, 31.3, 32.5, 30, 33.6, 27, 35.5, 23.9, 37.2, 21, 38.5, 18, 39.7, 15.5,
+      41.2, 14, 43.3, 12.5, 44.5, 10.4, 51.2, 11.8, 51.3, 10.4, 49.5, 6, 48, 4.5, 46, 2,
+      42.5, -0.4, 40.2, -2.7, 39.3, -6, 39.6, -8, 40.4, -10.5, 40.6, -14, 40.8, -15, 37, -17.5,
+      36.5, -18.8, 35, -20.5, 35.5, -22, 35.5, -24, 32.9, -25.9, 32.8, -28.5, 31, -30, 28, -32.8,
+      25.6, -34, 22, -34.2, 20, -34.8, 18.4, -34.2, 18.2, -32, 16.5, -28.6, 15.2, -27, 14.5, -22.9,
+      12, -18, 11.8, -16, 12.5, -13, 13.8, -10.7, 13.2, -8.8, 12.2, -6, 12.3, -5, 9.5, -2,
+      9.3, 0.4, 9.7, 4, 8.5, 4.5, 6, 4.3, 3.4, 6.4, 1.2, 6.1, -2, 4.8, -4, 5.2,
+      -7.5, 4.4, -9.5, 5.5, -11.5, 6.9, -13.3, 8.5, -15, 10.8, -16.7, 12.4, -17.5, 14.7, -16.5, 16.5,
+      -16.1, 18.5, -17, 21, -16, 23.7, -14.5, 26.1, -13, 27.7, -11.5, 28.3, -9.8, 29.7, -9.6, 30.4,
+      -9.3, 32.5, -6.8, 34.1
+    ],
+    // Madagascar
+    [
+      49.3, -12, 50.5, -15.5, 49.5, -17, 48, -22, 47.1, -24.9, 45.2, -25.5, 43.8, -24, 43.3, -22,
+      44.4, -19, 44, -17, 46.3, -15.8, 47.9, -13.6
+    ],
+    // Eurasia, from Gibraltar north around Europe and Asia and back along the Mediterranean.
+    // Chukotka beyond 180° is left out so the ring never crosses the antimeridian.
+    [
+      -5.6, 36, -6.4, 36.8, -7.4, 37.2, -8.9, 37, -9.5, 38.7, -8.9, 41, -9.3, 43, -8, 43.7,
+      -4.5, 43.4, -1.8, 43.4, -1.2, 45.5, -1.2, 46.2, -2.2, 47.2, -4.8, 48.4, -3, 48.8, -1.5, 48.6,
+      -1.6, 49.7, 0, 49.4, 1.6, 50.5, 2.5, 51.1, 4, 51.4, 4.6, 52.5, 5, 53.3, 7, 53.6,
+      8.6, 53.9, 8.1, 55.5, 8.2, 57, 10.5, 57.7, 10.5, 56.5, 10, 55, 10.8, 54.3, 11, 54,
+      13.5, 54.3, 14.5, 53.9, 18.7, 54.4, 21, 55, 21.1, 56.3, 21.5, 57.5, 24, 57, 23.5, 59,
+      28, 59.5, 30.2, 59.9, 28, 60.5, 23, 59.9, 21.5, 60.8, 21.5, 63, 25, 65, 24, 65.8,
+      21.5, 64.5, 19, 63.5, 17.5, 62.3, 17.1, 60.7, 18.5, 59.4, 16.5, 57, 16, 56.2, 13, 55.4,
+      12.5, 56.3, 11.2, 58.5, 10.5, 59, 8, 58, 5.6, 58.9, 5, 61, 5.5, 62.5, 10, 64,
+      13, 66, 15, 68.5, 19, 70, 23.5, 70.9, 28, 71.1, 31, 70.3, 33, 69.4, 36.5, 69.2,
+      41, 67.5, 44, 68.5, 46, 68.4, 53.5, 68.5, 58, 68.8, 60.5, 69.8, 66.5, 70.5, 69, 73,
+      73, 72.5, 80, 73.5, 87, 75, 100, 76.5, 104.3, 77.7, 113, 73.7, 127, 73.5, 140, 72.5,
+      150, 71.5, 160, 70, 170, 70, 179.9, 68.9, 179.9, 65, 177, 62.5, 173, 61, 170, 60,
+      164, 59.9, 163, 57.5, 162, 56, 160, 54, 158.5, 52.8, 156.7, 51, 156, 53.5, 155.5, 56.5,
+      156.5, 58, 160, 61, 155, 59.3, 150, 59.6, 143, 59.3, 137, 54, 140.5, 53.5, 141.5, 52,
+      140.5, 48.5, 137.5, 45, 133, 42.8, 130, 42.3, 129.7, 41, 128, 39, 129.4, 36, 129.3, 35.2,
+      127, 34.6, 126.3, 34.7, 126.5, 36.5, 126.6, 37.5, 125.2, 37.8, 124.8, 39.7, 121.6, 39, 121.5, 40.8,
+      119.5, 39.9, 117.8, 39, 118.9, 37.5, 120.5, 37.7, 122.5, 37.4, 120.5, 36, 119.3, 34.8, 120.8, 32,
+      121.9, 30.9, 121.9, 29.6, 120.7, 27.5, 119.6, 26, 117, 23.6, 114.3, 22.4, 111, 21.5, 109.8, 21.5,
+      108, 21.6, 106.5, 20.4, 105.7, 19, 107, 16.5, 109.2, 13, 109, 11.5, 107, 10.4, 105, 8.7,
+      104.8, 10.3, 103, 10.8, 101, 12.7, 100, 13.5, 99.2, 10.4, 100.3, 8.3, 101.2, 6.9, 103.5, 4.3,
+      104.2, 1.4, 103.4, 1.3, 101.3, 2.9, 100.3, 5.5, 98.3, 7.8, 98.6, 10, 97.7, 16.4, 94.5, 16,
+      94.2, 18.9, 92.2, 21.2, 91.8, 22.3, 90.5, 22, 88.5, 21.7, 87, 21, 85.8, 19.7, 82.3, 16.6,
+      80.3, 13.1, 79.9, 10.3, 77.5, 8.1, 76.3, 9.9, 75, 12.8, 73.6, 16.6, 72.8, 19, 72.6, 21.3,
+      70.5, 20.7, 69, 22.4, 68.5, 23.5, 67, 24.8, 61.6, 25.2, 57.3, 25.8, 54.5, 26.6, 51.5, 27.9,
+      50.3, 29.3, 48, 30, 48.5, 28.4, 49.6, 26.8, 50.6, 25.3, 51.6, 24.2, 54.5, 24.3, 56.2, 26,
+      56.4, 24.8, 58.6, 23.6, 59.8, 22.4, 57.8, 19, 55, 17, 52, 15.6, 48.7, 14, 45, 12.8,
+      43.4, 12.7, 42.8, 15, 42.5, 16.5, 40.7, 19.8, 39.1, 21.5, 37.5, 24.3, 35.2, 28, 34.9, 29.5,
+      34.3, 27.7, 32.6, 29.9, 34.2, 31.3, 35, 33, 35.8, 34.7, 36, 36.6, 34.5, 36.8, 32.5, 36.1,
+      30.5, 36.3, 28, 36.7, 27.2, 37.7, 26.3, 38.4, 26.5, 40.1, 29, 41, 31.5, 41.2, 35, 42,
+      38, 41, 41.5, 41.5, 41.7, 42.6, 38.5, 44.3, 37.5, 45, 35.5, 45, 33.5, 44.5, 32.5, 45.3,
+      33.5, 46, 31, 46.6, 30.7, 46.5, 29.6, 45.4, 28.6, 44, 27.9, 42.5, 28.2, 41.5, 26.2, 40.6,
+      24, 40.9, 22.9, 40.6, 23.5, 39.5, 22.8, 37.9, 23.9, 38, 22.5, 36.4, 21.6, 36.9, 21.1, 38.3,
+      20.2, 39.6, 19.4, 40.4, 19.5, 41.8, 18.5, 42.4, 16, 43.5, 14, 44.9, 13.7, 45.6, 12.3, 45.3,
+      12.4, 44.2, 13.6, 43.6, 16, 41.9, 17.2, 40.9, 18.5, 40.1, 17.2, 39.4, 16.6, 38.4, 15.7, 38.2,
+      15.8, 40, 14.5, 40.7, 12.6, 41.5, 11.1, 42.4, 10.3, 43.5, 8.8, 44.4, 7.5, 43.8, 6, 43.1,
+      4.8, 43.4, 3.1, 43.1, 3.2, 41.9, 2.2, 41.4, 0.9, 41, -0.3, 39.5, 0.2, 38.7, -0.5, 38.3,
+      -1.6, 37.3, -2.4, 36.8, -4.4, 36.7
+    ],
+    // Great Britain
+    [
+      -5.7, 50.1, -3.5, 50.3, 1.4, 51.2, 1.7, 52.7, 0.3, 53.5, -0.5, 54.5, -1.6, 55.6, -2, 56.8,
+      -1.8, 57.6, -3, 58.6, -5, 58.6, -6.2, 57.5, -5.6, 55.3, -4.9, 54.8, -3.2, 54.4, -3, 53.3,
+      -4.6, 53.3, -4.4, 52.2, -5.3, 51.8, -4.2, 51.6, -3, 51.4, -4.5, 51
+    ],
+    // Ireland
+    [-6, 52.2, -6.2, 53.8, -5.7, 54.6, -7.3, 55.4, -8.5, 54.5, -10, 54.2, -9.5, 53, -10.3, 51.8, -8.3, 51.7],
+    // Iceland
+    [-24, 65.5, -22, 66.4, -16, 66.5, -13.5, 65.2, -15, 64.3, -18.7, 63.4, -22.7, 63.8, -21.5, 64.7],
+    // Svalbard
+    [11, 78.5, 16, 80, 27, 80.2, 22, 78, 16, 76.6],
+    // Novaya Zemlya
+    [52, 71.5, 55, 73.5, 60, 76.2, 68, 77, 62, 75, 57, 72.3, 53, 70.8],
+    // Sri Lanka
+    [79.8, 6.5, 80.2, 9.8, 81.9, 7.5, 81, 6],
+    // Hainan
+    [108.6, 19.2, 110.4, 20.1, 111, 19.6, 109.6, 18.2],
+    // Taiwan
+    [120.1, 23, 121, 25.1, 121.9, 25, 121.4, 22.7, 120.8, 21.9],
+    // Japan: Kyushu, Shikoku and Honshu together, then Hokkaido
+    [
+      130.2, 31.2, 131.5, 31.6, 132, 33.5, 134.7, 33.8, 135.2, 34.3, 136.9, 34.6, 138.8, 34.6, 140, 35,
+      140.8, 35.7, 141, 38.3, 142, 39.5, 141.4, 41.4, 140, 40.6, 139.9, 39, 139.4, 38.1, 137.3, 36.8,
+      136.7, 37.3, 135.5, 35.5, 133, 35.6, 131.3, 34.4, 130.5, 33.9, 129.8, 33
+    ],
+    [140.1, 42, 141.3, 41.5, 143.3, 42, 145.5, 43.3, 144.5, 44, 141.9, 45.5, 141.6, 44, 140.4, 43.3],
+    // Sakhalin
+    [142.3, 46, 143.5, 49.5, 144.5, 49, 143.2, 51.5, 143, 54.3, 142.3, 54.3, 142, 51, 141.8, 48],
+    // Philippines: Luzon and Mindanao
+    [120.6, 18.5, 122.3, 18.4, 121.5, 15.5, 124.2, 12.6, 120.6, 13.9, 119.8, 16.2],
+    [122, 7, 123.5, 8.6, 125.5, 9.7, 126.6, 7.3, 125.5, 5.6, 124, 6.3],
+    // Borneo
+    [
+      109, 1.5, 109.6, 2.1, 111.5, 2.5, 113, 3.2, 115.5, 5.3, 117, 7, 119.3, 5.3, 118, 4.3,
+      117.6, 3, 118.9, 1, 117.5, 0, 116.5, -1.5, 116.2, -3.7, 114.5, -4, 111.7, -3, 110.2, -2.9,
+      109.5, -1
+    ],
+    // Sumatra
+    [
+      95.3, 5.6, 97.5, 5.2, 98.7, 3.8, 100.5, 2, 103.4, 0.5, 104.5, -1.8, 106, -3, 105.9, -5.8,
+      104.6, -5.9, 102.3, -4, 100.4, -0.9, 98.7, 1.7
+    ],
+    // Java
+    [105.2, -6.8, 106.8, -6.1, 110.4, -6.9, 112.7, -6.9, 114.4, -7.7, 114.5, -8.7, 110.5, -8.2, 106.5, -7.4],
+    // Sulawesi
+    [
+      119.4, -5.6, 118.8, -2.6, 120, 0.7, 124.9, 1.5, 121.3, 0.4, 123.3, -0.9, 121.3, -1.9, 122.8, -4.7,
+      121.4, -4.7, 120.4, -2.9, 120.4, -5.6
+    ],
+    // New Guinea
+    [
+      131, -1.3, 134, -0.9, 135, -3.3, 138, -1.6, 141, -2.6, 144.5, -3.8, 146, -5.5, 147.5, -6.3,
+      148, -8, 150.2, -10.3, 147, -10, 146, -8.3, 144, -7.7, 143.3, -9, 141, -9.1, 138.5, -8.3,
+      137.7, -5.2, 135.2, -4.4, 132.8, -4, 132, -2.9, 133.5, -2.3
+    ],
+    // Australia
+    [
+      114.1, -21.8, 116.7, -20.6, 121, -19.5, 122.2, -17, 125, -14.5, 127, -13.8, 129.5, -14.9, 130.8, -12.4,
+      132.5, -11.3, 136.7, -12.1, 135.9, -13.8, 135.5, -15, 137.7, -16.3, 139.3, -17.5, 140.8, -17.4, 141.6, -15,
+      141.6, -12.6, 142.5, -10.7, 143.5, -14, 145.3, -15, 146.1, -18.5, 149, -20.9, 150.8, -23, 153.2, -25.5,
+      153.6, -28.6, 152.6, -32.5, 151.2, -33.9, 150, -37.5, 148, -37.8, 146.3, -39.1, 144.6, -38.2, 140.5, -38,
+      139.6, -37.2, 138.3, -35.6, 137.6, -35.2, 137.8, -33, 135.6, -34.9, 134.2, -32.8, 131.2, -31.5, 126, -32.3,
+      123.5, -33.9, 120, -33.9, 117.9, -35.1, 115, -34.3, 115.7, -32, 115, -29.5, 113.5, -26.5, 113.7, -24
+    ],
+    // Tasmania
+    [144.7, -40.7, 148.3, -40.9, 148.2, -42, 147.3, -43.3, 146, -43.6, 145.2, -42.2],
+    // New Zealand
+    [
+      172.7, -34.4, 174.3, -35.8, 175.9, -37.3, 178.5, -37.7, 177, -39.2, 176.8, -40.1, 175.2, -41.6, 174.6, -41.3,
+      175, -40, 174, -39.2, 174.6, -38, 174.4, -37, 173, -35.2
+    ],
+    [
+      172.7, -40.5, 174.3, -41.4, 173.2, -43, 171.2, -44.4, 170.6, -45.9, 169, -46.6, 166.5, -46, 167, -45,
+      168.3, -44, 170.5, -43, 172, -41.5
+    ],
+    // Antarctica, closed along the bottom edge of the map
+    [
+      180, -78, 170, -71.3, 160, -69.5, 140, -66.5, 120, -66.5, 100, -65.8, 90, -66.5, 80, -67.5,
+      70, -69, 60, -67.4, 50, -66.5, 40, -69, 30, -69.5, 20, -70, 10, -70, 0, -70,
+      -10, -71, -20, -73, -30, -76, -40, -78, -50, -78, -60, -75, -60, -70, -57, -63.3,
+      -62, -64.5, -66, -67, -68, -70, -75, -71, -85, -73, -100, -73, -110, -74, -120, -74,
+      -130, -74, -140, -75.5, -150, -77, -160, -78.5, -170, -78, -180, -78, -180, -90, 180, -90
+    ]
+  ];
+
+  // Inland seas drawn back over the land
+  const water = [
+    // Caspian Sea
+    [47, 44, 49, 46.5, 53, 47, 53.5, 45, 51, 44.5, 52.8, 41.5, 54, 40, 53.9, 37.3, 50.5, 37, 49, 38.4, 49.5, 40.3, 48, 42]
+  ];
+
+  self.WorldOutline = { land, water };
+
+})();
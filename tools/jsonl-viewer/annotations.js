@@ -0,0 +1,179 @@
+/**
+ * JSONL Viewer - Annotations
+ *
+ * Bookmarks and notes keyed by line number. They are saved in IndexedDB
+ * under a fingerprint of the file: its name and a hash of its first bytes,
+ * up to 64 KB or the file's size when it was first annotated. Reopening the
+ * same file, or a longer version of a growing log, restores them. They can
+ * also be exported and imported as a sidecar JSON file.
+ *
+ * Exposed as window.JsonlAnnotations.
+ */
+
+(function() {
+  'use strict';
+
+  const DB_NAME = 'jsonl-viewer';
+  const DB_VERSION = 1;
+  const STORE = 'annotations';
+  const FINGERPRINT_BYTES = 64 * 1024;
+  const SIDECAR_TYPE = 'jsonl-viewer-annotations';
+
+  // Fingerprint
+  function readBytes(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = (e) => resolve(new Uint8Array(e.target.result));
+      reader.onerror = () => reject(new Error('could not read file'));
+      reader.readAsArrayBuffer(blob);
+    });
+  }
+
+  /**
+   * 32-bit FNV-1a hash as hex
+   */
+  function fnv1a(bytes) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < bytes.length; i++) {
+      hash ^= bytes[i];
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+  }
+
+  /**
+   * Identify a file by its name and the hash of its first bytes, as
+   * `name:length:hash`. A saved fingerprint whose prefix the file still
+   * starts with is reused, so appending to a small log keeps its key.
+   * @returns {Promise<string>}
+   */
+  async function fingerprint(file) {
+    const prefix = `${file.name}:`;
+    let keys = [];
+    try {
+      keys = await run('readonly', store => store.getAllKeys(IDBKeyRange.bound(prefix, `${prefix}\uffff`)));
+    } catch (err) {
+      // No storage: a fresh fingerprint still identifies the file for saving
+    }
+
+    const saved = keys
+      .map(key => /^(\d+):([0-9a-f]{8})$/.exec(key.slice(prefix.length)))
+      .filter(match => match && Number(match[1]) <= file.size)
+      .sort((a, b) => b[1] - a[1]);
+    for (const [suffix, length, hash] of saved) {
+      if (fnv1a(await readBytes(file.slice(0, Number(length)))) === hash) return prefix + suffix;
+    }
+
+    const length = Math.min(file.size, FINGERPRINT_BYTES);
+    return `${prefix}${length}:${fnv1a(await readBytes(file.slice(0, length)))}`;
+  }
+
+  // Storage
+  let dbPromise = null;
+
+  function openDb() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+          reject(new Error('IndexedDB is not available'));
+          return;
+        }
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(STORE, { keyPath: 'fingerprint' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      // Let a later call try again (e.g. after a blocked upgrade)
+      dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+  }
+
+  function run(mode, action) {
+    return openDb().then(db => new Promise((resolve, reject) => {
+      const request = action(db.transaction(STORE, mode).objectStore(STORE));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }));
+  }
+
+  /**
+   * Saved annotations for a fingerprint
+   * @returns {Promise<{ bookmarks: Set<number>, notes: Map<number, string> }|null>}
+   */
+  function load(key) {
+    return run('readonly', store => store.get(key))
+      .then(record => (record ? fromRecord(record) : null));
+  }
+
+  /**
+   * Save annotations; an empty set removes the stored record
+   */
+  function save(key, fileName, bookmarks, notes) {
+    if (bookmarks.size === 0 && notes.size === 0) {
+      return run('readwrite', store => store.delete(key));
+    }
+    // Copy now: the caller may change its sets before the database opens
+    const record = {
+      fingerprint: key,
+      fileName,
+      updatedAt: new Date().toISOString(),
+      ...toRecord(bookmarks, notes)
+    };
+    return run('readwrite', store => store.put(record));
+  }
+
+  // Serialization
+  function toRecord(bookmarks, notes) {
+    return {
+      bookmarks: [...bookmarks].sort((a, b) => a - b),
+      notes: Object.fromEntries([...notes].sort((a, b) => a[0] - b[0]))
+    };
+  }
+
+  function fromRecord(record) {
+    const isLine = (n) => Number.isInteger(n) && n > 0;
+    const bookmarks = new Set((Array.isArray(record.bookmarks) ? record.bookmarks : []).filter(isLine));
+    const notes = new Map();
+    if (record.notes && typeof record.notes === 'object') {
+      for (const [line, text] of Object.entries(record.notes)) {
+        if (isLine(Number(line)) && typeof text === 'string' && text) notes.set(Number(line), text);
+      }
+    }
+    return { bookmarks, notes };
+  }
+
+  /**
+   * Sidecar file contents
+   */
+  function toSidecar(fileName, bookmarks, notes) {
+    return {
+      type: SIDECAR_TYPE,
+      version: 1,
+      file: fileName || null,
+      exportedAt: new Date().toISOString(),
+      ...toRecord(bookmarks, notes)
+    };
+  }
+
+  /**
+   * Read a parsed sidecar file. Throws if it isn't one.
+   */
+  function fromSidecar(value) {
+    if (!value || typeof value !== 'object' || value.type !== SIDECAR_TYPE) {
+      throw new Error('Not a JSONL Viewer annotations file');
+    }
+    return fromRecord(value);
+  }
+
+  window.JsonlAnnotations = {
+    fingerprint,
+    load,
+    save,
+    toSidecar,
+    fromSidecar
+  };
+
+})();
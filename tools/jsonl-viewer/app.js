@@ -2,7 +2,9 @@
  * JSONL Viewer - Tool Logic
  *
  * Parses and displays JSONL (JSON Lines) files with syntax highlighting,
- * search, pagination, and copy functionality.
+ * search, and copy functionality. Files are streamed and parsed in a Web
+ * Worker (parser.worker.js) so large logs load incrementally, and the entry
+ * list is virtualized so only the cards in view are in the DOM.
  */
 
 (function() {
@@ -14,37 +16,237 @@
   const fileInfo = document.getElementById('file-info');
   const fileName = document.getElementById('file-name');
   const fileMeta = document.getElementById('file-meta');
+  const fileDirty = document.getElementById('file-dirty');
+  const undoBtn = document.getElementById('undo-btn');
+  const redoBtn = document.getElementById('redo-btn');
+  const saveAsBtn = document.getElementById('save-as-btn');
   const statsBar = document.getElementById('stats-bar');
   const statEntries = document.getElementById('stat-entries');
   const statValid = document.getElementById('stat-valid');
   const statErrors = document.getElementById('stat-errors');
   const statErrorsChip = document.getElementById('stat-errors-chip');
+  const statViolations = document.getElementById('stat-violations');
+  const statViolationsChip = document.getElementById('stat-violations-chip');
   const searchBar = document.getElementById('search-bar');
   const searchInput = document.getElementById('search-input');
   const searchClear = document.getElementById('search-clear');
+  const searchError = document.getElementById('search-error');
   const searchResultsInfo = document.getElementById('search-results-info');
+  const deleteMatchingBtn = document.getElementById('delete-matching-btn');
+  const timelinePanel = document.getElementById('timeline-panel');
+  const timelineFieldSelect = document.getElementById('timeline-field');
+  const timelineStackSelect = document.getElementById('timeline-stack');
+  const timelineRangeLabel = document.getElementById('timeline-range');
+  const timelineClearBtn = document.getElementById('timeline-clear-btn');
+  const timelineChart = document.getElementById('timeline-chart');
+  const timelineAxis = document.getElementById('timeline-axis');
+  const timelineLegend = document.getElementById('timeline-legend');
   const entriesContainer = document.getElementById('entries-container');
-  const pagination = document.getElementById('pagination');
-  const paginationInfo = document.getElementById('pagination-info');
-  const prevBtn = document.getElementById('prev-btn');
-  const nextBtn = document.getElementById('next-btn');
+  const schemaBtn = document.getElementById('schema-btn');
+  const schemaPanel = document.getElementById('schema-panel');
+  const schemaSummary = document.getElementById('schema-summary');
+  const schemaFields = document.getElementById('schema-fields');
+  const schemaExportBtn = document.getElementById('schema-export-btn');
+  const groupBtn = document.getElementById('group-btn');
+  const groupPanel = document.getElementById('group-panel');
+  const groupPathInput = document.getElementById('group-path-input');
+  const groupPathOptions = document.getElementById('group-path-options');
+  const groupAddBtn = document.getElementById('group-add-btn');
+  const groupPathList = document.getElementById('group-path-list');
+  const groupAggregateSelect = document.getElementById('group-aggregate');
+  const groupMetricInput = document.getElementById('group-metric-input');
+  const groupSummary = document.getElementById('group-summary');
+  const groupTable = document.getElementById('group-table');
+  const compareBtn = document.getElementById('compare-btn');
+  const compareFileInput = document.getElementById('compare-file-input');
+  const comparePanel = document.getElementById('compare-panel');
+  const compareFiles = document.getElementById('compare-files');
+  const compareMatchMode = document.getElementById('compare-match-mode');
+  const compareKeyInput = document.getElementById('compare-key-input');
+  const compareRunBtn = document.getElementById('compare-run-btn');
+  const compareCloseBtn = document.getElementById('compare-close-btn');
+  const compareFilters = document.getElementById('compare-filters');
+  const compareList = document.getElementById('compare-list');
+  const followBtn = document.getElementById('follow-btn');
+  const validateBtn = document.getElementById('validate-btn');
+  const validateFileInput = document.getElementById('validate-file-input');
+  const violationsBtn = document.getElementById('violations-btn');
+  const gotoLineInput = document.getElementById('goto-line-input');
+  const gotoLineBtn = document.getElementById('goto-line-btn');
   const errorEntries = document.getElementById('error-entries');
   const errorList = document.getElementById('error-list');
+  const errorAutofixBtn = document.getElementById('error-autofix-btn');
+  const errorDownloadBtn = document.getElementById('error-download-btn');
   const actions = document.getElementById('actions');
   const copyBtn = document.getElementById('copy-btn');
+  const exportBtn = document.getElementById('export-btn');
+  const exportPanel = document.getElementById('export-panel');
+  const exportFormatSelect = document.getElementById('export-format');
+  const exportCsvOptions = document.getElementById('export-csv-options');
+  const exportJsonOptions = document.getElementById('export-json-options');
+  const exportDelimiterSelect = document.getElementById('export-delimiter');
+  const exportNestedSelect = document.getElementById('export-nested');
+  const exportLineNumbersCheckbox = document.getElementById('export-line-numbers');
+  const exportJsonStyleSelect = document.getElementById('export-json-style');
+  const exportSummaryCheckbox = document.getElementById('export-include-summary');
+  const exportColumnsList = document.getElementById('export-columns-list');
+  const exportColumnsAllBtn = document.getElementById('export-columns-all');
+  const exportColumnsNoneBtn = document.getElementById('export-columns-none');
+  const exportSummary = document.getElementById('export-summary');
+  const exportDownloadBtn = document.getElementById('export-download-btn');
+  const exportCancelBtn = document.getElementById('export-cancel-btn');
   const expandAllBtn = document.getElementById('expand-all-btn');
   const collapseAllBtn = document.getElementById('collapse-all-btn');
   const clearBtn = document.getElementById('clear-btn');
+  const shortcutsModal = document.getElementById('shortcuts-modal');
+  const commandPalette = document.getElementById('command-palette');
+  const paletteInput = document.getElementById('palette-input');
+  const paletteList = document.getElementById('palette-list');
   const emptyState = document.getElementById('empty-state');
+  const parseProgress = document.getElementById('parse-progress');
+  const parseProgressPercent = document.getElementById('parse-progress-percent');
+  const parseProgressBar = document.getElementById('parse-progress-bar');
+  const parseProgressDetail = document.getElementById('parse-progress-detail');
+  const parseCancelBtn = document.getElementById('parse-cancel-btn');
+  const viewToolbar = document.getElementById('view-toolbar');
+  const viewCardsBtn = document.getElementById('view-cards-btn');
+  const viewTableBtn = document.getElementById('view-table-btn');
+  const viewChatBtn = document.getElementById('view-chat-btn');
+  const bookmarksBtn = document.getElementById('bookmarks-btn');
+  const bookmarkCount = document.getElementById('bookmark-count');
+  const annotationsExportBtn = document.getElementById('annotations-export-btn');
+  const annotationsImportBtn = document.getElementById('annotations-import-btn');
+  const annotationsFileInput = document.getElementById('annotations-file-input');
+  const tableOptions = document.getElementById('table-options');
+  const columnModeSelect = document.getElementById('column-mode-select');
+  const columnsBtn = document.getElementById('columns-btn');
+  const columnsPanel = document.getElementById('columns-panel');
+  const columnsList = document.getElementById('columns-list');
+  const columnsShowAllBtn = document.getElementById('columns-show-all');
+  const columnsHideAllBtn = document.getElementById('columns-hide-all');
 
   // State
   let allEntries = [];
   let validEntries = [];
   let invalidEntries = [];
   let filteredEntries = [];
-  let currentPage = 0;
-  const entriesPerPage = 50;
+  let blankLines = []; // line numbers of blank lines, written back on save
+  let lineEnding = '\n';
+  let expandedEntries = new Set(); // ids of expanded cards/rows
+  let nextEntryId = 1;
   let currentFileName = '';
+  let parserWorker = null;
+  let isParsing = false;
+  let activeFilter = null;
+
+  // Table view state
+  let viewMode = 'cards';
+  let columnMode = 'top';
+  let tableColumns = [];
+  let sortState = { key: null, dir: 1 };
+  let sortedEntries = null;
+  let draggedColumn = null;
+  let suppressHeaderClick = false;
+
+  // Chat view state
+  let chatCache = new WeakMap(); // entry -> detected conversation, or null
+  let openChatBlocks = new Set(); // "entryId:message:block" of opened tool/thinking blocks
+
+  // Timeline state
+  const TIMELINE_HEIGHT = 100;
+  let timeFields = []; // detected timestamp fields, best first
+  let timeField = null;
+  let stackFields = []; // fields offered for stacking
+  let stackSegments = null;
+  let timeRange = null; // { start, end } in ms, end exclusive
+  let timeCache = new WeakMap(); // entry -> ms (NaN when missing)
+  let timeHistogram = null;
+  let timelineDrag = null;
+
+  // Follow state
+  const FOLLOW_INTERVAL_MS = 1000;
+  const APPEND_TAIL_BYTES = 4096; // compared to check that a file only grew
+  const APPEND_LOOKBACK_BYTES = 64 * 1024; // how far back an unfinished last line is looked for
+  let sourceFile = null; // { name, size, format, compression, totalLines, tail } of the loaded file
+  let fileHandle = null; // FileSystemFileHandle, when the browser provides one
+  let followMode = false;
+  let followTimer = null;
+  let followBusy = false;
+  let followPaused = false; // polling skipped while there are unsaved edits
+
+  // Annotation state
+  let bookmarks = new Set(); // bookmarked line numbers
+  let notes = new Map(); // line number -> note text
+  let bookmarkedOnly = false;
+  let fileFingerprint = null;
+  let annotationsRun = 0;
+  let annotationsSaveFailed = false;
+
+  // URL hash state
+  let pendingViewState = null; // read from the hash, applied once a file has loaded
+  let writtenHash = '';
+
+  // JSON tree state
+  let treeStates = new Map(); // entry id -> JsonlTree state
+
+  // Schema panel state
+  let schemaResult = null;
+  let schemaRun = 0;
+
+  // Validation state
+  let schemaValidator = null; // JsonlValidate.compile result for the loaded schema file
+  let validationSchemaName = '';
+  let violationCache = new WeakMap(); // entry -> violations ([] when it conforms)
+  let violationCount = null; // failing entries; null while counting
+  let violationsOnly = false;
+  let validationRun = 0;
+
+  // Group-by state
+  const GROUP_ROW_LIMIT = 500;
+  let groupPaths = []; // [{ path, segments }]
+  let groupMetric = null; // { fn, path, segments } from the aggregate inputs
+  let groupRows = null; // JsonlGroup.groupBy result for filteredEntries
+  let groupView = []; // groupRows in display order
+  let groupSort = { key: 'count', dir: -1 }; // key: 'count', 'value' or a path index
+
+  // Export state
+  let exportColumns = [];
+
+  // Compare state
+  const COMPARE_PAGE_SIZE = 100;
+  let compareFileName = '';
+  let compareFileEntries = null; // valid entries of the second file
+  let compareResult = null;
+  let compareStatuses = new Set(['changed', 'added', 'removed']);
+  let compareShown = COMPARE_PAGE_SIZE;
+  let compareExpanded = new Set(); // row indexes
+
+  // Repair state
+  const ERROR_PAGE_SIZE = 20;
+  let errorsShown = ERROR_PAGE_SIZE;
+  let repairDrafts = new Map(); // invalid entry id -> edited text
+  let dirtyRepairs = new Set(); // ids awaiting re-validation
+
+  // Edit state
+  let editDrafts = new Map(); // entry id -> text of its open editor
+  let undoStack = []; // { type: 'edit', entry, before, after }, { type: 'add'|'remove', entries } or { type: 'repair', invalid, entries }
+  let redoStack = [];
+  let savedDepth = 0; // undoStack length when last saved; -1 once that state can't be reached
+
+  // Keyboard state
+  let focusedId = null; // entry id selected with j/k
+  let paletteCommands = []; // commands shown in the palette
+  let paletteSelected = 0;
+
+  // Virtual list state
+  const OVERSCAN_PX = 600;
+  let measuredHeights = new Map(); // entry id -> rendered height in px
+  let estimatedHeights = new Map(); // entry id -> estimated expanded height
+  let offsets = new Float64Array(1); // offsets[i] = top of item i, offsets[n] = total
+  let offsetsEntries = null;
+  let renderedEntries = null;
+  let renderedRange = { start: 0, end: 0 };
+  let scrollScheduled = false;
 
   // File Handling
   function handleDrop(e) {
@@ -54,7 +256,17 @@
 
     const files = e.dataTransfer?.files;
     if (files && files.length > 0) {
+      // Chromium can hand out a file handle, which follow mode polls; it has
+      // to be requested while the drop event is being handled
+      const item = e.dataTransfer.items && e.dataTransfer.items[0];
+      const handleRequest = item && item.getAsFileSystemHandle ? item.getAsFileSystemHandle() : null;
+
       processFile(files[0]);
+      if (handleRequest) {
+        handleRequest.then(handle => {
+          if (handle && handle.kind === 'file' && handle.name === currentFileName) setFileHandle(handle);
+        }).catch(() => {});
+      }
     }
   }
 
@@ -77,77 +289,279 @@
     }
   }
 
+  /**
+   * Load a file. Dropping the loaded file again after it has grown only
+   * parses the new lines; dropping it unchanged reloads it.
+   */
   function processFile(file) {
+    if (canAppend(file)) {
+      loadAppended(file, false);
+      return;
+    }
+    if (!confirmDiscardEdits()) return;
+    fileHandle = null;
+    openFile(file);
+  }
+
+  function openFile(file) {
+    cancelParsing();
+    resetEntries();
+    sourceFile = null;
     currentFileName = file.name;
+    loadAnnotations(file);
+
+    fileName.textContent = file.name;
+    fileMeta.textContent = `${ToolTemplate.formatFileSize(file.size)}`;
+    fileInfo.classList.add('visible');
+    dropZone.style.display = 'none';
+
+    startParsing(file);
+  }
+
+  // Streaming Parse (Web Worker)
+  function startParsing(file) {
+    showProgress(0, file.size);
+
+    try {
+      parserWorker = new Worker('parser.worker.js');
+    } catch (err) {
+      // Workers are unavailable (e.g. some browsers on file://), parse in-page
+      parserWorker = null;
+      readFileInPage(file);
+      return;
+    }
+
+    let receivedMessage = false;
 
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      const content = e.target.result;
-      parseJsonl(content);
+    parserWorker.onmessage = (e) => {
+      receivedMessage = true;
+      const msg = e.data;
 
-      // Update UI
-      fileName.textContent = file.name;
-      fileMeta.textContent = `${ToolTemplate.formatFileSize(file.size)}`;
-      fileInfo.classList.add('visible');
-      dropZone.style.display = 'none';
+      if (msg.type === 'batch') {
+        appendEntries(msg.valid, msg.invalid, msg.blank);
+        showProgress(msg.bytesRead, msg.totalBytes);
+      } else if (msg.type === 'done') {
+        lineEnding = msg.lineEnding || '\n';
+        showSourceFormat(msg.format, msg.compression);
+        rememberSource(file, msg.format, msg.compression, msg.totalLines);
+        finishParsing();
+      } else if (msg.type === 'error') {
+        finishParsing(`Failed to read file: ${msg.message}`);
+      }
     };
-    reader.onerror = () => {
-      ToolTemplate.showToast('Failed to read file', 4000);
+
+    parserWorker.onerror = (e) => {
+      e.preventDefault();
+      stopWorker();
+
+      // The worker script could not be loaded at all, fall back to in-page parsing
+      if (!receivedMessage) {
+        readFileInPage(file);
+        return;
+      }
+
+      finishParsing('Failed to parse file');
     };
-    reader.readAsText(file);
+
+    parserWorker.postMessage({ type: 'parse', file });
+  }
+
+  function readFileInPage(file) {
+    readFileText(file).then(({ text, compression }) => {
+      if (!isParsing) return; // Cancelled while reading
+      const { format, totalLines } = parseJsonl(text, file.name);
+      showSourceFormat(format, compression);
+      rememberSource(file, format, compression, totalLines);
+      finishParsing();
+    }).catch((err) => {
+      finishParsing(`Failed to read file: ${err.message}`);
+    });
+  }
+
+  /**
+   * Read a whole file as text, decompressing gzip/deflate (see formats.js)
+   * @returns {Promise<{ text: string, compression: string|null }>}
+   */
+  function readFileText(file) {
+    return readFileBytes(file).then(bytes => JsonlFormats.decodeBytes(bytes, file.name, file.type));
+  }
+
+  function readFileBytes(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = (e) => resolve(new Uint8Array(e.target.result));
+      reader.onerror = () => reject(new Error('could not read file'));
+      reader.readAsArrayBuffer(blob);
+    });
+  }
+
+  /**
+   * Note non-JSONL or compressed input next to the file size
+   */
+  function showSourceFormat(format, compression) {
+    if (format === 'jsonl' && !compression) return;
+    fileMeta.textContent += ` · ${JsonlFormats.describe(format, compression)}`;
+  }
+
+  function stopWorker() {
+    if (parserWorker) {
+      parserWorker.terminate();
+      parserWorker = null;
+    }
+  }
+
+  function cancelParsing() {
+    if (!isParsing) return false;
+
+    stopWorker();
+    isParsing = false;
+    hideProgress();
+    return true;
+  }
+
+  function handleCancelParsing() {
+    if (!cancelParsing()) return;
+
+    fileMeta.textContent += ' · partially loaded';
+    updateVisibility();
+    ToolTemplate.showToast(`Cancelled — showing ${validEntries.length} entries loaded so far`);
+  }
+
+  function finishParsing(errorMessage) {
+    stopWorker();
+    isParsing = false;
+    hideProgress();
+    updateVisibility();
+    refreshSchema();
+    refreshGroups();
+    refreshValidation();
+    detectTimeline();
+    applyPendingViewState();
+    if (followMode) scrollToNewest();
+
+    if (errorMessage) {
+      ToolTemplate.showToast(errorMessage, 4000);
+    } else if (validEntries.length > 0) {
+      ToolTemplate.showToast(`Loaded ${validEntries.length} entries`);
+    }
+  }
+
+  function showProgress(bytesRead, totalBytes) {
+    isParsing = true;
+    const percent = totalBytes > 0 ? Math.min(100, (bytesRead / totalBytes) * 100) : 0;
+
+    parseProgress.classList.add('visible');
+    parseProgressPercent.textContent = `${Math.round(percent)}%`;
+    parseProgressBar.style.width = `${percent}%`;
+    parseProgressDetail.textContent =
+      `${ToolTemplate.formatFileSize(bytesRead)} of ${ToolTemplate.formatFileSize(totalBytes)} · ${validEntries.length} entries`;
+  }
+
+  function hideProgress() {
+    parseProgress.classList.remove('visible');
   }
 
   // JSONL Parsing
-  function parseJsonl(content) {
-    const lines = content.split('\n');
+  /**
+   * Parse decoded text in one go (in-page fallback).
+   * Returns the detected format and the number of lines.
+   */
+  function parseJsonl(content, name) {
+    const parsed = JsonlFormats.parseText(content, { name });
+    appendEntries(parsed.valid, parsed.invalid, parsed.blank);
+    lineEnding = parsed.lineEnding;
+    return { format: parsed.format, totalLines: parsed.totalLines };
+  }
+
+  function resetEntries() {
     allEntries = [];
     validEntries = [];
     invalidEntries = [];
+    filteredEntries = [];
+    blankLines = [];
+    lineEnding = '\n';
+    sortedEntries = null;
+    tableColumns = [];
+    sortState = { key: null, dir: 1 };
+    resetVirtualList();
+    entriesContainer.innerHTML = '';
+    resetRepairs();
+    resetTimeline();
+    closeCompare();
+    compareKeyInput.value = '';
+    renderColumnsPanel();
+    resetSchema();
+    resetGroups();
+    resetAnnotations();
+    resetEdits();
+    resetValidation(false);
+  }
 
-    lines.forEach((line, index) => {
-      const trimmed = line.trim();
-      if (!trimmed) return; // Skip empty lines
-
-      try {
-        const parsed = JSON.parse(trimmed);
-        validEntries.push({
-          lineNumber: index + 1,
-          data: parsed,
-          raw: trimmed
-        });
-      } catch (err) {
-        invalidEntries.push({
-          lineNumber: index + 1,
-          raw: trimmed,
-          error: err.message
-        });
+  /**
+   * Merge a batch of parsed lines into state, filtering new entries with the
+   * active search so results grow while the file is still loading.
+   */
+  function appendEntries(valid, invalid, blank = []) {
+    for (const line of blank) blankLines.push(line);
+    for (const entry of valid) {
+      entry.id = nextEntryId++;
+      validEntries.push(entry);
+      allEntries.push(entry);
+      if (matchesSearch(entry)) {
+        filteredEntries.push(entry);
       }
-    });
+    }
+    for (const entry of invalid) {
+      entry.id = nextEntryId++;
+      invalidEntries.push(entry);
+    }
 
-    allEntries = [...validEntries];
-    filteredEntries = [...validEntries];
-    currentPage = 0;
+    if (viewMode === 'table' && valid.length > 0) {
+      const columnCount = tableColumns.length;
+      mergeColumns(valid);
+      if (tableColumns.length !== columnCount) renderColumnsPanel();
+    }
 
     updateStats();
-    renderEntries();
-    updatePagination();
+    if (hasActiveFilter()) updateSearchInfo();
 
-    // Show/hide elements
+    // A sorted view can change anywhere; otherwise new entries only extend the
+    // list and the visible window is left alone unless it reaches the end.
+    if (sortState.key && valid.length > 0) {
+      sortedEntries = null;
+    }
+    if (valid.length > 0) {
+      renderWindow(false);
+    }
+
+    if (invalid.length > 0) {
+      // Only rebuild the list while it has room, so open editors keep focus
+      if (invalidEntries.length - invalid.length < errorsShown) {
+        renderErrors();
+      } else {
+        renderErrorsMore();
+      }
+    }
+
+    updateVisibility();
+  }
+
+  function updateVisibility() {
     if (validEntries.length > 0) {
       statsBar.classList.add('visible');
       entriesContainer.classList.add('visible');
       searchBar.classList.add('visible');
+      viewToolbar.classList.add('visible');
       actions.hidden = false;
       emptyState.hidden = true;
-      ToolTemplate.showToast(`Loaded ${validEntries.length} entries`);
     } else {
-      emptyState.hidden = false;
+      // Don't claim the file is empty until parsing has finished
+      emptyState.hidden = isParsing;
       actions.hidden = true;
     }
 
     // Show errors if any
     if (invalidEntries.length > 0) {
-      renderErrors();
       errorEntries.hidden = false;
       statErrorsChip.style.display = '';
     } else {
@@ -163,35 +577,518 @@
     statErrors.textContent = invalidEntries.length;
   }
 
-  // Rendering
+  // Follow Mode
+  /**
+   * Remember what was parsed so a grown copy of the file can be read from
+   * where it left off
+   */
+  function rememberSource(file, format, compression, totalLines) {
+    const size = file.size;
+    readFileBytes(file.slice(Math.max(0, size - APPEND_TAIL_BYTES), size)).then(tail => {
+      if (currentFileName !== file.name || isParsing) return;
+      sourceFile = { name: file.name, size, lastModified: file.lastModified, format, compression, totalLines, tail };
+    }).catch(() => {});
+  }
+
+  function canAppend(file) {
+    return Boolean(sourceFile) && !isParsing &&
+      file.name === sourceFile.name && file.size > sourceFile.size &&
+      sourceFile.format === 'jsonl' && !sourceFile.compression;
+  }
+
+  /**
+   * Read what was added to the loaded file since it was parsed. Resolves to
+   * null when the file was changed rather than appended to.
+   * @returns {Promise<{ text, firstLine, replaceLine, size, tail }|null>}
+   */
+  async function readAppended(file) {
+    const source = sourceFile;
+    const windowStart = Math.max(0, source.size - APPEND_LOOKBACK_BYTES);
+    const bytes = await readFileBytes(file.slice(windowStart, file.size));
+    const oldEnd = source.size - windowStart;
+
+    // The end of what we read before must still be there
+    const tailStart = oldEnd - source.tail.length;
+    for (let i = 0; i < source.tail.length; i++) {
+      if (bytes[tailStart + i] !== source.tail[i]) return null;
+    }
+
+    let from = oldEnd;
+    let firstLine = source.totalLines + 1;
+    let replaceLine = null;
+    if (oldEnd > 0 && bytes[oldEnd - 1] !== 0x0a) {
+      // The last line was still being written: read it again in full
+      const newline = bytes.lastIndexOf(0x0a, oldEnd - 1);
+      if (newline === -1 && windowStart > 0) return null;
+      from = newline + 1;
+      firstLine = source.totalLines;
+      replaceLine = source.totalLines;
+    }
+
+    return {
+      text: new TextDecoder().decode(bytes.subarray(from)),
+      firstLine,
+      replaceLine,
+      size: file.size,
+      tail: bytes.slice(Math.max(0, bytes.length - APPEND_TAIL_BYTES))
+    };
+  }
+
+  /**
+   * Parse and merge lines appended to the loaded file, or reload it when it
+   * was rewritten. `quiet` skips the toast, for polling.
+   */
+  async function loadAppended(file, quiet) {
+    let appended;
+    try {
+      appended = await readAppended(file);
+    } catch (err) {
+      appended = null;
+    }
+
+    if (!appended) {
+      if (!confirmDiscardEdits()) return;
+      ToolTemplate.showToast(`${file.name} changed, reloading it`);
+      openFile(file);
+      return;
+    }
+    // Touched but not grown (polling only: a re-drop at the same size reloads)
+    if (appended.size === sourceFile.size) {
+      sourceFile = { ...sourceFile, lastModified: file.lastModified };
+      return;
+    }
+
+    const { valid, invalid, blank, totalLines } = JsonlFormats.parseText(appended.text, {
+      format: 'jsonl',
+      firstLine: appended.firstLine
+    });
+    const before = validEntries.length + invalidEntries.length;
+    if (appended.replaceLine !== null) removeLine(appended.replaceLine);
+    const removed = before - validEntries.length - invalidEntries.length;
+    const added = valid.length + invalid.length - removed;
+
+    sourceFile = {
+      ...sourceFile,
+      size: appended.size,
+      lastModified: file.lastModified,
+      totalLines: Math.max(totalLines, appended.firstLine - 1),
+      tail: appended.tail
+    };
+    fileMeta.textContent = ToolTemplate.formatFileSize(appended.size);
+
+    appendEntries(valid, invalid, blank);
+    refreshSchema();
+    refreshGroups();
+    refreshValidation();
+    if (timeField) {
+      refreshTimeline();
+    } else {
+      detectTimeline();
+    }
+    if (compareResult) runCompare();
+    if (followMode) scrollToNewest();
+
+    if (!quiet) {
+      ToolTemplate.showToast(`Loaded ${added} new ${added === 1 ? 'entry' : 'entries'}`);
+    }
+  }
+
+  /**
+   * Drop the entries parsed from one line (an unfinished last line that is
+   * about to be parsed again). They are the last ones in file order.
+   */
+  function removeLine(line) {
+    const dropTrailing = (list) => {
+      while (list.length > 0 && list[list.length - 1].lineNumber === line) list.pop();
+    };
+    dropTrailing(validEntries);
+    dropTrailing(allEntries);
+    dropTrailing(filteredEntries);
+    if (blankLines[blankLines.length - 1] === line) blankLines.pop();
+
+    const removed = invalidEntries.filter(entry => entry.lineNumber === line);
+    if (removed.length > 0) {
+      removed.forEach(entry => repairDrafts.delete(entry.id));
+      invalidEntries = invalidEntries.filter(entry => entry.lineNumber !== line);
+      renderErrors();
+    }
+
+    sortedEntries = null;
+    offsetsEntries = null;
+  }
+
+  function setFileHandle(handle) {
+    fileHandle = handle;
+    if (followMode) startPolling();
+  }
+
+  function toggleFollow() {
+    if (followMode) {
+      stopFollowing();
+      return;
+    }
+
+    followMode = true;
+    updateFollowButton();
+    scrollToNewest();
+
+    if (fileHandle) {
+      startPolling();
+    } else if (window.showOpenFilePicker) {
+      pickFollowedFile();
+    } else {
+      ToolTemplate.showToast('Drop the file again to load new lines', 3000);
+    }
+  }
+
+  /**
+   * Ask for the file through the File System Access API so it can be polled
+   * (a file from the file input or a drop in other browsers has no handle)
+   */
+  async function pickFollowedFile() {
+    let handle;
+    try {
+      [handle] = await window.showOpenFilePicker({ multiple: false });
+    } catch (err) {
+      // Cancelled: re-dropping the file still works
+      ToolTemplate.showToast('Drop the file again to load new lines', 3000);
+      return;
+    }
+
+    const file = await handle.getFile();
+    if (file.name !== currentFileName) {
+      fileHandle = handle;
+      openFile(file);
+    }
+    setFileHandle(handle);
+  }
+
+  function startPolling() {
+    clearInterval(followTimer);
+    followTimer = setInterval(pollFollowedFile, FOLLOW_INTERVAL_MS);
+  }
+
+  async function pollFollowedFile() {
+    if (followBusy || isParsing || !fileHandle || !sourceFile) return;
+
+    // A rewritten file is reloaded, which would throw edits away: wait until
+    // they are saved or undone rather than asking from a timer
+    if (isDirty()) {
+      if (!followPaused) {
+        followPaused = true;
+        ToolTemplate.showToast('Following paused until your edits are saved', 4000);
+      }
+      return;
+    }
+    followPaused = false;
+
+    followBusy = true;
+    try {
+      const file = await fileHandle.getFile();
+      if (file.size !== sourceFile.size || file.lastModified !== sourceFile.lastModified) {
+        if (file.size < sourceFile.size) {
+          ToolTemplate.showToast(`${file.name} was truncated, reloading it`);
+          openFile(file);
+        } else {
+          await loadAppended(file, true);
+        }
+      }
+    } catch (err) {
+      stopFollowing();
+      ToolTemplate.showToast(`Stopped following: ${err.message}`, 4000);
+    } finally {
+      followBusy = false;
+    }
+  }
+
+  function stopFollowing() {
+    followMode = false;
+    followPaused = false;
+    clearInterval(followTimer);
+    followTimer = null;
+    updateFollowButton();
+  }
+
+  function updateFollowButton() {
+    followBtn.classList.toggle('primary', followMode);
+    followBtn.setAttribute('aria-pressed', String(followMode));
+  }
+
+  /**
+   * Scroll to the last entry in file order that passes the filters
+   */
+  function scrollToNewest() {
+    const entries = getViewEntries();
+    if (entries.length === 0) return;
+
+    const newest = filteredEntries[filteredEntries.length - 1];
+    const index = sortState.key ? entries.indexOf(newest) : entries.length - 1;
+    if (index === -1) return;
+
+    if (offsetsEntries !== entries) computeOffsets(entries);
+    scrollToIndex(index);
+  }
+
+  // Rendering (virtualized)
+  /**
+   * Re-render the visible window of entries. The list lives in a scrolling
+   * container; only items near the viewport are in the DOM, with spacers
+   * standing in for the rest. Item heights are estimated until measured.
+   */
   function renderEntries() {
-    const start = currentPage * entriesPerPage;
-    const end = Math.min(start + entriesPerPage, filteredEntries.length);
-    const pageEntries = filteredEntries.slice(start, end);
+    renderWindow(true);
+  }
 
-    entriesContainer.innerHTML = pageEntries.map((entry, idx) => {
-      const preview = getEntryPreview(entry.data);
-      const highlighted = syntaxHighlight(JSON.stringify(entry.data, null, 2));
-      const globalIndex = start + idx;
+  function renderWindow(force) {
+    const entries = getViewEntries();
 
-      return `
-        <div class="entry-card" data-index="${globalIndex}">
-          <div class="entry-header" onclick="window.toggleEntry(${globalIndex})">
+    if (offsetsEntries !== entries || offsets.length !== entries.length + 1) {
+      computeOffsets(entries);
+    }
+
+    const range = getVisibleRange(entries.length);
+    if (!force && renderedEntries === entries &&
+        range.start === renderedRange.start && range.end === renderedRange.end) {
+      updateSpacers();
+      return;
+    }
+
+    renderedEntries = entries;
+    renderedRange = range;
+    const windowEntries = entries.slice(range.start, range.end);
+
+    if (viewMode === 'table') {
+      renderTable(windowEntries, range.start);
+    } else if (viewMode === 'chat') {
+      renderChat(windowEntries, range.start);
+    } else {
+      renderCards(windowEntries, range.start);
+    }
+
+    measureRenderedItems();
+    markFocusedEntry();
+  }
+
+  function renderCards(windowEntries, start) {
+    const items = windowEntries.map((entry, idx) => renderCardItem(entry, start + idx)).join('');
+    renderListItems(items);
+  }
+
+  function renderCardItem(entry, index) {
+    const preview = getEntryPreview(entry.data);
+    const expanded = expandedEntries.has(entry.id);
+    const body = expanded ? `
+        <div class="entry-body">${editDrafts.has(entry.id) ? renderEntryEditor(entry) : `
+          ${renderViolations(entry)}
+          ${renderEntryTree(entry)}
+          ${renderNoteEditor(entry)}
+          <div class="entry-actions">
+            <button class="btn small" onclick="window.copyEntry(${index})">Copy</button>
+            ${renderEditButtons(index)}
+            ${TREE_ACTIONS}
+          </div>`}
+        </div>` : '';
+
+    return `
+      <div class="virtual-item" data-index="${index}">
+        <div class="entry-card${expanded ? ' expanded' : ''}" data-index="${index}" data-id="${entry.id}" data-line="${entry.lineNumber}">
+          <div class="entry-header" onclick="window.toggleEntry(${index})">
             <div class="entry-header-left">
+              ${renderBookmarkButton(entry, index)}
               <span class="entry-number">#${entry.lineNumber}</span>
+              ${renderViolationBadge(entry)}
               <span class="entry-preview">${escapeHtml(preview)}</span>
             </div>
             <span class="entry-toggle">&#9660;</span>
-          </div>
-          <div class="entry-body">
-            <pre class="entry-json">${highlighted}</pre>
-            <div class="entry-actions">
-              <button class="btn small" onclick="window.copyEntry(${globalIndex})">Copy</button>
-            </div>
-          </div>
+          </div>${expanded ? '' : renderNotePreview(entry)}${body}
         </div>
-      `;
-    }).join('');
+      </div>
+    `;
+  }
+
+  function renderListItems(items) {
+    entriesContainer.innerHTML = `
+      <div class="virtual-spacer" data-spacer="top"></div>
+      ${items}
+      <div class="virtual-spacer" data-spacer="bottom"></div>
+    `;
+    updateSpacers();
+  }
+
+  function resetVirtualList() {
+    expandedEntries = new Set();
+    measuredHeights = new Map();
+    estimatedHeights = new Map();
+    openChatBlocks = new Set();
+    treeStates = new Map();
+    focusedId = null;
+    offsets = new Float64Array(1);
+    offsetsEntries = null;
+    renderedEntries = null;
+    renderedRange = { start: 0, end: 0 };
+    entriesContainer.scrollTop = 0;
+  }
+
+  function estimateHeight(entry) {
+    const expanded = expandedEntries.has(entry.id);
+    const conversation = viewMode === 'chat' ? getConversation(entry) : null;
+    if (conversation) return estimateChatHeight(conversation, expanded);
+
+    const rowHeight = viewMode === 'table' ? 33 : 56;
+    if (!expanded) return rowHeight + (viewMode !== 'table' && notes.has(entry.lineNumber) ? 24 : 0);
+
+    let estimate = estimatedHeights.get(entry.id);
+    if (estimate === undefined) {
+      // Roughly one pretty-printed line per value separator or opening bracket
+      const raw = entry.raw || JSON.stringify(entry.data);
+      let lines = 1;
+      for (let i = 0; i < raw.length; i++) {
+        const ch = raw.charCodeAt(i);
+        if (ch === 44 || ch === 123 || ch === 91) lines++; // , { [
+      }
+      estimate = rowHeight + 90 + lines * 20;
+      estimatedHeights.set(entry.id, estimate);
+    }
+    return estimate;
+  }
+
+  function itemHeight(entry) {
+    const measured = measuredHeights.get(entry.id);
+    return measured !== undefined ? measured : estimateHeight(entry);
+  }
+
+  function computeOffsets(entries) {
+    offsets = new Float64Array(entries.length + 1);
+    for (let i = 0; i < entries.length; i++) {
+      offsets[i + 1] = offsets[i] + itemHeight(entries[i]);
+    }
+    offsetsEntries = entries;
+  }
+
+  /**
+   * Index of the item containing the given offset (binary search)
+   */
+  function indexAtOffset(y) {
+    let lo = 0;
+    let hi = offsets.length - 2;
+    if (hi < 0) return 0;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (offsets[mid] <= y) lo = mid;
+      else hi = mid - 1;
+    }
+    return lo;
+  }
+
+  function getListScrollTop() {
+    // The table header scrolls with the rows but is not part of the item offsets
+    const head = viewMode === 'table' ? entriesContainer.querySelector('thead') : null;
+    return Math.max(0, entriesContainer.scrollTop - (head ? head.offsetHeight : 0));
+  }
+
+  function getVisibleRange(count) {
+    if (count === 0) return { start: 0, end: 0 };
+
+    const viewportHeight = Math.max(entriesContainer.clientHeight, window.innerHeight * 0.7);
+    const top = getListScrollTop();
+    const start = indexAtOffset(Math.max(0, top - OVERSCAN_PX));
+    const end = Math.min(count, indexAtOffset(top + viewportHeight + OVERSCAN_PX) + 1);
+    return { start, end };
+  }
+
+  function updateSpacers() {
+    const total = offsets[offsets.length - 1];
+    const topHeight = offsets[renderedRange.start] || 0;
+    const bottomHeight = Math.max(0, total - (offsets[renderedRange.end] || 0));
+
+    entriesContainer.querySelectorAll('[data-spacer]').forEach(spacer => {
+      const height = spacer.dataset.spacer === 'top' ? topHeight : bottomHeight;
+      const target = spacer.tagName === 'TBODY' ? spacer.querySelector('td') : spacer;
+      target.style.height = `${height}px`;
+    });
+  }
+
+  /**
+   * Record real heights of rendered items. If any estimate was off, rebuild
+   * offsets and keep the first visible item anchored so the view doesn't jump.
+   */
+  function measureRenderedItems() {
+    const entries = renderedEntries;
+    let changed = false;
+
+    entriesContainer.querySelectorAll('.virtual-item').forEach(el => {
+      const entry = entries[Number(el.dataset.index)];
+      const height = el.offsetHeight;
+      if (!entry || height === 0) return; // Not laid out (container hidden)
+      if (Math.abs(height - itemHeight(entry)) > 1) {
+        measuredHeights.set(entry.id, height);
+        changed = true;
+      }
+    });
+
+    if (!changed) return;
+
+    const top = getListScrollTop();
+    const anchor = indexAtOffset(top);
+    const anchorDelta = top - offsets[anchor];
+
+    computeOffsets(entries);
+    updateSpacers();
+
+    if (top > 0) {
+      entriesContainer.scrollTop += offsets[anchor] + anchorDelta - top;
+    }
+  }
+
+  function handleListScroll() {
+    if (scrollScheduled) return;
+    scrollScheduled = true;
+    requestAnimationFrame(() => {
+      scrollScheduled = false;
+      renderWindow(false);
+      writeViewState();
+    });
+  }
+
+  function scrollToIndex(index) {
+    const head = viewMode === 'table' ? entriesContainer.querySelector('thead') : null;
+    const headHeight = head ? head.offsetHeight : 0;
+
+    entriesContainer.scrollTop = offsets[index] + headHeight;
+    renderWindow(true);
+    // Measuring may have corrected heights above the target; settle on it again
+    entriesContainer.scrollTop = offsets[index] + headHeight;
+    renderWindow(false);
+  }
+
+  function goToLine() {
+    const line = parseInt(gotoLineInput.value, 10);
+    const entries = getViewEntries();
+    if (isNaN(line) || entries.length === 0) return;
+
+    let index = entries.findIndex(entry => entry.lineNumber === line);
+    if (index === -1) {
+      // Fall back to the nearest following line that is in the current list
+      let best = -1;
+      entries.forEach((entry, i) => {
+        if (entry.lineNumber > line && (best === -1 || entry.lineNumber < entries[best].lineNumber)) best = i;
+      });
+      index = best;
+      if (index === -1) {
+        ToolTemplate.showToast(`Line ${line} is not in the current results`);
+        return;
+      }
+      ToolTemplate.showToast(`Line ${line} is not in the current results — showing line ${entries[index].lineNumber}`);
+    }
+
+    entriesContainer.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    scrollToIndex(index);
+
+    const target = entriesContainer.querySelector(`[data-id="${entries[index].id}"]`);
+    if (target) {
+      target.classList.add('flash');
+      setTimeout(() => target.classList.remove('flash'), 1200);
+    }
   }
 
   function getEntryPreview(data) {
@@ -236,77 +1133,2678 @@
       });
   }
 
-  function renderErrors() {
-    errorList.innerHTML = invalidEntries.slice(0, 10).map(entry => `
-      <div class="error-entry">
-        <div class="error-entry-line">Line ${entry.lineNumber}: ${entry.error}</div>
-        <div class="error-entry-content">${escapeHtml(entry.raw.substring(0, 200))}${entry.raw.length > 200 ? '...' : ''}</div>
-      </div>
-    `).join('');
-
-    if (invalidEntries.length > 10) {
-      errorList.innerHTML += `<p class="muted">... and ${invalidEntries.length - 10} more errors</p>`;
+  // Timeline
+  /**
+   * When entries carry timestamps, a histogram of entry counts over time sits
+   * above the list (see timeline.js). It counts entries matching the search;
+   * dragging across it narrows the list to that time window.
+   */
+  function detectTimeline() {
+    if (timeField) return; // Keep the user's choice while more lines arrive
+    timeFields = JsonlTimeline.detectTimeFields(validEntries);
+    if (timeFields.length === 0) {
+      timelinePanel.hidden = true;
+      return;
     }
-  }
 
-  // Pagination
-  function updatePagination() {
-    const totalPages = Math.ceil(filteredEntries.length / entriesPerPage);
+    timeField = timeFields[0];
+    timelineFieldSelect.innerHTML = timeFields.map((field, i) =>
+      `<option value="${i}">${escapeHtml(field.path)} (${field.kind === 'iso' ? 'ISO' : field.kind === 'epoch-s' ? 'epoch s' : 'epoch ms'})</option>`
+    ).join('');
 
-    if (totalPages <= 1) {
-      pagination.classList.remove('visible');
-      return;
-    }
+    stackFields = JsonlTimeline.detectCategoryFields(validEntries);
+    timelineStackSelect.innerHTML = '<option value="">Nothing</option>' + stackFields.map((field, i) =>
+      `<option value="${i}">${escapeHtml(field.path)}</option>`
+    ).join('');
+    stackSegments = null;
 
-    pagination.classList.add('visible');
-    paginationInfo.textContent = `Page ${currentPage + 1} of ${totalPages}`;
-    prevBtn.disabled = currentPage === 0;
-    nextBtn.disabled = currentPage >= totalPages - 1;
+    timelinePanel.hidden = false;
+    refreshTimeline();
   }
 
-  function goToPage(page) {
-    const totalPages = Math.ceil(filteredEntries.length / entriesPerPage);
-    if (page < 0 || page >= totalPages) return;
-
-    currentPage = page;
-    renderEntries();
-    updatePagination();
+  function entryTime(entry) {
+    let time = timeCache.get(entry);
+    if (time === undefined) {
+      const values = JsonlQuery.resolvePath(entry.data, timeField.segments);
+      time = values.length > 0 ? JsonlTimeline.parseTime(values[0], timeField.kind) : NaN;
+      timeCache.set(entry, time);
+    }
+    return time;
+  }
 
-    // Scroll to top of entries
-    entriesContainer.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  function matchesTimeRange(entry) {
+    if (!timeRange) return true;
+    const time = entryTime(entry);
+    return time >= timeRange.start && time < timeRange.end;
   }
 
-  // Search
-  function handleSearch() {
-    const query = searchInput.value.trim().toLowerCase();
+  function refreshTimeline() {
+    if (!timeField) return;
 
-    if (!query) {
-      filteredEntries = [...validEntries];
-      searchResultsInfo.hidden = true;
-    } else {
-      filteredEntries = validEntries.filter(entry => {
-        const str = JSON.stringify(entry.data).toLowerCase();
-        return str.includes(query);
-      });
-      searchResultsInfo.textContent = `Found ${filteredEntries.length} matching entries`;
-      searchResultsInfo.hidden = false;
-    }
+    const items = [];
+    for (const entry of validEntries) {
+      if (activeFilter && !activeFilter(entry.data)) continue;
+      if (!matchesBookmarks(entry)) continue;
+      const time = entryTime(entry);
+      if (isNaN(time)) continue;
 
-    currentPage = 0;
+      let category;
+      if (stackSegments) {
+        const values = JsonlQuery.resolvePath(entry.data, stackSegments);
+        category = values.length > 0 ? String(values[0]) : '(missing)';
+      }
+      items.push({ time, category });
+    }
+
+    timeHistogram = JsonlTimeline.buildHistogram(items);
+    if (!timeHistogram) {
+      timelineChart.innerHTML = '<p class="muted">No timestamps among the matching entries.</p>';
+      timelineAxis.innerHTML = '';
+      timelineLegend.innerHTML = '';
+      renderTimelineSelection();
+      return;
+    }
+
+    const { start, end, interval } = timeHistogram;
+    timelineChart.innerHTML = JsonlTimeline.renderSvg(timeHistogram, TIMELINE_HEIGHT) +
+      '<div class="timeline-selection" hidden></div>';
+    timelineAxis.innerHTML = `
+      <span>${JsonlTimeline.formatTime(start, interval)}</span>
+      <span>${items.length.toLocaleString()} entries · ${JsonlTimeline.formatInterval(interval)} per bar · UTC</span>
+      <span>${JsonlTimeline.formatTime(end, interval)}</span>
+    `;
+
+    const legend = timeHistogram.categories.map((category, i) => ({ label: category, color: JsonlTimeline.colorFor(i, timeHistogram) }));
+    if (timeHistogram.hasOther) {
+      legend.push({ label: 'other', color: JsonlTimeline.colorFor(timeHistogram.categories.length, timeHistogram) });
+    }
+    timelineLegend.innerHTML = legend.map(item =>
+      `<span class="timeline-legend-item"><span class="timeline-swatch" style="background: ${item.color}"></span>${escapeHtml(item.label)}</span>`
+    ).join('');
+
+    renderTimelineSelection();
+  }
+
+  /**
+   * Position the highlighted window over the chart and update the label
+   */
+  function renderTimelineSelection(preview) {
+    const range = preview || timeRange;
+    const overlay = timelineChart.querySelector('.timeline-selection');
+
+    if (overlay && range && timeHistogram) {
+      const span = timeHistogram.end - timeHistogram.start;
+      const left = Math.max(0, (range.start - timeHistogram.start) / span);
+      const right = Math.min(1, (range.end - timeHistogram.start) / span);
+      overlay.style.left = `${left * 100}%`;
+      overlay.style.width = `${Math.max(0, right - left) * 100}%`;
+      overlay.hidden = right <= left;
+    } else if (overlay) {
+      overlay.hidden = true;
+    }
+
+    if (timeRange) {
+      const interval = timeHistogram ? timeHistogram.interval : 1000;
+      timelineRangeLabel.textContent =
+        `${JsonlTimeline.formatTime(timeRange.start, interval)} – ${JsonlTimeline.formatTime(timeRange.end, interval)}`;
+    } else {
+      timelineRangeLabel.textContent = 'Drag across the chart to filter by time';
+    }
+    timelineClearBtn.hidden = !timeRange;
+  }
+
+  /**
+   * Chart x position as a range snapped to bar edges
+   */
+  function timelineRangeAt(fromX, toX) {
+    const rect = timelineChart.getBoundingClientRect();
+    const count = timeHistogram.buckets.length;
+    const toBucket = (x) => Math.min(count - 1, Math.max(0, Math.floor(((x - rect.left) / (rect.width || 1)) * count)));
+    const a = toBucket(Math.min(fromX, toX));
+    const b = toBucket(Math.max(fromX, toX));
+    return {
+      start: timeHistogram.start + a * timeHistogram.interval,
+      end: timeHistogram.start + (b + 1) * timeHistogram.interval
+    };
+  }
+
+  function handleTimelineMouseDown(e) {
+    if (!timeHistogram || e.button !== 0) return;
+    e.preventDefault();
+    timelineDrag = { x: e.clientX };
+    renderTimelineSelection(timelineRangeAt(e.clientX, e.clientX));
+  }
+
+  function handleTimelineMouseMove(e) {
+    if (!timelineDrag) return;
+    renderTimelineSelection(timelineRangeAt(timelineDrag.x, e.clientX));
+  }
+
+  function handleTimelineMouseUp(e) {
+    if (!timelineDrag) return;
+    const range = timelineRangeAt(timelineDrag.x, e.clientX);
+    timelineDrag = null;
+    setTimeRange(range);
+  }
+
+  function setTimeRange(range) {
+    timeRange = range;
+    applyFilters();
+    renderTimelineSelection();
+  }
+
+  function handleTimelineFieldChange() {
+    timeField = timeFields[Number(timelineFieldSelect.value)];
+    timeCache = new WeakMap();
+    timeRange = null;
+    refreshTimeline();
+    applyFilters();
+  }
+
+  function handleTimelineStackChange() {
+    stackSegments = timelineStackSelect.value ? stackFields[Number(timelineStackSelect.value)].segments : null;
+    refreshTimeline();
+  }
+
+  function resetTimeline() {
+    timeFields = [];
+    timeField = null;
+    stackFields = [];
+    stackSegments = null;
+    timeRange = null;
+    timeCache = new WeakMap();
+    timeHistogram = null;
+    timelineDrag = null;
+    timelinePanel.hidden = true;
+    timelineChart.innerHTML = '';
+    timelineAxis.innerHTML = '';
+    timelineLegend.innerHTML = '';
+  }
+
+  // JSON Tree
+  /**
+   * Expanded entries show a foldable tree (see tree.js). Fold state is kept
+   * per entry id so it survives the virtual list re-rendering.
+   */
+  const TREE_ACTIONS = `
+    <button class="btn small" data-tree-action="expand-all">Unfold All</button>
+    <button class="btn small" data-tree-action="collapse-all">Fold All</button>`;
+
+  function getTreeState(id) {
+    let state = treeStates.get(id);
+    if (!state) {
+      state = JsonlTree.createState();
+      treeStates.set(id, state);
+    }
+    return state;
+  }
+
+  function renderEntryTree(entry) {
+    return `<div class="json-tree entry-json" data-id="${entry.id}">${JsonlTree.render(entry.data, getTreeState(entry.id), JsonlQuery.formatPath)}</div>`;
+  }
+
+  async function handleTreeClick(e) {
+    const button = e.target.closest('[data-tree-action]');
+    if (!button) return;
+
+    const container = button.closest('.entry-body, .grid-detail');
+    const treeEl = container && container.querySelector('.json-tree');
+    if (!treeEl) return;
+
+    const id = Number(treeEl.dataset.id);
+    const entry = renderedEntries && renderedEntries.find(item => item.id === id);
+    if (!entry) return;
+
+    const state = getTreeState(id);
+    const action = button.dataset.treeAction;
+
+    if (action === 'expand-all' || action === 'collapse-all') {
+      JsonlTree.setAllOpen(state, action === 'expand-all');
+    } else {
+      const segments = JSON.parse(button.closest('.tree-row').dataset.path);
+
+      if (action === 'copy-path' || action === 'copy-value') {
+        const value = JsonlTree.valueAt(entry.data, segments);
+        const text = action === 'copy-path'
+          ? JsonlQuery.formatPath(segments)
+          : (typeof value === 'string' ? value : JSON.stringify(value, null, 2));
+        const success = await ToolTemplate.copyToClipboard(text);
+        ToolTemplate.showToast(success ? `Copied ${action === 'copy-path' ? 'path' : 'value'}` : 'Failed to copy');
+        return;
+      }
+
+      if (!JsonlTree.applyAction(state, action, segments)) return;
+    }
+
+    treeEl.innerHTML = JsonlTree.render(entry.data, state, JsonlQuery.formatPath);
+    measureRenderedItems();
+  }
+
+  // Parse Errors & Repair
+  /**
+   * Each invalid line gets an editor that re-parses as you type, with
+   * one-click fixes from repair.js. Applying a fix moves the line into the
+   * valid entries at its original position.
+   */
+  function renderErrors() {
+    const shown = invalidEntries.slice(0, errorsShown);
+
+    errorList.innerHTML = shown.map(entry => {
+      const text = repairDrafts.has(entry.id) ? repairDrafts.get(entry.id) : entry.raw;
+      return `
+        <div class="error-entry" data-id="${entry.id}">
+          <div class="error-entry-line">Line ${entry.lineNumber}: ${escapeHtml(entry.error)}</div>
+          <textarea class="input error-entry-editor" rows="${Math.min(8, Math.ceil(text.length / 100) + 1)}" spellcheck="false" aria-label="Edit line ${entry.lineNumber}">${escapeHtml(text)}</textarea>
+          <div class="error-entry-status" aria-live="polite"></div>
+          <div class="error-entry-tools"></div>
+        </div>
+      `;
+    }).join('') + '<div id="error-more"></div>';
+
+    errorList.querySelectorAll('.error-entry').forEach(updateRepairItem);
+    renderErrorsMore();
+  }
+
+  function renderErrorsMore() {
+    const more = document.getElementById('error-more');
+    if (!more) return;
+
+    const remaining = invalidEntries.length - errorsShown;
+    more.innerHTML = remaining > 0
+      ? `<button type="button" class="btn small error-more" data-repair="more">Show ${Math.min(remaining, ERROR_PAGE_SIZE)} more (${remaining.toLocaleString()} remaining)</button>`
+      : '';
+  }
+
+  function findInvalidEntry(id) {
+    return invalidEntries.find(entry => entry.id === id);
+  }
+
+  /**
+   * Re-parse one editor and refresh its status line and fix buttons
+   */
+  function updateRepairItem(item) {
+    const entry = findInvalidEntry(Number(item.dataset.id));
+    if (!entry) return;
+
+    const editor = item.querySelector('.error-entry-editor');
+    const status = item.querySelector('.error-entry-status');
+    const tools = item.querySelector('.error-entry-tools');
+    const text = editor.value;
+    const result = JsonlRepair.parseLines(text);
+    const valid = !result.error;
+
+    editor.classList.toggle('valid', valid);
+    status.classList.toggle('valid', valid);
+    status.textContent = valid
+      ? (result.values.length > 1 ? `Valid JSON (${result.values.length} lines)` : 'Valid JSON')
+      : result.error;
+
+    const fixes = valid ? [] : JsonlRepair.detectIssues(text);
+    tools.innerHTML = `
+      ${fixes.map(fix => `<button type="button" class="btn small" data-fix="${fix.id}">${escapeHtml(fix.label)}</button>`).join('')}
+      <span class="spacer"></span>
+      <button type="button" class="btn small" data-repair="revert" ${text === entry.raw ? 'disabled' : ''}>Revert</button>
+      <button type="button" class="btn small primary" data-repair="apply" ${valid ? '' : 'disabled'}>Apply</button>
+    `;
+  }
+
+  const validateDirtyRepairs = ToolTemplate.debounce(() => {
+    for (const id of dirtyRepairs) {
+      const item = errorList.querySelector(`.error-entry[data-id="${id}"]`);
+      if (item) updateRepairItem(item);
+    }
+    dirtyRepairs.clear();
+  }, 200);
+
+  function handleRepairInput(e) {
+    if (!e.target.classList.contains('error-entry-editor')) return;
+    const id = Number(e.target.closest('.error-entry').dataset.id);
+    repairDrafts.set(id, e.target.value);
+    dirtyRepairs.add(id);
+    validateDirtyRepairs();
+  }
+
+  function handleRepairClick(e) {
+    const button = e.target.closest('button');
+    if (!button) return;
+
+    if (button.dataset.repair === 'more') {
+      errorsShown += ERROR_PAGE_SIZE;
+      renderErrors();
+      return;
+    }
+
+    const item = button.closest('.error-entry');
+    const entry = item && findInvalidEntry(Number(item.dataset.id));
+    if (!entry) return;
+    const editor = item.querySelector('.error-entry-editor');
+
+    if (button.dataset.fix) {
+      editor.value = JsonlRepair.applyFix(editor.value, button.dataset.fix);
+      repairDrafts.set(entry.id, editor.value);
+      updateRepairItem(item);
+    } else if (button.dataset.repair === 'revert') {
+      editor.value = entry.raw;
+      repairDrafts.delete(entry.id);
+      updateRepairItem(item);
+    } else if (button.dataset.repair === 'apply') {
+      const result = JsonlRepair.parseLines(editor.value);
+      if (result.error) return;
+      applyRepairs([{ entry, values: result.values }]);
+      ToolTemplate.showToast(`Line ${entry.lineNumber} fixed`);
+    }
+  }
+
+  /**
+   * Run every fix over every invalid line (including unshown ones) and apply
+   * the lines that come out valid
+   */
+  function autoFixAll() {
+    const repairs = [];
+    for (const entry of invalidEntries) {
+      const text = repairDrafts.has(entry.id) ? repairDrafts.get(entry.id) : entry.raw;
+      const result = JsonlRepair.parseLines(JsonlRepair.autoFix(text));
+      if (!result.error) repairs.push({ entry, values: result.values });
+    }
+
+    if (repairs.length === 0) {
+      ToolTemplate.showToast('No lines could be fixed automatically');
+      return;
+    }
+
+    const remaining = invalidEntries.length - repairs.length;
+    applyRepairs(repairs);
+    ToolTemplate.showToast(`Fixed ${repairs.length} line${repairs.length === 1 ? '' : 's'}` +
+      (remaining > 0 ? `, ${remaining} still need attention` : ''));
+  }
+
+  /**
+   * Insert into an array kept in file order
+   */
+  function insertInOrder(list, entry) {
+    let lo = 0;
+    let hi = list.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (compareEntryOrder(list[mid], entry) <= 0) lo = mid + 1;
+      else hi = mid;
+    }
+    list.splice(lo, 0, entry);
+  }
+
+  /**
+   * Move repaired lines into the valid entries, as an undoable change. A line
+   * split into several values keeps its line number for each, ordered by id.
+   */
+  function applyRepairs(repairs) {
+    const entries = [];
+    for (const { entry, values } of repairs) {
+      for (const { data, raw } of values) {
+        entries.push({ id: nextEntryId++, lineNumber: entry.lineNumber, data, raw });
+      }
+      repairDrafts.delete(entry.id);
+    }
+
+    const label = repairs.length === 1
+      ? `fix of line ${repairs[0].entry.lineNumber}`
+      : `fix of ${repairs.length} lines`;
+    recordChange({ type: 'repair', invalid: repairs.map(({ entry }) => entry), entries, label });
+  }
+
+  /**
+   * Download the file with repaired lines in place. Lines still invalid are
+   * kept as they were.
+   */
+  function downloadCorrectedFile() {
+    if (isParsing) {
+      ToolTemplate.showToast('Wait for the file to finish loading');
+      return;
+    }
+
+    downloadFile(buildFileBlob(), `${fileBaseName()}.fixed.jsonl`, 'application/x-ndjson');
+    markSaved();
+    ToolTemplate.showToast(invalidEntries.length > 0
+      ? `Downloaded with ${invalidEntries.length} line${invalidEntries.length === 1 ? '' : 's'} still invalid`
+      : 'Downloaded corrected file');
+  }
+
+  function resetRepairs() {
+    errorsShown = ERROR_PAGE_SIZE;
+    repairDrafts.clear();
+    dirtyRepairs.clear();
+    errorList.innerHTML = '';
+  }
+
+  // Editing
+  /**
+   * Entries can be edited as JSON, duplicated and deleted. Every change goes
+   * on an undo stack; "Save As" writes all lines back in file order, with
+   * invalid lines that weren't repaired kept as they were.
+   */
+  function isDirty() {
+    return undoStack.length !== savedDepth;
+  }
+
+  /**
+   * Apply a new change and make it undoable
+   */
+  function recordChange(change) {
+    // Undone past the saved state: a new change makes it unreachable
+    if (savedDepth > undoStack.length) savedDepth = -1;
+    undoStack.push(change);
+    redoStack = [];
+    applyChange(change, false);
+  }
+
+  function applyChange(change, reverse) {
+    let touched = [];
+    if (change.type === 'edit') {
+      setEntryData(change.entry, reverse ? change.before : change.after);
+      touched = [change.entry];
+    } else if (change.type === 'repair') {
+      // Repaired lines stand in for invalid ones; undo brings those back
+      if (reverse) {
+        removeEntries(change.entries);
+        change.invalid.forEach(entry => insertInOrder(invalidEntries, entry));
+      } else {
+        const ids = new Set(change.invalid.map(entry => entry.id));
+        invalidEntries = invalidEntries.filter(entry => !ids.has(entry.id));
+        change.entries.forEach(insertEntry);
+        touched = change.entries;
+      }
+      renderErrors();
+    } else if ((change.type === 'add') !== reverse) {
+      change.entries.forEach(insertEntry);
+      touched = change.entries;
+    } else {
+      removeEntries(change.entries);
+    }
+    entriesChanged(touched);
+  }
+
+  function undo() {
+    const change = undoStack.pop();
+    if (!change) return;
+    redoStack.push(change);
+    applyChange(change, true);
+    ToolTemplate.showToast(`Undid ${change.label}`);
+  }
+
+  function redo() {
+    const change = redoStack.pop();
+    if (!change) return;
+    undoStack.push(change);
+    applyChange(change, false);
+    ToolTemplate.showToast(`Redid ${change.label}`);
+  }
+
+  /**
+   * Replace an entry's value, dropping everything cached for the old one
+   */
+  function setEntryData(entry, { data, raw }) {
+    entry.data = data;
+    entry.raw = raw;
+    chatCache.delete(entry);
+    timeCache.delete(entry);
+    violationCache.delete(entry);
+    treeStates.delete(entry.id);
+    measuredHeights.delete(entry.id);
+    estimatedHeights.delete(entry.id);
+
+    const index = filteredEntries.indexOf(entry);
+    const matches = matchesSearch(entry);
+    if (index !== -1 && !matches) {
+      filteredEntries.splice(index, 1);
+    } else if (index === -1 && matches) {
+      insertInOrder(filteredEntries, entry);
+    }
+  }
+
+  function insertEntry(entry) {
+    insertInOrder(validEntries, entry);
+    insertInOrder(allEntries, entry);
+    if (matchesSearch(entry)) insertInOrder(filteredEntries, entry);
+  }
+
+  function removeEntries(entries) {
+    const ids = new Set(entries.map(entry => entry.id));
+    const keep = (entry) => !ids.has(entry.id);
+    validEntries = validEntries.filter(keep);
+    allEntries = allEntries.filter(keep);
+    filteredEntries = filteredEntries.filter(keep);
+    for (const id of ids) {
+      expandedEntries.delete(id);
+      editDrafts.delete(id);
+      measuredHeights.delete(id);
+    }
+  }
+
+  /**
+   * Bring the list, panels and stats up to date after entries changed
+   */
+  function entriesChanged(touched) {
+    if (viewMode === 'table' && touched.length > 0) {
+      const columnCount = tableColumns.length;
+      mergeColumns(touched);
+      if (tableColumns.length !== columnCount) renderColumnsPanel();
+    }
+
+    sortedEntries = null;
+    offsetsEntries = null;
+    updateStats();
+    updateSearchInfo();
+    renderEntries();
+    updateVisibility();
+    // An edit keeps the entry count, so the schema has to be rebuilt
+    resetSchema();
+    refreshPanelsSoon();
+    updateEditState();
+  }
+
+  // Panels that go over every entry are rebuilt once a run of edits settles
+  const refreshPanelsSoon = ToolTemplate.debounce(() => {
+    if (isParsing) return; // a new file is loading; it refreshes them when done
+    refreshSchema();
+    refreshGroups();
+    refreshValidation();
+    refreshTimeline();
+    if (compareResult) runCompare();
+  }, 300);
+
+  function updateEditState() {
+    fileDirty.hidden = !isDirty();
+    undoBtn.disabled = undoStack.length === 0;
+    redoBtn.disabled = redoStack.length === 0;
+    undoBtn.title = undoStack.length > 0 ? `Undo ${undoStack[undoStack.length - 1].label}` : 'Nothing to undo';
+    redoBtn.title = redoStack.length > 0 ? `Redo ${redoStack[redoStack.length - 1].label}` : 'Nothing to redo';
+  }
+
+  /**
+   * Ask before unsaved changes are thrown away. Returns true to go ahead.
+   */
+  function confirmDiscardEdits() {
+    return !isDirty() || window.confirm(`Discard unsaved changes to ${currentFileName}?`);
+  }
+
+  function markSaved() {
+    savedDepth = undoStack.length;
+    updateEditState();
+  }
+
+  function resetEdits() {
+    editDrafts.clear();
+    undoStack = [];
+    redoStack = [];
+    savedDepth = 0;
+    updateEditState();
+  }
+
+  window.editEntry = function(index) {
+    const entry = getViewEntries()[index];
+    if (!entry) return;
+
+    editDrafts.set(entry.id, JSON.stringify(entry.data, null, 2));
+    expandedEntries.add(entry.id);
+    measuredHeights.delete(entry.id);
+    offsetsEntries = null;
+    renderEntries();
+
+    const editor = entriesContainer.querySelector(`.entry-editor[data-editor="${entry.id}"] textarea`);
+    if (editor) editor.focus();
+  };
+
+  window.duplicateEntry = function(index) {
+    const entry = getViewEntries()[index];
+    if (!entry) return;
+
+    // Same line number, so it is saved right after the original
+    const copy = { id: nextEntryId++, lineNumber: entry.lineNumber, data: JSON.parse(entry.raw), raw: entry.raw };
+    recordChange({ type: 'add', entries: [copy], label: `duplicate of line ${entry.lineNumber}` });
+    ToolTemplate.showToast(`Duplicated line ${entry.lineNumber}`);
+  };
+
+  window.deleteEntry = function(index) {
+    const entry = getViewEntries()[index];
+    if (!entry) return;
+
+    recordChange({ type: 'remove', entries: [entry], label: `deletion of line ${entry.lineNumber}` });
+    ToolTemplate.showToast(`Deleted line ${entry.lineNumber}`);
+  };
+
+  function deleteMatching() {
+    if (isParsing) {
+      ToolTemplate.showToast('Wait for the file to finish loading');
+      return;
+    }
+    if (!hasActiveFilter() || filteredEntries.length === 0) return;
+
+    const count = filteredEntries.length;
+    const noun = count === 1 ? 'entry' : 'entries';
+    recordChange({ type: 'remove', entries: filteredEntries.slice(), label: `deletion of ${count} ${noun}` });
+    ToolTemplate.showToast(`Deleted ${count} matching ${noun}`);
+  }
+
+  function renderEditButtons(index) {
+    return `
+      <button class="btn small" onclick="window.editEntry(${index})">Edit</button>
+      <button class="btn small" onclick="window.duplicateEntry(${index})">Duplicate</button>
+      <button class="btn small" onclick="window.deleteEntry(${index})">Delete</button>`;
+  }
+
+  function editError(text) {
+    try {
+      JSON.parse(text);
+      return null;
+    } catch (err) {
+      return err.message;
+    }
+  }
+
+  /**
+   * Editor shown in place of an expanded entry's tree
+   */
+  function renderEntryEditor(entry) {
+    const text = editDrafts.get(entry.id);
+    const error = editError(text);
+    const rows = Math.min(20, text.split('\n').length + 1);
+    return `
+      <div class="entry-editor" data-editor="${entry.id}">
+        <textarea class="input entry-editor-text${error ? '' : ' valid'}" rows="${rows}" spellcheck="false" aria-label="Edit line ${entry.lineNumber}">${escapeHtml(text)}</textarea>
+        <div class="entry-editor-status${error ? '' : ' valid'}" aria-live="polite">${escapeHtml(error || 'Valid JSON')}</div>
+        <div class="entry-actions">
+          <button type="button" class="btn small primary" data-edit-action="save" ${error ? 'disabled' : ''}>Save</button>
+          <button type="button" class="btn small" data-edit-action="cancel">Cancel</button>
+        </div>
+      </div>`;
+  }
+
+  function handleEditorInput(e) {
+    if (!e.target.classList.contains('entry-editor-text')) return;
+
+    const editor = e.target.closest('.entry-editor');
+    const text = e.target.value;
+    const error = editError(text);
+    editDrafts.set(Number(editor.dataset.editor), text);
+
+    const status = editor.querySelector('.entry-editor-status');
+    e.target.classList.toggle('valid', !error);
+    status.classList.toggle('valid', !error);
+    status.textContent = error || 'Valid JSON';
+    editor.querySelector('[data-edit-action="save"]').disabled = Boolean(error);
+  }
+
+  function findEditedEntry(el) {
+    const editor = el.closest('.entry-editor');
+    const id = editor && Number(editor.dataset.editor);
+    return id && renderedEntries ? renderedEntries.find(entry => entry.id === id) : null;
+  }
+
+  function handleEditorClick(e) {
+    const button = e.target.closest('[data-edit-action]');
+    const entry = button && findEditedEntry(button);
+    if (!entry) return;
+
+    if (button.dataset.editAction === 'save') {
+      saveEdit(entry);
+    } else {
+      closeEditor(entry);
+    }
+  }
+
+  /**
+   * Ctrl/Cmd+Enter saves the editor, Escape cancels it
+   */
+  function handleEditorKeydown(e) {
+    if (!e.target.classList.contains('entry-editor-text')) return;
+    const entry = findEditedEntry(e.target);
+    if (!entry) return;
+
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      saveEdit(entry);
+    } else if (e.key === 'Escape') {
+      closeEditor(entry);
+    }
+  }
+
+  function closeEditor(entry) {
+    editDrafts.delete(entry.id);
+    measuredHeights.delete(entry.id);
+    offsetsEntries = null;
+    renderEntries();
+  }
+
+  function saveEdit(entry) {
+    let data;
+    try {
+      data = JSON.parse(editDrafts.get(entry.id));
+    } catch (err) {
+      return;
+    }
+
+    const raw = JSON.stringify(data);
+    if (raw === JSON.stringify(entry.data)) {
+      closeEditor(entry);
+      return;
+    }
+
+    editDrafts.delete(entry.id);
+    recordChange({
+      type: 'edit',
+      entry,
+      before: { data: entry.data, raw: entry.raw },
+      after: { data, raw },
+      label: `edit to line ${entry.lineNumber}`
+    });
+    ToolTemplate.showToast(`Line ${entry.lineNumber} updated`);
+  }
+
+  /**
+   * Ctrl/Cmd+Z and Ctrl/Cmd+Shift+Z (or Ctrl+Y) outside text fields, which
+   * keep their own undo
+   */
+  function handleUndoKeydown(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    if (isTypingTarget(e.target)) return;
+    if (!fileInfo.classList.contains('visible')) return;
+
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+      e.preventDefault();
+      undo();
+    } else if ((key === 'z' && e.shiftKey) || (key === 'y' && !e.shiftKey)) {
+      e.preventDefault();
+      redo();
+    }
+  }
+
+  /**
+   * All lines in file order: entries as edited, invalid lines as they were
+   * read, and the blank lines between them, with the file's line endings
+   */
+  function buildFileBlob() {
+    const entries = [...validEntries, ...invalidEntries].sort(compareEntryOrder);
+    const lines = [];
+    let blank = 0;
+    for (const entry of entries) {
+      while (blank < blankLines.length && blankLines[blank] < entry.lineNumber) {
+        lines.push(lineEnding);
+        blank++;
+      }
+      lines.push(entry.raw + lineEnding);
+    }
+    for (; blank < blankLines.length; blank++) lines.push(lineEnding);
+    return new Blob(lines, { type: 'application/x-ndjson' });
+  }
+
+  /**
+   * Save the edited file. Browsers with the File System Access API ask
+   * where to write it; others download it.
+   */
+  async function saveAs() {
+    if (isParsing) {
+      ToolTemplate.showToast('Wait for the file to finish loading');
+      return;
+    }
+
+    const suggestedName = `${fileBaseName()}.edited.jsonl`;
+    const blob = buildFileBlob();
+
+    if (window.showSaveFilePicker) {
+      let handle;
+      try {
+        handle = await window.showSaveFilePicker({
+          suggestedName,
+          types: [{ description: 'JSON Lines', accept: { 'application/x-ndjson': ['.jsonl', '.ndjson'] } }]
+        });
+      } catch (err) {
+        return; // cancelled
+      }
+      try {
+        const writable = await handle.createWritable();
+        await writable.write(blob);
+        await writable.close();
+      } catch (err) {
+        ToolTemplate.showToast(`Could not save: ${err.message}`, 3000);
+        return;
+      }
+      markSaved();
+      ToolTemplate.showToast(`Saved ${handle.name}`);
+      return;
+    }
+
+    downloadFile(blob, suggestedName, 'application/x-ndjson');
+    markSaved();
+    ToolTemplate.showToast('Downloaded edited file');
+  }
+
+  // Chat View
+  /**
+   * Entries that look like LLM conversations (see chat.js) render as a
+   * thread of role-coloured bubbles; anything else falls back to a card.
+   * Collapsed threads clamp long messages; expanding shows them in full.
+   */
+  const CHAT_ROLES = ['user', 'assistant', 'system', 'tool'];
+
+  function getConversation(entry) {
+    if (!chatCache.has(entry)) {
+      chatCache.set(entry, JsonlChat.detect(entry.data));
+    }
+    return chatCache.get(entry);
+  }
+
+  function estimateChatHeight(conversation, expanded) {
+    let height = 56 + 16;
+    for (const msg of conversation.messages) {
+      height += 34;
+      for (const block of msg.blocks) {
+        if (block.type === 'text') {
+          const lines = Math.ceil(block.text.length / 90) + (block.text.match(/\n/g) || []).length;
+          height += Math.min(lines, expanded ? Infinity : 7) * 20;
+        } else {
+          height += 36;
+        }
+      }
+    }
+    return expanded ? height + 60 : height;
+  }
+
+  function renderChat(windowEntries, start) {
+    const items = windowEntries.map((entry, idx) => {
+      const index = start + idx;
+      // An entry being edited shows its editor in a plain card
+      const conversation = editDrafts.has(entry.id) ? null : getConversation(entry);
+      return conversation ? renderChatItem(entry, conversation, index) : renderCardItem(entry, index);
+    }).join('');
+    renderListItems(items);
+  }
+
+  function renderChatItem(entry, conversation, index) {
+    const expanded = expandedEntries.has(entry.id);
+    const tokens = JsonlChat.tokenCount(conversation);
+    const count = conversation.messages.length;
+    const stats = `${count} message${count === 1 ? '' : 's'} · ${conversation.chars.toLocaleString()} chars · ` +
+      `${tokens.estimated ? '~' : ''}${tokens.count.toLocaleString()} tokens`;
+    const tokenTitle = tokens.estimated
+      ? 'Estimated from character count'
+      : `Reported usage: ${conversation.usage.input ?? '?'} in, ${conversation.usage.output ?? '?'} out`;
+
+    const messages = conversation.messages
+      .map((msg, m) => renderChatMessage(entry, msg, m))
+      .join('');
+
+    return `
+      <div class="virtual-item" data-index="${index}">
+        <div class="entry-card chat-card${expanded ? ' expanded' : ''}" data-index="${index}" data-id="${entry.id}" data-line="${entry.lineNumber}">
+          <div class="entry-header" onclick="window.toggleEntry(${index})">
+            <div class="entry-header-left">
+              ${renderBookmarkButton(entry, index)}
+              <span class="entry-number">#${entry.lineNumber}</span>
+              ${renderViolationBadge(entry)}
+              <span class="chat-format">${escapeHtml(JsonlChat.formatLabel(conversation.format))}</span>
+              <span class="chat-stats" title="${escapeHtml(tokenTitle)}">${stats}</span>
+            </div>
+            <span class="entry-toggle">&#9660;</span>
+          </div>
+          ${expanded ? '' : renderNotePreview(entry)}
+          <div class="chat-thread">${messages}</div>
+          ${expanded ? `${renderViolations(entry)}${renderNoteEditor(entry)}<div class="entry-actions chat-actions">
+            <button class="btn small" onclick="window.copyEntry(${index})">Copy JSON</button>
+            ${renderEditButtons(index)}
+          </div>` : ''}
+        </div>
+      </div>
+    `;
+  }
+
+  function renderChatMessage(entry, msg, m) {
+    const role = msg.role === 'developer' ? 'system' : msg.role;
+    const roleClass = CHAT_ROLES.includes(role) ? role : 'other';
+    const blocks = msg.blocks.map((block, b) => renderChatBlock(block, `${entry.id}:${m}:${b}`)).join('');
+
+    return `
+      <div class="chat-message chat-${roleClass}">
+        <div class="chat-role">${escapeHtml(msg.role)}${msg.name ? ` · ${escapeHtml(String(msg.name))}` : ''}</div>
+        <div class="chat-bubble">${blocks || '<div class="chat-note">(empty)</div>'}</div>
+      </div>
+    `;
+  }
+
+  function renderChatBlock(block, key) {
+    if (block.type === 'text') {
+      return `<div class="chat-text">${escapeHtml(block.text)}</div>`;
+    }
+    if (block.type === 'image') {
+      return '<div class="chat-note">[image]</div>';
+    }
+
+    let title;
+    let body;
+    let cls = '';
+    if (block.type === 'tool_call') {
+      title = `Tool call: ${block.name || 'unnamed'}`;
+      body = typeof block.input === 'string'
+        ? escapeHtml(block.input)
+        : syntaxHighlight(JSON.stringify(block.input ?? {}, null, 2));
+    } else if (block.type === 'tool_result') {
+      title = block.isError ? 'Tool result (error)' : 'Tool result';
+      body = escapeHtml(block.text);
+      if (block.isError) cls = ' error';
+    } else if (block.type === 'thinking') {
+      title = 'Thinking';
+      body = escapeHtml(block.text);
+    } else {
+      title = (block.value && block.value.type) || 'Other content';
+      body = syntaxHighlight(JSON.stringify(block.value, null, 2));
+    }
+
+    return `
+      <details class="chat-block${cls}" data-block="${key}"${openChatBlocks.has(key) ? ' open' : ''}>
+        <summary>${escapeHtml(title)}${block.id ? ` <span class="chat-block-id">${escapeHtml(String(block.id))}</span>` : ''}</summary>
+        <pre class="entry-json">${body}</pre>
+      </details>
+    `;
+  }
+
+  function handleChatBlockToggle(e) {
+    const key = e.target.dataset && e.target.dataset.block;
+    if (!key) return;
+
+    if (e.target.open) {
+      openChatBlocks.add(key);
+    } else {
+      openChatBlocks.delete(key);
+    }
+    measureRenderedItems();
+  }
+
+  // Table View
+  const MAX_FLATTEN_DEPTH = 4;
+  const MAX_DEFAULT_COLUMNS = 12;
+
+  function setViewMode(mode) {
+    viewMode = mode;
+    [[viewCardsBtn, 'cards'], [viewTableBtn, 'table'], [viewChatBtn, 'chat']].forEach(([btn, btnMode]) => {
+      btn.classList.toggle('primary', mode === btnMode);
+      btn.setAttribute('aria-pressed', String(mode === btnMode));
+    });
+    tableOptions.hidden = mode !== 'table';
+    entriesContainer.classList.toggle('table-mode', mode === 'table');
+
+    if (mode === 'table' && tableColumns.length === 0) {
+      rebuildColumns();
+    }
+    if (mode !== 'table') {
+      columnsPanel.hidden = true;
+    }
+
+    // Item heights differ between cards and rows, so start measuring afresh
+    measuredHeights.clear();
+    estimatedHeights.clear();
+    offsetsEntries = null;
+    entriesContainer.scrollTop = 0;
+    renderEntries();
+    writeViewState();
+  }
+
+  function columnKey(segments) {
+    return JsonlQuery.formatPath(segments) || '(value)';
+  }
+
+  /**
+   * Collect column paths from one entry: top-level keys, or every leaf path
+   * (arrays are kept whole) when flattening nested objects.
+   */
+  function collectColumnPaths(data, flatten, prefix = [], out = []) {
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+      out.push(prefix);
+      return out;
+    }
+
+    const keys = Object.keys(data);
+    if (keys.length === 0 && prefix.length > 0) {
+      out.push(prefix);
+      return out;
+    }
+
+    for (const key of keys) {
+      const path = [...prefix, key];
+      const value = data[key];
+      const isObject = value !== null && typeof value === 'object' && !Array.isArray(value);
+      if (flatten && isObject && Object.keys(value).length > 0 && path.length < MAX_FLATTEN_DEPTH) {
+        collectColumnPaths(value, flatten, path, out);
+      } else {
+        out.push(path);
+      }
+    }
+    return out;
+  }
+
+  function mergeColumns(entries) {
+    const flatten = columnMode === 'flat';
+    const known = new Set(tableColumns.map(col => col.key));
+    let visibleCount = tableColumns.filter(col => col.visible).length;
+
+    for (const entry of entries) {
+      for (const segments of collectColumnPaths(entry.data, flatten)) {
+        const key = columnKey(segments);
+        if (known.has(key)) continue;
+        known.add(key);
+        tableColumns.push({
+          key,
+          segments,
+          visible: visibleCount < MAX_DEFAULT_COLUMNS,
+          width: null
+        });
+        visibleCount++;
+      }
+    }
+  }
+
+  function rebuildColumns() {
+    tableColumns = [];
+    sortState = { key: null, dir: 1 };
+    sortedEntries = null;
+    mergeColumns(validEntries);
+    renderColumnsPanel();
+  }
+
+  function getValueAt(data, segments) {
+    let value = data;
+    for (const seg of segments) {
+      if (value === null || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, seg)) return undefined;
+      value = value[seg];
+    }
+    return value;
+  }
+
+  function formatCellValue(value) {
+    if (value === undefined) return { text: '', cls: 'cell-missing' };
+    if (value === null) return { text: 'null', cls: 'json-null' };
+    if (typeof value === 'string') return { text: value, cls: 'json-string' };
+    if (typeof value === 'number') return { text: String(value), cls: 'json-number' };
+    if (typeof value === 'boolean') return { text: String(value), cls: 'json-boolean' };
+    return { text: JSON.stringify(value), cls: 'cell-object' };
+  }
+
+  function renderTable(windowEntries, start) {
+    const columns = tableColumns.filter(col => col.visible);
+
+    if (columns.length === 0) {
+      entriesContainer.innerHTML = '<p class="muted">No columns selected. Use “Columns” to pick some.</p>';
+      return;
+    }
+
+    const colgroup = columns.map(col =>
+      `<col${col.width ? ` style="width: ${col.width}px"` : ''}>`
+    ).join('');
+
+    const headers = columns.map(col => {
+      const sorted = sortState.key === col.key;
+      const arrow = sorted ? (sortState.dir === 1 ? ' ▲' : ' ▼') : '';
+      const ariaSort = sorted ? (sortState.dir === 1 ? 'ascending' : 'descending') : 'none';
+      return `
+        <th data-col="${escapeHtml(col.key)}" draggable="true" aria-sort="${ariaSort}" title="${escapeHtml(col.key)}">
+          <span class="grid-th-label">${escapeHtml(col.key)}${arrow}</span>
+          <span class="grid-resizer" data-resize="${escapeHtml(col.key)}"></span>
+        </th>
+      `;
+    }).join('');
+
+    const rows = windowEntries.map((entry, idx) => {
+      const index = start + idx;
+      const expanded = expandedEntries.has(entry.id);
+      const cells = columns.map(col => {
+        const { text, cls } = formatCellValue(getValueAt(entry.data, col.segments));
+        const shown = text.length > 200 ? text.substring(0, 200) + '…' : text;
+        return `<td class="${cls}">${escapeHtml(shown)}</td>`;
+      }).join('');
+
+      let html = `
+        <tbody class="virtual-item" data-index="${index}">
+        <tr class="grid-row${expanded ? ' expanded' : ''}" data-index="${index}" data-id="${entry.id}" data-line="${entry.lineNumber}">
+          <td class="grid-line"${notes.has(entry.lineNumber) ? ` title="${escapeHtml(notes.get(entry.lineNumber))}"` : ''}>${renderBookmarkButton(entry, index)}${entry.lineNumber}${renderViolationBadge(entry)}${notes.has(entry.lineNumber) ? '<span class="grid-note-mark" aria-label="Has a note">•</span>' : ''}</td>${cells}
+        </tr>
+      `;
+
+      if (expanded) {
+        html += `
+          <tr class="grid-detail">
+            <td colspan="${columns.length + 1}">${editDrafts.has(entry.id) ? renderEntryEditor(entry) : `
+              ${renderViolations(entry)}
+              ${renderEntryTree(entry)}
+              ${renderNoteEditor(entry)}
+              <div class="entry-actions">
+                <button class="btn small" onclick="window.copyEntry(${index})">Copy</button>
+                ${renderEditButtons(index)}
+                ${TREE_ACTIONS}
+              </div>`}
+            </td>
+          </tr>
+        `;
+      }
+      return html + '</tbody>';
+    }).join('');
+
+    const spacer = (position) =>
+      `<tbody data-spacer="${position}"><tr><td class="virtual-spacer-cell" colspan="${columns.length + 1}"></td></tr></tbody>`;
+
+    entriesContainer.innerHTML = `
+      <table class="grid-table">
+        <colgroup><col style="width: 5.5rem">${colgroup}</colgroup>
+        <thead><tr><th class="grid-line">#</th>${headers}</tr></thead>
+        ${spacer('top')}
+        ${rows}
+        ${spacer('bottom')}
+      </table>
+    `;
+    updateSpacers();
+  }
+
+  function renderColumnsPanel() {
+    columnsList.innerHTML = tableColumns.map((col, i) => `
+      <label class="columns-item">
+        <input type="checkbox" data-col-index="${i}" ${col.visible ? 'checked' : ''}>
+        <span>${escapeHtml(col.key)}</span>
+      </label>
+    `).join('') || '<p class="muted mb-0">No columns found.</p>';
+  }
+
+  function handleColumnToggle(e) {
+    const index = e.target.dataset.colIndex;
+    if (index === undefined) return;
+    tableColumns[index].visible = e.target.checked;
+    renderEntries();
+    writeViewState();
+  }
+
+  function setAllColumnsVisible(visible) {
+    tableColumns.forEach(col => { col.visible = visible; });
+    renderColumnsPanel();
+    renderEntries();
+    writeViewState();
+  }
+
+  // Sorting
+  function typeRank(value) {
+    if (value === undefined) return 5;
+    if (value === null) return 4;
+    if (typeof value === 'number') return 0;
+    if (typeof value === 'string') return 1;
+    if (typeof value === 'boolean') return 2;
+    return 3;
+  }
+
+  /**
+   * Type-aware comparison: numbers numerically, strings with natural ordering
+   * (so ISO timestamps and "item10" sort correctly), missing values always last.
+   */
+  function compareValues(a, b) {
+    const rankA = typeRank(a);
+    const rankB = typeRank(b);
+    if (rankA !== rankB) return rankA - rankB;
+
+    if (rankA === 0) return a - b;
+    if (rankA === 1) return a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+    if (rankA === 2) return Number(a) - Number(b);
+    if (rankA === 3) return JSON.stringify(a).localeCompare(JSON.stringify(b));
+    return 0;
+  }
+
+  /**
+   * File order: by line number, then by id for entries sharing a line
+   * (e.g. concatenated objects split apart during repair)
+   */
+  function compareEntryOrder(a, b) {
+    return a.lineNumber - b.lineNumber || a.id - b.id;
+  }
+
+  function getViewEntries() {
+    if (!sortState.key) return filteredEntries;
+    if (sortedEntries) return sortedEntries;
+
+    const column = tableColumns.find(col => col.key === sortState.key);
+    if (!column) return filteredEntries;
+
+    const dir = sortState.dir;
+    sortedEntries = filteredEntries
+      .map(entry => ({ entry, value: getValueAt(entry.data, column.segments) }))
+      .sort((x, y) => {
+        // Keep missing values at the bottom regardless of direction
+        if (x.value === undefined || y.value === undefined) {
+          return typeRank(x.value) - typeRank(y.value) || compareEntryOrder(x.entry, y.entry);
+        }
+        return dir * compareValues(x.value, y.value) || compareEntryOrder(x.entry, y.entry);
+      })
+      .map(item => item.entry);
+    return sortedEntries;
+  }
+
+  function toggleSort(key) {
+    if (sortState.key !== key) {
+      sortState = { key, dir: 1 };
+    } else if (sortState.dir === 1) {
+      sortState = { key, dir: -1 };
+    } else {
+      sortState = { key: null, dir: 1 };
+    }
+    sortedEntries = null;
+    entriesContainer.scrollTop = 0;
+    renderEntries();
+    writeViewState();
+  }
+
+  // Table interactions (delegated from entries container)
+  function handleTableClick(e) {
+    if (viewMode !== 'table') return;
+    if (e.target.closest('.grid-resizer')) return;
+
+    const th = e.target.closest('th[data-col]');
+    if (th) {
+      if (!suppressHeaderClick) toggleSort(th.dataset.col);
+      suppressHeaderClick = false;
+      return;
+    }
+
+    const row = e.target.closest('.grid-row');
+    if (row) {
+      toggleExpanded(Number(row.dataset.id));
+    }
+  }
+
+  function handleResizeStart(e) {
+    const handle = e.target.closest('.grid-resizer');
+    if (!handle || viewMode !== 'table') return;
+
+    e.preventDefault();
+    const column = tableColumns.find(col => col.key === handle.dataset.resize);
+    const th = handle.closest('th');
+    const colEl = entriesContainer.querySelectorAll('col')[th.cellIndex];
+    const startX = e.clientX;
+    const startWidth = th.getBoundingClientRect().width;
+
+    const onMove = (moveEvent) => {
+      column.width = Math.max(48, Math.round(startWidth + moveEvent.clientX - startX));
+      colEl.style.width = `${column.width}px`;
+    };
+    const onUp = () => {
+      document.removeEventListener('mousemove', onMove);
+      document.removeEventListener('mouseup', onUp);
+      // A resize ends with a click on the header; don't treat it as a sort
+      suppressHeaderClick = true;
+      setTimeout(() => { suppressHeaderClick = false; }, 0);
+      writeViewState();
+    };
+
+    document.addEventListener('mousemove', onMove);
+    document.addEventListener('mouseup', onUp);
+  }
+
+  function handleHeaderDragStart(e) {
+    const th = e.target.closest('th[data-col]');
+    if (!th) return;
+    draggedColumn = th.dataset.col;
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', draggedColumn);
+  }
+
+  function handleHeaderDragOver(e) {
+    if (!draggedColumn || !e.target.closest('th[data-col]')) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+  }
+
+  function handleHeaderDrop(e) {
+    const th = e.target.closest('th[data-col]');
+    if (!draggedColumn || !th) return;
+    e.preventDefault();
+    e.stopPropagation();
+
+    const from = tableColumns.findIndex(col => col.key === draggedColumn);
+    const to = tableColumns.findIndex(col => col.key === th.dataset.col);
+    draggedColumn = null;
+    if (from === -1 || to === -1 || from === to) return;
+
+    const [moved] = tableColumns.splice(from, 1);
+    tableColumns.splice(to, 0, moved);
+    renderColumnsPanel();
+    renderEntries();
+    writeViewState();
+  }
+
+  // Schema Panel
+  function toggleSchemaPanel() {
+    schemaPanel.hidden = !schemaPanel.hidden;
+    schemaBtn.classList.toggle('primary', !schemaPanel.hidden);
+    schemaBtn.setAttribute('aria-pressed', String(!schemaPanel.hidden));
+    if (!schemaPanel.hidden) refreshSchema();
+  }
+
+  function refreshSchema() {
+    if (schemaPanel.hidden) return;
+    if (schemaResult && schemaResult.total === validEntries.length) {
+      renderSchema();
+      return;
+    }
+
+    const run = ++schemaRun;
+    const entries = validEntries.slice();
+    schemaExportBtn.disabled = true;
+    schemaFields.innerHTML = '';
+
+    JsonlSchema.analyze(entries, {
+      onProgress: (done, total) => {
+        schemaSummary.textContent = `Analyzing ${done.toLocaleString()} of ${total.toLocaleString()} entries...`;
+      },
+      isCancelled: () => run !== schemaRun
+    }).then(result => {
+      if (!result) return;
+      schemaResult = result;
+      renderSchema();
+    });
+  }
+
+  function resetSchema() {
+    schemaRun++;
+    schemaResult = null;
+    schemaFields.innerHTML = '';
+    schemaSummary.textContent = '';
+  }
+
+  function formatNumber(value) {
+    return value.toLocaleString(undefined, { maximumFractionDigits: 3 });
+  }
+
+  function formatPercent(pct) {
+    // Don't round a field that is occasionally missing up to 100%
+    if (pct >= 99.5 && pct < 100) return '&gt;99%';
+    if (pct > 0 && pct < 0.5) return '&lt;1%';
+    return `${Math.round(pct)}%`;
+  }
+
+  function formatSchemaValue(value) {
+    if (typeof value === 'string') {
+      return value.length > 80 ? JSON.stringify(value.substring(0, 80)) + '…' : JSON.stringify(value);
+    }
+    return String(value);
+  }
+
+  function renderSchema() {
+    const { total, fields } = schemaResult;
+    const partial = isParsing ? ' (file still loading)' : '';
+    schemaSummary.textContent = `${fields.length} fields across ${total.toLocaleString()} entries${partial}`;
+    schemaExportBtn.disabled = false;
+
+    if (fields.length === 0) {
+      schemaFields.innerHTML = '<p class="muted mb-0">Entries are not objects, so there are no fields to show.</p>';
+      return;
+    }
+
+    schemaFields.innerHTML = fields.map((field, i) => {
+      const types = Object.entries(field.types)
+        .sort((a, b) => b[1] - a[1])
+        .map(([type, count]) => `<span class="schema-type" title="${count.toLocaleString()} values">${type}</span>`)
+        .join('');
+      const pct = field.presentPct;
+      const distinct = field.distinct === 0 ? ''
+        : `${formatNumber(field.distinct)}${field.distinctCapped ? '+' : ''} distinct`;
+
+      let details = '';
+      if (field.numeric) {
+        details += `
+          <div class="schema-stats">
+            <span><strong>min</strong> ${formatNumber(field.numeric.min)}</span>
+            <span><strong>max</strong> ${formatNumber(field.numeric.max)}</span>
+            <span><strong>mean</strong> ${formatNumber(field.numeric.mean)}</span>
+          </div>
+        `;
+      }
+      if (field.dates) {
+        details += `
+          <div class="schema-stats">
+            <span><strong>from</strong> ${escapeHtml(field.dates.min.toISOString())}</span>
+            <span><strong>to</strong> ${escapeHtml(field.dates.max.toISOString())}</span>
+          </div>
+        `;
+      }
+      if (field.topValues.length > 0) {
+        details += `
+          <div class="schema-values">
+            ${field.topValues.map((item, j) => `
+              <button type="button" class="schema-value" data-field="${i}" data-value="${j}" title="Show entries where ${escapeHtml(field.path)} is this value">
+                <span class="schema-value-text">${escapeHtml(formatSchemaValue(item.value))}</span>
+                <span class="schema-value-count">${item.count.toLocaleString()}</span>
+              </button>
+            `).join('')}
+          </div>
+        `;
+      }
+      details += `
+        <button type="button" class="btn small" data-field="${i}" data-exists="true">Show entries with this field</button>
+      `;
+
+      return `
+        <details class="schema-field">
+          <summary>
+            <span class="schema-path">${escapeHtml(field.path)}</span>
+            <span class="schema-types">${types}${field.nullable ? '<span class="schema-type nullable">nullable</span>' : ''}</span>
+            <span class="schema-presence" title="${field.present.toLocaleString()} of ${total.toLocaleString()} entries">
+              <span class="schema-presence-bar"><span style="width: ${pct.toFixed(1)}%"></span></span>
+              ${formatPercent(pct)}
+            </span>
+            <span class="schema-distinct">${distinct}</span>
+          </summary>
+          <div class="schema-field-body">${details}</div>
+        </details>
+      `;
+    }).join('');
+  }
+
+  function literalForQuery(value) {
+    return typeof value === 'string' ? JSON.stringify(value) : String(value);
+  }
+
+  function handleSchemaClick(e) {
+    const target = e.target.closest('[data-field]');
+    if (!target || !schemaResult) return;
+
+    const field = schemaResult.fields[Number(target.dataset.field)];
+    if (target.dataset.exists) {
+      searchInput.value = `${field.path} exists`;
+    } else {
+      const { value } = field.topValues[Number(target.dataset.value)];
+      searchInput.value = `${field.path} == ${literalForQuery(value)}`;
+    }
+
+    handleSearch();
+    searchBar.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }
+
+  function exportJsonSchema() {
+    if (!schemaResult) return;
+    const baseName = fileBaseName();
+    const schema = JsonlSchema.toJsonSchema(schemaResult, `${currentFileName || 'JSONL'} entry`);
+    downloadFile(JSON.stringify(schema, null, 2), `${baseName}.schema.json`, 'application/schema+json');
+    ToolTemplate.showToast('Schema downloaded!');
+  }
+
+  // Schema Validation
+  /**
+   * A JSON Schema file loaded with "Validate..." is checked against every
+   * entry (see validate.js). Results are cached per entry; the count of
+   * failing entries is worked out in chunks in the background.
+   */
+  function violationsOf(entry) {
+    if (!schemaValidator) return [];
+    let violations = violationCache.get(entry);
+    if (!violations) {
+      violations = schemaValidator(entry.data);
+      violationCache.set(entry, violations);
+    }
+    return violations;
+  }
+
+  function matchesViolations(entry) {
+    return !violationsOnly || violationsOf(entry).length > 0;
+  }
+
+  function handleValidateFile(e) {
+    const file = e.target.files && e.target.files[0];
+    validateFileInput.value = '';
+    if (!file) return;
+
+    readFileText(file).then(({ text }) => {
+      let validator;
+      try {
+        validator = JsonlValidate.compile(JSON.parse(text));
+      } catch (err) {
+        ToolTemplate.showToast(`Could not use ${file.name}: ${err.message}`, 4000);
+        return;
+      }
+
+      schemaValidator = validator;
+      validationSchemaName = file.name;
+      violationCache = new WeakMap();
+      measuredHeights.clear();
+      offsetsEntries = null;
+      if (violationsOnly) {
+        applyFilters();
+        refreshTimeline();
+      } else {
+        renderEntries();
+      }
+      refreshValidation(true);
+    }).catch(err => {
+      ToolTemplate.showToast(`Could not read ${file.name}: ${err.message}`, 4000);
+    });
+  }
+
+  /**
+   * Recount failing entries, e.g. after entries were added or edited.
+   * `announce` reports the result, for a newly loaded schema.
+   */
+  function refreshValidation(announce = false) {
+    if (!schemaValidator) return;
+
+    const run = ++validationRun;
+    const entries = validEntries.slice();
+    violationCount = null;
+    updateValidationUi();
+
+    JsonlValidate.countFailing(entries, violationsOf, {
+      isCancelled: () => run !== validationRun
+    }).then(count => {
+      if (count === null) return;
+      violationCount = count;
+      updateValidationUi();
+      if (announce) {
+        ToolTemplate.showToast(count === 0
+          ? `All entries match ${validationSchemaName}`
+          : `${count.toLocaleString()} ${count === 1 ? 'entry violates' : 'entries violate'} ${validationSchemaName}`);
+      }
+    });
+  }
+
+  /**
+   * Forget results for the loaded entries; the schema itself is kept for the
+   * next file unless `removeSchema` is set
+   */
+  function resetValidation(removeSchema) {
+    validationRun++;
+    violationCache = new WeakMap();
+    violationCount = null;
+    if (removeSchema) {
+      schemaValidator = null;
+      validationSchemaName = '';
+      violationsOnly = false;
+    }
+    updateValidationUi();
+  }
+
+  function updateValidationUi() {
+    const loaded = Boolean(schemaValidator);
+    statViolationsChip.style.display = loaded ? '' : 'none';
+    statViolationsChip.title = loaded ? `Checked against ${validationSchemaName}` : '';
+    statViolations.textContent = violationCount === null ? '…' : violationCount.toLocaleString();
+    violationsBtn.hidden = !loaded;
+    violationsBtn.classList.toggle('primary', violationsOnly);
+    violationsBtn.setAttribute('aria-pressed', String(violationsOnly));
+  }
+
+  function toggleViolationsOnly() {
+    violationsOnly = !violationsOnly;
+    updateValidationUi();
+    applyFilters();
+    refreshTimeline();
+  }
+
+  function renderViolationBadge(entry) {
+    const count = violationsOf(entry).length;
+    if (count === 0) return '';
+    const label = `${count}${count >= JsonlValidate.MAX_ERRORS ? '+' : ''} schema violation${count === 1 ? '' : 's'}`;
+    return `<span class="entry-violation-badge" title="${label}" aria-label="${label}">&#9888; ${count}</span>`;
+  }
+
+  function renderViolations(entry) {
+    const violations = violationsOf(entry);
+    if (violations.length === 0) return '';
+    return `
+      <ul class="entry-violations" aria-label="Schema violations">
+        ${violations.map(v => `<li><code>${escapeHtml(JsonlValidate.formatPath(v.instancePath))}</code> ${escapeHtml(v.message)}</li>`).join('')}
+        ${violations.length >= JsonlValidate.MAX_ERRORS ? `<li class="muted">Only the first ${violations.length} are listed</li>` : ''}
+      </ul>`;
+  }
+
+  // Group By
+  function toggleGroupPanel() {
+    groupPanel.hidden = !groupPanel.hidden;
+    groupBtn.classList.toggle('primary', !groupPanel.hidden);
+    groupBtn.setAttribute('aria-pressed', String(!groupPanel.hidden));
+    if (!groupPanel.hidden) {
+      fillGroupPathOptions();
+      refreshGroups();
+    }
+  }
+
+  /**
+   * Suggest flattened paths from the first entries
+   */
+  function fillGroupPathOptions() {
+    const paths = new Set();
+    for (const entry of validEntries.slice(0, 200)) {
+      for (const segments of collectColumnPaths(entry.data, true)) {
+        if (segments.length > 0) paths.add(columnKey(segments));
+      }
+    }
+    groupPathOptions.innerHTML = [...paths].map(path => `<option value="${escapeHtml(path)}">`).join('');
+  }
+
+  function addGroupPath() {
+    const path = groupPathInput.value.trim();
+    if (!path) return;
+
+    let segments;
+    try {
+      segments = JsonlQuery.parsePath(path);
+    } catch (err) {
+      if (!(err instanceof JsonlQuery.QuerySyntaxError)) throw err;
+      ToolTemplate.showToast(err.message, 3000);
+      return;
+    }
+
+    const formatted = JsonlQuery.formatPath(segments);
+    if (!groupPaths.some(item => item.path === formatted)) {
+      groupPaths.push({ path: formatted, segments });
+    }
+    groupPathInput.value = '';
+    refreshGroups();
+  }
+
+  function handleGroupPathKeydown(e) {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      addGroupPath();
+    }
+  }
+
+  function handleGroupPathListClick(e) {
+    const button = e.target.closest('[data-remove]');
+    if (!button) return;
+    groupPaths.splice(Number(button.dataset.remove), 1);
+    if (typeof groupSort.key === 'number') groupSort = { key: 'count', dir: -1 };
+    refreshGroups();
+  }
+
+  /**
+   * The aggregate to compute, or null while its path is missing or invalid
+   */
+  function readGroupMetric() {
+    const fn = groupAggregateSelect.value;
+    groupMetricInput.hidden = fn === 'count';
+    if (fn === 'count') return { fn };
+
+    const path = groupMetricInput.value.trim();
+    if (!path) return null;
+    try {
+      const segments = JsonlQuery.parsePath(path);
+      return { fn, path: JsonlQuery.formatPath(segments), segments };
+    } catch (err) {
+      if (!(err instanceof JsonlQuery.QuerySyntaxError)) throw err;
+      return null;
+    }
+  }
+
+  function handleGroupMetricChange() {
+    if (groupSort.key === 'value' && groupAggregateSelect.value === 'count') {
+      groupSort = { key: 'count', dir: -1 };
+    }
+    refreshGroups();
+  }
+
+  /**
+   * Regroup filteredEntries; called whenever the filtered set changes
+   */
+  function refreshGroups() {
+    if (groupPanel.hidden) return;
+
+    groupPathList.innerHTML = groupPaths.map((item, i) => `
+      <span class="group-chip">
+        ${escapeHtml(item.path)}
+        <button type="button" class="group-chip-remove" data-remove="${i}" aria-label="Remove ${escapeHtml(item.path)}">&times;</button>
+      </span>
+    `).join('');
+
+    const metric = readGroupMetric();
+    groupMetric = metric;
+    if (groupPaths.length === 0) {
+      groupRows = null;
+      groupSummary.textContent = '';
+      groupTable.innerHTML = '<p class="muted mb-0">Add one or more key paths to group the entries by.</p>';
+      return;
+    }
+    if (!metric) {
+      groupRows = null;
+      groupSummary.textContent = '';
+      groupTable.innerHTML = '<p class="muted mb-0">Enter a valid numeric path to aggregate, e.g. <code>duration_ms</code>.</p>';
+      return;
+    }
+
+    groupRows = JsonlGroup.groupBy(filteredEntries, groupPaths.map(item => item.segments), metric);
+    renderGroups();
+  }
+
+  function resetGroups() {
+    groupPaths = [];
+    groupMetric = null;
+    groupRows = null;
+    groupView = [];
+    groupSort = { key: 'count', dir: -1 };
+    groupPathList.innerHTML = '';
+    groupTable.innerHTML = '';
+    groupSummary.textContent = '';
+  }
+
+  function groupSortValue(row, key) {
+    if (key === 'count') return row.count;
+    if (key === 'value') return row.value === null ? undefined : row.value;
+    const value = row.keys[key];
+    return value === JsonlGroup.MISSING ? undefined : value;
+  }
+
+  function formatGroupKey(value) {
+    if (value === JsonlGroup.MISSING) return '<span class="muted">(missing)</span>';
+    if (value !== null && typeof value === 'object') {
+      const json = JSON.stringify(value);
+      return `<span class="cell-object">${escapeHtml(json.length > 80 ? json.substring(0, 80) + '…' : json)}</span>`;
+    }
+    return escapeHtml(formatSchemaValue(value));
+  }
+
+  function renderGroups() {
+    const metric = groupMetric;
+    const { key, dir } = groupSort;
+
+    groupView = groupRows.slice().sort((a, b) => {
+      const x = groupSortValue(a, key);
+      const y = groupSortValue(b, key);
+      // Missing keys and empty aggregates stay at the bottom in both directions
+      if (x === undefined || y === undefined) return typeRank(x) - typeRank(y);
+      return dir * compareValues(x, y);
+    });
+
+    const partial = isParsing ? ' (file still loading)' : '';
+    groupSummary.textContent =
+      `${groupRows.length.toLocaleString()} groups across ${filteredEntries.length.toLocaleString()} entries${partial}`;
+
+    const header = (label, sortKey, numeric) => {
+      const sorted = key === sortKey;
+      const arrow = sorted ? (dir === 1 ? ' ▲' : ' ▼') : '';
+      const ariaSort = sorted ? (dir === 1 ? 'ascending' : 'descending') : 'none';
+      return `<th data-sort="${sortKey}" aria-sort="${ariaSort}"${numeric ? ' class="group-num"' : ''}>${escapeHtml(label)}${arrow}</th>`;
+    };
+
+    const headers = groupPaths.map((item, i) => header(item.path, i, false)).join('') +
+      header('Count', 'count', true) +
+      (metric.fn !== 'count' ? header(`${JsonlGroup.AGGREGATES[metric.fn]} of ${metric.path}`, 'value', true) : '');
+
+    const rows = groupView.slice(0, GROUP_ROW_LIMIT).map((row, i) => {
+      const keys = row.keys.map(value => `<td>${formatGroupKey(value)}</td>`).join('');
+      const value = metric.fn === 'count' ? ''
+        : `<td class="group-num" title="${row.numeric.toLocaleString()} numeric values">${row.value === null ? '<span class="muted">—</span>' : formatNumber(row.value)}</td>`;
+      return `
+        <tr class="group-row" data-group="${i}" title="Show the entries in this group">
+          ${keys}<td class="group-num">${row.count.toLocaleString()}</td>${value}
+        </tr>
+      `;
+    }).join('');
+
+    const more = groupView.length > GROUP_ROW_LIMIT
+      ? `<p class="muted group-more">Showing the first ${GROUP_ROW_LIMIT.toLocaleString()} of ${groupView.length.toLocaleString()} groups.</p>`
+      : '';
+
+    groupTable.innerHTML = `
+      <table class="group-result">
+        <thead><tr>${headers}</tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+      ${more}
+    `;
+  }
+
+  function handleGroupTableClick(e) {
+    const th = e.target.closest('th[data-sort]');
+    if (th && groupRows) {
+      const sortKey = /^\d+$/.test(th.dataset.sort) ? Number(th.dataset.sort) : th.dataset.sort;
+      // Counts and aggregates read best largest first
+      const firstDir = typeof sortKey === 'number' ? 1 : -1;
+      groupSort = groupSort.key === sortKey
+        ? { key: sortKey, dir: -groupSort.dir }
+        : { key: sortKey, dir: firstDir };
+      renderGroups();
+      return;
+    }
+
+    const row = e.target.closest('tr[data-group]');
+    if (row) drillIntoGroup(groupView[Number(row.dataset.group)]);
+  }
+
+  /**
+   * Narrow the search to one group by adding its key conditions to the query
+   */
+  function drillIntoGroup(group) {
+    if (!group) return;
+
+    const conditions = [];
+    for (let i = 0; i < groupPaths.length; i++) {
+      const { path } = groupPaths[i];
+      const value = group.keys[i];
+      if (value === JsonlGroup.MISSING) {
+        conditions.push(`not ${path} exists`);
+      } else if (value !== null && typeof value === 'object') {
+        ToolTemplate.showToast(`Can't filter by the object value of ${path}`, 3000);
+        return;
+      } else {
+        conditions.push(`${path} == ${literalForQuery(value)}`);
+      }
+    }
+
+    const current = searchInput.value.trim();
+    const condition = conditions.join(' and ');
+    searchInput.value = current ? `(${current}) and ${condition}` : condition;
+
+    handleSearch();
+    searchBar.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }
+
+  // Compare Files
+  /**
+   * Compare mode diffs the loaded file against a second one. The second file
+   * is read in-page; entries are paired by a key path or line number (see
+   * diff.js) and listed in pages, unchanged pairs hidden by default.
+   */
+  function openCompareFile() {
+    if (isParsing) {
+      ToolTemplate.showToast('Wait for the file to finish loading');
+      return;
+    }
+    compareFileInput.click();
+  }
+
+  function handleCompareFile(e) {
+    const file = e.target.files[0];
+    compareFileInput.value = '';
+    if (!file) return;
+
+    readFileText(file).then(({ text }) => {
+      const { valid, invalid } = JsonlFormats.parseText(text, { name: file.name });
+      compareFileName = file.name;
+      compareFileEntries = valid;
+
+      if (!compareKeyInput.value.trim()) {
+        compareKeyInput.value = guessCompareKey();
+        compareMatchMode.value = compareKeyInput.value ? 'key' : 'line';
+        updateCompareMatchMode();
+      }
+
+      comparePanel.hidden = false;
+      compareBtn.classList.add('primary');
+      compareBtn.setAttribute('aria-pressed', 'true');
+      runCompare();
+
+      if (invalid.length > 0) {
+        ToolTemplate.showToast(`Skipped ${invalid.length} invalid line${invalid.length === 1 ? '' : 's'} in ${file.name}`, 4000);
+      }
+    }).catch((err) => {
+      ToolTemplate.showToast(`Failed to read file: ${err.message}`);
+    });
+  }
+
+  /**
+   * Pick a likely id field from the first entry
+   */
+  function guessCompareKey() {
+    const first = validEntries[0] && validEntries[0].data;
+    if (!first || typeof first !== 'object') return '';
+    return ['id', '_id', 'uuid', 'key', 'name'].find(key => first[key] !== undefined) || '';
+  }
+
+  function updateCompareMatchMode() {
+    compareKeyInput.hidden = compareMatchMode.value !== 'key';
+  }
+
+  function runCompare() {
+    if (!compareFileEntries) return;
+
+    let keySegments = null;
+    if (compareMatchMode.value === 'key') {
+      const keyPath = compareKeyInput.value.trim();
+      if (!keyPath) {
+        ToolTemplate.showToast('Enter a key path to match entries by');
+        return;
+      }
+      try {
+        keySegments = JsonlQuery.parsePath(keyPath);
+      } catch (err) {
+        if (!(err instanceof JsonlQuery.QuerySyntaxError)) throw err;
+        ToolTemplate.showToast(`Invalid key path: ${err.message}`);
+        return;
+      }
+    }
+
+    compareResult = JsonlDiff.compareEntries(validEntries, compareFileEntries, keySegments);
+    compareShown = COMPARE_PAGE_SIZE;
+    compareExpanded.clear();
+    renderCompare();
+  }
+
+  function renderCompare() {
+    const { rows, counts, missingKeys } = compareResult;
+    const matchLabel = compareMatchMode.value === 'key'
+      ? `by ${compareKeyInput.value.trim()}`
+      : 'by line number';
+
+    compareFiles.textContent = `${currentFileName} → ${compareFileName} · matched ${matchLabel}` +
+      (missingKeys > 0 ? ` · ${missingKeys.toLocaleString()} entries without the key` : '');
+
+    compareFilters.innerHTML = JsonlDiff.STATUSES.map(status => {
+      const active = compareStatuses.has(status);
+      return `<button type="button" class="btn small${active ? ' primary' : ''}" data-status="${status}" aria-pressed="${active}">
+        ${status[0].toUpperCase() + status.slice(1)} ${counts[status].toLocaleString()}
+      </button>`;
+    }).join('');
+
+    const visible = [];
+    rows.forEach((row, index) => {
+      if (compareStatuses.has(row.status)) visible.push(index);
+    });
+
+    if (visible.length === 0) {
+      compareList.innerHTML = rows.length === 0
+        ? '<p class="muted">Both files are empty.</p>'
+        : '<p class="muted">No entries with the selected statuses.</p>';
+      return;
+    }
+
+    const remaining = visible.length - compareShown;
+    compareList.innerHTML = visible.slice(0, compareShown).map(index => renderCompareRow(rows[index], index)).join('') +
+      (remaining > 0
+        ? `<button type="button" class="btn small error-more" data-compare="more">Show ${Math.min(remaining, COMPARE_PAGE_SIZE)} more (${remaining.toLocaleString()} remaining)</button>`
+        : '');
+  }
+
+  function renderCompareRow(row, index) {
+    const expanded = compareExpanded.has(index);
+    const keyLabel = compareMatchMode.value === 'key'
+      ? (row.key === null ? '(no key)' : `${compareKeyInput.value.trim()} = ${row.key}`)
+      : `line ${row.key}`;
+    const lines = [
+      row.left ? `L${row.left.lineNumber}` : '',
+      row.right ? `R${row.right.lineNumber}` : ''
+    ].filter(Boolean).join(' → ');
+
+    const paths = row.changes.slice(0, 5).map(c => c.path).join(', ') +
+      (row.changes.length > 5 ? `, +${row.changes.length - 5} more` : '');
+
+    let body = '';
+    if (expanded) {
+      body = `<div class="compare-sides">
+        ${row.left ? renderCompareSide(row.left, row.changes, 'left') : ''}
+        ${row.right ? renderCompareSide(row.right, row.changes, 'right') : ''}
+      </div>`;
+    }
+
+    return `
+      <div class="compare-row" data-row="${index}">
+        <div class="compare-row-head" aria-expanded="${expanded}">
+          <span class="compare-badge ${row.status}">${row.status}</span>
+          <span class="compare-key">${escapeHtml(keyLabel)}</span>
+          <span class="compare-lines">${lines}</span>
+          ${paths ? `<span class="compare-paths">${escapeHtml(paths)}</span>` : ''}
+        </div>
+        ${body}
+      </div>
+    `;
+  }
+
+  /**
+   * One side of a pair, pretty-printed with changed paths highlighted
+   */
+  function renderCompareSide(entry, changes, side) {
+    const lines = JsonlDiff.toLines(entry.data, changes, side);
+    const label = side === 'left' ? currentFileName : compareFileName;
+
+    return `<div class="compare-side">
+      <div class="compare-side-label">${escapeHtml(label)} · line ${entry.lineNumber}</div>
+      <pre class="entry-json">${lines.map(line =>
+        `<span class="diff-line${line.mark ? ` diff-${line.mark}` : ''}">${syntaxHighlight(line.text)}</span>`
+      ).join('')}</pre>
+    </div>`;
+  }
+
+  function handleCompareClick(e) {
+    const more = e.target.closest('[data-compare="more"]');
+    if (more) {
+      compareShown += COMPARE_PAGE_SIZE;
+      renderCompare();
+      return;
+    }
+
+    const head = e.target.closest('.compare-row-head');
+    if (!head) return;
+    const index = Number(head.parentElement.dataset.row);
+    if (compareExpanded.has(index)) {
+      compareExpanded.delete(index);
+    } else {
+      compareExpanded.add(index);
+    }
+    head.parentElement.outerHTML = renderCompareRow(compareResult.rows[index], index);
+  }
+
+  function handleCompareFilterClick(e) {
+    const button = e.target.closest('[data-status]');
+    if (!button) return;
+
+    const status = button.dataset.status;
+    if (compareStatuses.has(status)) {
+      compareStatuses.delete(status);
+    } else {
+      compareStatuses.add(status);
+    }
+    compareShown = COMPARE_PAGE_SIZE;
+    renderCompare();
+  }
+
+  function closeCompare() {
+    compareFileName = '';
+    compareFileEntries = null;
+    compareResult = null;
+    compareExpanded.clear();
+    comparePanel.hidden = true;
+    compareFilters.innerHTML = '';
+    compareList.innerHTML = '';
+    compareBtn.classList.remove('primary');
+    compareBtn.setAttribute('aria-pressed', 'false');
+  }
+
+  // Bookmarks & Notes
+  /**
+   * Restore the bookmarks and notes saved for this file. Anything marked
+   * while the fingerprint was being read is kept.
+   */
+  function loadAnnotations(file) {
+    const run = ++annotationsRun;
+    JsonlAnnotations.fingerprint(file)
+      .then(key => {
+        if (run !== annotationsRun) return null;
+        fileFingerprint = key;
+        return JsonlAnnotations.load(key);
+      })
+      .then(saved => {
+        if (run !== annotationsRun || !saved) return;
+        saved.bookmarks.forEach(line => bookmarks.add(line));
+        saved.notes.forEach((text, line) => {
+          if (!notes.has(line)) notes.set(line, text);
+        });
+        measuredHeights.clear();
+        annotationsChanged(false);
+      })
+      .catch(() => {
+        // No storage (e.g. private browsing): annotations last for the session
+      });
+  }
+
+  function saveAnnotations() {
+    if (!fileFingerprint) return;
+    JsonlAnnotations.save(fileFingerprint, currentFileName, bookmarks, notes).catch(() => {
+      if (annotationsSaveFailed) return;
+      annotationsSaveFailed = true;
+      ToolTemplate.showToast('This browser can’t store bookmarks and notes. Export them to keep them.', 4000);
+    });
+  }
+
+  const saveNotesSoon = ToolTemplate.debounce(saveAnnotations, 500);
+
+  function resetAnnotations() {
+    annotationsRun++;
+    bookmarks = new Set();
+    notes = new Map();
+    bookmarkedOnly = false;
+    fileFingerprint = null;
+    updateBookmarkButton();
+  }
+
+  function matchesBookmarks(entry) {
+    return !bookmarkedOnly || bookmarks.has(entry.lineNumber);
+  }
+
+  function updateBookmarkButton() {
+    bookmarkCount.textContent = bookmarks.size.toLocaleString();
+    bookmarksBtn.classList.toggle('primary', bookmarkedOnly);
+    bookmarksBtn.setAttribute('aria-pressed', String(bookmarkedOnly));
+  }
+
+  /**
+   * Re-render after bookmarks or notes change
+   */
+  function annotationsChanged(save = true) {
+    updateBookmarkButton();
+    if (bookmarkedOnly) {
+      // Refilter in place rather than through applyFilters, which scrolls to the top
+      filteredEntries = validEntries.filter(matchesSearch);
+      sortedEntries = null;
+      updateSearchInfo();
+      refreshGroups();
+      refreshTimeline();
+    }
+    offsetsEntries = null;
+    renderEntries();
+    if (save) saveAnnotations();
+  }
+
+  function toggleBookmarkedOnly() {
+    bookmarkedOnly = !bookmarkedOnly;
+    updateBookmarkButton();
+    applyFilters();
+    refreshTimeline();
+  }
+
+  window.toggleBookmark = function(index) {
+    const entry = getViewEntries()[index];
+    if (!entry) return;
+
+    if (bookmarks.has(entry.lineNumber)) {
+      bookmarks.delete(entry.lineNumber);
+    } else {
+      bookmarks.add(entry.lineNumber);
+    }
+    annotationsChanged();
+  };
+
+  function renderBookmarkButton(entry, index) {
+    const marked = bookmarks.has(entry.lineNumber);
+    return `<button type="button" class="entry-bookmark${marked ? ' active' : ''}" ` +
+      `onclick="event.stopPropagation(); window.toggleBookmark(${index})" aria-pressed="${marked}" ` +
+      `title="${marked ? 'Remove bookmark' : 'Bookmark this line'}">${marked ? '&#9733;' : '&#9734;'}</button>`;
+  }
+
+  function renderNotePreview(entry) {
+    const note = notes.get(entry.lineNumber);
+    if (!note) return '';
+    const firstLine = note.split('\n')[0];
+    const shown = firstLine.length > 120 ? firstLine.substring(0, 120) + '…' : firstLine;
+    return `<div class="entry-note-preview" title="${escapeHtml(note)}">${escapeHtml(shown)}</div>`;
+  }
+
+  function renderNoteEditor(entry) {
+    const line = entry.lineNumber;
+    return `<textarea class="input entry-note" data-note-line="${line}" rows="2" spellcheck="true" ` +
+      `placeholder="Add a note for line ${line}" aria-label="Note for line ${line}">${escapeHtml(notes.get(line) || '')}</textarea>`;
+  }
+
+  function handleNoteInput(e) {
+    const textarea = e.target.closest('textarea[data-note-line]');
+    if (!textarea) return;
+
+    const line = Number(textarea.dataset.noteLine);
+    if (textarea.value.trim()) {
+      notes.set(line, textarea.value);
+    } else {
+      notes.delete(line);
+    }
+    saveNotesSoon();
+  }
+
+  function exportAnnotations() {
+    if (bookmarks.size === 0 && notes.size === 0) {
+      ToolTemplate.showToast('No bookmarks or notes to export');
+      return;
+    }
+    const sidecar = JsonlAnnotations.toSidecar(currentFileName, bookmarks, notes);
+    downloadFile(JSON.stringify(sidecar, null, 2), `${fileBaseName()}.annotations.json`, 'application/json');
+    ToolTemplate.showToast('Annotations downloaded!');
+  }
+
+  function handleAnnotationsFile(e) {
+    const file = e.target.files && e.target.files[0];
+    annotationsFileInput.value = '';
+    if (!file) return;
+
+    readFileText(file).then(({ text }) => {
+      let imported;
+      try {
+        imported = JsonlAnnotations.fromSidecar(JSON.parse(text));
+      } catch (err) {
+        ToolTemplate.showToast(`Could not import annotations: ${err.message}`, 4000);
+        return;
+      }
+
+      imported.bookmarks.forEach(line => bookmarks.add(line));
+      imported.notes.forEach((note, line) => notes.set(line, note));
+      measuredHeights.clear();
+      annotationsChanged();
+      ToolTemplate.showToast(`Imported ${imported.bookmarks.size} bookmarks and ${imported.notes.size} notes`);
+    }).catch(err => {
+      ToolTemplate.showToast(`Could not read ${file.name}: ${err.message}`, 4000);
+    });
+  }
+
+  // URL Hash State
+  /**
+   * View state kept in the URL hash so a link reopens the same view of a file:
+   *   #q=<query>&view=table&line=120&layout=<JSON: column mode, visible
+   *   columns with widths, sort>
+   * Returns null when the hash is empty.
+   */
+  function readViewState() {
+    const hash = location.hash.slice(1);
+    if (!hash) return null;
+
+    const params = new URLSearchParams(hash);
+    const view = params.get('view');
+    let layout = null;
+    try {
+      layout = params.has('layout') ? JSON.parse(params.get('layout')) : null;
+    } catch (err) {
+      layout = null;
+    }
+
+    return {
+      query: params.get('q') || '',
+      view: ['cards', 'table', 'chat'].includes(view) ? view : 'cards',
+      line: parseInt(params.get('line'), 10) || null,
+      layout: layout && typeof layout === 'object' ? layout : null
+    };
+  }
+
+  const writeViewState = ToolTemplate.debounce(() => {
+    // Don't overwrite a shared link before it has been applied
+    if (pendingViewState || validEntries.length === 0) return;
+
+    const params = new URLSearchParams();
+    const query = searchInput.value.trim();
+    if (query) params.set('q', query);
+    if (viewMode !== 'cards') params.set('view', viewMode);
+
+    const entries = getViewEntries();
+    const top = getListScrollTop();
+    const first = top > 0 && offsetsEntries === entries ? entries[indexAtOffset(top)] : null;
+    if (first) params.set('line', first.lineNumber);
+
+    if (tableColumns.length > 0) {
+      params.set('layout', JSON.stringify({
+        mode: columnMode,
+        columns: tableColumns.filter(col => col.visible).map(col => [col.key, col.width]),
+        sort: sortState.key ? [sortState.key, sortState.dir] : null
+      }));
+    }
+
+    const hash = params.toString();
+    if (hash === writtenHash) return;
+    writtenHash = hash;
+    history.replaceState(null, '', hash ? `#${hash}` : location.pathname + location.search);
+  }, 300);
+
+  function clearViewState() {
+    writtenHash = '';
+    if (location.hash) history.replaceState(null, '', location.pathname + location.search);
+  }
+
+  /**
+   * Apply view state from the hash once a file has loaded. The query is put
+   * in the search box earlier so entries are filtered as they stream in.
+   */
+  function applyPendingViewState() {
+    const state = pendingViewState;
+    if (!state || validEntries.length === 0) return;
+    pendingViewState = null;
+
+    if (state.query !== searchInput.value.trim()) {
+      searchInput.value = state.query;
+      handleSearch();
+    }
+
+    const layout = state.layout;
+    if (layout && (layout.mode === 'top' || layout.mode === 'flat') && layout.mode !== columnMode) {
+      columnMode = layout.mode;
+      columnModeSelect.value = columnMode;
+      tableColumns = [];
+    }
+    if (state.view !== viewMode) setViewMode(state.view);
+    if (layout) applyColumnLayout(layout);
+    if (state.line) scrollToLine(state.line);
+    writeViewState();
+  }
+
+  function applyColumnLayout(layout) {
+    if (tableColumns.length === 0) rebuildColumns();
+
+    const listed = Array.isArray(layout.columns) ? layout.columns.filter(Array.isArray) : [];
+    const order = listed.map(([key]) => key);
+    // Skip a layout written for a file with different fields
+    if (tableColumns.some(col => order.includes(col.key))) {
+      const rank = (col) => (order.includes(col.key) ? order.indexOf(col.key) : order.length);
+      tableColumns.forEach(col => {
+        const item = listed.find(([key]) => key === col.key);
+        col.visible = Boolean(item);
+        col.width = item && Number.isFinite(item[1]) && item[1] >= 48 ? item[1] : null;
+      });
+      tableColumns.sort((a, b) => rank(a) - rank(b));
+    }
+
+    const sort = Array.isArray(layout.sort) ? layout.sort : null;
+    if (sort && tableColumns.some(col => col.key === sort[0])) {
+      sortState = { key: sort[0], dir: sort[1] === -1 ? -1 : 1 };
+    }
+
+    sortedEntries = null;
+    offsetsEntries = null;
+    renderColumnsPanel();
+    renderEntries();
+  }
+
+  function scrollToLine(line) {
+    const entries = getViewEntries();
+    let index = entries.findIndex(entry => entry.lineNumber === line);
+    if (index === -1 && !sortState.key) {
+      index = entries.findIndex(entry => entry.lineNumber > line);
+    }
+    if (index > 0) scrollToIndex(index);
+  }
+
+  function handleHashChange() {
+    // Our own replaceState calls don't fire hashchange, but be safe
+    if (location.hash.slice(1) === writtenHash) return;
+    pendingViewState = readViewState();
+    if (!pendingViewState) return;
+
+    if (validEntries.length > 0 && !isParsing) {
+      applyPendingViewState();
+    } else {
+      searchInput.value = pendingViewState.query;
+      compileSearch();
+    }
+  }
+
+  // Export
+  /**
+   * Describe the filters that produced filteredEntries, for export headers
+   */
+  function describeActiveFilter() {
+    const query = searchInput.value.trim();
+    const summary = {
+      source: currentFileName || null,
+      exportedAt: new Date().toISOString(),
+      query: activeFilter ? query : null,
+      timeRange: timeRange ? {
+        field: timeField.path,
+        start: new Date(timeRange.start).toISOString(),
+        end: new Date(timeRange.end).toISOString()
+      } : null,
+      sort: sortState.key ? `${sortState.key} ${sortState.dir === 1 ? 'asc' : 'desc'}` : null,
+      bookmarkedOnly,
+      violationsOnly,
+      entries: filteredEntries.length,
+      totalEntries: validEntries.length
+    };
+    return summary;
+  }
+
+  function formatFilterSummary(summary) {
+    const parts = [`${summary.entries.toLocaleString()} of ${summary.totalEntries.toLocaleString()} entries`];
+    parts.push(summary.query ? `filter: ${summary.query}` : 'no filter');
+    if (summary.timeRange) {
+      parts.push(`${summary.timeRange.field} from ${summary.timeRange.start} to ${summary.timeRange.end}`);
+    }
+    if (summary.bookmarkedOnly) parts.push('bookmarked only');
+    if (summary.violationsOnly) parts.push('schema violations only');
+    if (summary.sort) parts.push(`sorted by ${summary.sort}`);
+    return parts.join(' · ');
+  }
+
+  function toggleExportPanel() {
+    exportPanel.hidden = !exportPanel.hidden;
+    if (!exportPanel.hidden) {
+      prepareExportPanel();
+      exportPanel.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+  }
+
+  function openExportPanel() {
+    if (exportPanel.hidden) toggleExportPanel();
+  }
+
+  function prepareExportPanel() {
+    // Offer every flattened path in the current results, pre-selecting the
+    // table's visible columns when the table view has been set up
+    const known = new Map();
+    for (const entry of filteredEntries) {
+      for (const segments of collectColumnPaths(entry.data, true)) {
+        const key = columnKey(segments);
+        if (!known.has(key)) known.set(key, segments);
+      }
+    }
+
+    const tableVisible = new Set(tableColumns.filter(col => col.visible).map(col => col.key));
+    const useTable = tableVisible.size > 0 && columnMode === 'flat';
+    exportColumns = [...known.entries()].map(([key, segments]) => ({
+      key,
+      segments,
+      selected: useTable ? tableVisible.has(key) : true
+    }));
+
+    renderExportColumns();
+    updateExportOptions();
+  }
+
+  function renderExportColumns() {
+    exportColumnsList.innerHTML = exportColumns.map((col, i) => `
+      <label class="columns-item">
+        <input type="checkbox" data-export-col="${i}" ${col.selected ? 'checked' : ''}>
+        <span>${escapeHtml(col.key)}</span>
+      </label>
+    `).join('') || '<p class="muted mb-0">No columns found.</p>';
+  }
+
+  function updateExportOptions() {
+    const format = exportFormatSelect.value;
+    exportCsvOptions.hidden = format !== 'csv';
+    exportJsonOptions.hidden = format !== 'json';
+    exportSummary.textContent = formatFilterSummary(describeActiveFilter());
+  }
+
+  function csvCell(value, delimiter, nested) {
+    let text;
+    if (value === undefined || value === null) {
+      text = '';
+    } else if (typeof value === 'object') {
+      if (nested === 'empty') {
+        text = '';
+      } else if (nested === 'join' && Array.isArray(value) && value.every(v => v === null || typeof v !== 'object')) {
+        text = value.map(v => (v === null ? '' : String(v))).join('; ');
+      } else {
+        text = JSON.stringify(value);
+      }
+    } else {
+      text = String(value);
+    }
+
+    if (text.includes(delimiter) || /["\r\n]/.test(text) || /^\s|\s$/.test(text)) {
+      return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+  }
+
+  function buildCsv(entries, summary) {
+    const delimiter = exportDelimiterSelect.value === 'tab' ? '\t' : exportDelimiterSelect.value;
+    const nested = exportNestedSelect.value;
+    const withLines = exportLineNumbersCheckbox.checked;
+    const columns = exportColumns.filter(col => col.selected);
+    const parts = [];
+
+    if (summary) {
+      parts.push(`# ${formatFilterSummary(summary)}\r\n`);
+      parts.push(`# source: ${summary.source || 'unknown'} · exported ${summary.exportedAt}\r\n`);
+    }
+
+    const header = columns.map(col => csvCell(col.key, delimiter, nested));
+    if (withLines) header.unshift('line');
+    parts.push(header.join(delimiter) + '\r\n');
+
+    for (const entry of entries) {
+      const row = columns.map(col => csvCell(getValueAt(entry.data, col.segments), delimiter, nested));
+      if (withLines) row.unshift(String(entry.lineNumber));
+      parts.push(row.join(delimiter) + '\r\n');
+    }
+
+    return parts;
+  }
+
+  function buildJsonArray(entries, summary) {
+    const pretty = exportJsonStyleSelect.value === 'pretty';
+    const indent = pretty ? 2 : 0;
+    const parts = [];
+
+    // With a summary the array is wrapped: { "export": {...}, "entries": [...] }
+    if (summary) {
+      parts.push(pretty
+        ? `{\n  "export": ${JSON.stringify(summary, null, 2).replace(/\n/g, '\n  ')},\n  "entries": `
+        : `{"export":${JSON.stringify(summary)},"entries":`);
+    }
+
+    const itemIndent = summary && pretty ? '    ' : '  ';
+    parts.push(pretty ? '[\n' : '[');
+    entries.forEach((entry, i) => {
+      let json = JSON.stringify(entry.data, null, indent);
+      if (pretty) json = itemIndent + json.replace(/\n/g, `\n${itemIndent}`);
+      parts.push(json + (i < entries.length - 1 ? (pretty ? ',\n' : ',') : ''));
+    });
+    parts.push(pretty ? `\n${summary ? '  ' : ''}]` : ']');
+
+    if (summary) parts.push(pretty ? '\n}\n' : '}');
+    else if (pretty) parts.push('\n');
+    return parts;
+  }
+
+  function buildNdjson(entries, summary) {
+    const parts = [];
+    // The summary becomes a leading metadata line that is easy to skip
+    if (summary) parts.push(JSON.stringify({ $export: summary }) + '\n');
+    for (const entry of entries) {
+      parts.push(JSON.stringify(entry.data) + '\n');
+    }
+    return parts;
+  }
+
+  function downloadExport() {
+    const format = exportFormatSelect.value;
+    const entries = getViewEntries();
+    const summary = exportSummaryCheckbox.checked ? describeActiveFilter() : null;
+    const baseName = fileBaseName();
+
+    if (format === 'csv' && !exportColumns.some(col => col.selected)) {
+      ToolTemplate.showToast('Select at least one column to export');
+      return;
+    }
+
+    let parts;
+    let filename;
+    let type;
+    if (format === 'csv') {
+      parts = buildCsv(entries, summary);
+      filename = `${baseName}.${exportDelimiterSelect.value === 'tab' ? 'tsv' : 'csv'}`;
+      type = 'text/csv';
+    } else if (format === 'json') {
+      parts = buildJsonArray(entries, summary);
+      filename = `${baseName}.json`;
+      type = 'application/json';
+    } else {
+      parts = buildNdjson(entries, summary);
+      filename = `${baseName}.filtered.jsonl`;
+      type = 'application/x-ndjson';
+    }
+
+    // Blob parts avoid building one giant string for large selections
+    downloadFile(new Blob(parts, { type }), filename, type);
+    ToolTemplate.showToast(`Exported ${entries.length.toLocaleString()} entries`);
+  }
+
+  // Search
+  /**
+   * Compile the search box into a predicate (see query.js). Plain words still
+   * do a full-text match; field expressions like `level == "error"` filter by path.
+   * Returns false when the query has a syntax error.
+   */
+  function compileSearch() {
+    try {
+      activeFilter = JsonlQuery.compile(searchInput.value.trim());
+      showSearchError(null);
+      return true;
+    } catch (err) {
+      if (!(err instanceof JsonlQuery.QuerySyntaxError)) throw err;
+      showSearchError(err.message);
+      return false;
+    }
+  }
+
+  /**
+   * Whether an entry passes the search, the timeline's time window, and the
+   * bookmarks and schema violations filters
+   */
+  function matchesSearch(entry) {
+    return (!activeFilter || activeFilter(entry.data)) && matchesTimeRange(entry) &&
+      matchesBookmarks(entry) && matchesViolations(entry);
+  }
+
+  function hasActiveFilter() {
+    return Boolean(activeFilter || timeRange || bookmarkedOnly || violationsOnly);
+  }
+
+  function showSearchError(message) {
+    searchError.textContent = message || '';
+    searchError.hidden = !message;
+    searchInput.classList.toggle('invalid', Boolean(message));
+    searchInput.setAttribute('aria-invalid', message ? 'true' : 'false');
+  }
+
+  function updateSearchInfo() {
+    deleteMatchingBtn.hidden = !hasActiveFilter() || filteredEntries.length === 0;
+    if (!hasActiveFilter()) {
+      searchResultsInfo.hidden = true;
+      return;
+    }
+    searchResultsInfo.textContent = `Found ${filteredEntries.length} matching entries` +
+      (timeRange ? ' in the selected time range' : '') +
+      (bookmarkedOnly ? ' among bookmarks' : '') +
+      (violationsOnly ? ' violating the schema' : '');
+    searchResultsInfo.hidden = false;
+  }
+
+  function handleSearch() {
+    // Keep the last good results on screen while the query is being fixed
+    if (!compileSearch()) return;
+
+    applyFilters();
+    refreshTimeline();
+  }
+
+  /**
+   * Rebuild filteredEntries from the search and time window
+   */
+  function applyFilters() {
+    filteredEntries = hasActiveFilter()
+      ? validEntries.filter(matchesSearch)
+      : [...validEntries];
+    sortedEntries = null;
+
+    updateSearchInfo();
+    entriesContainer.scrollTop = 0;
     renderEntries();
-    updatePagination();
+    refreshGroups();
+    writeViewState();
   }
 
   // Actions
+  function toggleExpanded(id) {
+    focusedId = id;
+    if (expandedEntries.has(id)) {
+      expandedEntries.delete(id);
+    } else {
+      expandedEntries.add(id);
+    }
+    measuredHeights.delete(id);
+    offsetsEntries = null;
+    renderEntries();
+  }
+
   window.toggleEntry = function(index) {
-    const card = entriesContainer.querySelector(`[data-index="${index}"]`);
-    if (card) {
-      card.classList.toggle('expanded');
+    const entry = getViewEntries()[index];
+    if (entry) {
+      toggleExpanded(entry.id);
     }
   };
 
   window.copyEntry = async function(index) {
-    const entry = filteredEntries[index];
+    const entry = getViewEntries()[index];
     if (!entry) return;
 
     const text = JSON.stringify(entry.data, null, 2);
@@ -321,25 +3819,50 @@
   }
 
   function expandAll() {
-    entriesContainer.querySelectorAll('.entry-card').forEach(card => {
-      card.classList.add('expanded');
-    });
+    filteredEntries.forEach(entry => expandedEntries.add(entry.id));
+    measuredHeights.clear();
+    offsetsEntries = null;
+    renderEntries();
   }
 
   function collapseAll() {
-    entriesContainer.querySelectorAll('.entry-card').forEach(card => {
-      card.classList.remove('expanded');
-    });
+    expandedEntries.clear();
+    measuredHeights.clear();
+    offsetsEntries = null;
+    renderEntries();
   }
 
   function clearData() {
+    if (!confirmDiscardEdits()) return;
+
     // Reset state
+    cancelParsing();
     allEntries = [];
     validEntries = [];
     invalidEntries = [];
     filteredEntries = [];
-    currentPage = 0;
+    blankLines = [];
+    lineEnding = '\n';
+    sortedEntries = null;
     currentFileName = '';
+    tableColumns = [];
+    sortState = { key: null, dir: 1 };
+    resetVirtualList();
+    columnsPanel.hidden = true;
+    resetSchema();
+    schemaPanel.hidden = true;
+    exportPanel.hidden = true;
+    exportColumns = [];
+    schemaBtn.classList.remove('primary');
+    resetGroups();
+    groupPanel.hidden = true;
+    groupBtn.classList.remove('primary');
+    resetRepairs();
+    resetEdits();
+    resetValidation(true);
+    resetTimeline();
+    closeCompare();
+    compareKeyInput.value = '';
 
     // Reset UI
     fileInput.value = '';
@@ -347,23 +3870,317 @@
     dropZone.style.display = '';
     statsBar.classList.remove('visible');
     searchBar.classList.remove('visible');
+    viewToolbar.classList.remove('visible');
     entriesContainer.classList.remove('visible');
     entriesContainer.innerHTML = '';
-    pagination.classList.remove('visible');
+    gotoLineInput.value = '';
     errorEntries.hidden = true;
     actions.hidden = true;
     emptyState.hidden = true;
     searchInput.value = '';
     searchResultsInfo.hidden = true;
+    deleteMatchingBtn.hidden = true;
+    activeFilter = null;
+    showSearchError(null);
+    resetAnnotations();
+    pendingViewState = null;
+    clearViewState();
+    stopFollowing();
+    sourceFile = null;
+    fileHandle = null;
 
     ToolTemplate.showToast('Cleared');
   }
 
+  // Keyboard Navigation
+  /**
+   * j/k select the next or previous entry, Enter/Space expand it, c copies
+   * it and n/p move a screenful. Keys typed into fields are left alone.
+   */
+  function isTypingTarget(target) {
+    return Boolean(target.closest && target.closest('input, textarea, select, [contenteditable="true"]'));
+  }
+
+  function handleShortcutKeydown(e) {
+    if ((e.ctrlKey || e.metaKey) && !e.altKey && !e.shiftKey && e.key.toLowerCase() === 'k') {
+      if (document.querySelector('dialog[open]')) return;
+      e.preventDefault();
+      openPalette();
+      return;
+    }
+
+    if (e.ctrlKey || e.metaKey || e.altKey || e.defaultPrevented) return;
+    if (isTypingTarget(e.target) || document.querySelector('dialog[open]')) return;
+
+    if (e.key === '?') {
+      e.preventDefault();
+      openShortcuts();
+      return;
+    }
+    if (!entriesContainer.classList.contains('visible')) return;
+    // Let focused buttons and links handle their own Enter/Space
+    if ((e.key === 'Enter' || e.key === ' ') && e.target.closest('button, a, summary')) return;
+
+    switch (e.key) {
+      case 'j':
+        moveFocus(1);
+        break;
+      case 'k':
+        moveFocus(-1);
+        break;
+      case 'n':
+        movePage(1);
+        break;
+      case 'p':
+        movePage(-1);
+        break;
+      case 'Enter':
+      case ' ':
+        runOnFocused(window.toggleEntry);
+        break;
+      case 'c':
+        runOnFocused(window.copyEntry);
+        break;
+      case '/':
+        searchInput.focus();
+        searchInput.select();
+        break;
+      default:
+        return;
+    }
+    e.preventDefault();
+  }
+
+  function getFocusedIndex(entries) {
+    return focusedId === null ? -1 : entries.findIndex(entry => entry.id === focusedId);
+  }
+
+  /**
+   * Select the next or previous entry, starting from the top of the view
+   */
+  function moveFocus(delta) {
+    const entries = getViewEntries();
+    if (entries.length === 0) return;
+
+    const index = getFocusedIndex(entries);
+    focusIndex(entries, index === -1
+      ? indexAtOffset(getListScrollTop())
+      : Math.max(0, Math.min(entries.length - 1, index + delta)));
+  }
+
+  function movePage(direction) {
+    const entries = getViewEntries();
+    if (entries.length === 0) return;
+
+    let index = getFocusedIndex(entries);
+    if (index === -1) index = indexAtOffset(getListScrollTop());
+    const pageHeight = entriesContainer.clientHeight || window.innerHeight * 0.7;
+    let target = indexAtOffset(offsets[index] + direction * pageHeight);
+    if (target === index) target += direction;
+    focusIndex(entries, Math.max(0, Math.min(entries.length - 1, target)));
+  }
+
+  function runOnFocused(action) {
+    const entries = getViewEntries();
+    const index = getFocusedIndex(entries);
+    if (index === -1) {
+      moveFocus(0);
+      return;
+    }
+    action(index);
+  }
+
+  function focusIndex(entries, index) {
+    focusedId = entries[index].id;
+    revealIndex(index);
+    markFocusedEntry();
+  }
+
+  /**
+   * Scroll just enough to bring an item fully into view
+   */
+  function revealIndex(index) {
+    const head = viewMode === 'table' ? entriesContainer.querySelector('thead') : null;
+    const headHeight = head ? head.offsetHeight : 0;
+    const top = offsets[index] + headHeight;
+    const bottom = offsets[index + 1] + headHeight;
+    const viewHeight = entriesContainer.clientHeight;
+
+    if (top < entriesContainer.scrollTop + headHeight) {
+      entriesContainer.scrollTop = top - headHeight;
+    } else if (bottom > entriesContainer.scrollTop + viewHeight) {
+      entriesContainer.scrollTop = Math.min(top - headHeight, bottom - viewHeight);
+    }
+    renderWindow(false);
+  }
+
+  function markFocusedEntry() {
+    entriesContainer.querySelectorAll('.keyboard-focus').forEach(el => el.classList.remove('keyboard-focus'));
+    if (focusedId === null) return;
+    const el = entriesContainer.querySelector(`.entry-card[data-id="${focusedId}"], .grid-row[data-id="${focusedId}"]`);
+    if (el) el.classList.add('keyboard-focus');
+  }
+
+  function openShortcuts() {
+    if (typeof shortcutsModal.showModal === 'function') shortcutsModal.showModal();
+  }
+
+  // Command Palette
+  /**
+   * Ctrl/Cmd+K lists the viewer's actions, filtered as you type. Typing a
+   * number offers to jump to that line.
+   */
+  function getCommands() {
+    const loaded = fileInfo.classList.contains('visible');
+    const hasEntries = validEntries.length > 0;
+
+    return [
+      { label: 'Go to line...', run: () => gotoLineInput.focus(), when: hasEntries },
+      { label: 'Search', keys: '/', run: () => searchInput.focus(), when: hasEntries },
+      { label: 'Expand all', run: expandAll, when: hasEntries },
+      { label: 'Collapse all', run: collapseAll, when: hasEntries },
+      { label: 'Copy all JSON', run: copyAllData, when: hasEntries },
+      { label: 'Export...', run: openExportPanel, when: hasEntries },
+      { label: 'Cards view', run: () => setViewMode('cards'), when: hasEntries && viewMode !== 'cards' },
+      { label: 'Table view', run: () => setViewMode('table'), when: hasEntries && viewMode !== 'table' },
+      { label: 'Chat view', run: () => setViewMode('chat'), when: hasEntries && viewMode !== 'chat' },
+      { label: 'Show only bookmarked', run: toggleBookmarkedOnly, when: hasEntries && !bookmarkedOnly },
+      { label: 'Show all lines', run: toggleBookmarkedOnly, when: bookmarkedOnly },
+      { label: `${schemaPanel.hidden ? 'Show' : 'Hide'} schema`, run: toggleSchemaPanel, when: hasEntries },
+      { label: 'Validate against a JSON Schema...', run: () => validateFileInput.click(), when: loaded },
+      { label: 'Show only schema violations', run: toggleViolationsOnly, when: Boolean(schemaValidator) && !violationsOnly },
+      { label: 'Show entries that pass the schema too', run: toggleViolationsOnly, when: violationsOnly },
+      { label: `${groupPanel.hidden ? 'Show' : 'Hide'} group by`, run: toggleGroupPanel, when: hasEntries },
+      { label: followMode ? 'Stop following' : 'Follow file', run: toggleFollow, when: loaded },
+      { label: 'Undo', keys: 'Ctrl+Z', run: undo, when: undoStack.length > 0 },
+      { label: 'Redo', keys: 'Ctrl+Shift+Z', run: redo, when: redoStack.length > 0 },
+      { label: 'Save as...', run: saveAs, when: loaded },
+      { label: 'Open file...', run: () => fileInput.click(), when: true },
+      { label: 'Clear', run: clearData, when: loaded },
+      { label: 'Keyboard shortcuts', keys: '?', run: openShortcuts, when: true }
+    ].filter(command => command.when);
+  }
+
+  function matchCommands(query) {
+    const commands = getCommands();
+    const lineMatch = query.match(/^:?(\d+)$/);
+    if (lineMatch && validEntries.length > 0) {
+      const line = Number(lineMatch[1]);
+      return [{
+        label: `Go to line ${line}`,
+        run: () => {
+          gotoLineInput.value = line;
+          goToLine();
+        }
+      }];
+    }
+
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const matches = commands.filter(command => words.every(word => command.label.toLowerCase().includes(word)));
+    // Labels starting with the query first
+    const first = words[0] || '';
+    return matches.sort((a, b) =>
+      Number(!a.label.toLowerCase().startsWith(first)) - Number(!b.label.toLowerCase().startsWith(first)));
+  }
+
+  function openPalette() {
+    if (typeof commandPalette.showModal !== 'function') return;
+    paletteInput.value = '';
+    renderPalette();
+    commandPalette.showModal();
+    paletteInput.focus();
+  }
+
+  function renderPalette() {
+    paletteCommands = matchCommands(paletteInput.value.trim());
+    paletteSelected = Math.min(paletteSelected, Math.max(0, paletteCommands.length - 1));
+
+    paletteList.innerHTML = paletteCommands.map((command, i) => `
+      <li class="palette-item" id="palette-option-${i}" role="option" data-command="${i}" aria-selected="${i === paletteSelected}">
+        <span>${escapeHtml(command.label)}</span>
+        ${command.keys ? `<kbd>${escapeHtml(command.keys)}</kbd>` : ''}
+      </li>
+    `).join('') || '<li class="palette-empty">No matching commands</li>';
+
+    if (paletteCommands.length > 0) {
+      paletteInput.setAttribute('aria-activedescendant', `palette-option-${paletteSelected}`);
+    } else {
+      paletteInput.removeAttribute('aria-activedescendant');
+    }
+  }
+
+  function selectPaletteItem(index) {
+    paletteSelected = index;
+    paletteList.querySelectorAll('.palette-item').forEach((item, i) => {
+      item.setAttribute('aria-selected', String(i === index));
+      if (i === index && item.scrollIntoView) item.scrollIntoView({ block: 'nearest' });
+    });
+    paletteInput.setAttribute('aria-activedescendant', `palette-option-${index}`);
+  }
+
+  function runPaletteCommand(index) {
+    const command = paletteCommands[index];
+    if (!command) return;
+    commandPalette.close();
+    command.run();
+  }
+
+  function handlePaletteKeydown(e) {
+    const count = paletteCommands.length;
+    if (e.key === 'ArrowDown' && count > 0) {
+      e.preventDefault();
+      selectPaletteItem((paletteSelected + 1) % count);
+    } else if (e.key === 'ArrowUp' && count > 0) {
+      e.preventDefault();
+      selectPaletteItem((paletteSelected - 1 + count) % count);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      runPaletteCommand(paletteSelected);
+    }
+  }
+
+  function handlePaletteClick(e) {
+    const item = e.target.closest('.palette-item');
+    if (item) runPaletteCommand(Number(item.dataset.command));
+  }
+
+  /**
+   * Close a dialog when its backdrop is clicked
+   */
+  function closeOnBackdrop(dialog) {
+    dialog.addEventListener('click', (e) => {
+      if (e.target === dialog) dialog.close();
+    });
+  }
+
   // Utilities
+  /**
+   * Loaded file name without its extension(s), e.g. "logs" for "logs.jsonl.gz"
+   */
+  function fileBaseName() {
+    return currentFileName.replace(/\.(gz|zz|deflate)$/i, '').replace(/\.[^/.]+$/, '') || 'entries';
+  }
+
+  function downloadFile(content, filename, type) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    // Give the browser a moment to start the download before revoking
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
   function escapeHtml(str) {
     const div = document.createElement('div');
     div.textContent = str;
-    return div.innerHTML;
+    // Quotes too, so the result is safe inside attribute values (e.g. column keys)
+    return div.innerHTML.replace(/"/g, '&quot;');
   }
 
   // Initialization
@@ -373,6 +4190,17 @@
     dropZone.addEventListener('dragover', handleDragOver);
     dropZone.addEventListener('dragleave', handleDragLeave);
 
+    // Once a file is loaded the drop zone is hidden; accept a file dropped
+    // anywhere instead, e.g. the same log again after it has grown
+    document.addEventListener('dragover', (e) => {
+      if (dropZone.style.display === 'none' && Array.from(e.dataTransfer?.types || []).includes('Files')) {
+        e.preventDefault();
+      }
+    });
+    document.addEventListener('drop', (e) => {
+      if (dropZone.style.display === 'none' && e.dataTransfer?.files?.length > 0) handleDrop(e);
+    });
+
     // File input
     fileInput.addEventListener('change', handleFileSelect);
 
@@ -382,13 +4210,166 @@
       searchInput.value = '';
       handleSearch();
     });
+    deleteMatchingBtn.addEventListener('click', deleteMatching);
+
+    // Editing
+    entriesContainer.addEventListener('input', handleEditorInput);
+    entriesContainer.addEventListener('click', handleEditorClick);
+    entriesContainer.addEventListener('keydown', handleEditorKeydown);
+    undoBtn.addEventListener('click', undo);
+    redoBtn.addEventListener('click', redo);
+    saveAsBtn.addEventListener('click', saveAs);
+    window.addEventListener('keydown', handleUndoKeydown);
+    window.addEventListener('beforeunload', (e) => {
+      if (!isDirty()) return;
+      e.preventDefault();
+      e.returnValue = '';
+    });
+
+    // Bookmarks & notes
+    bookmarksBtn.addEventListener('click', toggleBookmarkedOnly);
+    entriesContainer.addEventListener('input', handleNoteInput);
+    entriesContainer.addEventListener('change', (e) => {
+      if (e.target.matches('textarea[data-note-line]')) saveAnnotations();
+    });
+    annotationsExportBtn.addEventListener('click', exportAnnotations);
+    annotationsImportBtn.addEventListener('click', () => annotationsFileInput.click());
+    annotationsFileInput.addEventListener('change', handleAnnotationsFile);
+
+    // View state from a shared link; the query applies while the file streams in
+    pendingViewState = readViewState();
+    if (pendingViewState) {
+      searchInput.value = pendingViewState.query;
+      compileSearch();
+    }
+    window.addEventListener('hashchange', handleHashChange);
+
+    // Follow mode
+    followBtn.addEventListener('click', toggleFollow);
+
+    // Schema validation
+    validateBtn.addEventListener('click', () => validateFileInput.click());
+    validateFileInput.addEventListener('change', handleValidateFile);
+    violationsBtn.addEventListener('click', toggleViolationsOnly);
+
+    // Parsing
+    parseCancelBtn.addEventListener('click', handleCancelParsing);
+
+    // View mode & table
+    viewCardsBtn.addEventListener('click', () => setViewMode('cards'));
+    viewTableBtn.addEventListener('click', () => setViewMode('table'));
+    viewChatBtn.addEventListener('click', () => setViewMode('chat'));
+    // toggle doesn't bubble, so listen in the capture phase
+    entriesContainer.addEventListener('toggle', handleChatBlockToggle, true);
+    columnModeSelect.addEventListener('change', () => {
+      columnMode = columnModeSelect.value;
+      rebuildColumns();
+      renderEntries();
+      writeViewState();
+    });
+    columnsBtn.addEventListener('click', () => {
+      columnsPanel.hidden = !columnsPanel.hidden;
+    });
+    columnsList.addEventListener('change', handleColumnToggle);
+    columnsShowAllBtn.addEventListener('click', () => setAllColumnsVisible(true));
+    columnsHideAllBtn.addEventListener('click', () => setAllColumnsVisible(false));
+    entriesContainer.addEventListener('click', handleTableClick);
+    entriesContainer.addEventListener('click', handleTreeClick);
+    entriesContainer.addEventListener('mousedown', handleResizeStart);
+    entriesContainer.addEventListener('dragstart', handleHeaderDragStart);
+    entriesContainer.addEventListener('dragover', handleHeaderDragOver);
+    entriesContainer.addEventListener('drop', handleHeaderDrop);
+    entriesContainer.addEventListener('dragend', () => { draggedColumn = null; });
 
-    // Pagination
-    prevBtn.addEventListener('click', () => goToPage(currentPage - 1));
-    nextBtn.addEventListener('click', () => goToPage(currentPage + 1));
+    // Schema
+    schemaBtn.addEventListener('click', toggleSchemaPanel);
+    schemaFields.addEventListener('click', handleSchemaClick);
+    schemaExportBtn.addEventListener('click', exportJsonSchema);
+
+    // Group by
+    groupBtn.addEventListener('click', toggleGroupPanel);
+    groupAddBtn.addEventListener('click', addGroupPath);
+    groupPathInput.addEventListener('keydown', handleGroupPathKeydown);
+    groupPathList.addEventListener('click', handleGroupPathListClick);
+    groupAggregateSelect.addEventListener('change', handleGroupMetricChange);
+    groupMetricInput.addEventListener('input', ToolTemplate.debounce(refreshGroups, 300));
+    groupTable.addEventListener('click', handleGroupTableClick);
+
+    // Compare
+    compareBtn.addEventListener('click', openCompareFile);
+    compareFileInput.addEventListener('change', handleCompareFile);
+    compareMatchMode.addEventListener('change', () => {
+      updateCompareMatchMode();
+      runCompare();
+    });
+    compareKeyInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') runCompare();
+    });
+    compareRunBtn.addEventListener('click', runCompare);
+    compareCloseBtn.addEventListener('click', closeCompare);
+    compareFilters.addEventListener('click', handleCompareFilterClick);
+    compareList.addEventListener('click', handleCompareClick);
+
+    // Export
+    exportFormatSelect.addEventListener('change', updateExportOptions);
+    exportColumnsList.addEventListener('change', (e) => {
+      const index = e.target.dataset.exportCol;
+      if (index !== undefined) exportColumns[index].selected = e.target.checked;
+    });
+    exportColumnsAllBtn.addEventListener('click', () => {
+      exportColumns.forEach(col => { col.selected = true; });
+      renderExportColumns();
+    });
+    exportColumnsNoneBtn.addEventListener('click', () => {
+      exportColumns.forEach(col => { col.selected = false; });
+      renderExportColumns();
+    });
+    exportDownloadBtn.addEventListener('click', downloadExport);
+    exportCancelBtn.addEventListener('click', () => { exportPanel.hidden = true; });
+
+    // Repair
+    errorList.addEventListener('input', handleRepairInput);
+    errorList.addEventListener('click', handleRepairClick);
+    errorAutofixBtn.addEventListener('click', autoFixAll);
+    errorDownloadBtn.addEventListener('click', downloadCorrectedFile);
+
+    // Timeline
+    timelineFieldSelect.addEventListener('change', handleTimelineFieldChange);
+    timelineStackSelect.addEventListener('change', handleTimelineStackChange);
+    timelineClearBtn.addEventListener('click', () => setTimeRange(null));
+    timelineChart.addEventListener('mousedown', handleTimelineMouseDown);
+    document.addEventListener('mousemove', handleTimelineMouseMove);
+    document.addEventListener('mouseup', handleTimelineMouseUp);
+    window.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && timelineDrag) {
+        timelineDrag = null;
+        renderTimelineSelection();
+      }
+    });
+
+    // Keyboard navigation & command palette
+    window.addEventListener('keydown', handleShortcutKeydown);
+    shortcutsModal.querySelector('.modal-close').addEventListener('click', () => shortcutsModal.close());
+    closeOnBackdrop(shortcutsModal);
+    paletteInput.addEventListener('input', () => {
+      paletteSelected = 0;
+      renderPalette();
+    });
+    paletteInput.addEventListener('keydown', handlePaletteKeydown);
+    paletteList.addEventListener('click', handlePaletteClick);
+    closeOnBackdrop(commandPalette);
+
+    // Virtual list
+    entriesContainer.addEventListener('scroll', handleListScroll, { passive: true });
+    window.addEventListener('resize', ToolTemplate.debounce(() => renderWindow(false), 150));
+    gotoLineBtn.addEventListener('click', goToLine);
+    gotoLineInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') goToLine();
+    });
 
     // Actions
     copyBtn.addEventListener('click', copyAllData);
+    exportBtn.addEventListener('click', toggleExportPanel);
     expandAllBtn.addEventListener('click', expandAll);
     collapseAllBtn.addEventListener('click', collapseAll);
     clearBtn.addEventListener('click', clearData);
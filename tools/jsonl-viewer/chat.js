@@ -0,0 +1,227 @@
+/**
+ * JSONL Viewer - Chat Transcripts
+ *
+ * Recognises LLM request/response logs and fine-tuning records and
+ * normalises them into one conversation shape for the chat view:
+ *   - OpenAI chat format: `messages` with role/content, `tool_calls` and
+ *     `tool` role messages, optionally a response with `choices`
+ *   - Anthropic messages format: `system` plus `messages` whose content is
+ *     a list of text / tool_use / tool_result / thinking blocks
+ *   - Simple `prompt` / `completion` pairs
+ *
+ * Exposed as window.JsonlChat.
+ */
+
+(function() {
+  'use strict';
+
+  const FORMAT_LABELS = {
+    'openai': 'OpenAI chat',
+    'anthropic': 'Anthropic messages',
+    'prompt-completion': 'Prompt / completion'
+  };
+
+  // Rough characters-per-token ratio for English text, used when a record
+  // carries no usage numbers
+  const CHARS_PER_TOKEN = 4;
+
+  function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  function parseArguments(args) {
+    if (typeof args !== 'string') return args === undefined ? {} : args;
+    try {
+      return JSON.parse(args);
+    } catch (err) {
+      return args;
+    }
+  }
+
+  /**
+   * Plain text of a content value: a string, or the text of its blocks
+   */
+  function textOf(content) {
+    if (typeof content === 'string') return content;
+    if (!Array.isArray(content)) return content == null ? '' : JSON.stringify(content);
+    return content
+      .map(part => (typeof part === 'string' ? part : (isObject(part) && typeof part.text === 'string' ? part.text : '')))
+      .filter(Boolean)
+      .join('\n');
+  }
+
+  /**
+   * Convert message content (string, OpenAI parts or Anthropic blocks) to
+   * normalised blocks: text, image, tool_call, tool_result, thinking, other
+   */
+  function toBlocks(content) {
+    if (content == null) return [];
+    if (typeof content === 'string') return content ? [{ type: 'text', text: content }] : [];
+    if (!Array.isArray(content)) return [{ type: 'other', value: content }];
+
+    return content.map(part => {
+      if (typeof part === 'string') return { type: 'text', text: part };
+      if (!isObject(part)) return { type: 'other', value: part };
+
+      switch (part.type) {
+        case 'text':
+        case 'input_text':
+        case 'output_text':
+          return { type: 'text', text: String(part.text ?? '') };
+        case 'image':
+        case 'image_url':
+        case 'input_image':
+          return { type: 'image' };
+        case 'tool_use':
+        case 'server_tool_use':
+          return { type: 'tool_call', id: part.id, name: part.name, input: part.input };
+        case 'tool_result':
+          return { type: 'tool_result', id: part.tool_use_id, text: textOf(part.content), isError: Boolean(part.is_error) };
+        case 'thinking':
+          return { type: 'thinking', text: String(part.thinking ?? '') };
+        case 'redacted_thinking':
+          return { type: 'thinking', text: '(redacted)' };
+        default:
+          return { type: 'other', value: part };
+      }
+    });
+  }
+
+  function normalizeMessage(msg) {
+    const role = typeof msg.role === 'string' ? msg.role : 'unknown';
+
+    // OpenAI tool output: one message per call, linked by tool_call_id
+    if (role === 'tool' || role === 'function') {
+      return {
+        role: 'tool',
+        name: msg.name,
+        blocks: [{ type: 'tool_result', id: msg.tool_call_id, text: textOf(msg.content), isError: false }]
+      };
+    }
+
+    const blocks = toBlocks(msg.content);
+    if (isObject(msg.function_call)) {
+      blocks.push({ type: 'tool_call', name: msg.function_call.name, input: parseArguments(msg.function_call.arguments) });
+    }
+    if (Array.isArray(msg.tool_calls)) {
+      for (const call of msg.tool_calls) {
+        if (!isObject(call)) continue;
+        const fn = isObject(call.function) ? call.function : call;
+        blocks.push({ type: 'tool_call', id: call.id, name: fn.name, input: parseArguments(fn.arguments) });
+      }
+    }
+
+    return { role, name: msg.name, blocks };
+  }
+
+  function isMessageList(value) {
+    return Array.isArray(value) && value.length > 0 &&
+      value.every(msg => isObject(msg) && typeof msg.role === 'string');
+  }
+
+  /**
+   * The assistant reply of a logged response, if any
+   */
+  function responseMessages(response) {
+    if (!isObject(response)) return [];
+    if (Array.isArray(response.choices)) {
+      return response.choices
+        .map(choice => isObject(choice) && isObject(choice.message) ? choice.message : null)
+        .filter(Boolean);
+    }
+    if (response.type === 'message' && Array.isArray(response.content)) {
+      return [{ role: response.role || 'assistant', content: response.content }];
+    }
+    return [];
+  }
+
+  function readUsage(usage) {
+    if (!isObject(usage)) return null;
+    const input = usage.prompt_tokens ?? usage.input_tokens;
+    const output = usage.completion_tokens ?? usage.output_tokens;
+    if (typeof input !== 'number' && typeof output !== 'number') return null;
+
+    const total = typeof usage.total_tokens === 'number'
+      ? usage.total_tokens
+      : (input || 0) + (output || 0);
+    return { input, output, total };
+  }
+
+  /**
+   * Detect a conversation in an entry's data.
+   * Returns { format, messages, usage, chars } or null.
+   */
+  function detect(data) {
+    if (!isObject(data)) return null;
+
+    let format = null;
+    let messages = [];
+    let system = null;
+    let response = null;
+
+    if (typeof data.prompt === 'string' && typeof data.completion === 'string') {
+      format = 'prompt-completion';
+      messages = [
+        { role: 'user', blocks: toBlocks(data.prompt) },
+        { role: 'assistant', blocks: toBlocks(data.completion) }
+      ];
+    } else {
+      const request = [data, data.request, data.body, data.input].find(obj => isObject(obj) && isMessageList(obj.messages));
+      response = [data.response, data.output, data.choices ? data : null, data.type === 'message' ? data : null]
+        .find(obj => responseMessages(obj).length > 0) || null;
+      if (!request && !response) return null;
+
+      const raw = request ? request.messages.slice() : [];
+      if (response) raw.push(...responseMessages(response));
+      system = request ? request.system : null;
+      messages = raw.map(normalizeMessage);
+
+      const usesBlocks = raw.some(msg => Array.isArray(msg.content) &&
+        msg.content.some(part => isObject(part) && ['tool_use', 'tool_result', 'thinking'].includes(part.type)));
+      format = system != null || usesBlocks || (response && response.type === 'message')
+        ? 'anthropic'
+        : 'openai';
+    }
+
+    if (system != null) {
+      const blocks = toBlocks(system);
+      if (blocks.length > 0) messages.unshift({ role: 'system', blocks });
+    }
+
+    let chars = 0;
+    for (const msg of messages) {
+      for (const block of msg.blocks) {
+        if (typeof block.text === 'string') chars += block.text.length;
+        else if (block.type === 'tool_call') chars += JSON.stringify(block.input ?? '').length;
+      }
+    }
+
+    const usage = readUsage(data.usage) ||
+      (response ? readUsage(response.usage) : null) ||
+      (isObject(data.response) ? readUsage(data.response.usage) : null);
+
+    return { format, messages, usage, chars };
+  }
+
+  /**
+   * Token count for display: reported usage when present, else an estimate
+   * @returns {{ count: number, estimated: boolean }}
+   */
+  function tokenCount(conversation) {
+    if (conversation.usage) {
+      return { count: conversation.usage.total, estimated: false };
+    }
+    return { count: Math.ceil(conversation.chars / CHARS_PER_TOKEN), estimated: true };
+  }
+
+  function formatLabel(format) {
+    return FORMAT_LABELS[format] || format;
+  }
+
+  window.JsonlChat = {
+    detect,
+    tokenCount,
+    formatLabel
+  };
+
+})();
@@ -0,0 +1,167 @@
+/**
+ * JSONL Viewer - File Comparison
+ *
+ * Matches the entries of two JSONL files by a key path (or by line number)
+ * and classifies each pair as added, removed, changed or unchanged. Changed
+ * pairs carry a structural diff: the list of paths whose values differ.
+ *
+ * Exposed as window.JsonlDiff.
+ */
+
+(function() {
+  'use strict';
+
+  const STATUSES = ['changed', 'added', 'removed', 'unchanged'];
+
+  function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  /**
+   * Structural diff of two JSON values. Returns [{ segments, path, kind }]
+   * where kind is 'added', 'removed' or 'changed'. Arrays are compared by
+   * index.
+   */
+  function diffValues(a, b, segments = [], out = []) {
+    if (isPlainObject(a) && isPlainObject(b)) {
+      for (const key of Object.keys(a)) {
+        const child = [...segments, key];
+        if (!Object.prototype.hasOwnProperty.call(b, key)) {
+          out.push(change(child, 'removed'));
+        } else {
+          diffValues(a[key], b[key], child, out);
+        }
+      }
+      for (const key of Object.keys(b)) {
+        if (!Object.prototype.hasOwnProperty.call(a, key)) {
+          out.push(change([...segments, key], 'added'));
+        }
+      }
+    } else if (Array.isArray(a) && Array.isArray(b)) {
+      const length = Math.max(a.length, b.length);
+      for (let i = 0; i < length; i++) {
+        if (i >= b.length) out.push(change([...segments, i], 'removed'));
+        else if (i >= a.length) out.push(change([...segments, i], 'added'));
+        else diffValues(a[i], b[i], [...segments, i], out);
+      }
+    } else if (a !== b) {
+      out.push(change(segments, 'changed'));
+    }
+    return out;
+  }
+
+  function change(segments, kind) {
+    return { segments, path: JsonlQuery.formatPath(segments) || '(root)', kind };
+  }
+
+  function keyFor(entry, keySegments) {
+    if (!keySegments) return String(entry.lineNumber);
+    const values = JsonlQuery.resolvePath(entry.data, keySegments);
+    return values.length > 0 ? JSON.stringify(values[0]) : null;
+  }
+
+  /**
+   * Pair up entries from both files. Entries sharing a key are matched in
+   * file order; entries missing the key are reported but never matched.
+   * Rows follow the left file, with right-only entries after them.
+   *
+   * @param {Array} left - Entries ({ lineNumber, data, raw }) of the first file
+   * @param {Array} right - Entries of the second file
+   * @param {Array|null} keySegments - Parsed key path, or null to match by line
+   */
+  function compareEntries(left, right, keySegments) {
+    const rows = [];
+    const counts = { changed: 0, added: 0, removed: 0, unchanged: 0 };
+    let missingKeys = 0;
+
+    const rightByKey = new Map();
+    for (const entry of right) {
+      const key = keyFor(entry, keySegments);
+      if (key === null) continue;
+      if (!rightByKey.has(key)) rightByKey.set(key, []);
+      rightByKey.get(key).push(entry);
+    }
+
+    const matched = new Set();
+    for (const entry of left) {
+      const key = keyFor(entry, keySegments);
+      if (key === null) missingKeys++;
+      const queue = key === null ? null : rightByKey.get(key);
+      const other = queue && queue.length > 0 ? queue.shift() : null;
+
+      if (!other) {
+        rows.push({ status: 'removed', key, left: entry, right: null, changes: [] });
+        continue;
+      }
+
+      matched.add(other);
+      // Identical text can skip the structural walk
+      const changes = entry.raw === other.raw ? [] : diffValues(entry.data, other.data);
+      const status = changes.length > 0 ? 'changed' : 'unchanged';
+      rows.push({ status, key, left: entry, right: other, changes });
+    }
+
+    for (const entry of right) {
+      if (matched.has(entry)) continue;
+      const key = keyFor(entry, keySegments);
+      if (key === null) missingKeys++;
+      rows.push({ status: 'added', key, left: null, right: entry, changes: [] });
+    }
+
+    rows.forEach(row => { counts[row.status]++; });
+    return { rows, counts, missingKeys };
+  }
+
+  function isWithin(segments, prefix) {
+    if (prefix.length > segments.length) return false;
+    return prefix.every((seg, i) => String(seg) === String(segments[i]));
+  }
+
+  /**
+   * Pretty-print a value as JSON.stringify(value, null, 2) would, one line
+   * per item, marking lines that fall under a change. `side` picks which
+   * changes apply: 'left' shows removals, 'right' shows additions.
+   * Returns [{ text, mark }] where mark is a change kind or null.
+   */
+  function toLines(value, changes, side) {
+    const marks = changes.filter(c => c.kind !== (side === 'left' ? 'added' : 'removed'));
+    const lines = [];
+
+    function markFor(segments) {
+      const hit = marks.find(c => isWithin(segments, c.segments));
+      return hit ? hit.kind : null;
+    }
+
+    function emit(val, segments, prefix, suffix, depth) {
+      const pad = '  '.repeat(depth);
+      const mark = markFor(segments);
+      const isArray = Array.isArray(val);
+      const keys = val !== null && typeof val === 'object'
+        ? (isArray ? val.map((_, i) => i) : Object.keys(val))
+        : null;
+
+      if (!keys || keys.length === 0) {
+        lines.push({ text: pad + prefix + JSON.stringify(val) + suffix, mark });
+        return;
+      }
+
+      lines.push({ text: pad + prefix + (isArray ? '[' : '{'), mark });
+      keys.forEach((key, i) => {
+        const childPrefix = isArray ? '' : JSON.stringify(key) + ': ';
+        emit(val[key], [...segments, key], childPrefix, i < keys.length - 1 ? ',' : '', depth + 1);
+      });
+      lines.push({ text: pad + (isArray ? ']' : '}') + suffix, mark });
+    }
+
+    emit(value, [], '', '', 0);
+    return lines;
+  }
+
+  window.JsonlDiff = {
+    STATUSES,
+    diffValues,
+    compareEntries,
+    toLines
+  };
+
+})();
@@ -0,0 +1,274 @@
+/**
+ * JSONL Viewer - Input Formats
+ *
+ * Shared by the page and parser.worker.js (via importScripts), so it only
+ * relies on globals available in both. Handles:
+ *   - gzip and zlib/deflate compression, decoded with DecompressionStream
+ *   - JSON Lines / NDJSON (one value per line)
+ *   - JSON text sequences (RFC 7464): records prefixed with a record separator
+ *   - A top-level JSON array, split into one entry per element
+ *
+ * Exposed as self.JsonlFormats (window.JsonlFormats on the page).
+ */
+
+(function() {
+  'use strict';
+
+  const RECORD_SEPARATOR = '\x1e';
+
+  const FORMAT_LABELS = {
+    'jsonl': 'JSON Lines',
+    'json-seq': 'JSON text sequence',
+    'json-array': 'JSON array'
+  };
+
+  // Compression
+  /**
+   * Detect compression from the first bytes and the file's name and type.
+   * gzip's magic is trusted on its own; a zlib header is only two bytes and
+   * plain text can look like one, so it needs the name or type to agree.
+   * @param {Uint8Array} head - At least the first two bytes of the file
+   * @param {string} name - File name
+   * @param {string} [type] - MIME type
+   * @returns {'gzip'|'deflate'|null}
+   */
+  function detectCompression(head, name, type) {
+    if (head.length >= 2 && head[0] === 0x1f && head[1] === 0x8b) return 'gzip';
+
+    const lower = (name || '').toLowerCase();
+    const mime = (type || '').toLowerCase();
+    const saysGzip = lower.endsWith('.gz') || mime.includes('gzip');
+    const saysDeflate = lower.endsWith('.zz') || lower.endsWith('.deflate') || /zlib|deflate/.test(mime);
+
+    // zlib header: deflate method, window size (CINFO) <= 7 and a valid checksum
+    const zlib = head.length >= 2 && (head[0] & 0x0f) === 8 && head[0] >> 4 <= 7 &&
+      ((head[0] << 8) | head[1]) % 31 === 0;
+    if (zlib && (saysGzip || saysDeflate)) return 'deflate';
+
+    if (saysGzip) return 'gzip';
+    if (saysDeflate) return 'deflate';
+    return null;
+  }
+
+  function decompress(stream, compression) {
+    if (typeof DecompressionStream === 'undefined') {
+      throw new Error(`This browser cannot decompress ${compression} files`);
+    }
+    return stream.pipeThrough(new DecompressionStream(compression));
+  }
+
+  /**
+   * Decode a whole file's bytes to text, decompressing when needed
+   * @returns {Promise<{ text: string, compression: string|null }>}
+   */
+  async function decodeBytes(bytes, name, type) {
+    const compression = detectCompression(bytes.subarray(0, 2), name, type);
+    if (!compression) {
+      return { text: new TextDecoder().decode(bytes), compression };
+    }
+
+    const text = await new Response(decompress(new Blob([bytes]).stream(), compression)).text();
+    return { text, compression };
+  }
+
+  // Record parsing
+  /**
+   * '\r\n' or '\n', from the first line break in or just after `text`
+   */
+  function detectLineEnding(text) {
+    return text[(text + '\n').indexOf('\n') - 1] === '\r' ? '\r\n' : '\n';
+  }
+
+  /**
+   * Incremental parser. push() decoded text as it arrives, call end() once,
+   * and take() the parsed entries and blank line numbers in between. The format is chosen from the
+   * start of the text: a record separator means JSON-seq. A `[` means one
+   * JSON array (buffered until the end and split into elements; if it doesn't
+   * parse as a whole it is read as lines) when the file is named .json or its
+   * first line isn't a complete value; otherwise the lines are arrays.
+   * @param {Object} [options]
+   * @param {string} [options.format] - Skip detection, e.g. 'jsonl' for
+   *   lines appended to a file that was already read
+   * @param {string} [options.name] - File name, to recognize .json files
+   * @param {number} [options.firstLine=1] - Number of the first record
+   */
+  function createParser(options = {}) {
+    let mode = options.format || null; // 'jsonl' | 'json-seq' | 'json-array'
+    let pending = []; // text after the last separator, kept as pieces
+    let recordNumber = (options.firstLine || 1) - 1;
+    let valid = [];
+    let invalid = [];
+    let blank = []; // numbers of blank lines, so a saved copy can keep them
+    let lineEnding = null;
+
+    function parseRecord(record) {
+      const trimmed = record.trim();
+      // Blank lines still count toward line numbers; empty sequence records don't
+      if (mode !== 'json-seq') recordNumber++;
+      if (!trimmed) {
+        if (mode !== 'json-seq') blank.push(recordNumber);
+        return;
+      }
+      if (mode === 'json-seq') recordNumber++;
+
+      try {
+        const data = JSON.parse(trimmed);
+        valid.push({
+          lineNumber: recordNumber,
+          data,
+          // Pretty-printed records are stored compactly so raw stays one line
+          raw: trimmed.includes('\n') ? JSON.stringify(data) : trimmed
+        });
+      } catch (err) {
+        invalid.push({
+          lineNumber: recordNumber,
+          raw: trimmed,
+          error: err.message
+        });
+      }
+    }
+
+    const jsonName = /\.json$/i.test((options.name || '').replace(/\.(gz|zz|deflate)$/i, ''));
+
+    /**
+     * Pick the format from the text so far, or null to wait for more.
+     * `complete` is set at the end, when the first line can't grow.
+     */
+    function detectMode(head, complete) {
+      const first = head.search(/\S/);
+      if (first === -1) return complete ? 'jsonl' : null;
+      if (head[first] === RECORD_SEPARATOR) return 'json-seq';
+      if (head[first] !== '[') return 'jsonl';
+      if (jsonName) return 'json-array';
+
+      // JSONL whose lines are arrays starts with a whole array on its own line
+      const newline = head.indexOf('\n', first);
+      if (newline === -1 && !complete) return null;
+      try {
+        JSON.parse(head.substring(first, newline === -1 ? head.length : newline));
+        return 'jsonl';
+      } catch (err) {
+        return 'json-array';
+      }
+    }
+
+    function push(chunk) {
+      if (!mode) {
+        pending.push(chunk);
+        const head = pending.join('');
+        mode = detectMode(head, false);
+        if (!mode) return;
+        pending = [];
+        chunk = head;
+      }
+
+      if (mode === 'json-array') {
+        pending.push(chunk);
+        return;
+      }
+
+      const separator = mode === 'json-seq' ? RECORD_SEPARATOR : '\n';
+      const last = chunk.lastIndexOf(separator);
+      if (last === -1) {
+        pending.push(chunk);
+        return;
+      }
+
+      pending.push(chunk.substring(0, last));
+      const text = pending.join('');
+      if (!lineEnding && mode === 'jsonl') lineEnding = detectLineEnding(text);
+      text.split(separator).forEach(parseRecord);
+      pending = [chunk.substring(last + 1)];
+    }
+
+    function end() {
+      let tail = pending.join('');
+      pending = [];
+      if (!mode) {
+        mode = detectMode(tail, true);
+        // Run the text through push() so JSON-seq and JSONL split it as usual
+        if (mode !== 'json-array') {
+          push(tail);
+          tail = pending.join('');
+          pending = [];
+        }
+      }
+
+      if (mode === 'json-array') {
+        let parsed;
+        try {
+          parsed = JSON.parse(tail);
+        } catch (err) {
+          parsed = null;
+        }
+
+        if (Array.isArray(parsed)) {
+          parsed.forEach((data, index) => {
+            valid.push({ lineNumber: index + 1, data, raw: JSON.stringify(data) });
+          });
+          recordNumber = parsed.length;
+          return;
+        }
+
+        // Not a single array, e.g. JSONL whose lines are arrays
+        mode = 'jsonl';
+        lineEnding = detectLineEnding(tail);
+        tail.split('\n').forEach(parseRecord);
+        return;
+      }
+
+      if (tail) parseRecord(tail);
+    }
+
+    function take() {
+      const batch = { valid, invalid, blank };
+      valid = [];
+      invalid = [];
+      blank = [];
+      return batch;
+    }
+
+    return {
+      push,
+      end,
+      take,
+      get pendingCount() { return valid.length + invalid.length; },
+      get recordCount() { return recordNumber; },
+      get format() { return mode || 'jsonl'; },
+      get lineEnding() { return lineEnding || '\n'; }
+    };
+  }
+
+  /**
+   * Parse a whole decoded text in one go
+   * @param {Object} [options] - As for createParser()
+   * @returns {{ valid: Array, invalid: Array, blank: number[], format: string,
+   *   lineEnding: string, totalLines: number }}
+   */
+  function parseText(text, options) {
+    const parser = createParser(options);
+    parser.push(text);
+    parser.end();
+    return {
+      ...parser.take(),
+      format: parser.format,
+      lineEnding: parser.lineEnding,
+      totalLines: parser.recordCount
+    };
+  }
+
+  function describe(format, compression) {
+    const label = FORMAT_LABELS[format] || FORMAT_LABELS.jsonl;
+    return compression ? `${label} (${compression})` : label;
+  }
+
+  self.JsonlFormats = {
+    detectCompression,
+    decompress,
+    decodeBytes,
+    createParser,
+    parseText,
+    describe
+  };
+
+})();
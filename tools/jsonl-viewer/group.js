@@ -0,0 +1,116 @@
+/**
+ * JSONL Viewer - Group By
+ *
+ * Groups entries by one or more key paths and computes an optional
+ * aggregate over a numeric path for each group: count, sum, avg, min, max,
+ * or the 50th/95th percentile.
+ *
+ * Exposed as window.JsonlGroup.
+ */
+
+(function() {
+  'use strict';
+
+  const AGGREGATES = {
+    count: 'Count',
+    sum: 'Sum',
+    avg: 'Average',
+    min: 'Min',
+    max: 'Max',
+    p50: 'p50',
+    p95: 'p95'
+  };
+
+  // Sentinel for entries without a value at a group path
+  const MISSING = { missing: true };
+
+  function keyValue(data, segments) {
+    const values = JsonlQuery.resolvePath(data, segments);
+    return values.length > 0 ? values[0] : MISSING;
+  }
+
+  function keyString(value) {
+    return value === MISSING ? '\u0000missing' : JSON.stringify(value);
+  }
+
+  /**
+   * Percentile by linear interpolation between closest ranks
+   * @param {number[]} sorted - Ascending values
+   */
+  function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    const rank = (p / 100) * (sorted.length - 1);
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+  }
+
+  function aggregate(fn, values) {
+    if (fn === 'count') return values.length;
+    if (values.length === 0) return null;
+
+    switch (fn) {
+      case 'sum':
+        return values.reduce((a, b) => a + b, 0);
+      case 'avg':
+        return values.reduce((a, b) => a + b, 0) / values.length;
+      case 'min':
+        return values.reduce((a, b) => (b < a ? b : a));
+      case 'max':
+        return values.reduce((a, b) => (b > a ? b : a));
+      case 'p50':
+      case 'p95': {
+        const sorted = values.slice().sort((a, b) => a - b);
+        return percentile(sorted, fn === 'p50' ? 50 : 95);
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Group entries.
+   * @param {Array} entries - Entries with .data
+   * @param {Array} groupPaths - Parsed key paths (arrays of segments)
+   * @param {{ fn: string, segments: Array }|null} metric - Aggregate over a
+   *   numeric path; non-numeric values are skipped
+   * @returns {Array} [{ keys, count, value, numeric }] where numeric is how
+   *   many values the aggregate used
+   */
+  function groupBy(entries, groupPaths, metric) {
+    const groups = new Map();
+
+    for (const entry of entries) {
+      const keys = groupPaths.map(segments => keyValue(entry.data, segments));
+      const id = keys.map(keyString).join('\u0001');
+
+      let group = groups.get(id);
+      if (!group) {
+        group = { keys, count: 0, values: [] };
+        groups.set(id, group);
+      }
+      group.count++;
+
+      if (metric && metric.fn !== 'count') {
+        for (const value of JsonlQuery.resolvePath(entry.data, metric.segments)) {
+          if (typeof value === 'number' && isFinite(value)) group.values.push(value);
+        }
+      }
+    }
+
+    return [...groups.values()].map(group => ({
+      keys: group.keys,
+      count: group.count,
+      value: metric && metric.fn !== 'count' ? aggregate(metric.fn, group.values) : group.count,
+      numeric: group.values.length
+    }));
+  }
+
+  window.JsonlGroup = {
+    AGGREGATES,
+    MISSING,
+    groupBy,
+    percentile
+  };
+
+})();
@@ -0,0 +1,96 @@
+/**
+ * JSONL Viewer - Parser Worker
+ *
+ * Streams a file in chunks, decompressing it if needed, and parses its
+ * records off the main thread (see formats.js for the supported formats).
+ * Parsed entries are posted back in batches so the viewer can show them
+ * while the rest of the file is still loading.
+ *
+ * Messages in:  { type: 'parse', file }
+ * Messages out: { type: 'batch', valid, invalid, blank, bytesRead, totalBytes }
+ *               { type: 'done', totalLines, bytesRead, format, lineEnding, compression }
+ *               { type: 'error', message }
+ */
+
+'use strict';
+
+importScripts('formats.js');
+
+// Flush a batch when it reaches this many entries or this much time has passed
+const BATCH_SIZE = 2000;
+const BATCH_INTERVAL_MS = 150;
+
+self.onmessage = (e) => {
+  const { type, file } = e.data || {};
+  if (type !== 'parse' || !file) return;
+
+  parseFile(file).catch((err) => {
+    self.postMessage({ type: 'error', message: err.message || String(err) });
+  });
+};
+
+/**
+ * Read the file as a byte stream and parse it record by record
+ */
+async function parseFile(file) {
+  const head = new Uint8Array(await file.slice(0, 2).arrayBuffer());
+  const compression = JsonlFormats.detectCompression(head, file.name, file.type);
+  const totalBytes = file.size;
+  let bytesRead = 0;
+
+  // Count bytes before decompression so progress tracks the file itself
+  let stream = file.stream().pipeThrough(new TransformStream({
+    transform(chunk, controller) {
+      bytesRead += chunk.byteLength;
+      controller.enqueue(chunk);
+    }
+  }));
+  if (compression) {
+    stream = JsonlFormats.decompress(stream, compression);
+  }
+
+  const reader = stream.getReader();
+  const decoder = new TextDecoder();
+  const parser = JsonlFormats.createParser({ name: file.name });
+  let lastFlush = Date.now();
+
+  function flush() {
+    const { valid, invalid, blank } = parser.take();
+    // A whole JSON array arrives at once at the end; still post it in batches
+    for (let i = 0; i < Math.max(valid.length, invalid.length, 1); i += BATCH_SIZE) {
+      self.postMessage({
+        type: 'batch',
+        valid: valid.slice(i, i + BATCH_SIZE),
+        invalid: invalid.slice(i, i + BATCH_SIZE),
+        blank: i === 0 ? blank : [],
+        bytesRead,
+        totalBytes
+      });
+    }
+    lastFlush = Date.now();
+  }
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    parser.push(decoder.decode(value, { stream: true }));
+
+    if (parser.pendingCount >= BATCH_SIZE || Date.now() - lastFlush >= BATCH_INTERVAL_MS) {
+      flush();
+    }
+  }
+
+  parser.push(decoder.decode());
+  parser.end();
+
+  flush();
+  self.postMessage({
+    type: 'done',
+    totalLines: parser.recordCount,
+    bytesRead,
+    format: parser.format,
+    lineEnding: parser.lineEnding,
+    compression
+  });
+}
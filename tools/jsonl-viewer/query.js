@@ -0,0 +1,565 @@
+/**
+ * JSONL Viewer - Query Language
+ *
+ * Compiles field-aware filter expressions into predicates over entry data:
+ *
+ *   level == "error" and user.id > 100 and tags contains "beta"
+ *   (status >= 500 or error exists) and not path ~ /^\/health/i
+ *   items[0].sku == "A1"   items[*].price > 20   ["odd key"].x != null
+ *
+ * Bare words and quoted strings that are not part of a comparison fall back
+ * to the original full-text search, so plain queries keep working. Words on
+ * their own match as one phrase (`connection reset`); next to a filter each
+ * word or quoted phrase must appear somewhere in the entry. Input that is
+ * not a valid field expression at all (`hello!`, a URL with `?a=1`) is
+ * searched as text too, unless it clearly starts as one (`level ==`).
+ *
+ * Exposed as window.JsonlQuery.
+ */
+
+(function() {
+  'use strict';
+
+  const COMPARISON_OPS = ['==', '=', '!=', '>', '>=', '<', '<=', '~', '!~', 'contains', 'startswith', 'endswith'];
+  const KEYWORDS = ['and', 'or', 'not', 'exists', 'contains', 'startswith', 'endswith'];
+
+  // Path segment matching every child; a key named "*" stays the string '*'
+  const WILDCARD = { wildcard: true };
+
+  // Bare (unbracketed) path segments in a query
+  const FIELD_NAME = /^[\p{L}\p{N}_$@*-]+$/u;
+
+  // A field path directly followed by an operator: the user meant a filter
+  const EXPRESSION_START = /^\s*(\(|exists\s|(?:[\p{L}\p{N}_$@-]+|\[[^\]]*\])(?:\.[\p{L}\p{N}_$@*-]+|\[[^\]]*\])*\s*(?:[=<>~]|![=~]|(?:contains|startswith|endswith|exists)(?:\s|$)))/iu;
+
+  class QuerySyntaxError extends Error {
+    constructor(message, position) {
+      super(position !== undefined ? `${message} (at position ${position + 1})` : message);
+      this.name = 'QuerySyntaxError';
+      this.position = position;
+    }
+  }
+
+  // Tokenizer
+  function tokenize(input) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < input.length) {
+      const ch = input[i];
+
+      if (/\s/.test(ch)) {
+        i++;
+        continue;
+      }
+
+      const start = i;
+
+      if (ch === '(' || ch === ')' || ch === ',') {
+        tokens.push({ type: ch, pos: start });
+        i++;
+        continue;
+      }
+
+      if (ch === '"' || ch === "'") {
+        const { value, end } = readQuoted(input, i);
+        tokens.push({ type: 'string', value, pos: start });
+        i = end;
+        continue;
+      }
+
+      // Symbolic operators (longest first)
+      const symbol = ['==', '!=', '>=', '<=', '!~', '&&', '||', '=', '>', '<', '~', '!']
+        .find(op => input.startsWith(op, i));
+      if (symbol) {
+        // "!" negates the next term; stuck to the end of a word it is just text
+        if (symbol === '!' && i > 0 && !/[\s(!&|]/.test(input[i - 1])) {
+          throw new QuerySyntaxError('Unexpected "!"', start);
+        }
+        i += symbol.length;
+        if (symbol === '&&') tokens.push({ type: 'and', pos: start });
+        else if (symbol === '||') tokens.push({ type: 'or', pos: start });
+        else if (symbol === '!') tokens.push({ type: 'not', pos: start });
+        else tokens.push({ type: 'op', value: symbol, pos: start });
+
+        // A regex literal may follow a match operator
+        if (symbol === '~' || symbol === '!~') {
+          while (i < input.length && /\s/.test(input[i])) i++;
+          if (input[i] === '/') {
+            const { value, end } = readRegex(input, i);
+            tokens.push({ type: 'regex', value, pos: i });
+            i = end;
+          }
+        }
+        continue;
+      }
+
+      // Words: paths, keywords, bare literals. Brackets may contain quoted keys.
+      let word = '';
+      while (i < input.length && !/[\s()",=!<>~&|]/.test(input[i])) {
+        if (input[i] === '[') {
+          const close = findBracketEnd(input, i);
+          word += input.substring(i, close + 1);
+          i = close + 1;
+        } else if (input[i] === "'") {
+          break;
+        } else {
+          word += input[i++];
+        }
+      }
+
+      if (!word) {
+        throw new QuerySyntaxError(`Unexpected character "${ch}"`, start);
+      }
+
+      const lower = word.toLowerCase();
+      if (lower === 'and' || lower === 'or' || lower === 'not') {
+        tokens.push({ type: lower, pos: start });
+      } else if (lower === 'exists') {
+        tokens.push({ type: 'exists', pos: start });
+      } else if (COMPARISON_OPS.includes(lower)) {
+        tokens.push({ type: 'op', value: lower, pos: start });
+      } else {
+        tokens.push({ type: 'word', value: word, pos: start });
+      }
+    }
+
+    return tokens;
+  }
+
+  function readQuoted(input, start) {
+    const quote = input[start];
+    let value = '';
+    let i = start + 1;
+
+    while (i < input.length) {
+      const ch = input[i];
+      if (ch === '\\' && i + 1 < input.length) {
+        const next = input[i + 1];
+        value += { n: '\n', t: '\t', r: '\r' }[next] || next;
+        i += 2;
+        continue;
+      }
+      if (ch === quote) {
+        return { value, end: i + 1 };
+      }
+      value += ch;
+      i++;
+    }
+
+    throw new QuerySyntaxError('Unterminated string', start);
+  }
+
+  function readRegex(input, start) {
+    let i = start + 1;
+    let source = '';
+    let inClass = false;
+
+    while (i < input.length) {
+      const ch = input[i];
+      if (ch === '\\' && i + 1 < input.length) {
+        source += ch + input[i + 1];
+        i += 2;
+        continue;
+      }
+      if (ch === '[') inClass = true;
+      if (ch === ']') inClass = false;
+      if (ch === '/' && !inClass) break;
+      source += ch;
+      i++;
+    }
+
+    if (i >= input.length) {
+      throw new QuerySyntaxError('Unterminated regular expression', start);
+    }
+
+    i++; // closing slash
+    let flags = '';
+    while (i < input.length && /[a-z]/i.test(input[i])) {
+      flags += input[i++];
+    }
+
+    try {
+      return { value: new RegExp(source, flags), end: i };
+    } catch (err) {
+      throw new QuerySyntaxError(`Invalid regular expression: ${err.message}`, start);
+    }
+  }
+
+  function findBracketEnd(input, start) {
+    let i = start + 1;
+    while (i < input.length) {
+      if (input[i] === '"' || input[i] === "'") {
+        i = readQuoted(input, i).end;
+        continue;
+      }
+      if (input[i] === ']') return i;
+      i++;
+    }
+    throw new QuerySyntaxError('Unclosed "["', start);
+  }
+
+  // Paths
+  /**
+   * Parse a path such as `user.id`, `items[0].name`, `items[*]` or `["a b"].c`
+   * into segments. Numbers index arrays, WILDCARD (`*` or `[*]`) matches
+   * every child and `["*"]` is a key named "*".
+   */
+  function parsePath(text, pos = 0) {
+    const segments = [];
+    let i = 0;
+
+    while (i < text.length) {
+      const ch = text[i];
+
+      if (ch === '.') {
+        i++;
+        continue;
+      }
+
+      if (ch === '[') {
+        const close = findBracketEnd(text, i);
+        const inner = text.substring(i + 1, close).trim();
+        if (inner === '' || inner === '*') {
+          segments.push(WILDCARD);
+        } else if (/^-?\d+$/.test(inner)) {
+          segments.push(parseInt(inner, 10));
+        } else if (inner[0] === '"' || inner[0] === "'") {
+          segments.push(readQuoted(inner, 0).value);
+        } else {
+          throw new QuerySyntaxError(`Invalid index "[${inner}]"`, pos + i);
+        }
+        i = close + 1;
+        continue;
+      }
+
+      let key = '';
+      while (i < text.length && text[i] !== '.' && text[i] !== '[') {
+        key += text[i++];
+      }
+      segments.push(key === '*' ? WILDCARD : key);
+    }
+
+    if (segments.length === 0) {
+      throw new QuerySyntaxError('Empty field path', pos);
+    }
+
+    return segments;
+  }
+
+  /**
+   * Format path segments back into query syntax (inverse of parsePath)
+   */
+  function formatPath(segments) {
+    return segments.map((seg, i) => {
+      if (typeof seg === 'number') return `[${seg}]`;
+      if (seg === WILDCARD) return '[*]';
+      if (/^[A-Za-z_$][\w$-]*$/.test(seg) && !KEYWORDS.includes(seg.toLowerCase())) {
+        return i === 0 ? seg : `.${seg}`;
+      }
+      return `[${JSON.stringify(seg)}]`;
+    }).join('');
+  }
+
+  /**
+   * Resolve a parsed path against a value, returning every matching value
+   */
+  function resolvePath(data, segments) {
+    let current = [data];
+
+    for (const segment of segments) {
+      const next = [];
+      for (const value of current) {
+        if (value === null || typeof value !== 'object') continue;
+
+        if (segment === WILDCARD) {
+          next.push(...(Array.isArray(value) ? value : Object.values(value)));
+        } else if (Array.isArray(value) && typeof segment === 'number') {
+          const index = segment < 0 ? value.length + segment : segment;
+          if (index >= 0 && index < value.length) next.push(value[index]);
+        } else if (Object.prototype.hasOwnProperty.call(value, segment)) {
+          next.push(value[segment]);
+        }
+      }
+      current = next;
+      if (current.length === 0) break;
+    }
+
+    return current;
+  }
+
+  // Parser
+  function parse(tokens) {
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const next = () => tokens[index++];
+
+    function parseOr() {
+      let left = parseAnd();
+      while (peek() && peek().type === 'or') {
+        next();
+        left = { type: 'or', left, right: parseAnd() };
+      }
+      return left;
+    }
+
+    function parseAnd() {
+      let left = parseUnary();
+      while (peek() && peek().type !== 'or' && peek().type !== ')') {
+        // Explicit "and" is optional: adjacent terms are combined with and
+        if (peek().type === 'and') next();
+        left = { type: 'and', left, right: parseUnary() };
+      }
+      return left;
+    }
+
+    function parseUnary() {
+      const token = peek();
+      if (!token) {
+        throw new QuerySyntaxError('Unexpected end of query');
+      }
+      if (token.type === 'not') {
+        next();
+        return { type: 'not', operand: parseUnary() };
+      }
+      return parsePrimary();
+    }
+
+    function parsePrimary() {
+      const token = next();
+
+      if (token.type === '(') {
+        const expr = parseOr();
+        const close = next();
+        if (!close || close.type !== ')') {
+          throw new QuerySyntaxError('Missing ")"', token.pos);
+        }
+        return expr;
+      }
+
+      if (token.type === 'exists') {
+        const target = next();
+        if (!target || target.type !== 'word') {
+          throw new QuerySyntaxError('Expected a field path after "exists"', token.pos);
+        }
+        return { type: 'exists', path: pathFromToken(target) };
+      }
+
+      if (token.type === 'word' || token.type === 'string') {
+        const following = peek();
+
+        if (following && following.type === 'op') {
+          return parseComparison(token);
+        }
+        if (following && following.type === 'exists') {
+          next();
+          return { type: 'exists', path: pathFromToken(token) };
+        }
+
+        return { type: 'text', value: String(token.value).toLowerCase() };
+      }
+
+      if (token.type === ')') {
+        throw new QuerySyntaxError('Unexpected ")"', token.pos);
+      }
+
+      throw new QuerySyntaxError(`Unexpected "${token.value || token.type}"`, token.pos);
+    }
+
+    function parseComparison(pathToken) {
+      const path = pathFromToken(pathToken);
+      const opToken = next();
+      const op = opToken.value === '=' ? '==' : opToken.value;
+      const valueToken = next();
+
+      if (!valueToken) {
+        throw new QuerySyntaxError(`Expected a value after "${opToken.value}"`, opToken.pos);
+      }
+
+      if (op === '~' || op === '!~') {
+        let regex;
+        if (valueToken.type === 'regex') {
+          regex = valueToken.value;
+        } else if (valueToken.type === 'string' || valueToken.type === 'word') {
+          try {
+            regex = new RegExp(valueToken.value, 'i');
+          } catch (err) {
+            throw new QuerySyntaxError(`Invalid regular expression: ${err.message}`, valueToken.pos);
+          }
+        } else {
+          throw new QuerySyntaxError('Expected a /regex/ or string', valueToken.pos);
+        }
+        return { type: 'match', path, regex, negate: op === '!~' };
+      }
+
+      if (valueToken.type !== 'string' && valueToken.type !== 'word') {
+        throw new QuerySyntaxError(`Expected a value after "${opToken.value}"`, valueToken.pos);
+      }
+
+      const value = valueToken.type === 'string' ? valueToken.value : parseLiteral(valueToken.value);
+      return { type: 'compare', path, op, value };
+    }
+
+    function pathFromToken(token) {
+      // A quoted string on the left of an operator is a single literal key
+      if (token.type === 'string') return [token.value];
+      const segments = parsePath(token.value, token.pos);
+      // Bracketed keys may hold anything, bare ones only name-like characters
+      const bare = token.value.replace(/\[(?:"(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'|[^\]])*\]/g, '.').split('.').filter(Boolean);
+      if (!bare.every(seg => FIELD_NAME.test(seg))) {
+        throw new QuerySyntaxError(`Invalid field name "${token.value}"`, token.pos);
+      }
+      return segments;
+    }
+
+    const ast = parseOr();
+    if (index < tokens.length) {
+      const token = tokens[index];
+      throw new QuerySyntaxError(`Unexpected "${token.value || token.type}"`, token.pos);
+    }
+    return ast;
+  }
+
+  function parseLiteral(word) {
+    if (word === 'true') return true;
+    if (word === 'false') return false;
+    if (word === 'null') return null;
+    if (/^-?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/.test(word)) return Number(word);
+    return word;
+  }
+
+  // Evaluation
+  function toNumber(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value === 'string' && value.trim() !== '' && !isNaN(value)) return Number(value);
+    return NaN;
+  }
+
+  function isEqual(actual, expected) {
+    if (expected === null || typeof expected === 'boolean') {
+      return actual === expected;
+    }
+    if (typeof expected === 'number') {
+      return toNumber(actual) === expected;
+    }
+    if (typeof actual === 'object' && actual !== null) {
+      return false;
+    }
+    return String(actual) === expected;
+  }
+
+  function compareOrdered(actual, expected) {
+    const a = toNumber(actual);
+    const b = toNumber(expected);
+    if (!isNaN(a) && !isNaN(b)) return a - b;
+    if (typeof actual !== 'string') return NaN;
+    return actual < String(expected) ? -1 : actual > String(expected) ? 1 : 0;
+  }
+
+  function containsValue(actual, expected) {
+    if (Array.isArray(actual)) {
+      return actual.some(item => isEqual(item, expected) ||
+        (typeof item === 'string' && typeof expected === 'string' && item.toLowerCase() === expected.toLowerCase()));
+    }
+    if (typeof actual === 'string') {
+      return actual.toLowerCase().includes(String(expected).toLowerCase());
+    }
+    if (actual !== null && typeof actual === 'object') {
+      return Object.prototype.hasOwnProperty.call(actual, String(expected));
+    }
+    return false;
+  }
+
+  function testValue(actual, op, expected) {
+    switch (op) {
+      case '==': return isEqual(actual, expected);
+      case '>': return compareOrdered(actual, expected) > 0;
+      case '>=': return compareOrdered(actual, expected) >= 0;
+      case '<': return compareOrdered(actual, expected) < 0;
+      case '<=': return compareOrdered(actual, expected) <= 0;
+      case 'contains': return containsValue(actual, expected);
+      case 'startswith':
+        return typeof actual === 'string' && actual.toLowerCase().startsWith(String(expected).toLowerCase());
+      case 'endswith':
+        return typeof actual === 'string' && actual.toLowerCase().endsWith(String(expected).toLowerCase());
+      default: return false;
+    }
+  }
+
+  function stringifyForMatch(value) {
+    return typeof value === 'string' ? value : JSON.stringify(value);
+  }
+
+  function evaluate(node, data, context) {
+    switch (node.type) {
+      case 'and':
+        return evaluate(node.left, data, context) && evaluate(node.right, data, context);
+      case 'or':
+        return evaluate(node.left, data, context) || evaluate(node.right, data, context);
+      case 'not':
+        return !evaluate(node.operand, data, context);
+      case 'exists':
+        return resolvePath(data, node.path).length > 0;
+      case 'text':
+        if (context.text === undefined) {
+          context.text = JSON.stringify(data).toLowerCase();
+        }
+        return context.text.includes(node.value);
+      case 'match': {
+        const values = resolvePath(data, node.path);
+        const matched = values.some(value => {
+          node.regex.lastIndex = 0;
+          return node.regex.test(stringifyForMatch(value));
+        });
+        return node.negate ? !matched : matched;
+      }
+      case 'compare': {
+        const values = resolvePath(data, node.path);
+        // "!=" is true when no value equals, including when the field is missing
+        if (node.op === '!=') {
+          return !values.some(value => isEqual(value, node.value));
+        }
+        return values.some(value => testValue(value, node.op, node.value));
+      }
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Compile a query string. Returns null for an empty query, otherwise a
+   * predicate function over entry data. Input that does not parse is searched
+   * as plain text; QuerySyntaxError is thrown only when it starts like a
+   * field expression.
+   */
+  function compile(input) {
+    const query = String(input || '');
+    if (query.trim() === '') return null;
+
+    let ast;
+    try {
+      const tokens = tokenize(query);
+      // Only plain words: search for them as one phrase, like a plain search
+      ast = tokens.every(token => token.type === 'word')
+        ? { type: 'text', value: query.trim().toLowerCase() }
+        : parse(tokens);
+    } catch (err) {
+      if (!(err instanceof QuerySyntaxError) || EXPRESSION_START.test(query)) throw err;
+      ast = { type: 'text', value: query.trim().toLowerCase() };
+    }
+    const predicate = (data) => evaluate(ast, data, {});
+    predicate.ast = ast;
+    return predicate;
+  }
+
+  window.JsonlQuery = {
+    compile,
+    parsePath,
+    formatPath,
+    resolvePath,
+    WILDCARD,
+    QuerySyntaxError
+  };
+
+})();
@@ -0,0 +1,184 @@
+/**
+ * JSONL Viewer - Line Repair
+ *
+ * Detects and fixes the usual ways a hand-edited or JS-generated line fails
+ * to be strict JSON: trailing commas, single-quoted strings, unquoted keys,
+ * NaN/Infinity/undefined literals, and several objects on one line. Fixes
+ * only touch text outside string literals.
+ *
+ * Exposed as window.JsonlRepair.
+ */
+
+(function() {
+  'use strict';
+
+  /**
+   * Split text into string literals (single or double quoted) and the code
+   * between them, with each part's offset. An unterminated string runs to
+   * the end of the text.
+   */
+  function splitStrings(text) {
+    const parts = [];
+    let codeStart = 0;
+    let i = 0;
+
+    while (i < text.length) {
+      const ch = text[i];
+      if (ch !== '"' && ch !== "'") {
+        i++;
+        continue;
+      }
+
+      if (i > codeStart) {
+        parts.push({ type: 'code', text: text.substring(codeStart, i), offset: codeStart });
+      }
+
+      let end = i + 1;
+      while (end < text.length && text[end] !== ch) {
+        end += text[end] === '\\' ? 2 : 1;
+      }
+      end = Math.min(end + 1, text.length);
+      parts.push({ type: 'string', quote: ch, text: text.substring(i, end), offset: i });
+      i = end;
+      codeStart = end;
+    }
+
+    if (text.length > codeStart) {
+      parts.push({ type: 'code', text: text.substring(codeStart), offset: codeStart });
+    }
+    return parts;
+  }
+
+  function mapCode(text, fn) {
+    return splitStrings(text)
+      .map(part => (part.type === 'code' ? fn(part.text) : part.text))
+      .join('');
+  }
+
+  // Fixes
+  function fixSingleQuotes(text) {
+    return splitStrings(text).map(part => {
+      if (part.type !== 'string' || part.quote !== "'") return part.text;
+      const closed = part.text.length > 1 && part.text.endsWith("'");
+      const inner = part.text.substring(1, closed ? part.text.length - 1 : part.text.length);
+
+      // Unescape \' and escape bare double quotes; other escapes carry over
+      let converted = '';
+      for (let i = 0; i < inner.length; i++) {
+        if (inner[i] === '\\' && i + 1 < inner.length) {
+          converted += inner[i + 1] === "'" ? "'" : inner[i] + inner[i + 1];
+          i++;
+        } else {
+          converted += inner[i] === '"' ? '\\"' : inner[i];
+        }
+      }
+      return `"${converted}${closed ? '"' : ''}`;
+    }).join('');
+  }
+
+  function fixUnquotedKeys(text) {
+    return mapCode(text, code =>
+      code.replace(/([{,]\s*)([A-Za-z_$][\w$-]*)(\s*:)/g, '$1"$2"$3')
+    );
+  }
+
+  function fixSpecialNumbers(text) {
+    return mapCode(text, code =>
+      code.replace(/(^|[^\w$.])(-?Infinity|NaN|undefined)(?![\w$])/g, '$1null')
+    );
+  }
+
+  function fixTrailingCommas(text) {
+    return mapCode(text, code => code.replace(/,(\s*[}\]])/g, '$1'));
+  }
+
+  /**
+   * Put each top-level value on its own line, e.g. `{"a":1}{"b":2}`
+   */
+  function splitConcatenated(text) {
+    const values = [];
+    let depth = 0;
+    let start = -1;
+
+    for (const part of splitStrings(text)) {
+      if (part.type === 'string') {
+        if (start === -1) start = part.offset;
+        continue;
+      }
+      for (let i = 0; i < part.text.length; i++) {
+        const ch = part.text[i];
+        const pos = part.offset + i;
+        if (/\s/.test(ch)) continue;
+
+        if (start === -1) start = pos;
+        if (ch === '{' || ch === '[') depth++;
+        if (ch === '}' || ch === ']') {
+          depth--;
+          if (depth === 0) {
+            values.push(text.substring(start, pos + 1).trim());
+            start = -1;
+          }
+        }
+      }
+    }
+
+    if (start !== -1) values.push(text.substring(start).trim());
+    return values.length > 1 ? values.join('\n') : text;
+  }
+
+  const FIXES = [
+    { id: 'single-quotes', label: 'Convert single quotes', apply: fixSingleQuotes },
+    { id: 'unquoted-keys', label: 'Quote keys', apply: fixUnquotedKeys },
+    { id: 'special-numbers', label: 'NaN/Infinity → null', apply: fixSpecialNumbers },
+    { id: 'trailing-commas', label: 'Remove trailing commas', apply: fixTrailingCommas },
+    { id: 'concatenated', label: 'Split joined objects', apply: splitConcatenated }
+  ];
+
+  /**
+   * Parse edited text, which may hold several lines after a split.
+   * Returns { values, error }.
+   */
+  function parseLines(text) {
+    const values = [];
+    const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+
+    if (lines.length === 0) {
+      return { values, error: 'Line is empty' };
+    }
+
+    for (let i = 0; i < lines.length; i++) {
+      try {
+        values.push({ data: JSON.parse(lines[i]), raw: lines[i] });
+      } catch (err) {
+        const where = lines.length > 1 ? `Line ${i + 1} of ${lines.length}: ` : '';
+        return { values: [], error: where + err.message };
+      }
+    }
+
+    return { values, error: null };
+  }
+
+  /**
+   * Fixes that would change the text
+   */
+  function detectIssues(text) {
+    return FIXES.filter(fix => fix.apply(text) !== text).map(({ id, label }) => ({ id, label }));
+  }
+
+  function applyFix(text, id) {
+    const fix = FIXES.find(f => f.id === id);
+    return fix ? fix.apply(text) : text;
+  }
+
+  function autoFix(text) {
+    return FIXES.reduce((current, fix) => fix.apply(current), text);
+  }
+
+  window.JsonlRepair = {
+    detectIssues,
+    applyFix,
+    autoFix,
+    parseLines
+  };
+
+})();
@@ -0,0 +1,291 @@
+/**
+ * JSONL Viewer - Schema Inference
+ *
+ * Walks every entry to infer the shape of a JSONL file: each key path, the
+ * types seen there, how often it is present, and per-field value statistics.
+ * Array items are folded into a single `path[*]` field. Analysis runs in
+ * chunks so the page stays responsive on large files.
+ *
+ * Exposed as window.JsonlSchema.
+ */
+
+(function() {
+  'use strict';
+
+  const MAX_DEPTH = 12;
+  const MAX_DISTINCT = 10000;
+  const TOP_VALUES = 10;
+  const CHUNK_SIZE = 2000;
+
+  const ISO_DATE = /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+
+  function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+  }
+
+  /**
+   * Parse an ISO 8601 date or date-time to epoch ms. Values without a zone
+   * are read as UTC, like date-only ones, so they don't shift with the
+   * viewer's time zone.
+   */
+  function parseIsoDate(value) {
+    if (value.length < 10 || value.length > 40 || !ISO_DATE.test(value)) return NaN;
+    if (value.length === 10 || /(?:Z|[+-]\d{2}:?\d{2})$/.test(value)) return Date.parse(value);
+    return Date.parse(`${value.replace(' ', 'T')}Z`);
+  }
+
+  // Field accumulator
+  function createField(segments, parent) {
+    return {
+      path: JsonlQuery.formatPath(segments),
+      segments,
+      parent,
+      present: 0, // entries containing the path
+      occurrences: 0, // values seen (arrays contribute one per item)
+      lastEntry: -1,
+      types: {},
+      values: new Map(),
+      distinctCapped: false,
+      numCount: 0,
+      numSum: 0,
+      numMin: Infinity,
+      numMax: -Infinity,
+      stringCount: 0,
+      dateCount: 0,
+      dateOnlyCount: 0,
+      dateMin: Infinity,
+      dateMax: -Infinity
+    };
+  }
+
+  function recordValue(field, value, type) {
+    field.occurrences++;
+    field.types[type] = (field.types[type] || 0) + 1;
+
+    if (type === 'object' || type === 'array') return;
+
+    if (type === 'integer' || type === 'number') {
+      field.numCount++;
+      field.numSum += value;
+      if (value < field.numMin) field.numMin = value;
+      if (value > field.numMax) field.numMax = value;
+    } else if (type === 'string') {
+      field.stringCount++;
+      const time = parseIsoDate(value);
+      if (!isNaN(time)) {
+        field.dateCount++;
+        if (value.length === 10) field.dateOnlyCount++;
+        if (time < field.dateMin) field.dateMin = time;
+        if (time > field.dateMax) field.dateMax = time;
+      }
+    }
+
+    if (field.values.has(value)) {
+      field.values.set(value, field.values.get(value) + 1);
+    } else if (field.values.size < MAX_DISTINCT) {
+      field.values.set(value, 1);
+    } else {
+      field.distinctCapped = true;
+    }
+  }
+
+  /**
+   * Create an incremental analyzer. Call add() with entries, then finish().
+   */
+  function createAnalyzer() {
+    const fields = new Map();
+    const root = createField([], null);
+    let entryIndex = 0;
+
+    function getField(key, segments, parent) {
+      let field = fields.get(key);
+      if (!field) {
+        field = createField(segments, parent);
+        fields.set(key, field);
+      }
+      return field;
+    }
+
+    function walk(value, field, depth) {
+      if (field.lastEntry !== entryIndex) {
+        field.lastEntry = entryIndex;
+        field.present++;
+      }
+
+      const type = typeOf(value);
+      recordValue(field, value, type);
+      if (depth >= MAX_DEPTH) return;
+
+      if (type === 'object') {
+        for (const key of Object.keys(value)) {
+          const segments = [...field.segments, key];
+          walk(value[key], getField(JsonlQuery.formatPath(segments), segments, field), depth + 1);
+        }
+      } else if (type === 'array') {
+        const segments = [...field.segments, JsonlQuery.WILDCARD];
+        const itemField = value.length > 0 ? getField(JsonlQuery.formatPath(segments), segments, field) : null;
+        for (const item of value) {
+          walk(item, itemField, depth + 1);
+        }
+      }
+    }
+
+    return {
+      add(entries) {
+        for (const entry of entries) {
+          walk(entry.data, root, 0);
+          entryIndex++;
+        }
+      },
+      finish() {
+        return finalize(root, [...fields.values()], entryIndex);
+      }
+    };
+  }
+
+  function finalize(root, fields, total) {
+    const summarize = (field) => {
+      const topValues = [...field.values.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, TOP_VALUES)
+        .map(([value, count]) => ({ value, count }));
+
+      return {
+        path: field.path,
+        segments: field.segments,
+        present: field.present,
+        presentPct: total > 0 ? (field.present / total) * 100 : 0,
+        occurrences: field.occurrences,
+        types: field.types,
+        nullable: Boolean(field.types.null),
+        distinct: field.values.size,
+        distinctCapped: field.distinctCapped,
+        topValues,
+        numeric: field.numCount > 0 ? {
+          count: field.numCount,
+          min: field.numMin,
+          max: field.numMax,
+          mean: field.numSum / field.numCount
+        } : null,
+        // Only report a date range when every string value is an ISO timestamp
+        dates: field.dateCount > 0 && field.dateCount === field.stringCount ? {
+          min: new Date(field.dateMin),
+          max: new Date(field.dateMax),
+          format: field.dateOnlyCount === field.dateCount ? 'date'
+            : field.dateOnlyCount === 0 ? 'date-time' : null
+        } : null,
+        required: field.parent
+          ? field.occurrences === (field.parent.types.object || 0) && field.segments[field.segments.length - 1] !== JsonlQuery.WILDCARD
+          : true
+      };
+    };
+
+    return {
+      total,
+      root: summarize(root),
+      fields: fields.map(summarize)
+    };
+  }
+
+  /**
+   * Analyze entries in chunks, yielding to the event loop between them.
+   * `isCancelled` lets the caller abandon a stale run.
+   */
+  function analyze(entries, { onProgress, isCancelled } = {}) {
+    const analyzer = createAnalyzer();
+
+    return new Promise((resolve) => {
+      let index = 0;
+
+      function step() {
+        if (isCancelled && isCancelled()) {
+          resolve(null);
+          return;
+        }
+
+        const end = Math.min(index + CHUNK_SIZE, entries.length);
+        analyzer.add(entries.slice(index, end));
+        index = end;
+
+        if (onProgress) onProgress(index, entries.length);
+
+        if (index < entries.length) {
+          setTimeout(step, 0);
+        } else {
+          resolve(analyzer.finish());
+        }
+      }
+
+      step();
+    });
+  }
+
+  // JSON Schema export
+  function schemaTypes(types) {
+    const names = Object.keys(types);
+    // "integer" is a subset of "number"; keep only the wider type when both occur
+    const list = names.includes('number') ? names.filter(t => t !== 'integer') : names;
+    return list.length === 1 ? list[0] : list.sort();
+  }
+
+  /**
+   * Build a draft 2020-12 JSON Schema from an analysis result
+   */
+  function toJsonSchema(result, title) {
+    const byPath = new Map(result.fields.map(field => [field.path, field]));
+    const children = new Map();
+
+    for (const field of result.fields) {
+      const parentPath = JsonlQuery.formatPath(field.segments.slice(0, -1));
+      if (!children.has(parentPath)) children.set(parentPath, []);
+      children.get(parentPath).push(field);
+    }
+
+    function build(field) {
+      const schema = { type: schemaTypes(field.types) };
+      const kids = children.get(field.path) || [];
+
+      if (field.types.object) {
+        const properties = {};
+        const required = [];
+        for (const child of kids) {
+          const key = child.segments[child.segments.length - 1];
+          if (key === JsonlQuery.WILDCARD) continue;
+          properties[key] = build(child);
+          if (child.required) required.push(key);
+        }
+        schema.properties = properties;
+        if (required.length > 0) schema.required = required;
+      }
+
+      if (field.types.array) {
+        const items = byPath.get(JsonlQuery.formatPath([...field.segments, JsonlQuery.WILDCARD]));
+        if (items) schema.items = build(items);
+      }
+
+      const allStrings = field.types.string && Object.keys(field.types).every(t => t === 'string' || t === 'null');
+      if (allStrings && field.dates && field.dates.format) {
+        schema.format = field.dates.format;
+      }
+
+      return schema;
+    }
+
+    return {
+      $schema: 'https://json-schema.org/draft/2020-12/schema',
+      title: title || 'Inferred schema',
+      ...build(result.root)
+    };
+  }
+
+  window.JsonlSchema = {
+    analyze,
+    createAnalyzer,
+    toJsonSchema,
+    parseIsoDate
+  };
+
+})();
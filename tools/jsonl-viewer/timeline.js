@@ -0,0 +1,277 @@
+/**
+ * JSONL Viewer - Timeline
+ *
+ * Finds timestamp fields (ISO 8601 strings, epoch seconds or epoch
+ * milliseconds), buckets entries into a histogram at a readable interval,
+ * and renders it as SVG bars, optionally stacked by a category field.
+ *
+ * Exposed as window.JsonlTimeline.
+ */
+
+(function() {
+  'use strict';
+
+  const SAMPLE_SIZE = 500;
+  const MIN_COVERAGE = 0.8;
+  const MAX_BUCKETS = 80;
+  const MAX_CATEGORIES = 6;
+  const MAX_CATEGORY_DISTINCT = 20;
+
+  // Field names that usually hold the event time, best first
+  const TIME_NAMES = ['timestamp', '@timestamp', 'ts', 'time', 'datetime', 'date', 'created_at', 'createdAt', 'logged_at', 'event_time'];
+  const TIME_NAME_PATTERN = /(time|date|^ts$|_at$|At$)/;
+
+  // Plausible epoch range: 2001 to 2100
+  const EPOCH_S_MIN = 1e9;
+  const EPOCH_S_MAX = 4.1e9;
+
+  const SECOND = 1000;
+  const MINUTE = 60 * SECOND;
+  const HOUR = 60 * MINUTE;
+  const DAY = 24 * HOUR;
+  const INTERVALS = [
+    SECOND, 5 * SECOND, 15 * SECOND, 30 * SECOND,
+    MINUTE, 5 * MINUTE, 15 * MINUTE, 30 * MINUTE,
+    HOUR, 3 * HOUR, 6 * HOUR, 12 * HOUR,
+    DAY, 7 * DAY, 30 * DAY, 365 * DAY
+  ];
+
+  const COLORS = ['var(--aero)', 'var(--clay)', '#6b5b95', '#d6a42e', 'var(--pine)', '#4a7fb5'];
+  const OTHER_COLOR = '#a39a8f';
+
+  /**
+   * Classify a value as a timestamp. Numbers only count for time-like names.
+   * @returns {'iso'|'epoch-s'|'epoch-ms'|null}
+   */
+  function timeKind(value, timeLikeName) {
+    if (typeof value === 'string') {
+      return isNaN(JsonlSchema.parseIsoDate(value)) ? null : 'iso';
+    }
+    if (typeof value === 'number' && timeLikeName) {
+      if (value >= EPOCH_S_MIN && value < EPOCH_S_MAX) return 'epoch-s';
+      if (value >= EPOCH_S_MIN * 1000 && value < EPOCH_S_MAX * 1000) return 'epoch-ms';
+    }
+    return null;
+  }
+
+  function parseTime(value, kind) {
+    if (kind === 'iso') return typeof value === 'string' ? JsonlSchema.parseIsoDate(value) : NaN;
+    if (typeof value !== 'number') return NaN;
+    if (kind === 'epoch-s') return value * 1000;
+    if (kind === 'epoch-ms') return value;
+    return NaN;
+  }
+
+  // Top-level keys and keys one object deep, e.g. `meta.time`
+  function samplePaths(data, visit) {
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) return;
+    for (const key of Object.keys(data)) {
+      const value = data[key];
+      if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+        for (const inner of Object.keys(value)) visit([key, inner], value[inner]);
+      } else {
+        visit([key], value);
+      }
+    }
+  }
+
+  function sampleOf(entries) {
+    if (entries.length <= SAMPLE_SIZE) return entries;
+    const step = entries.length / SAMPLE_SIZE;
+    const sample = [];
+    for (let i = 0; i < SAMPLE_SIZE; i++) sample.push(entries[Math.floor(i * step)]);
+    return sample;
+  }
+
+  /**
+   * Find fields holding timestamps in most entries, best candidate first.
+   * Returns [{ segments, path, kind, coverage }].
+   */
+  function detectTimeFields(entries) {
+    const sample = sampleOf(entries);
+    const stats = new Map();
+
+    for (const entry of sample) {
+      samplePaths(entry.data, (segments, value) => {
+        const name = segments[segments.length - 1];
+        const kind = timeKind(value, TIME_NAMES.includes(name) || TIME_NAME_PATTERN.test(name));
+        if (!kind) return;
+
+        const key = JSON.stringify(segments);
+        let stat = stats.get(key);
+        if (!stat) {
+          stat = { segments, kinds: {}, count: 0 };
+          stats.set(key, stat);
+        }
+        stat.kinds[kind] = (stat.kinds[kind] || 0) + 1;
+        stat.count++;
+      });
+    }
+
+    const rank = (segments) => {
+      const index = TIME_NAMES.indexOf(segments[segments.length - 1]);
+      return (index === -1 ? TIME_NAMES.length : index) + (segments.length - 1) * TIME_NAMES.length;
+    };
+
+    return [...stats.values()]
+      .map(stat => ({
+        segments: stat.segments,
+        path: JsonlQuery.formatPath(stat.segments),
+        kind: Object.keys(stat.kinds).sort((a, b) => stat.kinds[b] - stat.kinds[a])[0],
+        coverage: stat.count / sample.length
+      }))
+      .filter(field => field.coverage >= MIN_COVERAGE)
+      .sort((a, b) => rank(a.segments) - rank(b.segments) || b.coverage - a.coverage);
+  }
+
+  /**
+   * Fields suitable for stacking: strings/booleans with few distinct values
+   * Returns [{ segments, path }].
+   */
+  function detectCategoryFields(entries) {
+    const sample = sampleOf(entries);
+    const stats = new Map();
+
+    for (const entry of sample) {
+      samplePaths(entry.data, (segments, value) => {
+        if (typeof value !== 'string' && typeof value !== 'boolean') return;
+        const key = JSON.stringify(segments);
+        let stat = stats.get(key);
+        if (!stat) {
+          stat = { segments, values: new Set(), count: 0 };
+          stats.set(key, stat);
+        }
+        stat.count++;
+        if (stat.values.size <= MAX_CATEGORY_DISTINCT) stat.values.add(value);
+      });
+    }
+
+    return [...stats.values()]
+      .filter(stat => stat.values.size > 1 && stat.values.size <= MAX_CATEGORY_DISTINCT && stat.count >= sample.length / 2)
+      .map(stat => ({ segments: stat.segments, path: JsonlQuery.formatPath(stat.segments) }));
+  }
+
+  /**
+   * Bucket timed items into a histogram.
+   * @param {Array} items - [{ time, category }] with time in ms
+   * @returns {{ start, end, interval, buckets, categories, max }} or null
+   */
+  function buildHistogram(items) {
+    if (items.length === 0) return null;
+
+    let min = Infinity;
+    let max = -Infinity;
+    for (const item of items) {
+      if (item.time < min) min = item.time;
+      if (item.time > max) max = item.time;
+    }
+
+    const span = Math.max(max - min, SECOND);
+    const interval = INTERVALS.find(ms => span / ms <= MAX_BUCKETS) || INTERVALS[INTERVALS.length - 1];
+    const start = Math.floor(min / interval) * interval;
+    const count = Math.floor((max - start) / interval) + 1;
+
+    // Keep the most common categories; the rest are grouped as "other"
+    const categoryTotals = new Map();
+    for (const item of items) {
+      if (item.category === undefined) continue;
+      categoryTotals.set(item.category, (categoryTotals.get(item.category) || 0) + 1);
+    }
+    const categories = [...categoryTotals.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, MAX_CATEGORIES)
+      .map(([category]) => category);
+    const categoryIndex = new Map(categories.map((category, i) => [category, i]));
+    const otherIndex = categories.length;
+
+    const buckets = [];
+    for (let i = 0; i < count; i++) {
+      buckets.push({ start: start + i * interval, end: start + (i + 1) * interval, total: 0, counts: new Array(otherIndex + 1).fill(0) });
+    }
+
+    for (const item of items) {
+      const bucket = buckets[Math.floor((item.time - start) / interval)];
+      bucket.total++;
+      const index = categoryIndex.has(item.category) ? categoryIndex.get(item.category) : otherIndex;
+      bucket.counts[index]++;
+    }
+
+    return {
+      start,
+      end: start + count * interval,
+      interval,
+      buckets,
+      categories,
+      hasOther: buckets.some(bucket => bucket.counts[otherIndex] > 0) && categories.length > 0,
+      max: Math.max(...buckets.map(bucket => bucket.total))
+    };
+  }
+
+  function colorFor(index, histogram) {
+    return index < histogram.categories.length ? COLORS[index % COLORS.length] : OTHER_COLOR;
+  }
+
+  /**
+   * SVG bars, stretched to the container width. Each bar carries its
+   * bucket index in data-bucket and a tooltip.
+   */
+  function renderSvg(histogram, height) {
+    const width = histogram.buckets.length;
+    const stacked = histogram.categories.length > 0;
+
+    const bars = histogram.buckets.map((bucket, i) => {
+      if (bucket.total === 0) return '';
+      const title = `${formatTime(bucket.start, histogram.interval)} · ${bucket.total.toLocaleString()} entries`;
+      let y = height;
+
+      const segments = stacked
+        ? bucket.counts.map((count, c) => {
+          if (count === 0) return '';
+          const h = (count / histogram.max) * height;
+          y -= h;
+          return `<rect x="${i + 0.08}" y="${y}" width="0.84" height="${h}" style="fill: ${colorFor(c, histogram)}"></rect>`;
+        }).join('')
+        : `<rect x="${i + 0.08}" y="${height - (bucket.total / histogram.max) * height}" width="0.84" height="${(bucket.total / histogram.max) * height}" style="fill: var(--aero)"></rect>`;
+
+      return `<g data-bucket="${i}"><title>${title}</title>${segments}</g>`;
+    }).join('');
+
+    return `<svg class="timeline-svg" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" role="img" aria-label="Entries over time">${bars}</svg>`;
+  }
+
+  function pad(n) {
+    return String(n).padStart(2, '0');
+  }
+
+  /**
+   * Format a time with the precision its bucket interval calls for (UTC)
+   */
+  function formatTime(ms, interval) {
+    const d = new Date(ms);
+    const date = `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())}`;
+    if (interval >= DAY) return date;
+    const time = `${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}`;
+    if (interval >= MINUTE) return `${date} ${time}`;
+    return `${date} ${time}:${pad(d.getUTCSeconds())}`;
+  }
+
+  function formatInterval(ms) {
+    if (ms >= 365 * DAY) return '1 year';
+    if (ms >= DAY) return `${ms / DAY} day${ms === DAY ? '' : 's'}`;
+    if (ms >= HOUR) return `${ms / HOUR} hour${ms === HOUR ? '' : 's'}`;
+    if (ms >= MINUTE) return `${ms / MINUTE} min`;
+    return `${ms / SECOND} sec`;
+  }
+
+  window.JsonlTimeline = {
+    detectTimeFields,
+    detectCategoryFields,
+    parseTime,
+    buildHistogram,
+    renderSvg,
+    colorFor,
+    formatTime,
+    formatInterval
+  };
+
+})();
@@ -0,0 +1,218 @@
+/**
+ * JSONL Viewer - JSON Tree
+ *
+ * Renders a value as a foldable tree, one row per line of the equivalent
+ * pretty-printed JSON. Folded containers show their item count, long
+ * strings are cut short until clicked, and strings holding JSON are parsed
+ * and shown as a subtree. Rows carry their path (a JSON array of segments)
+ * in data-path so the page can act on them.
+ *
+ * Exposed as window.JsonlTree.
+ */
+
+(function() {
+  'use strict';
+
+  const DEFAULT_OPEN_DEPTH = 2;
+  const STRING_PREVIEW = 200;
+  const MAX_EMBEDDED_JSON = 1024 * 1024;
+
+  /**
+   * Per-entry view state. `toggled` holds containers whose fold state
+   * differs from the default for their depth.
+   */
+  function createState() {
+    return {
+      openDepth: DEFAULT_OPEN_DEPTH,
+      toggled: new Set(),
+      expandedStrings: new Set(),
+      rawStrings: new Set() // embedded JSON strings shown as plain text
+    };
+  }
+
+  function pathKey(segments) {
+    return JSON.stringify(segments);
+  }
+
+  function escapeText(str) {
+    return String(str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Parse a string that holds a JSON object or array, else undefined
+   */
+  function parseEmbedded(str) {
+    if (str.length < 2 || str.length > MAX_EMBEDDED_JSON) return undefined;
+    const first = str.trimStart()[0];
+    if (first !== '{' && first !== '[') return undefined;
+    try {
+      const value = JSON.parse(str);
+      return value !== null && typeof value === 'object' ? value : undefined;
+    } catch (err) {
+      return undefined;
+    }
+  }
+
+  /**
+   * Value at a tree path, descending into embedded JSON strings
+   */
+  function valueAt(data, segments) {
+    let current = data;
+    for (const segment of segments) {
+      if (typeof current === 'string') current = parseEmbedded(current);
+      if (current === null || typeof current !== 'object') return undefined;
+      current = current[segment];
+    }
+    return current;
+  }
+
+  function isOpen(state, key, depth) {
+    return (depth < state.openDepth) !== state.toggled.has(key);
+  }
+
+  function countLabel(value) {
+    const count = Array.isArray(value) ? value.length : Object.keys(value).length;
+    const noun = Array.isArray(value) ? 'item' : 'key';
+    return `${count} ${noun}${count === 1 ? '' : 's'}`;
+  }
+
+  function primitiveHtml(value) {
+    if (value === null) return '<span class="json-null">null</span>';
+    if (typeof value === 'boolean') return `<span class="json-boolean">${value}</span>`;
+    if (typeof value === 'number') return `<span class="json-number">${value}</span>`;
+    return `<span class="json-string">${escapeText(JSON.stringify(value))}</span>`;
+  }
+
+  /**
+   * Render a value's tree as HTML rows
+   * @param {*} data - Value to render
+   * @param {Object} state - From createState()
+   * @param {Function} formatPath - Segments to display path (JsonlQuery.formatPath)
+   */
+  function render(data, state, formatPath) {
+    const rows = [];
+
+    function row(segments, depth, html, actions = true) {
+      const path = segments.length > 0 ? formatPath(segments) : '';
+      // No whitespace between tags: rows are white-space: pre-wrap
+      const tools = actions && path
+        ? '<span class="tree-actions">' +
+          '<button type="button" class="tree-action" data-tree-action="copy-path">Copy path</button>' +
+          '<button type="button" class="tree-action" data-tree-action="copy-value">Copy value</button>' +
+          '</span>'
+        : '';
+      rows.push(
+        `<div class="tree-row" style="--tree-depth: ${depth}" data-path="${escapeText(pathKey(segments))}"` +
+        `${path ? ` title="${escapeText(path)}"` : ''}>${html}${tools}</div>`
+      );
+    }
+
+    function walk(value, segments, depth, label, suffix) {
+      const key = pathKey(segments);
+
+      if (typeof value === 'string') {
+        const embedded = parseEmbedded(value);
+        if (embedded !== undefined && !state.rawStrings.has(key)) {
+          walkContainer(embedded, segments, depth, label, suffix,
+            '<button type="button" class="tree-badge" data-tree-action="raw" title="Parsed from a JSON string; click to show the string">JSON string</button>');
+          return;
+        }
+
+        const long = value.length > STRING_PREVIEW && !state.expandedStrings.has(key);
+        const shown = long
+          ? `<span class="json-string">${escapeText(JSON.stringify(value.substring(0, STRING_PREVIEW)).slice(0, -1))}</span>` +
+            `<button type="button" class="tree-more" data-tree-action="expand-string">… ${(value.length - STRING_PREVIEW).toLocaleString()} more chars</button>`
+          : primitiveHtml(value);
+        const parsedToggle = embedded !== undefined
+          ? ' <button type="button" class="tree-badge" data-tree-action="parse" title="Show as a tree">parse JSON</button>'
+          : '';
+        row(segments, depth, `<span class="tree-spacer"></span>${label}${shown}${suffix}${parsedToggle}`);
+        return;
+      }
+
+      if (value !== null && typeof value === 'object') {
+        walkContainer(value, segments, depth, label, suffix, '');
+        return;
+      }
+
+      row(segments, depth, `<span class="tree-spacer"></span>${label}${primitiveHtml(value)}${suffix}`);
+    }
+
+    function walkContainer(value, segments, depth, label, suffix, badge) {
+      const isArray = Array.isArray(value);
+      const keys = isArray ? value.map((_, i) => i) : Object.keys(value);
+      const [open, close] = isArray ? ['[', ']'] : ['{', '}'];
+
+      if (keys.length === 0) {
+        row(segments, depth, `<span class="tree-spacer"></span>${label}${open}${close}${suffix}${badge}`);
+        return;
+      }
+
+      if (!isOpen(state, pathKey(segments), depth)) {
+        row(segments, depth,
+          `<button type="button" class="tree-toggle" data-tree-action="toggle" aria-expanded="false" aria-label="Unfold">&#9656;</button>` +
+          `${label}<button type="button" class="tree-folded" data-tree-action="toggle">${open}…${close}</button>${suffix}` +
+          `<span class="tree-count">${countLabel(value)}</span>${badge}`);
+        return;
+      }
+
+      row(segments, depth,
+        `<button type="button" class="tree-toggle" data-tree-action="toggle" aria-expanded="true" aria-label="Fold">&#9662;</button>` +
+        `${label}${open}<span class="tree-count">${countLabel(value)}</span>${badge}`);
+      keys.forEach((key, i) => {
+        const childLabel = isArray ? '' : `<span class="json-key">${escapeText(JSON.stringify(key))}</span>: `;
+        walk(value[key], [...segments, key], depth + 1, childLabel, i < keys.length - 1 ? ',' : '');
+      });
+      row(segments, depth, `<span class="tree-spacer"></span>${close}${suffix}`, false);
+    }
+
+    walk(data, [], 0, '', '');
+    return rows.join('');
+  }
+
+  /**
+   * Apply a row action that changes the view. Returns true if it did.
+   */
+  function applyAction(state, action, segments) {
+    const key = pathKey(segments);
+    const flip = (set) => (set.has(key) ? set.delete(key) : set.add(key));
+
+    switch (action) {
+      case 'toggle':
+        flip(state.toggled);
+        return true;
+      case 'expand-string':
+        state.expandedStrings.add(key);
+        return true;
+      case 'raw':
+        state.rawStrings.add(key);
+        return true;
+      case 'parse':
+        state.rawStrings.delete(key);
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Fold or unfold everything
+   */
+  function setAllOpen(state, open) {
+    state.openDepth = open ? Infinity : 1;
+    state.toggled.clear();
+  }
+
+  window.JsonlTree = {
+    createState,
+    render,
+    valueAt,
+    applyAction,
+    setAllOpen
+  };
+
+})();
@@ -0,0 +1,505 @@
+/**
+ * JSONL Viewer - JSON Schema Validation
+ *
+ * Validates entries against a JSON Schema (draft 2020-12, or draft-07 and
+ * earlier when `$schema` says so). Violations are reported with the JSON
+ * Pointer of the offending value, e.g. `/items/0/price must be >= 0`.
+ *
+ * `$ref` may point anywhere inside the schema file (`#/$defs/x`, an
+ * `$anchor`, or a nested `$id`); references to other files are not
+ * followed. Known formats (date-time, email, uuid, ...) are checked;
+ * `unevaluatedProperties` and `unevaluatedItems` are not.
+ *
+ * Exposed as window.JsonlValidate.
+ */
+
+(function() {
+  'use strict';
+
+  const MAX_ERRORS = 50; // per entry
+  const MAX_DEPTH = 200; // nested $ref evaluations on one value
+  const CHUNK_SIZE = 1000;
+  const DEFAULT_BASE = 'https://schema.invalid/root.json';
+
+  class SchemaError extends Error {
+    constructor(message) {
+      super(message);
+      this.name = 'SchemaError';
+    }
+  }
+
+  // Keywords whose values are subschemas
+  const SCHEMA_KEYWORDS = ['additionalProperties', 'additionalItems', 'unevaluatedProperties', 'unevaluatedItems',
+    'contains', 'propertyNames', 'not', 'if', 'then', 'else', 'items'];
+  const SCHEMA_LIST_KEYWORDS = ['allOf', 'anyOf', 'oneOf', 'prefixItems', 'items'];
+  const SCHEMA_MAP_KEYWORDS = ['properties', 'patternProperties', '$defs', 'definitions', 'dependentSchemas', 'dependencies'];
+
+  const FORMATS = {
+    'date-time': (s) => /^\d{4}-\d{2}-\d{2}[Tt]\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:[Zz]|[+-]\d{2}:\d{2})$/.test(s) &&
+      isDate(s.slice(0, 10)) && !isNaN(Date.parse(s)),
+    date: (s) => /^\d{4}-\d{2}-\d{2}$/.test(s) && isDate(s),
+    time: (s) => /^(?:[01]\d|2[0-3]):[0-5]\d:(?:[0-5]\d|60)(?:\.\d+)?(?:[Zz]|[+-]\d{2}:\d{2})$/.test(s),
+    email: (s) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(s),
+    hostname: (s) => s.length <= 253 && /^[a-z\d](?:[a-z\d-]{0,61}[a-z\d])?(?:\.[a-z\d](?:[a-z\d-]{0,61}[a-z\d])?)*$/i.test(s),
+    ipv4: (s) => /^(?:(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)$/.test(s),
+    ipv6: (s) => s.includes(':') && /^[\da-f:.]+$/i.test(s) && isUrl(`http://[${s}]/`),
+    uri: (s) => /^[a-z][a-z\d+.-]*:[^\s]*$/i.test(s),
+    'uri-reference': (s) => !/\s/.test(s),
+    uuid: (s) => /^[\da-f]{8}-[\da-f]{4}-[\da-f]{4}-[\da-f]{4}-[\da-f]{12}$/i.test(s),
+    regex: (s) => {
+      try {
+        new RegExp(s, 'u');
+        return true;
+      } catch (err) {
+        return false;
+      }
+    }
+  };
+
+  function isDate(s) {
+    const [year, month, day] = s.split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+  }
+
+  function isUrl(s) {
+    try {
+      new URL(s);
+      return true;
+    } catch (err) {
+      return false;
+    }
+  }
+
+  // Helpers
+  function isSchema(value) {
+    return typeof value === 'boolean' || (value !== null && typeof value === 'object' && !Array.isArray(value));
+  }
+
+  function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  function hasType(value, type) {
+    switch (type) {
+      case 'null': return value === null;
+      case 'boolean': return typeof value === 'boolean';
+      case 'string': return typeof value === 'string';
+      case 'number': return typeof value === 'number';
+      case 'integer': return Number.isInteger(value);
+      case 'array': return Array.isArray(value);
+      case 'object': return isObject(value);
+      default: return false;
+    }
+  }
+
+  /**
+   * JSON with sorted keys, so equal values give equal strings
+   */
+  function canonical(value) {
+    if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+    if (isObject(value)) {
+      return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+  }
+
+  function equal(a, b) {
+    return a === b || canonical(a) === canonical(b);
+  }
+
+  function childPath(path, key) {
+    return `${path}/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+  }
+
+  function plural(n, word, words = `${word}s`) {
+    return `${n} ${n === 1 ? word : words}`;
+  }
+
+  // Schema preparation
+  function forEachSubschema(schema, visit) {
+    for (const keyword of SCHEMA_KEYWORDS) {
+      if (isSchema(schema[keyword])) visit(schema[keyword]);
+    }
+    for (const keyword of SCHEMA_LIST_KEYWORDS) {
+      if (Array.isArray(schema[keyword])) schema[keyword].filter(isSchema).forEach(visit);
+    }
+    for (const keyword of SCHEMA_MAP_KEYWORDS) {
+      if (isObject(schema[keyword])) Object.values(schema[keyword]).filter(isSchema).forEach(visit);
+    }
+  }
+
+  function withoutHash(url) {
+    const copy = new URL(url);
+    copy.hash = '';
+    return copy.href;
+  }
+
+  function resolvePointer(doc, pointer) {
+    let target = doc;
+    for (const part of pointer.split('/').slice(1)) {
+      const key = part.replace(/~1/g, '/').replace(/~0/g, '~');
+      if (target === null || typeof target !== 'object' || !Object.prototype.hasOwnProperty.call(target, key)) {
+        return undefined;
+      }
+      target = target[key];
+    }
+    return target;
+  }
+
+  /**
+   * Index ids and anchors, resolve every $ref and compile patterns up front
+   * so a broken schema fails when it is loaded rather than per entry
+   */
+  function prepare(root) {
+    const ctx = {
+      legacy: typeof root.$schema === 'string' && /draft-0[3-7]/.test(root.$schema),
+      ids: new Map([[DEFAULT_BASE, root]]),
+      anchors: new Map(),
+      refs: new Map(), // schema object -> referenced schema
+      patterns: new Map()
+    };
+    const refSites = [];
+    const seen = new Set();
+
+    function compilePattern(source) {
+      if (ctx.patterns.has(source)) return;
+      try {
+        ctx.patterns.set(source, new RegExp(source, 'u'));
+      } catch (err) {
+        throw new SchemaError(`Invalid pattern "${source}": ${err.message}`);
+      }
+    }
+
+    function visit(schema, base) {
+      if (typeof schema === 'boolean' || seen.has(schema)) return;
+      seen.add(schema);
+
+      if (typeof schema.$id === 'string') {
+        let url;
+        try {
+          url = new URL(schema.$id, base);
+        } catch (err) {
+          throw new SchemaError(`Invalid $id "${schema.$id}"`);
+        }
+        if (url.hash.length > 1) {
+          ctx.anchors.set(url.href, schema); // draft-07 style "#name"
+        } else {
+          base = withoutHash(url);
+          ctx.ids.set(base, schema);
+        }
+      }
+      for (const keyword of ['$anchor', '$dynamicAnchor']) {
+        if (typeof schema[keyword] === 'string') ctx.anchors.set(`${base}#${schema[keyword]}`, schema);
+      }
+      const ref = typeof schema.$ref === 'string' ? schema.$ref : schema.$dynamicRef;
+      if (typeof ref === 'string') refSites.push({ schema, ref, base });
+
+      if (typeof schema.pattern === 'string') compilePattern(schema.pattern);
+      if (isObject(schema.patternProperties)) Object.keys(schema.patternProperties).forEach(compilePattern);
+
+      forEachSubschema(schema, sub => visit(sub, base));
+    }
+
+    visit(root, DEFAULT_BASE);
+
+    for (const { schema, ref, base } of refSites) {
+      let url;
+      try {
+        url = new URL(ref, base);
+      } catch (err) {
+        throw new SchemaError(`Invalid $ref "${ref}"`);
+      }
+      const doc = ctx.ids.get(withoutHash(url));
+      const fragment = decodeURIComponent(url.hash.slice(1));
+      let target;
+      if (doc !== undefined) {
+        if (fragment === '') target = doc;
+        else if (fragment.startsWith('/')) target = resolvePointer(doc, fragment);
+        else target = ctx.anchors.get(`${withoutHash(url)}#${fragment}`);
+      }
+      if (!isSchema(target)) {
+        throw new SchemaError(`Can't resolve $ref "${ref}" (only references within the schema file are supported)`);
+      }
+      ctx.refs.set(schema, target);
+    }
+
+    return ctx;
+  }
+
+  // Validation
+  function fail(errors, path, message) {
+    if (errors.length < MAX_ERRORS) errors.push({ instancePath: path, message });
+    return false;
+  }
+
+  /**
+   * Whether the value conforms, without recording why not
+   */
+  function passes(schema, value, path, ctx, depth) {
+    return check(schema, value, path, ctx, [], depth);
+  }
+
+  function check(schema, value, path, ctx, errors, depth) {
+    if (schema === true) return true;
+    if (schema === false) return fail(errors, path, 'is not allowed by the schema');
+    if (depth > MAX_DEPTH) return fail(errors, path, 'schema references nest too deeply');
+
+    let valid = true;
+    const report = (message) => {
+      valid = fail(errors, path, message);
+    };
+
+    if (ctx.refs.has(schema)) {
+      if (!check(ctx.refs.get(schema), value, path, ctx, errors, depth + 1)) valid = false;
+      // Before 2019-09, keywords next to $ref are ignored
+      if (ctx.legacy && schema.$ref !== undefined) return valid;
+    }
+
+    if (schema.type !== undefined) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      if (!types.some(type => hasType(value, type))) report(`must be ${types.join(' or ')}`);
+    }
+    if (Array.isArray(schema.enum) && !schema.enum.some(option => equal(option, value))) {
+      report('must be one of the allowed values');
+    }
+    if (schema.const !== undefined && !equal(schema.const, value)) {
+      report(`must be equal to ${JSON.stringify(schema.const)}`);
+    }
+
+    if (typeof value === 'number') checkNumber(schema, value, report);
+    if (typeof value === 'string') checkString(schema, value, ctx, report);
+    if (Array.isArray(value) && !checkArray(schema, value, path, ctx, errors, depth, report)) valid = false;
+    if (isObject(value) && !checkObject(schema, value, path, ctx, errors, depth, report)) valid = false;
+
+    // Combinators
+    if (Array.isArray(schema.allOf)) {
+      for (const sub of schema.allOf) {
+        if (!check(sub, value, path, ctx, errors, depth)) valid = false;
+      }
+    }
+    if (Array.isArray(schema.anyOf) && !schema.anyOf.some(sub => passes(sub, value, path, ctx, depth))) {
+      report('must match at least one schema in anyOf');
+    }
+    if (Array.isArray(schema.oneOf)) {
+      const count = schema.oneOf.filter(sub => passes(sub, value, path, ctx, depth)).length;
+      if (count !== 1) report(`must match exactly one schema in oneOf (matches ${count})`);
+    }
+    if (schema.not !== undefined && passes(schema.not, value, path, ctx, depth)) {
+      report('must not match the "not" schema');
+    }
+    if (schema.if !== undefined) {
+      const branch = passes(schema.if, value, path, ctx, depth) ? schema.then : schema.else;
+      if (branch !== undefined && !check(branch, value, path, ctx, errors, depth)) valid = false;
+    }
+
+    return valid;
+  }
+
+  function checkNumber(schema, value, report) {
+    // Draft-04 spells exclusive bounds as booleans next to minimum/maximum
+    const exclusiveMin = schema.exclusiveMinimum === true;
+    const exclusiveMax = schema.exclusiveMaximum === true;
+
+    if (typeof schema.minimum === 'number') {
+      if (exclusiveMin ? value <= schema.minimum : value < schema.minimum) {
+        report(`must be ${exclusiveMin ? '>' : '>='} ${schema.minimum}`);
+      }
+    }
+    if (typeof schema.maximum === 'number') {
+      if (exclusiveMax ? value >= schema.maximum : value > schema.maximum) {
+        report(`must be ${exclusiveMax ? '<' : '<='} ${schema.maximum}`);
+      }
+    }
+    if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+      report(`must be > ${schema.exclusiveMinimum}`);
+    }
+    if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+      report(`must be < ${schema.exclusiveMaximum}`);
+    }
+    if (typeof schema.multipleOf === 'number' && schema.multipleOf > 0) {
+      const quotient = value / schema.multipleOf;
+      if (Math.abs(quotient - Math.round(quotient)) > 1e-9) report(`must be a multiple of ${schema.multipleOf}`);
+    }
+  }
+
+  function checkString(schema, value, ctx, report) {
+    if (typeof schema.minLength === 'number' || typeof schema.maxLength === 'number') {
+      const length = [...value].length; // code points, not UTF-16 units
+      if (length < schema.minLength) report(`must have at least ${plural(schema.minLength, 'character')}`);
+      if (length > schema.maxLength) report(`must have at most ${plural(schema.maxLength, 'character')}`);
+    }
+    if (typeof schema.pattern === 'string' && !ctx.patterns.get(schema.pattern).test(value)) {
+      report(`must match pattern "${schema.pattern}"`);
+    }
+    if (typeof schema.format === 'string' && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+      report(`must be a valid ${schema.format}`);
+    }
+  }
+
+  function checkArray(schema, value, path, ctx, errors, depth, report) {
+    let valid = true;
+
+    if (value.length < schema.minItems) report(`must have at least ${plural(schema.minItems, 'item')}`);
+    if (value.length > schema.maxItems) report(`must have at most ${plural(schema.maxItems, 'item')}`);
+
+    if (schema.uniqueItems === true) {
+      const seen = new Map();
+      for (let i = 0; i < value.length; i++) {
+        const key = canonical(value[i]);
+        if (seen.has(key)) {
+          report(`must not have duplicate items (${seen.get(key)} and ${i} are equal)`);
+          break;
+        }
+        seen.set(key, i);
+      }
+    }
+
+    // Tuple items: prefixItems + items (2020-12) or items[] + additionalItems (draft-07)
+    const legacyTuple = Array.isArray(schema.items);
+    const tuple = legacyTuple ? schema.items : (Array.isArray(schema.prefixItems) ? schema.prefixItems : []);
+    const rest = legacyTuple ? schema.additionalItems : schema.items;
+
+    value.forEach((item, i) => {
+      const itemSchema = i < tuple.length ? tuple[i] : rest;
+      if (itemSchema !== undefined && !check(itemSchema, item, childPath(path, i), ctx, errors, depth)) valid = false;
+    });
+
+    if (schema.contains !== undefined) {
+      const matches = value.filter((item, i) => passes(schema.contains, item, childPath(path, i), ctx, depth)).length;
+      const min = typeof schema.minContains === 'number' ? schema.minContains : 1;
+      if (matches < min) report(`must contain at least ${plural(min, 'matching item')}`);
+      if (matches > schema.maxContains) report(`must contain at most ${plural(schema.maxContains, 'matching item')}`);
+    }
+
+    return valid;
+  }
+
+  function checkObject(schema, value, path, ctx, errors, depth, report) {
+    let valid = true;
+    const keys = Object.keys(value);
+    const has = (key) => Object.prototype.hasOwnProperty.call(value, key);
+
+    if (Array.isArray(schema.required)) {
+      for (const key of schema.required) {
+        if (!has(key)) report(`must have required property "${key}"`);
+      }
+    }
+    if (keys.length < schema.minProperties) report(`must have at least ${plural(schema.minProperties, 'property', 'properties')}`);
+    if (keys.length > schema.maxProperties) report(`must have at most ${plural(schema.maxProperties, 'property', 'properties')}`);
+
+    const properties = isObject(schema.properties) ? schema.properties : {};
+    const patterns = isObject(schema.patternProperties) ? Object.keys(schema.patternProperties) : [];
+
+    for (const key of keys) {
+      const keyPath = childPath(path, key);
+      let matched = false;
+
+      if (Object.prototype.hasOwnProperty.call(properties, key)) {
+        matched = true;
+        if (!check(properties[key], value[key], keyPath, ctx, errors, depth)) valid = false;
+      }
+      for (const pattern of patterns) {
+        if (!ctx.patterns.get(pattern).test(key)) continue;
+        matched = true;
+        if (!check(schema.patternProperties[pattern], value[key], keyPath, ctx, errors, depth)) valid = false;
+      }
+
+      if (!matched && schema.additionalProperties !== undefined) {
+        if (schema.additionalProperties === false) {
+          report(`must not have additional property "${key}"`);
+        } else if (!check(schema.additionalProperties, value[key], keyPath, ctx, errors, depth)) {
+          valid = false;
+        }
+      }
+      if (schema.propertyNames !== undefined && !passes(schema.propertyNames, key, keyPath, ctx, depth)) {
+        report(`property name "${key}" is invalid`);
+      }
+    }
+
+    // dependentRequired / dependentSchemas, or draft-07 dependencies (either kind)
+    const dependencies = {
+      ...(isObject(schema.dependencies) ? schema.dependencies : {}),
+      ...(isObject(schema.dependentRequired) ? schema.dependentRequired : {}),
+      ...(isObject(schema.dependentSchemas) ? schema.dependentSchemas : {})
+    };
+    for (const [key, dependency] of Object.entries(dependencies)) {
+      if (!has(key)) continue;
+      if (Array.isArray(dependency)) {
+        for (const other of dependency) {
+          if (!has(other)) report(`must have property "${other}" when "${key}" is present`);
+        }
+      } else if (!check(dependency, value, path, ctx, errors, depth)) {
+        valid = false;
+      }
+    }
+
+    return valid;
+  }
+
+  /**
+   * Compile a schema into a function returning a value's violations as
+   * [{ instancePath, message }], empty when it conforms. Throws
+   * SchemaError for a schema that can't be used.
+   */
+  function compile(schema) {
+    if (!isSchema(schema)) throw new SchemaError('A JSON Schema must be an object or a boolean');
+    const ctx = typeof schema === 'boolean' ? { legacy: false, refs: new Map(), patterns: new Map() } : prepare(schema);
+
+    return (value) => {
+      const errors = [];
+      check(schema, value, '', ctx, errors, 0);
+      return errors;
+    };
+  }
+
+  /**
+   * Run `violationsOf(entry)` over entries in chunks, yielding to the event
+   * loop between them. Resolves to the number of failing entries, or null
+   * when `isCancelled` abandons the run.
+   */
+  function countFailing(entries, violationsOf, { onProgress, isCancelled } = {}) {
+    return new Promise((resolve) => {
+      let index = 0;
+      let failing = 0;
+
+      function step() {
+        if (isCancelled && isCancelled()) {
+          resolve(null);
+          return;
+        }
+
+        const end = Math.min(index + CHUNK_SIZE, entries.length);
+        for (; index < end; index++) {
+          if (violationsOf(entries[index]).length > 0) failing++;
+        }
+
+        if (onProgress) onProgress(index, entries.length);
+
+        if (index < entries.length) {
+          setTimeout(step, 0);
+        } else {
+          resolve(failing);
+        }
+      }
+
+      step();
+    });
+  }
+
+  /**
+   * Format an instance path for display; the whole entry is "(root)"
+   */
+  function formatPath(pointer) {
+    return pointer === '' ? '(root)' : pointer;
+  }
+
+  window.JsonlValidate = {
+    MAX_ERRORS,
+    SchemaError,
+    compile,
+    countFailing,
+    formatPath
+  };
+
+})();